@@ -0,0 +1,405 @@
+import { useActionState, useId, useState } from 'react';
+import { useFormStatus } from 'react-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import MockApiControls from './MockApiControls';
+import { ROLES, SESSION_STORAGE_KEY, useAuth } from '../context/AuthContext';
+import { useLocale } from '../context/LocaleContext';
+import { mockAccounts } from '../data/mockData';
+import { getSession } from '../services/mockApi';
+import './Button.css';
+import './FormActionsDemo.css';
+import './AuthContextDemo.css';
+
+/**
+ * Authentication Context Demonstration
+ *
+ * The useContext page's UserContext holds whoever is signed in here. This
+ * page is the flow behind it, the way an app usually wires auth:
+ * - AuthProvider (context/AuthProvider.jsx) owns the session and exposes
+ *   { status, user, login, logout, hasRole } through useAuth()
+ * - the session token is saved in localStorage, so a reload signs you back
+ *   in after the mock server confirms the token is still good
+ * - <RequireAuth role="admin"> guards whole routes (the Admin page); inline
+ *   sections just check `user` or hasRole() while rendering
+ *
+ * Accounts live on the mock server (services/mockApi.js), so the latency
+ * and error-rate knobs apply to signing in too.
+ */
+
+// Tokens are long and not very interesting past their start
+const shortToken = (token) => (token.length > 18 ? `${token.slice(0, 18)}…` : token);
+
+const SubmitButton = () => {
+  const { pending } = useFormStatus();
+  const { t } = useLocale();
+  return (
+    <button type="submit" className="custom-button primary" disabled={pending}>
+      {pending ? t('auth.signingIn') : t('auth.signIn')}
+    </button>
+  );
+};
+
+// ==================== PATTERN 1: Login form ====================
+const LoginForm = () => {
+  const { status, login } = useAuth();
+  const { t } = useLocale();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const formId = useId();
+  // Controlled, so the demo account buttons can fill the fields in
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  // Set when RequireAuth sent us here from a protected page
+  const from = location.state?.from;
+
+  const [state, formAction] = useActionState(async (previousState, formData) => {
+    try {
+      await login({ email: formData.get('email'), password: formData.get('password') });
+      // Signed in: LoginPanel swaps this form out, or we go back where we came from
+      if (from) navigate(from, { replace: true });
+      return { error: null };
+    } catch (loginError) {
+      return { error: loginError.status === 401 ? t('auth.wrongCredentials') : loginError.message };
+    }
+  }, { error: null });
+
+  const handleChange = (e) => {
+    setCredentials(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  return (
+    <form action={formAction} className="action-form">
+      {from && (
+        <p className="auth-notice">🔒 {t('auth.signInToOpen', { path: from })}</p>
+      )}
+      {status === 'expired' && (
+        <p className="auth-notice">⌛ {t('auth.sessionExpired')}</p>
+      )}
+      <div className="action-field">
+        <label htmlFor={`${formId}-email`}>{t('auth.email')}</label>
+        <input
+          id={`${formId}-email`}
+          name="email"
+          type="email"
+          autoComplete="username"
+          value={credentials.email}
+          onChange={handleChange}
+          required
+        />
+      </div>
+      <div className="action-field">
+        <label htmlFor={`${formId}-password`}>{t('auth.password')}</label>
+        <input
+          id={`${formId}-password`}
+          name="password"
+          type="password"
+          autoComplete="current-password"
+          value={credentials.password}
+          onChange={handleChange}
+          required
+        />
+      </div>
+      <SubmitButton />
+      {state.error && <p className="action-status error">❌ {state.error}</p>}
+
+      <div className="auth-demo-accounts">
+        <span>{t('auth.demoAccounts')}</span>
+        {mockAccounts.map(account => (
+          <button
+            key={account.id}
+            type="button"
+            className="auth-demo-account"
+            onClick={() => setCredentials({ email: account.email, password: account.password })}
+          >
+            {account.title} ({account.role})
+          </button>
+        ))}
+      </div>
+    </form>
+  );
+};
+
+const LoginPanel = () => {
+  const { user, logout } = useAuth();
+  const { t } = useLocale();
+
+  if (!user) return <LoginForm />;
+
+  return (
+    <div className="auth-signed-in">
+      <p>
+        {t('auth.signedInAs', { name: user.name, email: user.email, title: user.title })}{' '}
+        <code>{user.role}</code>
+      </p>
+      <Button text={t('profile.logOut')} onClick={logout} variant="danger" />
+    </div>
+  );
+};
+
+// ==================== PATTERN 2: The session ====================
+const SessionPanel = () => {
+  const { status, token } = useAuth();
+  const { t } = useLocale();
+  const [serverCheck, setServerCheck] = useState(null); // { token, ok, message }
+  const [checking, setChecking] = useState(false);
+
+  // Ask the server about the token directly - what AuthProvider does after a reload
+  const checkWithServer = async () => {
+    setChecking(true);
+    try {
+      const account = await getSession(token);
+      setServerCheck({ token, ok: true, message: t('auth.tokenValid', { email: account.email }) });
+    } catch (error) {
+      const message = error.status === 401 ? t('auth.sessionExpired') : error.message;
+      setServerCheck({ token, ok: false, message: `${error.status ?? ''} ${message}`.trim() });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="auth-session">
+      <dl>
+        <dt>{t('auth.status')}</dt>
+        <dd>{t(`auth.statuses.${status}`)}</dd>
+        <dt>{t('auth.token')}</dt>
+        <dd>{token ? <code>{shortToken(token)}</code> : '-'}</dd>
+        <dt>{t('auth.savedUnder')}</dt>
+        <dd><code>localStorage[&apos;{SESSION_STORAGE_KEY}&apos;]</code></dd>
+      </dl>
+      <Button
+        text={checking ? t('auth.checking') : t('auth.checkWithServer')}
+        onClick={checkWithServer}
+        disabled={!token || checking}
+        variant="secondary"
+      />
+      {/* Only the answer about the current token */}
+      {serverCheck?.token === token && (
+        <p className={`action-status ${serverCheck.ok ? 'success' : 'error'}`}>
+          {serverCheck.ok ? '✅' : '❌'} {serverCheck.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// ==================== PATTERN 3: Protected sections ====================
+// Renders `children` for signed-in users and `fallback` for everyone else
+const SignedIn = ({ children, fallback = null }) => {
+  const { user } = useAuth();
+  return user ? children : fallback;
+};
+
+SignedIn.propTypes = {
+  children: PropTypes.node.isRequired,
+  fallback: PropTypes.node,
+};
+
+const SignInNotice = () => {
+  const { t } = useLocale();
+  return <p className="auth-locked">🔒 {t('auth.signInForNotes')}</p>;
+};
+
+// ==================== PATTERN 4: Role-based rendering ====================
+const RoleTable = () => {
+  const { user, hasRole } = useAuth();
+  const { t } = useLocale();
+
+  return (
+    <table className="auth-roles">
+      <thead>
+        <tr>
+          <th>{t('auth.role')}</th>
+          <th>hasRole()</th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(ROLES).map(([role, { label }]) => (
+          <tr key={role} className={user?.role === role ? 'current' : ''}>
+            <td>{t(`auth.roles.${role}`, { defaultValue: label })} (<code>{role}</code>)</td>
+            <td>{hasRole(role) ? '✅ true' : '❌ false'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const RoleContent = () => {
+  const { user, hasRole } = useAuth();
+  const { t } = useLocale();
+
+  if (!user) {
+    return <p className="auth-locked">{t('auth.signInForRoles')}</p>;
+  }
+
+  return (
+    <div className="auth-role-content">
+      <div className="auth-role-box">
+        <h4>👩‍💻 For every developer</h4>
+        <p>Your review queue, the component library and the deploy log.</p>
+      </div>
+      {hasRole('admin') ? (
+        <div className="auth-role-box admin">
+          <h4>🛠️ Admin tools</h4>
+          <p>Team accounts and server checks are on the <Link to="/admin">Admin page</Link>.</p>
+        </div>
+      ) : (
+        <div className="auth-role-box locked">
+          <h4>🔒 Admin tools</h4>
+          <p>
+            Hidden for {user.title}s. The <Link to="/admin">Admin page</Link> link still works, but
+            RequireAuth turns you away - and the server would refuse the data anyway.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AuthContextDemo = () => (
+  <div className="authcontext-container">
+    <div className="authcontext-header">
+      <h2>Authentication with Context</h2>
+      <p className="hook-description">
+        One provider for the session, read anywhere with useAuth()
+      </p>
+    </div>
+
+    {/* Demo 1: Login */}
+    <div id="login" className="demo-card">
+      <h3>1️⃣ Login and Logout</h3>
+      <p className="demo-explanation">
+        The form calls <code>login()</code> from the auth context, which posts the credentials to the
+        mock server and stores the session it gets back. Every consumer - the sidebar, the
+        useContext page&apos;s <Link to="/hooks/use-context#no-prop-drilling">UserContext</Link>, the
+        sections below - updates at once. Wrong passwords come back as a 401 from the server.
+      </p>
+      <LoginPanel />
+      <MockApiControls />
+    </div>
+
+    {/* Demo 2: Session persistence */}
+    <div id="session" className="demo-card">
+      <h3>2️⃣ Session Persistence</h3>
+      <p className="demo-explanation">
+        Only the token is saved, never the user. After a reload AuthProvider has a token but no
+        user, so status is &quot;checking&quot; until the server confirms who the token belongs to -
+        an expired or revoked token comes back as a 401 and you are signed out with a message.
+        Because the token lives in localStorage, logging out in one tab logs out every tab.
+      </p>
+      <SessionPanel />
+    </div>
+
+    {/* Demo 3: Protected content */}
+    <div id="protected-content" className="demo-card">
+      <h3>3️⃣ Protected Routes and Sections</h3>
+      <p className="demo-explanation">
+        Small sections check <code>user</code> while rendering. Whole pages are wrapped in{' '}
+        <code>&lt;RequireAuth&gt;</code> in App.jsx: signed-out visitors are redirected here with the
+        page they wanted in <code>location.state</code>, and sent back after signing in.
+      </p>
+      <SignedIn fallback={<SignInNotice />}>
+        <div className="auth-role-box">
+          <h4>📋 Team notes</h4>
+          <p>Stand-up moves to 10:15 this week. The design review is on Thursday.</p>
+        </div>
+      </SignedIn>
+      <p className="demo-explanation">
+        Try the <Link to="/admin">Admin page</Link> signed out (redirect), as the developer (not
+        allowed) and as the admin.
+      </p>
+    </div>
+
+    {/* Demo 4: Roles */}
+    <div id="roles" className="demo-card">
+      <h3>4️⃣ Role-Based Rendering</h3>
+      <p className="demo-explanation">
+        Roles are ranked, so <code>hasRole(&apos;developer&apos;)</code> is true for admins too. Hiding
+        a button only tidies the UI: the mock server checks the role again on every admin request.
+      </p>
+      <RoleTable />
+      <RoleContent />
+      <CodePlayground
+        title="Auth context with login"
+        code={`import { createContext, useContext, useMemo, useState } from 'react';
+
+const AuthContext = createContext(null);
+
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used inside <AuthProvider>');
+  return context;
+};
+
+const ranks = { developer: 1, admin: 2 };
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+
+  const value = useMemo(() => ({
+    user,
+    login: (name, role) => setUser({ name, role }),
+    logout: () => setUser(null),
+    hasRole: (role) => user !== null && ranks[user.role] >= ranks[role],
+  }), [user]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+const AdminTools = () => {
+  const { hasRole } = useAuth();
+  if (!hasRole('admin')) return <p>🔒 Admins only</p>;
+  return <p>🛠️ Admin tools</p>;
+};
+
+const Toolbar = () => {
+  const { user, login, logout } = useAuth();
+  if (!user) {
+    return (
+      <>
+        <button onClick={() => login('Avinash', 'developer')}>Sign in as developer</button>
+        <button onClick={() => login('Sam', 'admin')}>Sign in as admin</button>
+      </>
+    );
+  }
+  return (
+    <>
+      <p>Hi {user.name} ({user.role})</p>
+      <button onClick={logout}>Log out</button>
+      <AdminTools />
+    </>
+  );
+};
+
+export default function App() {
+  return (
+    <AuthProvider>
+      <Toolbar />
+    </AuthProvider>
+  );
+}`}
+      />
+    </div>
+
+    {/* Key Takeaways */}
+    <div id="key-takeaways" className="demo-card key-takeaways">
+      <h3>🎯 Key Takeaways</h3>
+      <ul>
+        <li><strong>One owner:</strong> the provider is the only place that talks to the auth API; components call <code>login</code>/<code>logout</code> and read <code>user</code></li>
+        <li><strong>Persist the token, not the user:</strong> confirm a saved token with the server before trusting it</li>
+        <li><strong>Model the in-between states:</strong> &quot;checking&quot; keeps a reload from flashing the login form or redirecting an admin away</li>
+        <li><strong>Guard routes in one place:</strong> a RequireAuth wrapper redirects and remembers where the user was going</li>
+        <li><strong>UI checks are not security:</strong> the server must reject requests from the wrong role on its own</li>
+        <li><strong>Memoize the value:</strong> <code>{'{ user, login, logout }'}</code> in useMemo, so consumers only re-render when the session changes</li>
+      </ul>
+      <Link to="/quiz?hook=useContext" className="quiz-link">
+        🧠 Quiz yourself on useContext →
+      </Link>
+    </div>
+  </div>
+);
+
+export default AuthContextDemo;
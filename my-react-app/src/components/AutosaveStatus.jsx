@@ -0,0 +1,33 @@
+import { useLocale } from '../context/LocaleContext';
+import { useStore } from '../hooks/useStore';
+import { autosave } from '../services/autosave';
+import './AutosaveStatus.css';
+
+/**
+ * Header indicator for the autosave service: saved / saving / unsaved.
+ * With autosave off (the useContext page's settings) changes wait here
+ * until "Save now" or until it is turned back on.
+ */
+const AutosaveStatus = () => {
+  const { enabled, status, savedAt } = useStore(autosave);
+  const { t, formatTime } = useLocale();
+
+  let message = t(`autosave.${status}`);
+  if (status === 'saved' && savedAt !== null) {
+    message = t('autosave.savedAt', { time: formatTime(savedAt) });
+  }
+
+  return (
+    <div className={`autosave-status ${status}`} role="status">
+      <span>{message}</span>
+      {!enabled && <span className="autosave-off">({t('autosave.off')})</span>}
+      {status === 'unsaved' && (
+        <button type="button" className="autosave-save-now" onClick={autosave.saveNow}>
+          {t('autosave.saveNow')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AutosaveStatus;
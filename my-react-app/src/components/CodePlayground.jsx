@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
+import { playgroundDraftsStore } from '../services/draftStorage';
+import './CodePlayground.css';
+
+/**
+ * Editable, runnable replacement for the static `code-snippet` blocks.
+ *
+ * The preview is an iframe showing playground.html, which loads its own copy
+ * of React and runs the snippet there (src/playgroundFrame.jsx): the snippet
+ * is compiled with sucrase (JSX + ES modules) and its default export is
+ * rendered in the frame. The iframe is sandboxed with only `allow-scripts`,
+ * so the frame has an opaque origin: a snippet can't reach the app's
+ * document, localStorage or cookies through `window.parent`, only post
+ * messages. Errors from rendering, effects, event handlers and promises all
+ * come back here that way to show under the editor. Console output
+ * is forwarded to the app's console, so it still shows in the ConsolePanel.
+ * Nothing touches the network.
+ *
+ * Snippets may import from 'react' and must `export default` a component.
+ * Each run carries the learner's language, so the frame's own errors (a
+ * missing default export, a runaway loop) are translated too.
+ *
+ * Edits are autosaved as a draft under the playground's `title` (so titles
+ * must be unique across the app) and come back after a reload. Reset Code
+ * throws the draft away.
+ */
+
+const PREVIEW_URL = `${import.meta.env.BASE_URL}playground.html`;
+
+// The saved edit for this playground, if it was made to the current snippet
+const readDraft = (title, code) => {
+  const draft = playgroundDraftsStore.getSnapshot()[title];
+  return draft?.original === code ? draft.source : null;
+};
+
+const CodePlayground = ({ code, title = 'Live editor' }) => {
+  const [source, setSource] = useState(() => readDraft(title, code) ?? code);
+  const [error, setError] = useState(null);
+  const [frameReady, setFrameReady] = useState(false);
+  const { t, language } = useLocale();
+
+  const frameRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  // Keep the draft in step with the editor; an unedited snippet has no draft
+  useEffect(() => {
+    playgroundDraftsStore.set(drafts => {
+      if (source === code) {
+        if (!(title in drafts)) return drafts;
+        const rest = { ...drafts };
+        delete rest[title];
+        return rest;
+      }
+      return { ...drafts, [title]: { original: code, source } };
+    });
+  }, [source, code, title]);
+
+  // Reports from the frame about the snippet it is running
+  useEffect(() => {
+    const handleMessage = (e) => {
+      // The sandboxed frame's origin is opaque, which reads as 'null'
+      if (e.source !== frameRef.current?.contentWindow || e.origin !== 'null') return;
+      const { type, id } = e.data ?? {};
+
+      if (type === 'ready') {
+        setFrameReady(true);
+      } else if (type === 'console') {
+        console[e.data.level](...e.data.args);
+      } else if (id === runIdRef.current) {
+        // Anything about an older run is from a snippet that is gone
+        setError(type === 'error' ? e.data.message : null);
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  // Send the snippet to the frame shortly after the user stops typing
+  // (same debounce as UseEffectDemo)
+  useEffect(() => {
+    if (!frameReady) return;
+
+    const timer = setTimeout(() => {
+      runIdRef.current += 1;
+      // An opaque origin can't be named as the target; the message only goes
+      // to this frame's window and holds nothing private
+      frameRef.current?.contentWindow.postMessage(
+        { type: 'run', id: runIdRef.current, source, language },
+        '*',
+      );
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [source, frameReady, language]);
+
+  const handleKeyDown = (e) => {
+    // Insert spaces instead of moving focus out of the editor
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      const { selectionStart, selectionEnd } = e.target;
+      const next = source.slice(0, selectionStart) + '  ' + source.slice(selectionEnd);
+      setSource(next);
+      requestAnimationFrame(() => {
+        e.target.selectionStart = e.target.selectionEnd = selectionStart + 2;
+      });
+    }
+  };
+
+  const lineCount = source.split('\n').length;
+
+  return (
+    <div className="code-playground">
+      <div className="playground-toolbar">
+        <span className="playground-title">✏️ {title}</span>
+        <span className={`playground-status ${error ? 'has-error' : ''}`}>
+          {error ? t('playground.error') : t('playground.running')}
+        </span>
+        {source !== code && (
+          <span className="playground-draft" title={t('playground.editedHint')}>{t('playground.edited')}</span>
+        )}
+        <Button
+          text={t('playground.reset')}
+          onClick={() => setSource(code)}
+          variant="secondary"
+          disabled={source === code}
+        />
+      </div>
+
+      <div className="playground-panes">
+        <textarea
+          className="playground-editor"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={Math.min(Math.max(lineCount, 8), 30)}
+          spellCheck={false}
+          aria-label={t('playground.source', { title })}
+        />
+        <div className="playground-preview">
+          <iframe
+            ref={frameRef}
+            title={t('playground.preview', { title })}
+            src={PREVIEW_URL}
+            sandbox="allow-scripts"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <pre className="playground-error" role="alert">{error}</pre>
+      )}
+    </div>
+  );
+};
+
+CodePlayground.propTypes = {
+  code: PropTypes.string.isRequired,
+  title: PropTypes.string,
+};
+
+export default CodePlayground;
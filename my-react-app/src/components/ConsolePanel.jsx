@@ -0,0 +1,129 @@
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { useLocation } from 'react-router-dom';
+import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
+import { useToggle } from '../hooks/useToggle';
+import { demoRoutes } from '../routes';
+import {
+  clearConsoleEntries,
+  getConsoleEntries,
+  subscribeToConsole,
+} from '../services/consoleCapture';
+import './ConsolePanel.css';
+
+/**
+ * Docked console at the bottom of every page, showing the console output
+ * captured by services/consoleCapture.js. Lines are grouped by the demo
+ * they were logged on, can be filtered by text, and cleared per page or
+ * all at once. Useful wherever the browser devtools aren't.
+ */
+
+const groupTitle = (path, t) => {
+  if (path === '/') return t('nav.overview');
+  return demoRoutes.find(demo => demo.path === path)?.title ?? path;
+};
+
+const formatTime = (time) => {
+  const date = new Date(time);
+  const ms = String(date.getMilliseconds()).padStart(3, '0');
+  return `${date.toLocaleTimeString([], { hour12: false })}.${ms}`;
+};
+
+const ConsolePanel = () => {
+  const { pathname } = useLocation();
+  const { t } = useLocale();
+  const entries = useSyncExternalStore(subscribeToConsole, getConsoleEntries);
+  const [open, toggleOpen] = useToggle(false);
+  const [filter, setFilter] = useState('');
+  const [scope, setScope] = useState('page'); // 'page' | 'all'
+
+  const linesRef = useRef(null);
+  // Follow new lines unless the learner has scrolled up to read older ones
+  const stickToBottomRef = useRef(true);
+
+  const query = filter.trim().toLowerCase();
+  const visible = entries.filter(entry =>
+    (scope === 'all' || entry.path === pathname) &&
+    (!query || entry.text.toLowerCase().includes(query))
+  );
+
+  // One group per demo, in the order they were first logged to
+  const groups = [];
+  visible.forEach(entry => {
+    let group = groups.find(g => g.path === entry.path);
+    if (!group) {
+      group = { path: entry.path, entries: [] };
+      groups.push(group);
+    }
+    group.entries.push(entry);
+  });
+
+  useEffect(() => {
+    const lines = linesRef.current;
+    if (lines && stickToBottomRef.current) {
+      lines.scrollTop = lines.scrollHeight;
+    }
+  }, [visible.length, open]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.target;
+    stickToBottomRef.current = scrollHeight - scrollTop - clientHeight < 20;
+  };
+
+  return (
+    <section className={open ? 'console-panel open' : 'console-panel'} aria-label={t('console.label')}>
+      <button
+        type="button"
+        className="console-panel-tab"
+        onClick={toggleOpen}
+        aria-expanded={open}
+      >
+        🖥️ {t('console.title')} <span className="console-count">{visible.length}</span> {open ? '▼' : '▲'}
+      </button>
+
+      {open && (
+        <div className="console-panel-body">
+          <div className="console-toolbar">
+            <input
+              type="search"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder={t('console.filterPlaceholder')}
+              aria-label={t('console.filter')}
+            />
+            <select value={scope} onChange={(e) => setScope(e.target.value)} aria-label={t('console.scope')}>
+              <option value="page">{t('console.thisPage')}</option>
+              <option value="all">{t('console.allDemos')}</option>
+            </select>
+            <Button
+              text={scope === 'all' ? t('console.clearAll') : t('console.clearPage')}
+              onClick={() => clearConsoleEntries(scope === 'all' ? undefined : pathname)}
+              variant="danger"
+            />
+          </div>
+
+          <div className="console-lines" ref={linesRef} onScroll={handleScroll} role="log">
+            {groups.length === 0 && (
+              <p className="console-empty">
+                {query ? t('console.noMatches') : t('console.empty')}
+              </p>
+            )}
+            {groups.map(group => (
+              <div key={group.path} className="console-group">
+                <h5 className="console-group-title">{groupTitle(group.path, t)}</h5>
+                {group.entries.map(entry => (
+                  <div key={entry.id} className={`console-line ${entry.level}`}>
+                    <time dateTime={new Date(entry.time).toISOString()}>{formatTime(entry.time)}</time>
+                    <span className="console-text">{entry.text}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ConsolePanel;
@@ -1,11 +1,13 @@
 import { useState } from 'react';
 import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
 import './Counter.css';
 
 // hooks -> useEffect, useState, useRef, useMemo, useCallback, usecontext
 
 const Counter = () => {
   const [count, setCount] = useState(0); // string, obj, array, boolean, number
+  const { t } = useLocale();
   // age, setAge
   // name, setName
 
@@ -17,12 +19,12 @@ const Counter = () => {
   // arr[2]('Avinash from array');
   return (
     <div className="counter-container">
-      <h2>Counter (State Demo)</h2>
+      <h2>{t('counter.title')}</h2>
       <div className="counter-display">{count}</div>
       <div className="counter-buttons">
-        <Button text="Increment" onClick={increment} variant="primary" />
-        <Button text="Decrement" onClick={decrement} variant="secondary" />
-        <Button text="Reset" onClick={reset} variant="danger" />
+        <Button text={t('counter.increment')} onClick={increment} variant="primary" />
+        <Button text={t('counter.decrement')} onClick={decrement} variant="secondary" />
+        <Button text={t('counter.reset')} onClick={reset} variant="danger" />
       </div>
     </div>
   );
@@ -0,0 +1,397 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import MockApiControls from './MockApiControls';
+import { useLocale } from '../context/LocaleContext';
+import { useDebounce } from '../hooks/useDebounce';
+import { useFetch } from '../hooks/useFetch';
+import { useInterval } from '../hooks/useInterval';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { usePrevious } from '../hooks/usePrevious';
+import { useToggle } from '../hooks/useToggle';
+import { useWindowSize } from '../hooks/useWindowSize';
+import { getUser } from '../services/mockApi';
+import './CustomHooksDemo.css';
+
+/**
+ * Custom Hooks Library
+ *
+ * A custom hook is a function whose name starts with "use" and which calls
+ * other hooks. It shares stateful LOGIC, not state: every component that
+ * calls it gets its own copy.
+ *
+ * The hooks in src/hooks were extracted from patterns the demos used to
+ * copy-paste inline (debounce timers, resize listeners, previous-value refs,
+ * interval ids, localStorage writes). Each card below documents one hook
+ * with its signature, a live example, and the demos that use it.
+ */
+
+const NOTES_KEY = 'learningHub.customHooksNotes';
+
+const HookSignature = ({ children }) => (
+  <pre className="hook-signature"><code>{children}</code></pre>
+);
+
+HookSignature.propTypes = {
+  children: PropTypes.string.isRequired,
+};
+
+const UsedIn = ({ links }) => {
+  const { t } = useLocale();
+  return (
+    <p className="hook-used-in">
+      {t('customHooks.usedIn')}{' '}
+      {links.map((link, index) => (
+        <span key={link.to}>
+          {index > 0 && ', '}
+          <Link to={link.to}>{link.label}</Link>
+        </span>
+      ))}
+    </p>
+  );
+};
+
+UsedIn.propTypes = {
+  links: PropTypes.arrayOf(PropTypes.shape({
+    to: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+  })).isRequired,
+};
+
+// ==================== useDebounce ====================
+const DebounceExample = () => {
+  const { t } = useLocale();
+  const [text, setText] = useState('');
+  const [delay, setDelay] = useState(500);
+  const debouncedText = useDebounce(text, delay);
+
+  return (
+    <div className="hook-example">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={t('customHooks.debouncePlaceholder')}
+        className="hook-example-input"
+      />
+      <label className="hook-example-setting">
+        {t('customHooks.delay')} <strong>{delay}ms</strong>
+        <input type="range" min="100" max="2000" step="100" value={delay} onChange={(e) => setDelay(Number(e.target.value))} />
+      </label>
+      <p>{t('customHooks.value')} <code>{JSON.stringify(text)}</code></p>
+      <p>{t('customHooks.debounced')} <code>{JSON.stringify(debouncedText)}</code> {text !== debouncedText && '⏳'}</p>
+    </div>
+  );
+};
+
+// ==================== useFetch ====================
+const loadUser = (id, { signal }) => getUser(id, { signal });
+
+const FetchExample = () => {
+  const { t } = useLocale();
+  const [userId, setUserId] = useState(1);
+  const { data: user, error, loading, reload } = useFetch(userId, loadUser);
+
+  return (
+    <div className="hook-example">
+      <div className="button-group">
+        {[1, 2, 3, 99].map(id => (
+          <Button
+            key={id}
+            text={t(id === 99 ? 'customHooks.missingUser' : 'customHooks.user', { id })}
+            onClick={() => setUserId(id)}
+            variant={userId === id ? 'primary' : 'secondary'}
+          />
+        ))}
+        <Button text="🔄 reload()" onClick={reload} variant="secondary" />
+      </div>
+      <div className="hook-example-result" aria-busy={loading}>
+        {loading && <p>{t('customHooks.loadingUser', { id: userId })}</p>}
+        {!loading && error && <p className="hook-example-error" role="alert">⚠️ {error.message}</p>}
+        {!loading && user && <p>👤 <strong>{user.name}</strong> ({user.email})</p>}
+      </div>
+      <MockApiControls />
+    </div>
+  );
+};
+
+// ==================== useInterval ====================
+const IntervalExample = () => {
+  const { t } = useLocale();
+  const [ticks, setTicks] = useState(0);
+  const [running, toggleRunning] = useToggle(false);
+  const [delay, setDelay] = useState(1000);
+
+  useInterval(() => setTicks(ticks + 1), running ? delay : null);
+
+  return (
+    <div className="hook-example">
+      <p className="hook-example-value">{t('customHooks.ticks', { count: ticks })}</p>
+      <div className="button-group">
+        <Button text={running ? t('customHooks.pause') : t('customHooks.start')} onClick={toggleRunning} variant={running ? 'secondary' : 'primary'} />
+        <Button text={t('counter.reset')} onClick={() => setTicks(0)} variant="danger" />
+      </div>
+      <label className="hook-example-setting">
+        {t('customHooks.every')} <strong>{delay}ms</strong>
+        <input type="range" min="100" max="2000" step="100" value={delay} onChange={(e) => setDelay(Number(e.target.value))} />
+      </label>
+    </div>
+  );
+};
+
+// ==================== usePrevious ====================
+const PreviousExample = () => {
+  const [price, setPrice] = useState(100);
+  const previousPrice = usePrevious(price);
+  const { t, formatCurrency } = useLocale();
+
+  const trend = previousPrice === undefined || previousPrice === price
+    ? '➖'
+    : price > previousPrice ? '📈' : '📉';
+
+  return (
+    <div className="hook-example">
+      <p className="hook-example-value">{formatCurrency(price)} {trend}</p>
+      <p>{t('customHooks.previous')} <code>{previousPrice === undefined ? 'undefined' : formatCurrency(previousPrice)}</code></p>
+      <div className="button-group">
+        <Button text={`+ ${formatCurrency(5)}`} onClick={() => setPrice(price + 5)} variant="primary" />
+        <Button text={`- ${formatCurrency(5)}`} onClick={() => setPrice(price - 5)} variant="secondary" />
+      </div>
+    </div>
+  );
+};
+
+// ==================== useLocalStorage ====================
+// Two components, one key: they share the value without props or context
+const NotesEditor = () => {
+  const { t } = useLocale();
+  const [notes, setNotes] = useLocalStorage(NOTES_KEY, '');
+  return (
+    <textarea
+      className="hook-example-notes"
+      value={notes}
+      onChange={(e) => setNotes(e.target.value)}
+      placeholder={t('customHooks.notesPlaceholder')}
+      aria-label={t('customHooks.notes')}
+    />
+  );
+};
+
+const NotesCounter = () => {
+  const { t } = useLocale();
+  const [notes, setNotes] = useLocalStorage(NOTES_KEY, '');
+  return (
+    <div className="hook-example-notes-footer">
+      <span>{t('customHooks.charactersSaved', { count: notes.length })}</span>
+      <Button text={t('customHooks.clear')} onClick={() => setNotes('')} variant="danger" disabled={notes === ''} />
+    </div>
+  );
+};
+
+// ==================== useToggle ====================
+const ToggleExample = () => {
+  const { t } = useLocale();
+  const [isOn, toggle, setIsOn] = useToggle(false);
+  return (
+    <div className="hook-example">
+      <p className="hook-example-value">{isOn ? `💡 ${t('common.on')}` : `🌑 ${t('common.off')}`}</p>
+      <div className="button-group">
+        <Button text="toggle()" onClick={toggle} variant="primary" />
+        <Button text="setValue(false)" onClick={() => setIsOn(false)} variant="secondary" />
+      </div>
+    </div>
+  );
+};
+
+// ==================== useWindowSize ====================
+const WindowSizeExample = () => {
+  const { t } = useLocale();
+  const { width, height } = useWindowSize();
+  return (
+    <div className="hook-example">
+      <p className="hook-example-value">{width} × {height}</p>
+      <small>{t('customHooks.resize')}</small>
+    </div>
+  );
+};
+
+const CustomHooksDemo = () => (
+  <div className="customhooks-container">
+    <div className="customhooks-header">
+      <h2>Custom Hooks Library</h2>
+      <p className="hook-description">
+        The effects the demos kept rewriting, extracted once into src/hooks
+      </p>
+    </div>
+
+    {/* Demo 1: useDebounce */}
+    <div id="use-debounce" className="demo-card">
+      <h3>1️⃣ useDebounce</h3>
+      <p className="demo-explanation">
+        Returns the value once it has stopped changing for <code>delay</code> ms. Use it to wait for the
+        user to finish typing before searching or saving.
+      </p>
+      <HookSignature>{'const debouncedValue = useDebounce(value, delay = 500);'}</HookSignature>
+      <DebounceExample />
+      <UsedIn links={[{ to: '/hooks/use-effect#debouncing', label: 'useEffect: debounced search' }]} />
+    </div>
+
+    {/* Demo 2: useFetch */}
+    <div id="use-fetch" className="demo-card">
+      <h3>2️⃣ useFetch</h3>
+      <p className="demo-explanation">
+        Loads data for a key and reloads when the key changes. Switching keys aborts the previous request,
+        so a slow old response can never replace a newer one - click through the users quickly with the
+        latency turned up. Pass <code>null</code> to load nothing.
+      </p>
+      <HookSignature>{'const { data, error, loading, reload } = useFetch(key, (key, { signal }) => promise);'}</HookSignature>
+      <FetchExample />
+      <UsedIn links={[{ to: '/hooks/use-effect#debouncing', label: 'useEffect: debounced search' }]} />
+    </div>
+
+    {/* Demo 3: useInterval */}
+    <div id="use-interval" className="demo-card">
+      <h3>3️⃣ useInterval</h3>
+      <p className="demo-explanation">
+        Calls the callback every <code>delay</code> ms; a <code>null</code> delay pauses it. There is no
+        interval id to keep in a ref, and the callback always sees current state - this one reads{' '}
+        <code>ticks</code> directly instead of using an updater function. Changing the delay restarts the
+        interval at the new speed.
+      </p>
+      <HookSignature>{'useInterval(callback, delay); // delay: number | null'}</HookSignature>
+      <IntervalExample />
+      <UsedIn
+        links={[
+          { to: '/hooks/use-effect#interval-cleanup', label: 'useEffect: interval with cleanup' },
+          { to: '/hooks/use-ref#timers', label: 'useRef: managing timers' },
+        ]}
+      />
+    </div>
+
+    {/* Demo 4: usePrevious */}
+    <div id="use-previous" className="demo-card">
+      <h3>4️⃣ usePrevious</h3>
+      <p className="demo-explanation">
+        Returns the value from before its last change, or <code>undefined</code> until it first changes.
+        It stores both values in state and updates them during render, so it can be shown on screen -
+        unlike a ref, which React doesn&apos;t re-render for and which shouldn&apos;t be read during render.
+      </p>
+      <HookSignature>{'const previousValue = usePrevious(value);'}</HookSignature>
+      <PreviousExample />
+      <UsedIn links={[{ to: '/hooks/use-ref#previous-values', label: 'useRef: tracking previous values' }]} />
+    </div>
+
+    {/* Demo 5: useLocalStorage */}
+    <div id="use-local-storage" className="demo-card">
+      <h3>5️⃣ useLocalStorage</h3>
+      <p className="demo-explanation">
+        <code>useState</code> that survives a refresh. Every component using the same key shares the
+        value - the editor and the counter below are separate components - and other tabs pick up
+        changes. It is built on the same persistent store as the{' '}
+        <Link to="/hooks/use-reducer#persistence">useReducer todo list</Link>.
+      </p>
+      <HookSignature>{'const [value, setValue] = useLocalStorage(key, initialValue);'}</HookSignature>
+      <div className="hook-example">
+        <NotesEditor />
+        <NotesCounter />
+      </div>
+      <UsedIn links={[{ to: '/hooks/use-effect#basic-effect', label: 'useEffect: saved counter' }]} />
+    </div>
+
+    {/* Demo 6: useToggle */}
+    <div id="use-toggle" className="demo-card">
+      <h3>6️⃣ useToggle</h3>
+      <p className="demo-explanation">
+        A boolean with a stable <code>toggle</code> that can go straight into <code>onClick</code>: it
+        ignores the click event instead of storing it as the new value. The header&apos;s progress panel
+        and the console panel open and close with it too.
+      </p>
+      <HookSignature>{'const [value, toggle, setValue] = useToggle(initialValue = false);'}</HookSignature>
+      <ToggleExample />
+      <UsedIn
+        links={[
+          { to: '/hooks/use-effect#interval-cleanup', label: 'useEffect: timer' },
+          { to: '/hooks/use-memo#expensive-calculation', label: 'useMemo: memo switch' },
+        ]}
+      />
+    </div>
+
+    {/* Demo 7: useWindowSize */}
+    <div id="use-window-size" className="demo-card">
+      <h3>7️⃣ useWindowSize</h3>
+      <p className="demo-explanation">
+        The window&apos;s width and height, read with <code>useSyncExternalStore</code>. The snapshot
+        object is only replaced when a dimension changes, so React doesn&apos;t re-render on every
+        call. For the width alone there is <code>useWindowWidth</code>, covered with{' '}
+        <code>useOnlineStatus</code> and <code>useStore</code> on the{' '}
+        <Link to="/hooks/utility-hooks#external-store">utility hooks page</Link>.
+      </p>
+      <HookSignature>{'const { width, height } = useWindowSize();'}</HookSignature>
+      <WindowSizeExample />
+      <UsedIn links={[{ to: '/hooks/use-effect#event-listeners', label: 'useEffect: event listeners' }]} />
+    </div>
+
+    {/* Demo 8: Writing your own */}
+    <div id="writing-hooks" className="demo-card">
+      <h3>8️⃣ Writing Your Own</h3>
+      <p className="demo-explanation">
+        Spot an effect and the state it feeds being written the same way twice, move both into a function
+        whose name starts with <code>use</code>, and return what the component needs. Each component that
+        calls the hook gets its own state - hooks share logic, not data.
+      </p>
+      <CodePlayground
+        title="Extracting useDebounce and useToggle"
+        code={`import { useCallback, useEffect, useState } from 'react';
+
+function useDebounce(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+}
+
+function useToggle(initial = false) {
+  const [on, setOn] = useState(initial);
+  const toggle = useCallback(() => setOn(o => !o), []);
+  return [on, toggle];
+}
+
+export default function App() {
+  const [text, setText] = useState('');
+  const debounced = useDebounce(text, 600);
+  const [shout, toggleShout] = useToggle();
+
+  return (
+    <div>
+      <input value={text} onChange={e => setText(e.target.value)} placeholder="Type..." />
+      <button onClick={toggleShout}>{shout ? 'Whisper' : 'Shout'}</button>
+      <p>{shout ? debounced.toUpperCase() : debounced}</p>
+    </div>
+  );
+}`}
+      />
+    </div>
+
+    {/* Key Takeaways */}
+    <div id="key-takeaways" className="demo-card key-takeaways">
+      <h3>🎯 Key Takeaways</h3>
+      <ul>
+        <li><strong>Naming:</strong> Start with <code>use</code> so React and the linter apply the Rules of Hooks to it</li>
+        <li><strong>Logic, not state:</strong> Two components calling the same hook get two independent copies of its state</li>
+        <li><strong>Extract the effect with its state:</strong> Timers, listeners and requests belong in one place together with their cleanup</li>
+        <li><strong>Stable return values:</strong> Return functions that keep their identity (<code>toggle</code>, <code>reload</code>) so callers can pass them to memoized children</li>
+        <li><strong>Latest callback:</strong> <code>useEffectEvent</code> lets a hook call the newest callback without restarting its effect</li>
+        <li><strong>Don&apos;t over-extract:</strong> A hook used once is just indirection - wait until the pattern repeats</li>
+      </ul>
+      <Link to="/quiz?hook=Custom%20Hooks" className="quiz-link">
+        🧠 Quiz yourself on custom hooks →
+      </Link>
+    </div>
+  </div>
+);
+
+export default CustomHooksDemo;
@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+import './DemoSkeleton.css';
+
+/**
+ * Placeholder shown while a lazily loaded demo's chunk downloads.
+ *
+ * The card titles come from routes.js, so the skeleton already has the
+ * shape of the page it stands in for and the layout doesn't jump when the
+ * demo arrives.
+ */
+const DemoSkeleton = ({ title, cards }) => {
+  return (
+    <div className="demo-skeleton" aria-busy="true" aria-label={`Loading ${title}`}>
+      <div className="skeleton-header">
+        <div className="skeleton-line skeleton-title" />
+        <div className="skeleton-line skeleton-subtitle" />
+      </div>
+      {cards.map(card => (
+        <div key={card.id} className="demo-card skeleton-card">
+          <h3 className="skeleton-card-title">{card.title}</h3>
+          <div className="skeleton-line" />
+          <div className="skeleton-line" />
+          <div className="skeleton-line skeleton-short" />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+DemoSkeleton.propTypes = {
+  title: PropTypes.string.isRequired,
+  cards: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+  })).isRequired,
+};
+
+export default DemoSkeleton;
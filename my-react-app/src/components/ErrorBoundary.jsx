@@ -0,0 +1,93 @@
+import { Component, Fragment } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
+import './ErrorBoundary.css';
+
+/**
+ * Keeps a crash inside one demo from blanking the whole learning hub.
+ *
+ * Catches errors thrown while rendering, in lifecycle methods and in effects
+ * anywhere below it, and shows a fallback card instead. It does NOT catch
+ * errors in event handlers, timers or promises - those never happen during
+ * React's render, so there is nothing for a boundary to replace.
+ *
+ * Error boundaries are the one thing that still needs a class component:
+ * there is no hook equivalent of getDerivedStateFromError/componentDidCatch.
+ *
+ * "Reset" remounts the children (by changing their key), so the broken
+ * component starts over with fresh state. Pass `fallback` to render your own
+ * UI instead of the default card: fallback({ error, reset }).
+ */
+
+const describeError = (error) =>
+  error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+
+// The default fallback card. A function component so it can use the locale
+// hook, which the class below can't.
+const CrashCard = ({ name, error, componentStack, onReset }) => {
+  const { t } = useLocale();
+  return (
+    <div className="error-boundary-fallback" role="alert">
+      <h3>{t('errorBoundary.crashed', { name })}</h3>
+      <p>{t('errorBoundary.explanation')}</p>
+      <pre className="error-boundary-message">{describeError(error)}</pre>
+      {componentStack && (
+        <details className="error-boundary-stack">
+          <summary>{t('errorBoundary.componentStack')}</summary>
+          <pre>{componentStack.trim()}</pre>
+        </details>
+      )}
+      <Button text={t('errorBoundary.reset')} onClick={onReset} variant="primary" />
+    </div>
+  );
+};
+
+CrashCard.propTypes = {
+  name: PropTypes.string.isRequired,
+  error: PropTypes.any,
+  componentStack: PropTypes.string,
+  onReset: PropTypes.func.isRequired,
+};
+
+class ErrorBoundary extends Component {
+  state = {
+    error: null,
+    componentStack: null,
+    resets: 0,
+  };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(`💥 ${this.props.name} crashed: ${describeError(error)}`);
+    this.setState({ componentStack: info.componentStack });
+  }
+
+  reset = () => {
+    this.setState(({ resets }) => ({ error: null, componentStack: null, resets: resets + 1 }));
+  };
+
+  render() {
+    const { error, componentStack, resets } = this.state;
+    const { name, fallback, children } = this.props;
+
+    if (error) {
+      if (fallback) return fallback({ error, reset: this.reset });
+
+      return <CrashCard name={name} error={error} componentStack={componentStack} onReset={this.reset} />;
+    }
+
+    return <Fragment key={resets}>{children}</Fragment>;
+  }
+}
+
+ErrorBoundary.propTypes = {
+  name: PropTypes.string.isRequired,
+  fallback: PropTypes.func,
+  children: PropTypes.node.isRequired,
+};
+
+export default ErrorBoundary;
@@ -0,0 +1,303 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import ErrorBoundary from './ErrorBoundary';
+import { useLocale } from '../context/LocaleContext';
+import './ErrorBoundaryDemo.css';
+
+/**
+ * Error Boundaries: "Break It!"
+ *
+ * Every demo in the hub is wrapped in an <ErrorBoundary> (see DemoPage), so
+ * a crash replaces one demo with a fallback card instead of blanking the app.
+ * This page throws on purpose to show what a boundary does and doesn't catch:
+ * - during render            -> caught
+ * - inside useEffect         -> caught
+ * - in an event handler      -> NOT caught (React isn't rendering)
+ * - in a timer / promise     -> NOT caught, unless re-thrown through setState
+ *
+ * Uncaught errors end up at window.onerror, which the page listens to so
+ * you can see where they went.
+ */
+
+const MAX_UNCAUGHT = 5;
+
+// Throws while rendering once `explode` is true
+const RenderBomb = ({ explode }) => {
+  const { t } = useLocale();
+  if (explode) {
+    throw new Error('RenderBomb threw during render');
+  }
+  return <p className="experiment-ok">{t('errorBoundaryDemo.renderedFine')}</p>;
+};
+
+RenderBomb.propTypes = {
+  explode: PropTypes.bool.isRequired,
+};
+
+// Throws from its effect right after mounting
+const EffectBomb = () => {
+  const { t } = useLocale();
+  useEffect(() => {
+    throw new Error('EffectBomb threw inside useEffect');
+  }, []);
+  return <p className="experiment-ok">{t('errorBoundaryDemo.effectMounted')}</p>;
+};
+
+const RenderExperiment = () => {
+  const { t } = useLocale();
+  const [explode, setExplode] = useState(false);
+  return (
+    <>
+      <RenderBomb explode={explode} />
+      <Button text={t('errorBoundaryDemo.throwInRender')} onClick={() => setExplode(true)} variant="danger" />
+    </>
+  );
+};
+
+const EffectExperiment = () => {
+  const { t } = useLocale();
+  const [mounted, setMounted] = useState(false);
+  return (
+    <>
+      {mounted ? <EffectBomb /> : <p className="experiment-ok">{t('errorBoundaryDemo.effectNotMounted')}</p>}
+      <Button text={t('errorBoundaryDemo.mountEffect')} onClick={() => setMounted(true)} variant="danger" />
+    </>
+  );
+};
+
+const EventExperiment = () => {
+  const { t } = useLocale();
+  const [clicks, setClicks] = useState(0);
+
+  const handleClick = () => {
+    setClicks(c => c + 1);
+    // React isn't rendering when this runs, so no boundary sees it
+    throw new Error('Event handler threw');
+  };
+
+  return (
+    <>
+      <p className="experiment-ok">{t('errorBoundaryDemo.stillFine', { count: clicks })}</p>
+      <Button text={t('errorBoundaryDemo.throwInClick')} onClick={handleClick} variant="danger" />
+    </>
+  );
+};
+
+const AsyncExperiment = () => {
+  const { t } = useLocale();
+  // Calling a state setter with a function that throws re-throws the error
+  // during the next render - where the boundary CAN catch it
+  const [, setAsyncError] = useState(null);
+
+  const throwLater = () => {
+    setTimeout(() => {
+      throw new Error('setTimeout callback threw');
+    }, 0);
+  };
+
+  const throwLaterIntoBoundary = () => {
+    setTimeout(() => {
+      const error = new Error('setTimeout error re-thrown through setState');
+      setAsyncError(() => {
+        throw error;
+      });
+    }, 0);
+  };
+
+  return (
+    <>
+      <p className="experiment-ok">{t('errorBoundaryDemo.noAsyncError')}</p>
+      <Button text={t('errorBoundaryDemo.throwInTimeout')} onClick={throwLater} variant="danger" />
+      <Button text={t('errorBoundaryDemo.rethrow')} onClick={throwLaterIntoBoundary} variant="secondary" />
+    </>
+  );
+};
+
+const experiments = [
+  {
+    id: 'render',
+    title: 'During render',
+    verdict: 'caught',
+    description: 'The component throws instead of returning JSX.',
+    Component: RenderExperiment,
+  },
+  {
+    id: 'effect',
+    title: 'Inside useEffect',
+    verdict: 'caught',
+    description: 'Effects run as part of the commit, so the boundary sees them too.',
+    Component: EffectExperiment,
+  },
+  {
+    id: 'event',
+    title: 'In an event handler',
+    verdict: 'not caught',
+    description: 'Handlers run outside rendering. Use try/catch and set error state yourself.',
+    Component: EventExperiment,
+  },
+  {
+    id: 'async',
+    title: 'In a timer or promise',
+    verdict: 'not caught',
+    description: 'Async code runs long after render - unless you re-throw it through a state setter.',
+    Component: AsyncExperiment,
+  },
+];
+
+const ErrorBoundaryDemo = () => {
+  const { t } = useLocale();
+  const [uncaught, setUncaught] = useState([]);
+  const [crashPage, setCrashPage] = useState(false);
+
+  // Errors no boundary caught bubble up to the window
+  useEffect(() => {
+    const record = (message) => {
+      setUncaught(list => [...list, { id: Date.now() + Math.random(), message }].slice(-MAX_UNCAUGHT));
+    };
+    const handleError = (e) => record(e.error?.message ?? e.message);
+    const handleRejection = (e) => record(e.reason?.message ?? String(e.reason));
+
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    return () => {
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+    };
+  }, []);
+
+  if (crashPage) {
+    // Nothing on this page catches it - DemoPage's boundary around the whole demo does
+    throw new Error('The whole Error Boundaries demo was crashed on purpose');
+  }
+
+  return (
+    <div className="error-boundary-container">
+      <div className="error-boundary-header">
+        <h2>Error Boundaries: Break It!</h2>
+        <p className="hook-description">
+          Throw errors on purpose and see which ones a boundary can catch
+        </p>
+      </div>
+
+      {/* Demo 1: Experiments */}
+      <div id="break-it" className="demo-card">
+        <h3>1️⃣ What Does a Boundary Catch?</h3>
+        <p className="demo-explanation">
+          Each experiment below sits inside its own <code>&lt;ErrorBoundary&gt;</code>. When the
+          boundary catches an error it swaps the experiment for a fallback with a reset button.
+          When it doesn&apos;t, the error escapes to <code>window.onerror</code> and shows up in the
+          &quot;uncaught&quot; log instead.
+        </p>
+
+        <div className="experiments-grid">
+          {experiments.map(experiment => (
+            <div key={experiment.id} className="experiment">
+              <h4>
+                {experiment.title}
+                <span className={`experiment-verdict ${experiment.verdict === 'caught' ? 'caught' : 'missed'}`}>
+                  {experiment.verdict === 'caught' ? t('errorBoundaryDemo.caught') : t('errorBoundaryDemo.notCaught')}
+                </span>
+              </h4>
+              <p className="experiment-description">{experiment.description}</p>
+              <ErrorBoundary
+                name={experiment.title}
+                fallback={({ error, reset }) => (
+                  <div className="experiment-caught" role="alert">
+                    <p>{t('errorBoundaryDemo.boundaryCaught')} <strong>{error.message}</strong></p>
+                    <Button text={t('errorBoundaryDemo.reset')} onClick={reset} variant="primary" />
+                  </div>
+                )}
+              >
+                <experiment.Component />
+              </ErrorBoundary>
+            </div>
+          ))}
+        </div>
+
+        <div className="uncaught-log">
+          <h4>{t('errorBoundaryDemo.uncaughtTitle')}</h4>
+          {uncaught.length === 0 ? (
+            <p className="experiment-description">{t('errorBoundaryDemo.nothingYet')}</p>
+          ) : (
+            <ul>
+              {uncaught.map(entry => <li key={entry.id}>{entry.message}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Demo 2: Page-level boundary */}
+      <div id="page-crash" className="demo-card">
+        <h3>2️⃣ Crash the Whole Demo</h3>
+        <p className="demo-explanation">
+          Every demo page is wrapped in a boundary too. This button makes the page component itself
+          throw during render. Only this demo is replaced by a fallback card - the sidebar, header
+          and console keep working, and &quot;Reset demo&quot; brings the page back.
+        </p>
+        <Button text={t('errorBoundaryDemo.crashPage')} onClick={() => setCrashPage(true)} variant="danger" />
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>Class only:</strong> A boundary needs <code>static getDerivedStateFromError</code> (show the fallback) and optionally <code>componentDidCatch</code> (log it). There is no hook version</li>
+          <li><strong>Caught:</strong> Errors during render, in effects and in lifecycle methods of any component below the boundary</li>
+          <li><strong>Not caught:</strong> Event handlers, setTimeout, promises, and errors thrown in the boundary itself</li>
+          <li><strong>Async trick:</strong> <code>setState(() =&gt; {'{ throw error; }'})</code> re-throws an async error during render, where the nearest boundary catches it</li>
+          <li><strong>Reset:</strong> Changing the key of the children remounts them with fresh state</li>
+          <li><strong>Granularity:</strong> Wrap each independent widget - one broken piece shouldn&apos;t take down the page</li>
+        </ul>
+
+        <CodePlayground
+          title="A minimal error boundary"
+          code={`import { Component, useState } from 'react';
+
+class ErrorBoundary extends Component {
+  state = { error: null };
+
+  // Render phase: switch to the fallback
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  // Commit phase: log it somewhere
+  componentDidCatch(error, info) {
+    console.log('Caught:', error.message, info.componentStack);
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <div>
+          <p>Something broke: {this.state.error.message}</p>
+          <button onClick={() => this.setState({ error: null })}>Try again</button>
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+function Bomb() {
+  const [count, setCount] = useState(0);
+  if (count === 3) throw new Error('I crashed at 3!');
+  return <button onClick={() => setCount(count + 1)}>Count: {count} (crashes at 3)</button>;
+}
+
+export default function App() {
+  return (
+    <ErrorBoundary>
+      <Bomb />
+    </ErrorBoundary>
+  );
+}`}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ErrorBoundaryDemo;
@@ -0,0 +1,483 @@
+import { startTransition, useActionState, useEffect, useId, useOptimistic, useState } from 'react';
+import { useFormStatus } from 'react-dom';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import CodePlayground from './CodePlayground';
+import MockApiControls from './MockApiControls';
+import { useLocale } from '../context/LocaleContext';
+import { useToast } from '../context/ToastContext';
+import {
+  createTodo,
+  getTodos,
+  registerUser,
+  subscribeToNewsletter,
+  updateTodo,
+} from '../services/mockApi';
+import './Button.css';
+import './FormActionsDemo.css';
+
+/**
+ * React 19 Form Actions Demonstration
+ *
+ * The useReducer demo's registration form tracks submission by hand:
+ * SUBMIT_START / SUBMIT_SUCCESS / SUBMIT_FAILURE around a setTimeout. React
+ * 19 builds that in:
+ * - <form action={fn}>: fn receives the FormData; React runs it in a
+ *                       transition and resets the form when it finishes
+ * - useActionState:     const [state, formAction, isPending] =
+ *                       useActionState(action, initialState) - the action's
+ *                       return value becomes the next state
+ * - useFormStatus:      (react-dom) lets any component INSIDE a <form> read
+ *                       whether that form is submitting, and with what data
+ * - useOptimistic:      shows the expected result while the action runs and
+ *                       falls back to the real state when it ends - so a
+ *                       failed request rolls back automatically
+ *
+ * All requests go to the in-app mock server (services/mockApi.js). Its error
+ * messages are shown as the server sent them; the form's own messages are
+ * catalog keys, translated when they render.
+ */
+
+// ==================== PATTERN 1: useActionState registration form ====================
+const registrationInitialState = {
+  status: 'idle', // 'idle' | 'invalid' | 'error' | 'success'
+  values: { username: '', email: '', password: '', age: '' },
+  errors: {}, // field -> message key
+  message: '',
+  user: null,
+};
+
+// Same rules as the useReducer version, as message keys
+const validateRegistration = ({ username, email, password, age }) => {
+  const errors = {};
+
+  if (!username) {
+    errors.username = 'formActions.errors.usernameRequired';
+  } else if (username.length < 3) {
+    errors.username = 'formActions.errors.usernameShort';
+  }
+
+  if (!email) {
+    errors.email = 'formActions.errors.emailRequired';
+  } else if (!/\S+@\S+\.\S+/.test(email)) {
+    errors.email = 'formActions.errors.emailInvalid';
+  }
+
+  if (!password) {
+    errors.password = 'formActions.errors.passwordRequired';
+  } else if (password.length < 6) {
+    errors.password = 'formActions.errors.passwordShort';
+  }
+
+  if (!age) {
+    errors.age = 'formActions.errors.ageRequired';
+  } else if (age < 18 || age > 100) {
+    errors.age = 'formActions.errors.ageRange';
+  }
+
+  return errors;
+};
+
+// (previous state, FormData) -> next state. This replaces the reducer, the
+// SUBMIT_* actions and the isSubmitting flag.
+async function registerAction(previousState, formData) {
+  const values = {
+    username: formData.get('username').trim(),
+    email: formData.get('email').trim(),
+    password: formData.get('password'),
+    age: formData.get('age'),
+  };
+
+  const errors = validateRegistration(values);
+  if (Object.keys(errors).length > 0) {
+    return { ...registrationInitialState, status: 'invalid', values, errors };
+  }
+
+  try {
+    const user = await registerUser(values);
+    return {
+      ...registrationInitialState,
+      status: 'success',
+      user,
+    };
+  } catch (error) {
+    if (error.status === 409) {
+      return { ...registrationInitialState, status: 'invalid', values, errors: { username: 'formActions.errors.usernameTaken' } };
+    }
+    return { ...registrationInitialState, status: 'error', values, message: error.message };
+  }
+}
+
+// Reads the status of whichever <form> it is rendered inside. Styled like
+// <Button>, which has no submit type.
+const SubmitButton = ({ idleText, pendingText }) => {
+  const { pending } = useFormStatus();
+  return (
+    <button type="submit" className="custom-button primary" disabled={pending}>
+      {pending ? pendingText : idleText}
+    </button>
+  );
+};
+
+SubmitButton.propTypes = {
+  idleText: PropTypes.string.isRequired,
+  pendingText: PropTypes.string.isRequired,
+};
+
+const registrationFields = [
+  { name: 'username', type: 'text' },
+  { name: 'email', type: 'email' },
+  { name: 'password', type: 'password' },
+  { name: 'age', type: 'number' },
+];
+
+const RegistrationForm = () => {
+  const [state, formAction, isPending] = useActionState(registerAction, registrationInitialState);
+  const formId = useId();
+  const { t } = useLocale();
+
+  return (
+    <form action={formAction} className="action-form" noValidate>
+      {registrationFields.map(field => (
+        <div key={field.name} className="action-field">
+          <label htmlFor={`${formId}-${field.name}`}>{t(`formActions.fields.${field.name}`)}</label>
+          {/* Uncontrolled: React resets the form after the action, back to these defaults */}
+          <input
+            id={`${formId}-${field.name}`}
+            name={field.name}
+            type={field.type}
+            defaultValue={state.values[field.name]}
+            className={state.errors[field.name] ? 'error' : ''}
+            aria-invalid={Boolean(state.errors[field.name])}
+            aria-describedby={state.errors[field.name] ? `${formId}-${field.name}-error` : undefined}
+          />
+          {state.errors[field.name] && (
+            <span id={`${formId}-${field.name}-error`} className="action-error">
+              {t(state.errors[field.name], { username: state.values.username })}
+            </span>
+          )}
+        </div>
+      ))}
+
+      <div className="button-group">
+        <SubmitButton idleText={t('formActions.register')} pendingText={t('formActions.registering')} />
+      </div>
+
+      <p className={`action-status ${state.status}`} role="status">
+        {isPending ? t('formActions.waiting') : {
+          idle: t('formActions.idle'),
+          invalid: t('formActions.invalid'),
+          error: `❌ ${state.message}`,
+          success: state.user && t('formActions.welcome', { username: state.user.username, id: state.user.id }),
+        }[state.status]}
+      </p>
+    </form>
+  );
+};
+
+// ==================== PATTERN 2: useFormStatus ====================
+// Shows what useFormStatus returns where it is rendered
+const FormStatusReadout = ({ label }) => {
+  const { pending, data, method } = useFormStatus();
+  return (
+    <div className={`form-status-readout ${pending ? 'pending' : ''}`}>
+      <strong>{label}</strong>
+      <code>pending: {String(pending)}</code>
+      <code>data.get(&apos;email&apos;): {data ? JSON.stringify(data.get('email')) : 'null'}</code>
+      <code>method: {JSON.stringify(method)}</code>
+    </div>
+  );
+};
+
+FormStatusReadout.propTypes = {
+  label: PropTypes.string.isRequired,
+};
+
+const NewsletterForm = () => {
+  const { notify } = useToast();
+  const { t } = useLocale();
+  const emailId = useId();
+
+  // A plain action - no useActionState needed when there is no state to return
+  const subscribe = async (formData) => {
+    const email = formData.get('email').trim();
+    try {
+      await subscribeToNewsletter(email);
+      notify(t('formActions.subscribed', { email }), { variant: 'primary' });
+    } catch (error) {
+      notify(error.message, { variant: 'danger' });
+    }
+  };
+
+  return (
+    <div className="form-status-layout">
+      <form action={subscribe} className="action-form newsletter-form">
+        <div className="action-field">
+          <label htmlFor={emailId}>{t('formActions.fields.email')}</label>
+          <input id={emailId} name="email" type="email" required placeholder={t('formActions.emailPlaceholder')} />
+        </div>
+        <SubmitButton idleText={t('formActions.subscribe')} pendingText={t('formActions.subscribing')} />
+        <FormStatusReadout label={t('formActions.insideForm')} />
+      </form>
+      <FormStatusReadout label={t('formActions.outsideForm')} />
+    </div>
+  );
+};
+
+// ==================== PATTERN 3: useOptimistic todos ====================
+// Keys for optimistic todos until the server assigns the real id
+let nextTempId = 1;
+
+function optimisticTodoReducer(todos, action) {
+  switch (action.type) {
+    case 'ADD':
+      return [...todos, { ...action.todo, sending: true }];
+    case 'TOGGLE':
+      return todos.map(todo =>
+        todo.id === action.id ? { ...todo, completed: !todo.completed, sending: true } : todo
+      );
+    default:
+      return todos;
+  }
+}
+
+const OptimisticTodos = () => {
+  const { notify } = useToast();
+  const { t } = useLocale();
+  const [todos, setTodos] = useState([]); // confirmed by the server
+  const [loadError, setLoadError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [rejectSaves, setRejectSaves] = useState(false);
+  const [optimisticTodos, applyOptimistic] = useOptimistic(todos, optimisticTodoReducer);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getTodos({ signal: controller.signal })
+      .then(setTodos)
+      .catch(error => {
+        if (error.name !== 'AbortError') setLoadError(error.message);
+      })
+      .finally(() => {
+        // StrictMode's first, aborted request mustn't end the loading state early
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, []);
+
+  const requestOptions = rejectSaves ? { errorRate: 1 } : undefined;
+
+  const addTodo = async (formData) => {
+    const text = formData.get('text').trim();
+    if (!text) return;
+
+    applyOptimistic({ type: 'ADD', todo: { id: `temp-${nextTempId++}`, text, completed: false } });
+    try {
+      const saved = await createTodo(text, requestOptions);
+      // After an await, updates need their own transition to land with the action
+      startTransition(() => setTodos(current => [...current, saved]));
+    } catch (error) {
+      // Nothing to undo by hand: the optimistic todo disappears when the action ends
+      notify(t('formActions.rolledBack', { text, reason: error.message }), { variant: 'danger' });
+    }
+  };
+
+  const toggleTodo = (todo) => {
+    startTransition(async () => {
+      applyOptimistic({ type: 'TOGGLE', id: todo.id });
+      try {
+        const saved = await updateTodo(todo.id, { completed: !todo.completed }, requestOptions);
+        startTransition(() => setTodos(current => current.map(item => (item.id === saved.id ? saved : item))));
+      } catch (error) {
+        notify(t('formActions.rolledBack', { text: todo.text, reason: error.message }), { variant: 'danger' });
+      }
+    });
+  };
+
+  if (loading) return <p className="optimistic-loading">{t('formActions.loadingTodos')}</p>;
+  if (loadError) return <p className="action-status error">❌ {loadError}</p>;
+
+  return (
+    <div className="optimistic-todos">
+      <label className="optimistic-reject">
+        <input type="checkbox" checked={rejectSaves} onChange={(e) => setRejectSaves(e.target.checked)} />
+        {t('formActions.rejectSaves')}
+      </label>
+
+      <form action={addTodo} className="optimistic-form">
+        <input name="text" type="text" placeholder={t('todoList.placeholder')} aria-label={t('todoList.newTodo')} />
+        <SubmitButton idleText={t('formActions.add')} pendingText={t('formActions.saving')} />
+      </form>
+
+      <div className="optimistic-columns">
+        <div>
+          <h4>What the user sees (useOptimistic)</h4>
+          <ul className="optimistic-list">
+            {optimisticTodos.map(todo => (
+              <li key={todo.id} className={`${todo.completed ? 'completed' : ''} ${todo.sending ? 'sending' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={todo.completed}
+                  disabled={todo.sending}
+                  onChange={() => toggleTodo(todo)}
+                  aria-label={t('formActions.toggle', { text: todo.text })}
+                />
+                <span>{todo.text}</span>
+                {todo.sending && <small>{t('formActions.sending')}</small>}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div>
+          <h4>What the server confirmed (useState)</h4>
+          <ul className="optimistic-list confirmed">
+            {todos.map(todo => (
+              <li key={todo.id} className={todo.completed ? 'completed' : ''}>
+                <span>{todo.completed ? '☑' : '☐'}</span>
+                <span>{todo.text}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      <MockApiControls />
+    </div>
+  );
+};
+
+const FormActionsDemo = () => {
+  return (
+    <div className="formactions-container">
+      <div className="formactions-header">
+        <h2>React 19 Form Actions</h2>
+        <p className="hook-description">
+          useActionState, useFormStatus and useOptimistic - pending states without the boilerplate
+        </p>
+      </div>
+
+      {/* Demo 1: useActionState */}
+      <div id="action-state" className="demo-card">
+        <h3>1️⃣ The Registration Form, Rebuilt With useActionState</h3>
+        <p className="demo-explanation">
+          The same form as the <Link to="/hooks/use-reducer#form">useReducer demo</Link>, side by side.
+          The async action receives the previous state and the form&apos;s <code>FormData</code>, and
+          whatever it returns becomes the new state. React tracks the pending state for you.
+        </p>
+
+        <div className="form-compare">
+          <div className="form-compare-before">
+            <h4>Before: useReducer</h4>
+            <pre>{`const [state, dispatch] = useReducer(formReducer, init);
+
+const handleSubmit = (e) => {
+  e.preventDefault();
+  const errors = validate(state);
+  if (hasErrors(errors)) {
+    dispatch({ type: 'SET_ERRORS', errors });
+    return;
+  }
+  dispatch({ type: 'SUBMIT_START' });
+  setTimeout(() => {
+    dispatch({ type: 'SUBMIT_SUCCESS' });
+  }, 1000);
+};
+
+<input value={state.username} onChange={(e) =>
+  dispatch({ type: 'UPDATE_FIELD', ... })} />
+<button disabled={state.isSubmitting}>`}</pre>
+            <ul>
+              <li>Controlled inputs, one action per keystroke</li>
+              <li>Pending flag kept by hand</li>
+              <li>No error path for the request</li>
+            </ul>
+          </div>
+          <div className="form-compare-after">
+            <h4>After: form action</h4>
+            <RegistrationForm />
+          </div>
+        </div>
+      </div>
+
+      {/* Demo 2: useFormStatus */}
+      <div id="form-status" className="demo-card">
+        <h3>2️⃣ useFormStatus: Components That Know the Form Is Submitting</h3>
+        <p className="demo-explanation">
+          <code>useFormStatus</code> reads the status of the <em>parent</em> <code>&lt;form&gt;</code>,
+          like a context the form provides. That is how the submit buttons on this page disable themselves
+          without props. Submit and compare the readout inside the form with the one outside it - the
+          outside one never sees anything.
+        </p>
+        <NewsletterForm />
+      </div>
+
+      {/* Demo 3: useOptimistic */}
+      <div id="optimistic" className="demo-card">
+        <h3>3️⃣ useOptimistic: Instant Todos With Rollback</h3>
+        <p className="demo-explanation">
+          New and toggled todos appear immediately, marked &quot;saving...&quot;, while the request is
+          in flight. When the action ends the optimistic list is thrown away and the confirmed state shows
+          again - with the server&apos;s change on success, and without it on failure. Tick
+          &quot;Server rejects every save&quot; (or raise the error rate) to see the rollback.
+        </p>
+        <OptimisticTodos />
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>Form actions:</strong> <code>&lt;form action={'{fn}'}&gt;</code> passes <code>FormData</code>, runs in a transition and resets uncontrolled fields when it finishes</li>
+          <li><strong>useActionState:</strong> <code>[state, formAction, isPending]</code> - the action is a reducer that can be async: <code>(prevState, formData) =&gt; nextState</code></li>
+          <li><strong>Keep input on errors:</strong> Return the submitted values and use them as <code>defaultValue</code>, because the form is reset after every action</li>
+          <li><strong>useFormStatus:</strong> From react-dom; only works in a component rendered inside the <code>&lt;form&gt;</code>, not in the component that renders it</li>
+          <li><strong>useOptimistic:</strong> Optimistic state lives only while an action is pending - rollback on failure is automatic</li>
+          <li><strong>After await:</strong> Wrap state updates in <code>startTransition</code> so they stay part of the action</li>
+        </ul>
+
+        <CodePlayground
+          title="useActionState + useOptimistic"
+          code={`import { useActionState, useOptimistic, useState, startTransition } from 'react';
+
+const fakeSave = (text) => new Promise((resolve, reject) =>
+  setTimeout(() => text.includes('fail') ? reject(new Error('Server said no')) : resolve(text), 1000)
+);
+
+export default function App() {
+  const [items, setItems] = useState(['Learn actions']);
+  const [optimisticItems, addOptimistic] = useOptimistic(
+    items,
+    (current, text) => [...current, text + ' (saving...)']
+  );
+
+  const [error, formAction, isPending] = useActionState(async (prev, formData) => {
+    const text = formData.get('text');
+    addOptimistic(text);
+    try {
+      const saved = await fakeSave(text);
+      startTransition(() => setItems(current => [...current, saved]));
+      return null;
+    } catch (e) {
+      return e.message; // the optimistic item disappears on its own
+    }
+  }, null);
+
+  return (
+    <form action={formAction}>
+      <input name="text" placeholder="Type 'fail' to see a rollback" />
+      <button disabled={isPending}>{isPending ? 'Saving...' : 'Add'}</button>
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      <ul>{optimisticItems.map((item, i) => <li key={i}>{item}</li>)}</ul>
+    </form>
+  );
+}`}
+        />
+
+        <Link to="/quiz?hook=useActionState" className="quiz-link">
+          🧠 Quiz yourself on form actions →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default FormActionsDemo;
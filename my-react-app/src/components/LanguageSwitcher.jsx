@@ -0,0 +1,26 @@
+import { useId } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { LANGUAGES } from '../services/i18n';
+
+/**
+ * Language picker for the app header. It edits the same setting as the
+ * Settings Panel on the useContext page. Each language is listed under its
+ * own name, so it can be found whatever the page is currently in.
+ */
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useLocale();
+  const id = useId();
+
+  return (
+    <div className="header-setting">
+      <label htmlFor={id}>{t('language.label')}</label>
+      <select id={id} value={language} onChange={(e) => setLanguage(e.target.value)}>
+        {LANGUAGES.map(option => (
+          <option key={option.id} value={option.id} lang={option.locale}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,57 @@
+import { useEffect } from 'react';
+import { Outlet, useLocation } from 'react-router-dom';
+import Sidebar from './Sidebar';
+import ProgressDashboard from './ProgressDashboard';
+import ConsolePanel from './ConsolePanel';
+import ThemeSwitcher from './ThemeSwitcher';
+import LanguageSwitcher from './LanguageSwitcher';
+import AutosaveStatus from './AutosaveStatus';
+import { useLocale } from '../context/LocaleContext';
+
+/**
+ * App shell shared by every route: header (with the theme and language
+ * pickers, autosave status and the progress dashboard), sidebar nav, page content, footer and the docked console panel.
+ *
+ * Also scrolls back to the top after each navigation. Links to a `#card`
+ * are scrolled by DemoPage instead, once the lazily loaded demo is in the DOM.
+ */
+const Layout = () => {
+  const { pathname, hash } = useLocation();
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (!hash) {
+      window.scrollTo(0, 0);
+    }
+  }, [pathname, hash]);
+
+  return (
+    <div className="App">
+      <header className="app-header">
+        <h1>{t('app.title')}</h1>
+        <p>{t('app.tagline')}</p>
+        <div className="app-header-settings">
+          <ThemeSwitcher />
+          <LanguageSwitcher />
+          <AutosaveStatus />
+        </div>
+        <ProgressDashboard />
+      </header>
+
+      <div className="app-body">
+        <Sidebar />
+        <main className="app-main">
+          <Outlet />
+        </main>
+      </div>
+
+      <footer className="app-footer">
+        <p>{t('app.footer')}</p>
+      </footer>
+
+      <ConsolePanel />
+    </div>
+  );
+};
+
+export default Layout;
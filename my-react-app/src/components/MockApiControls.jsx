@@ -0,0 +1,64 @@
+import { useSyncExternalStore } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import {
+  defaultApiSettings,
+  getApiSettings,
+  subscribeToApiSettings,
+  updateApiSettings,
+} from '../services/mockApi';
+import './MockApiControls.css';
+
+/**
+ * Knobs for the mock backend in services/mockApi.js. The settings are
+ * global, so every copy of this panel (and every demo fetching from the
+ * mock API) shares them.
+ */
+const MockApiControls = () => {
+  const { latency, errorRate, outOfOrder } = useSyncExternalStore(subscribeToApiSettings, getApiSettings);
+  const { t, formatNumber } = useLocale();
+
+  return (
+    <div className="mock-api-controls">
+      <h5>{t('mockApi.title')}</h5>
+      <label className="mock-api-setting">
+        <span>{t('mockApi.latency')} <strong>{latency}ms</strong></span>
+        <input
+          type="range"
+          min="0"
+          max="3000"
+          step="100"
+          value={latency}
+          onChange={(e) => updateApiSettings({ latency: Number(e.target.value) })}
+        />
+      </label>
+      <label className="mock-api-setting">
+        <span>{t('mockApi.errorRate')} <strong>{formatNumber(errorRate, { style: 'percent' })}</strong></span>
+        <input
+          type="range"
+          min="0"
+          max="100"
+          step="10"
+          value={errorRate * 100}
+          onChange={(e) => updateApiSettings({ errorRate: Number(e.target.value) / 100 })}
+        />
+      </label>
+      <label className="mock-api-setting checkbox">
+        <input
+          type="checkbox"
+          checked={outOfOrder}
+          onChange={(e) => updateApiSettings({ outOfOrder: e.target.checked })}
+        />
+        <span>{t('mockApi.outOfOrder')}</span>
+      </label>
+      <button
+        type="button"
+        className="mock-api-reset"
+        onClick={() => updateApiSettings(defaultApiSettings)}
+      >
+        {t('mockApi.reset')}
+      </button>
+    </div>
+  );
+};
+
+export default MockApiControls;
@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Button from './Button';
+import { demoRoutes } from '../routes';
+import { quizHooks } from '../data/quizQuestions';
+import { useAuth } from '../context/AuthContext';
+import { useLocale } from '../context/LocaleContext';
+import { useProgress } from '../context/ProgressContext';
+import { useToggle } from '../hooks/useToggle';
+import './ProgressDashboard.css';
+
+/**
+ * Compact progress summary for the app header, expandable into a per-demo
+ * breakdown with reset/export controls.
+ *
+ * Demos behind a role the user doesn't have (routes.js `requiredRole`) are
+ * left out, so everyone can reach 100%. Reset asks for confirmation inline
+ * rather than with a blocking confirm() dialog.
+ */
+const ProgressDashboard = () => {
+  const { progress, resetProgress, exportProgress } = useProgress();
+  const [isOpen, toggleOpen, setIsOpen] = useToggle(false);
+  const [confirmingReset, setConfirmingReset] = useState(false);
+  const { t, formatNumber } = useLocale();
+  const { hasRole } = useAuth();
+
+  const availableDemos = demoRoutes.filter(demo => !demo.requiredRole || hasRole(demo.requiredRole));
+  const demoStats = availableDemos.map(demo => {
+    const saved = progress.demos[demo.path];
+    const cards = saved?.cards || {};
+    return {
+      ...demo,
+      visited: Boolean(saved?.visitedAt),
+      cardsVisited: demo.cards.filter(card => cards[card.id]?.visited).length,
+      cardsPassed: demo.cards.filter(card => cards[card.id]?.passed).length,
+    };
+  });
+
+  const totalCards = demoStats.reduce((sum, demo) => sum + demo.cards.length, 0);
+  const cardsVisited = demoStats.reduce((sum, demo) => sum + demo.cardsVisited, 0);
+  const demosVisited = demoStats.filter(demo => demo.visited).length;
+  const quizScores = Object.values(progress.quiz);
+  const bestQuiz = quizScores.length > 0 ? Math.max(...quizScores.map(q => q.best)) : null;
+  const overallPercent = totalCards ? Math.round((cardsVisited / totalCards) * 100) : 0;
+
+  const handleReset = () => {
+    resetProgress();
+    setConfirmingReset(false);
+  };
+
+  return (
+    <div className="progress-dashboard">
+      <button
+        className="progress-summary"
+        onClick={toggleOpen}
+        aria-expanded={isOpen}
+      >
+        <span className="progress-ring" style={{ '--percent': overallPercent }}>
+          {formatNumber(overallPercent / 100, { style: 'percent' })}
+        </span>
+        <span>{t('progress.examples', { visited: cardsVisited, total: totalCards })}</span>
+        <span>{t('progress.demos', { visited: demosVisited, total: demoStats.length })}</span>
+        <span>
+          {t('progress.quizBest', {
+            score: bestQuiz === null ? '—' : formatNumber(bestQuiz / 100, { style: 'percent' }),
+          })}
+        </span>
+        <span className="progress-toggle">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="progress-details">
+          <h4>{t('progress.demosHeading')}</h4>
+          <ul className="progress-demos">
+            {demoStats.map(demo => (
+              <li key={demo.path}>
+                <Link to={demo.path} onClick={() => setIsOpen(false)}>
+                  {demo.visited ? '✅' : '⬜'} {demo.title}
+                </Link>
+                <div className="progress-bar" title={t('progress.cardsVisited', { visited: demo.cardsVisited, count: demo.cards.length })}>
+                  <div style={{ width: `${(demo.cardsVisited / demo.cards.length) * 100}%` }} />
+                </div>
+                <span className="progress-counts">
+                  {demo.cardsVisited}/{demo.cards.length}
+                  {demo.cardsPassed > 0 && ` · ${t('progress.passed', { count: demo.cardsPassed })}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <h4>{t('progress.quizHeading')}</h4>
+          <ul className="progress-quiz">
+            {['all', ...quizHooks].map(hook => {
+              const result = progress.quiz[hook];
+              return (
+                <li key={hook}>
+                  <span>{hook === 'all' ? t('progress.allHooks') : hook}</span>
+                  <strong>
+                    {result ? t('progress.quizResult', result) : t('progress.notTaken')}
+                  </strong>
+                </li>
+              );
+            })}
+          </ul>
+
+          {confirmingReset ? (
+            <div className="progress-confirm" role="alert">
+              <p>{t('progress.confirmReset')}</p>
+              <div className="button-group">
+                <Button text={t('progress.confirmYes')} onClick={handleReset} variant="danger" />
+                <Button text={t('progress.cancel')} onClick={() => setConfirmingReset(false)} variant="secondary" />
+              </div>
+            </div>
+          ) : (
+            <div className="button-group">
+              <Button text={t('progress.export')} onClick={exportProgress} variant="secondary" />
+              <Button text={t('progress.reset')} onClick={() => setConfirmingReset(true)} variant="danger" />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProgressDashboard;
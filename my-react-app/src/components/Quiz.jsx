@@ -0,0 +1,224 @@
+import { useReducer } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { quizHooks, quizQuestions } from '../data/quizQuestions';
+import { useLocale } from '../context/LocaleContext';
+import { useProgress } from '../context/ProgressContext';
+import './Quiz.css';
+
+/**
+ * Interactive quiz built from the question bank in data/quizQuestions.js.
+ *
+ * The selected hook lives in the URL (?hook=useReducer) so a quiz for one
+ * hook can be shared like any other page. Quiz progress is a small reducer,
+ * the same pattern UseReducerDemo teaches. Correct answers and final scores
+ * are also recorded in the learner's saved progress.
+ *
+ * The quiz UI is translated; the questions themselves are lesson content
+ * and stay in English.
+ */
+
+const quizInitialState = {
+  index: 0,
+  answers: {}, // questionId -> chosen option index
+  finished: false,
+};
+
+function quizReducer(state, action) {
+  switch (action.type) {
+    case 'ANSWER':
+      // An answer is final once given
+      if (action.id in state.answers) return state;
+      return { ...state, answers: { ...state.answers, [action.id]: action.choice } };
+    case 'NEXT':
+      return action.isLast
+        ? { ...state, finished: true }
+        : { ...state, index: state.index + 1 };
+    case 'RESTART':
+      return quizInitialState;
+    default:
+      return state;
+  }
+}
+
+const QuestionCard = ({ question, chosen, onAnswer }) => {
+  const isAnswered = chosen !== undefined;
+  const { t } = useLocale();
+
+  return (
+    <div className="quiz-question">
+      <span className={`quiz-type ${question.type}`}>
+        {question.type === 'predict-output' ? t('quiz.predictOutput') : t('quiz.multipleChoice')}
+        {' · '}{question.hook}
+      </span>
+      <h4>{question.question}</h4>
+
+      {question.code && (
+        <div className="code-snippet">
+          <pre>{question.code}</pre>
+        </div>
+      )}
+
+      <div className="quiz-options">
+        {question.options.map((option, i) => {
+          let status = '';
+          if (isAnswered && i === question.answer) status = 'correct';
+          else if (isAnswered && i === chosen) status = 'wrong';
+
+          return (
+            <button
+              key={option}
+              className={`quiz-option ${status}`}
+              onClick={() => onAnswer(i)}
+              disabled={isAnswered}
+            >
+              {option}
+            </button>
+          );
+        })}
+      </div>
+
+      {isAnswered && (
+        <div className={`quiz-feedback ${chosen === question.answer ? 'correct' : 'wrong'}`}>
+          <strong>{chosen === question.answer ? t('quiz.correct') : t('quiz.wrong')}</strong>
+          <p>{question.explanation}</p>
+          <Link to={question.link}>{t('quiz.review')}</Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+QuestionCard.propTypes = {
+  question: PropTypes.shape({
+    hook: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['multiple-choice', 'predict-output']).isRequired,
+    question: PropTypes.string.isRequired,
+    code: PropTypes.string,
+    options: PropTypes.arrayOf(PropTypes.string).isRequired,
+    answer: PropTypes.number.isRequired,
+    explanation: PropTypes.string.isRequired,
+    link: PropTypes.string.isRequired,
+  }).isRequired,
+  chosen: PropTypes.number,
+  onAnswer: PropTypes.func.isRequired,
+};
+
+const QuizRunner = ({ hook, questions }) => {
+  const [state, dispatch] = useReducer(quizReducer, quizInitialState);
+  const { recordQuizAnswer, recordQuizResult } = useProgress();
+  const { t, formatNumber } = useLocale();
+
+  const score = questions.filter(q => state.answers[q.id] === q.answer).length;
+  const current = questions[state.index];
+  const isLast = state.index === questions.length - 1;
+
+  const handleAnswer = (choice) => {
+    dispatch({ type: 'ANSWER', id: current.id, choice });
+    recordQuizAnswer(current.link, choice === current.answer);
+  };
+
+  const handleNext = () => {
+    if (isLast) recordQuizResult(hook, score, questions.length);
+    dispatch({ type: 'NEXT', isLast });
+  };
+
+  if (questions.length === 0) {
+    return <p className="quiz-empty">{t('quiz.noQuestions')}</p>;
+  }
+
+  if (state.finished) {
+    const missed = questions.filter(q => state.answers[q.id] !== q.answer);
+    const percent = Math.round((score / questions.length) * 100);
+
+    return (
+      <div className="quiz-summary">
+        <div className="quiz-score">{formatNumber(percent / 100, { style: 'percent' })}</div>
+        <p>{t('quiz.result', { score, total: questions.length })}</p>
+        {missed.length > 0 && (
+          <>
+            <h4>{t('quiz.worthReviewing')}</h4>
+            <ul>
+              {missed.map(q => (
+                <li key={q.id}>
+                  <Link to={q.link}>{q.question}</Link>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        <Button text={t('quiz.restart')} onClick={() => dispatch({ type: 'RESTART' })} variant="primary" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="quiz-progress">
+        <span>{t('quiz.progress', { number: state.index + 1, total: questions.length })}</span>
+        <span>{t('quiz.score', { score })}</span>
+      </div>
+
+      <QuestionCard
+        key={current.id}
+        question={current}
+        chosen={state.answers[current.id]}
+        onAnswer={handleAnswer}
+      />
+
+      <div className="button-group">
+        <Button
+          text={isLast ? t('quiz.seeResults') : t('quiz.next')}
+          onClick={handleNext}
+          variant="primary"
+          disabled={!(current.id in state.answers)}
+        />
+      </div>
+    </>
+  );
+};
+
+QuizRunner.propTypes = {
+  hook: PropTypes.string.isRequired,
+  questions: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+const Quiz = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const hook = searchParams.get('hook') || 'all';
+  const { t } = useLocale();
+
+  const questions = hook === 'all'
+    ? quizQuestions
+    : quizQuestions.filter(q => q.hook === hook);
+
+  const selectHook = (nextHook) => {
+    setSearchParams(nextHook === 'all' ? {} : { hook: nextHook });
+  };
+
+  return (
+    <div id="quiz" className="quiz-container">
+      <div className="quiz-header">
+        <h2>{t('quiz.title')}</h2>
+        <p className="hook-description">{t('quiz.description')}</p>
+      </div>
+
+      <div className="quiz-filters">
+        {['all', ...quizHooks].map(h => (
+          <Button
+            key={h}
+            text={h === 'all' ? t('progress.allHooks') : h}
+            onClick={() => selectHook(h)}
+            variant={hook === h ? 'primary' : 'secondary'}
+          />
+        ))}
+      </div>
+
+      {/* Changing hook starts a fresh quiz */}
+      <QuizRunner key={hook} hook={hook} questions={questions} />
+    </div>
+  );
+};
+
+export default Quiz;
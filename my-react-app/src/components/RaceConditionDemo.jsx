@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef } from 'react';
+import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
+import { getUser } from '../services/mockApi';
+import './RaceConditionDemo.css';
+
+/**
+ * Stale-response race in an async effect, and the two standard fixes.
+ *
+ * Every user selection starts a request from an effect. The requests are
+ * forced out of order (each one finishes sooner than the one before it), so
+ * firing several in a row lets an OLD response arrive LAST. With no cleanup
+ * that old response overwrites the newer one. The cleanup strategies:
+ * - ignore flag:      the request still completes, but its result is dropped
+ * - AbortController:  the request is cancelled, so there is nothing to drop
+ *
+ * The timeline shows each request's start, finish and outcome.
+ */
+
+// Labels and descriptions are in the locale catalogs under
+// raceCondition.strategies, and each outcome under raceCondition.outcomes
+const strategies = ['none', 'ignore', 'abort'];
+
+const BURST = [1, 2, 3];
+const BURST_GAP = 150; // ms between selections in a burst
+
+const RaceConditionDemo = () => {
+  const { t } = useLocale();
+  const [strategy, setStrategy] = useState('none');
+  // The latest selection. Each one carries the strategy it was made with,
+  // so switching strategy doesn't refetch.
+  const [request, setRequest] = useState(null);
+  const [user, setUser] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+
+  const nextRequestRef = useRef(1);
+  const burstTimersRef = useRef([]);
+
+  useEffect(() => {
+    if (!request) return;
+
+    const { n, userId, strategy: mode } = request;
+    let ignore = false;
+    const controller = new AbortController();
+    const updateRow = (changes) => {
+      setTimeline(rows => rows.map(row => (row.n === n ? { ...row, ...changes } : row)));
+    };
+
+    const loadUser = async () => {
+      try {
+        const data = await getUser(userId, {
+          outOfOrder: true,
+          signal: mode === 'abort' ? controller.signal : undefined,
+        });
+        const end = performance.now();
+
+        if (mode === 'ignore' && ignore) {
+          console.log(`🙈 Ignored stale response for user ${userId}`);
+          updateRow({ end, outcome: 'ignored' });
+          return;
+        }
+        setUser(data);
+        updateRow({ end, outcome: 'applied' });
+      } catch (error) {
+        const outcome = error.name === 'AbortError' ? 'aborted' : 'failed';
+        updateRow({ end: performance.now(), outcome });
+      }
+    };
+    loadUser();
+
+    return () => {
+      ignore = true;
+      if (mode === 'abort') controller.abort();
+    };
+  }, [request]);
+
+  // Stop a burst that is still firing when the demo unmounts
+  // (fireBurst reuses the same array, so this cleanup sees its timers)
+  useEffect(() => {
+    const timers = burstTimersRef.current;
+    return () => timers.forEach(clearTimeout);
+  }, []);
+
+  const selectUser = (userId) => {
+    const n = nextRequestRef.current++;
+    setTimeline(rows => [...rows, { n, userId, strategy, start: performance.now(), outcome: 'pending' }]);
+    setRequest({ n, userId, strategy });
+  };
+
+  const fireBurst = () => {
+    const timers = burstTimersRef.current;
+    timers.forEach(clearTimeout);
+    timers.length = 0;
+    setTimeline([]);
+    setUser(null);
+    BURST.forEach((userId, i) => {
+      timers.push(setTimeout(() => selectUser(userId), i * BURST_GAP));
+    });
+  };
+
+  // Scale the timeline bars to the span between the first start and last known time
+  const origin = timeline[0]?.start ?? 0;
+  const span = Math.max(1, ...timeline.map(row => (row.end ?? row.start) - origin));
+  const selectedId = request?.userId;
+  const isWrong = user && selectedId !== undefined && user.id !== selectedId &&
+    timeline.every(row => row.outcome !== 'pending');
+
+  return (
+    <div className="race-demo">
+      <div className="race-strategies" role="group" aria-label={t('raceCondition.strategy')}>
+        {strategies.map(key => (
+          <Button
+            key={key}
+            text={t(`raceCondition.strategies.${key}.label`)}
+            onClick={() => setStrategy(key)}
+            variant={strategy === key ? 'primary' : 'secondary'}
+          />
+        ))}
+      </div>
+      <p className="race-strategy-description">{t(`raceCondition.strategies.${strategy}.description`)}</p>
+
+      <div className="button-group">
+        <Button text={t('raceCondition.fireBurst')} onClick={fireBurst} variant="danger" />
+        {[1, 2, 3, 4, 5].map(id => (
+          <Button key={id} text={t('raceCondition.user', { id })} onClick={() => selectUser(id)} variant="secondary" />
+        ))}
+      </div>
+
+      <div className={`race-result ${isWrong ? 'wrong' : ''}`}>
+        <p>{t('raceCondition.selected')} <strong>{selectedId ? t('raceCondition.user', { id: selectedId }) : '-'}</strong></p>
+        <p>{t('raceCondition.showing')} <strong>{user ? t('raceCondition.userWithName', { id: user.id, name: user.name }) : '-'}</strong></p>
+        {isWrong && (
+          <p className="race-warning" role="alert">
+            {t('raceCondition.staleWon', { selected: selectedId, shown: user.id })}
+          </p>
+        )}
+      </div>
+
+      {timeline.length > 0 && (
+        <ol className="race-timeline">
+          {timeline.map(row => {
+            const left = ((row.start - origin) / span) * 100;
+            const width = row.end ? ((row.end - row.start) / span) * 100 : 100 - left;
+            return (
+              <li key={row.n} className={`race-row ${row.outcome}`}>
+                <span className="race-row-label">
+                  #{row.n} {t('raceCondition.user', { id: row.userId })} <small>({t(`raceCondition.strategies.${row.strategy}.label`)})</small>
+                </span>
+                <span className="race-track">
+                  <span className="race-bar" style={{ left: `${left}%`, width: `${Math.max(width, 1)}%` }} />
+                </span>
+                <span className="race-row-outcome">
+                  {t(`raceCondition.outcomes.${row.outcome}`)}
+                  {row.end && ` @ ${Math.round(row.end - origin)}ms`}
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RaceConditionDemo;
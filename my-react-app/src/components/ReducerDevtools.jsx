@@ -0,0 +1,306 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
+import { replayActions } from '../hooks/useTimeTravelReducer';
+import './ReducerDevtools.css';
+
+/**
+ * Time-travel panel for a reducer wired up with useTimeTravelReducer.
+ *
+ * Lists every dispatched action, shows the action, a diff and the
+ * before/after state for the selected step, and lets the learner scrub back
+ * to any earlier state. Replay re-runs the recorded actions through the
+ * reducer and checks every state comes out the same - which only holds if
+ * the reducer is pure. The action log can be exported and imported as JSON.
+ */
+
+const REPLAY_STEP = 400; // ms per action during replay
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+// Leaf-level changes between two states. Unchanged branches are skipped by
+// reference, which is exactly what an immutable update preserves.
+const diffStates = (before, after, path = '') => {
+  if (Object.is(before, after)) return [];
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => {
+      const childPath = Array.isArray(after) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+      return diffStates(before[key], after[key], childPath);
+    });
+  }
+  return [{ path: path || '(state)', before, after }];
+};
+
+// Where `value` stops looking like `shape` (the reducer's initial state), or
+// null if it matches: the same kind of value all the way down, and every key
+// the initial state has. Array items are compared with the first item of the
+// initial array; items of an empty array and fields that start out null
+// can't be checked this way and are accepted as they are.
+const findShapeMismatch = (value, shape, path = '') => {
+  if (shape === null || shape === undefined) return null;
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) return path || '(state)';
+    if (shape.length === 0) return null;
+    for (const [index, item] of value.entries()) {
+      const mismatch = findShapeMismatch(item, shape[0], `${path}[${index}]`);
+      if (mismatch) return mismatch;
+    }
+    return null;
+  }
+  if (isObject(shape)) {
+    if (!isObject(value) || Array.isArray(value)) return path || '(state)';
+    for (const key of Object.keys(shape)) {
+      const mismatch = findShapeMismatch(value[key], shape[key], path ? `${path}.${key}` : key);
+      if (mismatch) return mismatch;
+    }
+    return null;
+  }
+  return typeof value === typeof shape ? null : path || '(state)';
+};
+
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+const formatTime = (at, locale) => new Date(at).toLocaleTimeString(locale, { hour12: false });
+
+const ReducerDevtools = ({ name, devtools }) => {
+  const { history, jumpTo, loadActions, clear, reducer, initialState } = devtools;
+  const { states, entries, cursor } = history;
+  const lastIndex = states.length - 1;
+  const { t, locale } = useLocale();
+
+  const [replaying, setReplaying] = useState(false);
+  const [message, setMessage] = useState(null); // { kind: 'success' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  // Step through the log one action at a time
+  useEffect(() => {
+    if (!replaying) return;
+
+    const timer = setTimeout(() => {
+      if (cursor >= lastIndex) {
+        setReplaying(false);
+      } else {
+        jumpTo(cursor + 1);
+      }
+    }, REPLAY_STEP);
+
+    return () => clearTimeout(timer);
+  }, [replaying, cursor, lastIndex, jumpTo]);
+
+  const goTo = (index) => {
+    setReplaying(false);
+    jumpTo(index);
+  };
+
+  const handleReplay = () => {
+    // A pure reducer gives the same states for the same actions, every time
+    try {
+      const replayed = replayActions(reducer, states[0], entries.map(entry => entry.action));
+      const mismatch = replayed.findIndex((state, i) => JSON.stringify(state) !== JSON.stringify(states[i]));
+      setMessage(mismatch === -1
+        ? { kind: 'success', text: t('devtools.replayPure', { count: entries.length }) }
+        : { kind: 'error', text: t('devtools.replayMismatch', { state: mismatch }) });
+    } catch (error) {
+      setMessage({ kind: 'error', text: t('devtools.replayThrew', { message: error.message }) });
+    }
+    jumpTo(0);
+    setReplaying(true);
+  };
+
+  const handleExport = () => {
+    const log = {
+      reducer: name,
+      exportedAt: new Date().toISOString(),
+      startState: states[0],
+      actions: entries.map(entry => entry.action),
+    };
+    const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}-actions.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow importing the same file again
+    if (!file) return;
+
+    try {
+      const log = JSON.parse(await file.text());
+      if (!Array.isArray(log.actions) || !log.actions.every(action => typeof action?.type === 'string')) {
+        throw new Error(t('devtools.importNotALog'));
+      }
+      if (log.reducer && log.reducer !== name) {
+        throw new Error(t('devtools.importWrongReducer', { reducer: log.reducer, name }));
+      }
+      // Every replayed state gets rendered, so one of the wrong shape would
+      // crash the demo rather than fail here. Without a startState, start
+      // from the demo's own initial state.
+      const startState = log.startState ?? initialState;
+      const startMismatch = findShapeMismatch(startState, initialState);
+      if (startMismatch) {
+        throw new Error(t('devtools.importBadStart', { name, path: startMismatch }));
+      }
+      const replayed = replayActions(reducer, startState, log.actions);
+      for (const [step, state] of replayed.entries()) {
+        const mismatch = findShapeMismatch(state, initialState);
+        if (mismatch) {
+          throw new Error(t('devtools.importBadAction', { step, type: log.actions[step - 1].type, path: mismatch }));
+        }
+      }
+      setReplaying(false);
+      loadActions(log.actions, startState);
+      setMessage({ kind: 'success', text: t('devtools.imported', { count: log.actions.length, file: file.name }) });
+    } catch (error) {
+      setMessage({ kind: 'error', text: t('devtools.importFailed', { file: file.name, message: error.message }) });
+    }
+  };
+
+  const entry = cursor > 0 ? entries[cursor - 1] : null;
+  const diff = entry ? diffStates(states[cursor - 1], states[cursor]) : [];
+
+  return (
+    <details className="reducer-devtools">
+      <summary>
+        🕰️ {t('devtools.title')} · <code>{name}</code> · {t('devtools.actions', { count: entries.length })}
+        {cursor < lastIndex && <span className="devtools-badge">{t('devtools.viewingPast')}</span>}
+      </summary>
+
+      <div className="devtools-scrubber">
+        <input
+          type="range"
+          min="0"
+          max={lastIndex}
+          value={cursor}
+          onChange={(e) => goTo(Number(e.target.value))}
+          aria-label={t('devtools.scrub', { name })}
+        />
+        <span>{t('devtools.state', { cursor, last: lastIndex })}</span>
+      </div>
+
+      <div className="devtools-toolbar">
+        <Button text="⏮" onClick={() => goTo(0)} variant="secondary" disabled={cursor === 0} />
+        <Button text={t('devtools.back')} onClick={() => goTo(cursor - 1)} variant="secondary" disabled={cursor === 0} />
+        <Button text={t('devtools.forward')} onClick={() => goTo(cursor + 1)} variant="secondary" disabled={cursor === lastIndex} />
+        <Button text="⏭" onClick={() => goTo(lastIndex)} variant="secondary" disabled={cursor === lastIndex} />
+        <Button
+          text={replaying ? t('devtools.stop') : t('devtools.replay')}
+          onClick={replaying ? () => setReplaying(false) : handleReplay}
+          variant="primary"
+          disabled={entries.length === 0 && !replaying}
+        />
+        <Button text={t('devtools.export')} onClick={handleExport} variant="secondary" disabled={entries.length === 0} />
+        <Button text={t('devtools.import')} onClick={() => fileInputRef.current.click()} variant="secondary" />
+        <Button
+          text={t('devtools.clear')}
+          onClick={() => {
+            setReplaying(false);
+            setMessage(null);
+            clear();
+          }}
+          variant="danger"
+          disabled={entries.length === 0}
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+
+      {message && (
+        <p className={`devtools-message ${message.kind}`} role="status">{message.text}</p>
+      )}
+
+      {cursor < lastIndex && !replaying && (
+        <p className="devtools-hint">
+          {t('devtools.newTimeline', { count: lastIndex - cursor })}
+        </p>
+      )}
+
+      <div className="devtools-panes">
+        <ol className="devtools-log">
+          <li className={cursor === 0 ? 'current' : ''}>
+            <button type="button" onClick={() => goTo(0)}>@@INIT</button>
+          </li>
+          {entries.map((item, i) => (
+            <li key={i} className={i + 1 === cursor ? 'current' : i + 1 > cursor ? 'future' : ''}>
+              <button type="button" onClick={() => goTo(i + 1)}>{item.action.type}</button>
+              <time>{formatTime(item.at, locale)}</time>
+            </li>
+          ))}
+        </ol>
+
+        <div className="devtools-inspector">
+          {entry ? (
+            <>
+              <h5>{t('devtools.action', { number: cursor })}</h5>
+              <pre>{JSON.stringify(entry.action, null, 2)}</pre>
+
+              <h5>{t('devtools.diff')}</h5>
+              {diff.length > 0 ? (
+                <ul className="devtools-diff">
+                  {diff.map(change => (
+                    <li key={change.path}>
+                      <code>{change.path}</code>: <del>{formatValue(change.before)}</del> → <ins>{formatValue(change.after)}</ins>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="devtools-hint">
+                  {states[cursor - 1] === states[cursor]
+                    ? t('devtools.sameState')
+                    : t('devtools.noValuesChanged')}
+                </p>
+              )}
+
+              <div className="devtools-states">
+                <div>
+                  <h5>{t('devtools.before')}</h5>
+                  <pre>{JSON.stringify(states[cursor - 1], null, 2)}</pre>
+                </div>
+                <div>
+                  <h5>{t('devtools.after')}</h5>
+                  <pre>{JSON.stringify(states[cursor], null, 2)}</pre>
+                </div>
+              </div>
+            </>
+          ) : (
+            <>
+              <h5>{t('devtools.initialState')}</h5>
+              <pre>{JSON.stringify(states[0], null, 2)}</pre>
+            </>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+ReducerDevtools.propTypes = {
+  name: PropTypes.string.isRequired,
+  devtools: PropTypes.shape({
+    history: PropTypes.shape({
+      states: PropTypes.array.isRequired,
+      entries: PropTypes.arrayOf(PropTypes.shape({
+        action: PropTypes.object.isRequired,
+        at: PropTypes.number.isRequired,
+      })).isRequired,
+      cursor: PropTypes.number.isRequired,
+    }).isRequired,
+    jumpTo: PropTypes.func.isRequired,
+    loadActions: PropTypes.func.isRequired,
+    clear: PropTypes.func.isRequired,
+    reducer: PropTypes.func.isRequired,
+    initialState: PropTypes.any,
+  }).isRequired,
+};
+
+export default ReducerDevtools;
@@ -0,0 +1,114 @@
+import { Profiler, use, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { RenderInspectorContext } from '../context/RenderInspectorContext';
+import { useLocale } from '../context/LocaleContext';
+import './RenderInspector.css';
+
+/**
+ * Render overlay that makes re-renders visible while learning memo/useCallback.
+ *
+ * Wrap a component in <RenderInspector name="..."> (or use withRenderInspector
+ * for components wrapped in React.memo). When the overlay is switched on from
+ * the sidebar, the component flashes every time it renders and a badge shows
+ * its render count and the reason for the latest render:
+ * - which props changed (compared with Object.is, like React.memo does)
+ * - which of the `contexts` it watches changed
+ * - "parent re-rendered" when it got new but equal props
+ * - otherwise a state update inside the component itself
+ *
+ * Built on <Profiler>: React calls onRender once for every commit in which
+ * anything inside it rendered. The badge is written straight to the DOM,
+ * so the overlay never causes renders of its own.
+ */
+
+const HISTORY_LENGTH = 5;
+
+// Keys whose values are no longer the same reference
+const changedKeys = (previous, next) =>
+  [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(key => !Object.is(previous[key], next[key]));
+
+const describeRender = (t, phase, previous, props, contextValues) => {
+  if (phase === 'mount' || !previous) return t('renderInspector.mounted');
+
+  const reasons = [
+    ...changedKeys(previous.props, props).map(key => t('renderInspector.prop', { key })),
+    ...changedKeys(previous.contextValues, contextValues).map(key => t('renderInspector.context', { key })),
+  ];
+  if (reasons.length > 0) return t('renderInspector.changed', { reasons: reasons.join(', ') });
+  if (previous.props !== props) return t('renderInspector.parentRendered');
+  return t('renderInspector.stateUpdate');
+};
+
+const RenderInspector = ({ name, contexts = {}, children }) => {
+  const { enabled } = use(RenderInspectorContext);
+  const { t } = useLocale();
+
+  // Watched contexts are read here too, so a change re-renders this wrapper
+  // and shows up in the diff below
+  const contextValues = {};
+  for (const [key, Context] of Object.entries(contexts)) {
+    contextValues[key] = use(Context);
+  }
+  const props = children.props;
+
+  const boxRef = useRef(null);
+  const badgeRef = useRef(null);
+  const statsRef = useRef({ count: 0, history: [], last: null, enabled: false });
+
+  const handleRender = (id, phase, actualDuration) => {
+    const stats = statsRef.current;
+    const previous = stats.last;
+    stats.last = { props, contextValues };
+
+    const badge = badgeRef.current;
+    if (!enabled || !badge) {
+      stats.enabled = false;
+      return;
+    }
+
+    // The render caused by switching the overlay on is not the component's doing
+    if (!stats.enabled) {
+      stats.enabled = true;
+      stats.count = 0;
+      stats.history = [];
+      badge.textContent = t('renderInspector.watching', { name });
+      badge.title = '';
+      return;
+    }
+
+    const reason = describeRender(t, phase, previous, props, contextValues);
+    stats.count += 1;
+    stats.history = [
+      `#${stats.count} ${reason} (${actualDuration.toFixed(1)}ms)`,
+      ...stats.history,
+    ].slice(0, HISTORY_LENGTH);
+
+    badge.textContent = t('renderInspector.badge', { name, count: stats.count, reason });
+    badge.title = stats.history.join('\n');
+
+    boxRef.current?.animate(
+      [{ outlineColor: phase === 'mount' ? '#2ecc71' : '#e67e22' }, { outlineColor: 'transparent' }],
+      { duration: 600, easing: 'ease-out' }
+    );
+  };
+
+  // The Profiler and wrapper div are always rendered, so switching the overlay
+  // on or off never remounts the component or loses its state
+  return (
+    <div ref={boxRef} className={enabled ? 'render-inspector active' : 'render-inspector'}>
+      <span ref={badgeRef} className="render-inspector-badge" aria-hidden="true" />
+      <Profiler id={name} onRender={handleRender}>
+        {children}
+      </Profiler>
+    </div>
+  );
+};
+
+RenderInspector.propTypes = {
+  name: PropTypes.string.isRequired,
+  contexts: PropTypes.objectOf(PropTypes.object),
+  children: PropTypes.element.isRequired,
+};
+
+export default RenderInspector;
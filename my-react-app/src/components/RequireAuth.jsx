@@ -0,0 +1,65 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { LOGIN_PATH, ROLES, useAuth } from '../context/AuthContext';
+import { useLocale } from '../context/LocaleContext';
+
+/**
+ * Route guard: renders `children` only for a signed-in user with at least
+ * `role` (routes.js marks such demos with `requiredRole`).
+ *
+ * Signed-out visitors are redirected to the login form, which sends them
+ * back here once they sign in. A signed-in user without the role gets a
+ * "not allowed" message instead - sending them to a login form they have
+ * already used would only loop. While a saved session is still being
+ * confirmed nothing is decided, so a reload doesn't bounce an admin away.
+ */
+const RequireAuth = ({ role = 'developer', children }) => {
+  const { status, user, hasRole, error, retry } = useAuth();
+  const location = useLocation();
+  const { t } = useLocale();
+
+  if (status === 'checking') {
+    return (
+      <section className="demo-section">
+        <p className="section-description">{t('auth.checkingSession')}</p>
+      </section>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <section className="demo-section">
+        <h2 className="section-title">{t('auth.checkFailed')}</h2>
+        <p className="section-description">{error.message}</p>
+        <Button text={t('auth.tryAgain')} onClick={retry} variant="primary" />
+      </section>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to={{ pathname: LOGIN_PATH, hash: '#login' }} state={{ from: location.pathname }} replace />;
+  }
+
+  if (!hasRole(role)) {
+    return (
+      <section className="demo-section">
+        <h2 className="section-title">
+          🚫 {t('auth.roleOnly', { role: t(`auth.roles.${role}`, { defaultValue: ROLES[role].label }) })}
+        </h2>
+        <p className="section-description">
+          {t('auth.missingRole', { name: user.name, title: user.title, role: user.role, required: role })}
+        </p>
+      </section>
+    );
+  }
+
+  return children;
+};
+
+RequireAuth.propTypes = {
+  role: PropTypes.oneOf(Object.keys(ROLES)),
+  children: PropTypes.node.isRequired,
+};
+
+export default RequireAuth;
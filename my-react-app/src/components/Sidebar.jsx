@@ -0,0 +1,83 @@
+import { Link, NavLink, useLocation } from 'react-router-dom';
+import { sections } from '../routes';
+import { ROLES, useAuth } from '../context/AuthContext';
+import { useLocale } from '../context/LocaleContext';
+import { useProgress } from '../context/ProgressContext';
+import { RENDER_OVERLAY_AVAILABLE, useRenderInspector } from '../context/RenderInspectorContext';
+import './Sidebar.css';
+
+/**
+ * Sidebar navigation generated from the section titles in routes.js.
+ * The active demo also lists its numbered cards as anchor links,
+ * so any single example can be deep-linked (e.g. /hooks/use-reducer#cart).
+ * The render overlay switch lives here so it is reachable from every page
+ * (in builds where the overlay can work at all).
+ * Demos that need a role the current user doesn't have get a lock.
+ */
+const Sidebar = () => {
+  const { pathname, hash } = useLocation();
+  const { progress } = useProgress();
+  const { t } = useLocale();
+  const { hasRole } = useAuth();
+  const { enabled: overlayEnabled, setEnabled: setOverlayEnabled } = useRenderInspector();
+
+  return (
+    <nav className="sidebar" aria-label={t('nav.label')}>
+      <NavLink to="/" end className="sidebar-home">
+        {t('nav.overview')}
+      </NavLink>
+      {RENDER_OVERLAY_AVAILABLE && (
+        <button
+          type="button"
+          className={overlayEnabled ? 'sidebar-overlay-toggle on' : 'sidebar-overlay-toggle'}
+          onClick={() => setOverlayEnabled(!overlayEnabled)}
+          aria-pressed={overlayEnabled}
+          title={t('nav.overlayHint')}
+        >
+          {t('nav.overlay', { state: t(overlayEnabled ? 'common.on' : 'common.off') })}
+        </button>
+      )}
+      {sections.map(section => (
+        <div key={section.id} className="sidebar-section">
+          <h4 className="sidebar-section-title">
+            {t(`sections.${section.id}.title`, { defaultValue: section.title })}
+          </h4>
+          <ul>
+            {section.demos.map(demo => (
+              <li key={demo.path}>
+                <NavLink to={demo.path} className="sidebar-link">
+                  {demo.title}
+                  {demo.requiredRole && !hasRole(demo.requiredRole) && (
+                    <span className="sidebar-locked" title={t('nav.requiresRole', {
+                      role: t(`auth.roles.${demo.requiredRole}`, { defaultValue: ROLES[demo.requiredRole].label }),
+                    })}>🔒</span>
+                  )}
+                  {progress.demos[demo.path]?.visitedAt && (
+                    <span className="sidebar-visited" title={t('nav.visited')}>✓</span>
+                  )}
+                </NavLink>
+                {pathname === demo.path && (
+                  <ul className="sidebar-cards">
+                    {demo.cards.map(card => (
+                      <li key={card.id}>
+                        <Link
+                          to={`${demo.path}#${card.id}`}
+                          className={hash === `#${card.id}` ? 'sidebar-card current' : 'sidebar-card'}
+                        >
+                          {card.title}
+                          {progress.demos[demo.path]?.cards[card.id]?.visited && ' ✓'}
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </nav>
+  );
+};
+
+export default Sidebar;
@@ -0,0 +1,424 @@
+import { lazy, startTransition, Suspense, use, useState } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import ErrorBoundary from './ErrorBoundary';
+import MockApiControls from './MockApiControls';
+import { useLocale } from '../context/LocaleContext';
+import { sampleVideoUrl } from '../data/mockData';
+import { getProducts, getTodos, getUser } from '../services/mockApi';
+import { clearResources, getResource } from '../services/resourceCache';
+import './SuspenseDemo.css';
+
+/**
+ * Suspense, React.lazy & use() Demonstration
+ *
+ * <Suspense fallback={...}> shows the fallback while anything inside it is
+ * still waiting - for code (React.lazy) or for data (use(promise)).
+ * - React.lazy(() => import('./X')): X becomes its own chunk, downloaded the
+ *   first time it renders. Every demo in this hub is loaded this way.
+ * - use(promise): reads a promise's value during render, suspending until
+ *   it settles. A rejection is thrown to the nearest error boundary.
+ *
+ * Where boundaries go decides what the user sees while waiting; where the
+ * requests START decides how long they wait (waterfall vs parallel).
+ *
+ * Data comes from the in-app mock server, so the latency slider in
+ * <MockApiControls> changes every timing on this page.
+ */
+
+const LAZY_DELAY_MS = 1500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Read outside components - only ever called from event handlers and loaders
+const timestamp = () => performance.now();
+
+// Resolve to { data, ms }: the data plus when it arrived, relative to `startedAt`
+const timed = (startedAt, promise) =>
+  promise.then(data => ({ data, ms: Math.round(timestamp() - startedAt) }));
+
+// ==================== React.lazy ====================
+// The network delay is simulated; the import() is a real chunk request
+const loadVideoPlayerChunk = () => wait(LAZY_DELAY_MS).then(() => import('./VideoPlayer'));
+
+// ==================== use(promise) ====================
+const loadProfile = (id, fail) =>
+  timed(timestamp(), getUser(id, fail ? { errorRate: 1 } : undefined));
+
+const UserProfile = ({ profilePromise }) => {
+  const { data: user, ms } = use(profilePromise);
+  const { t } = useLocale();
+  return (
+    <div className="suspense-profile">
+      <h4>👤 {user.name}</h4>
+      <p>@{user.username} · {user.email}</p>
+      <p>🏢 {user.company.name}</p>
+      <small>{t('suspense.arrivedAfter', { ms })}</small>
+    </div>
+  );
+};
+
+UserProfile.propTypes = {
+  profilePromise: PropTypes.instanceOf(Promise).isRequired,
+};
+
+const ProfileSkeleton = () => (
+  <div className="suspense-profile skeleton" aria-busy="true">
+    <div className="suspense-skeleton-line wide" />
+    <div className="suspense-skeleton-line" />
+    <div className="suspense-skeleton-line short" />
+  </div>
+);
+
+// ==================== Waterfalls vs parallel ====================
+// Labels are in the locale catalogs under suspense.resources
+const resources = {
+  profile: {
+    load: () => getUser(1),
+    summarize: user => user.name,
+  },
+  todos: {
+    load: () => getTodos(),
+    summarize: (todos, t) => t('suspense.todoCount', { count: todos.length }),
+  },
+  products: {
+    load: () => getProducts(),
+    summarize: (products, t) => t('suspense.productCount', { count: products.length }),
+  },
+};
+
+const resourceOrder = ['profile', 'todos', 'products'];
+
+// The first read of a resource in a run starts its request
+const readResource = (run, name) =>
+  getResource(`suspense-${run.id}-${name}`, () => timed(run.startedAt, resources[name].load()));
+
+const PanelSkeleton = ({ name }) => {
+  const { t } = useLocale();
+  return (
+    <div className="resource-panel skeleton" aria-busy="true">
+      <h5>{t(`suspense.resources.${name}`)}</h5>
+      <div className="suspense-skeleton-line" />
+    </div>
+  );
+};
+
+PanelSkeleton.propTypes = {
+  name: PropTypes.oneOf(resourceOrder).isRequired,
+};
+
+// Each panel renders the next one inside itself, like a page whose sections
+// each fetch their own data
+const ResourcePanel = ({ run, level, nested }) => {
+  const name = resourceOrder[level];
+  const { data, ms } = use(readResource(run, name));
+  const { t } = useLocale();
+  const childName = resourceOrder[level + 1];
+
+  const child = childName && <ResourcePanel run={run} level={level + 1} nested={nested} />;
+
+  return (
+    <div className="resource-panel">
+      <h5>{t(`suspense.resources.${name}`)}</h5>
+      <p>{resources[name].summarize(data, t)} <small>{t('suspense.readyAt', { ms })}</small></p>
+      {child && (nested ? (
+        <Suspense fallback={<PanelSkeleton name={childName} />}>{child}</Suspense>
+      ) : child)}
+    </div>
+  );
+};
+
+ResourcePanel.propTypes = {
+  run: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    startedAt: PropTypes.number.isRequired,
+  }).isRequired,
+  level: PropTypes.number.isRequired,
+  nested: PropTypes.bool.isRequired,
+};
+
+// Labels and descriptions are in the locale catalogs under suspense.strategies
+const loadingStrategies = ['waterfall', 'parallel'];
+
+// Measured with `npx vite build` before and after routes.js switched to React.lazy
+const bundleSizes = [
+  { label: 'Before: one bundle', files: 'index.js (everything)', size: '764 kB', gzip: '226 kB' },
+  { label: 'Before: one stylesheet', files: 'index.css (everything)', size: '56 kB', gzip: '11 kB' },
+  { label: 'After: entry chunk', files: 'index.js (React, router, app shell, home page)', size: '312 kB', gzip: '101 kB' },
+  { label: 'After: entry stylesheet', files: 'index.css (app shell)', size: '12 kB', gzip: '3 kB' },
+  { label: 'After: shared chunk', files: 'CodePlayground.js (with its compiler)', size: '210 kB', gzip: '50 kB' },
+  { label: 'After: per demo', files: 'UseRefDemo.js, UseReducerDemo.js, ...', size: '10 - 47 kB each', gzip: '3 - 16 kB each' },
+];
+
+const SuspenseDemo = () => {
+  const [LazyPlayer, setLazyPlayer] = useState(null);
+  const [userId, setUserId] = useState(1);
+  const [failProfile, setFailProfile] = useState(false);
+  const [keepOldProfile, setKeepOldProfile] = useState(false);
+  const [profilePromise, setProfilePromise] = useState(() => loadProfile(1, false));
+  const [strategy, setStrategy] = useState('waterfall');
+  const [nested, setNested] = useState(true);
+  const [run, setRun] = useState(null);
+  const { t } = useLocale();
+
+  // A new lazy() each time, so the chunk is "downloaded" again
+  const loadLazyPlayer = () => {
+    setLazyPlayer(() => lazy(loadVideoPlayerChunk));
+  };
+
+  const showUser = (id) => {
+    const next = loadProfile(id, failProfile);
+    setUserId(id);
+    if (keepOldProfile) {
+      // A transition keeps the current profile on screen instead of the fallback
+      startTransition(() => setProfilePromise(next));
+    } else {
+      setProfilePromise(next);
+    }
+  };
+
+  const startRun = () => {
+    const next = { id: (run?.id ?? 0) + 1, startedAt: timestamp() };
+    if (run) clearResources(`suspense-${run.id}-`);
+    if (strategy === 'parallel') {
+      resourceOrder.forEach(name => readResource(next, name));
+    }
+    setRun(next);
+  };
+
+  return (
+    <div className="suspense-container">
+      <div className="suspense-header">
+        <h2>Suspense, React.lazy & use()</h2>
+        <p className="hook-description">
+          Wait for code and data declaratively - and decide what the user sees meanwhile
+        </p>
+      </div>
+
+      {/* Demo 1: React.lazy */}
+      <div id="lazy-loading" className="demo-card">
+        <h3>1️⃣ Code Splitting With React.lazy</h3>
+        <p className="demo-explanation">
+          Every demo in this hub is now declared with <code>lazy(() =&gt; import(...))</code> in
+          routes.js. Vite turns each <code>import()</code> into a separate file, downloaded the first time
+          the route renders; until then <code>DemoPage</code>&apos;s <code>&lt;Suspense&gt;</code> shows a
+          skeleton built from the route&apos;s card titles. Below, the <code>VideoPlayer</code> chunk loads on
+          demand with an extra {LAZY_DELAY_MS / 1000}s delay standing in for a slow network.
+        </p>
+
+        <Button text={t('suspense.loadChunk')} onClick={loadLazyPlayer} variant="primary" />
+
+        {LazyPlayer && (
+          <Suspense fallback={<div className="suspense-chunk-loading" aria-busy="true">{t('suspense.downloadingChunk')}</div>}>
+            <LazyPlayer src={sampleVideoUrl} />
+          </Suspense>
+        )}
+
+        <CodePlayground
+          title="Suspense around a slow component"
+          code={`import { Suspense, lazy, useState } from 'react';
+
+// In an app this is lazy(() => import('./Chart')). The playground can only
+// import 'react', so a timer stands in for the chunk download.
+const Chart = lazy(() => new Promise(resolve =>
+  setTimeout(() => resolve({ default: () => <p>📊 Chart loaded!</p> }), 1500)
+));
+
+export default function App() {
+  const [show, setShow] = useState(false);
+  return (
+    <div>
+      <button onClick={() => setShow(true)}>Show chart</button>
+      {show && (
+        <Suspense fallback={<p>⏳ Loading chart...</p>}>
+          <Chart />
+        </Suspense>
+      )}
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 2: use(promise) */}
+      <div id="use-promise" className="demo-card">
+        <h3>2️⃣ Reading a Promise With use()</h3>
+        <p className="demo-explanation">
+          <code>use(promise)</code> returns the resolved value, suspending the component until there is one.
+          The promise is created in an event handler and kept in state - never during render, because
+          the retry render must get the same promise back. A rejection goes to the nearest error
+          boundary, which offers a retry.
+        </p>
+
+        <div className="suspense-controls">
+          <div className="button-group">
+            {[1, 2, 3, 4].map(id => (
+              <Button
+                key={id}
+                text={t('suspense.user', { id })}
+                onClick={() => showUser(id)}
+                variant={userId === id ? 'primary' : 'secondary'}
+              />
+            ))}
+          </div>
+          <label>
+            <input type="checkbox" checked={failProfile} onChange={(e) => setFailProfile(e.target.checked)} />
+            {t('suspense.failNext')}
+          </label>
+          <label>
+            <input type="checkbox" checked={keepOldProfile} onChange={(e) => setKeepOldProfile(e.target.checked)} />
+            {t('suspense.keepOld')}
+          </label>
+        </div>
+
+        <ErrorBoundary
+          name="UserProfile"
+          fallback={({ error, reset }) => (
+            <div className="suspense-error" role="alert">
+              <p>❌ {error.message}</p>
+              <Button
+                text={t('suspense.retry')}
+                onClick={() => {
+                  setFailProfile(false);
+                  setProfilePromise(loadProfile(userId, false));
+                  reset();
+                }}
+                variant="primary"
+              />
+            </div>
+          )}
+        >
+          <Suspense fallback={<ProfileSkeleton />}>
+            <UserProfile profilePromise={profilePromise} />
+          </Suspense>
+        </ErrorBoundary>
+
+        <CodePlayground
+          title="use() with a promise from an event handler"
+          code={`import { Suspense, use, useState } from 'react';
+
+const fetchQuote = (n) => new Promise(resolve =>
+  setTimeout(() => resolve('Quote #' + n + ': "Hooks are just functions."'), 1000)
+);
+
+function Quote({ quotePromise }) {
+  const quote = use(quotePromise); // suspends until resolved
+  return <blockquote>{quote}</blockquote>;
+}
+
+export default function App() {
+  const [n, setN] = useState(1);
+  // Created outside render and kept in state, so every render sees the same promise
+  const [quotePromise, setQuotePromise] = useState(() => fetchQuote(1));
+
+  const next = () => {
+    setN(n + 1);
+    setQuotePromise(fetchQuote(n + 1));
+  };
+
+  return (
+    <div>
+      <button onClick={next}>Next quote</button>
+      <Suspense fallback={<p>⏳ Loading quote...</p>}>
+        <Quote quotePromise={quotePromise} />
+      </Suspense>
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 3: Waterfalls */}
+      <div id="waterfalls" className="demo-card">
+        <h3>3️⃣ Nested Boundaries: Waterfalls vs Parallel Loading</h3>
+        <p className="demo-explanation">
+          Three panels, each inside the previous one, each reading its own resource. Two separate choices
+          shape the result: <strong>where requests start</strong> (total time) and <strong>where the
+          boundaries are</strong> (whether panels reveal one by one or all at once). Try all four combinations.
+        </p>
+
+        <div className="suspense-controls">
+          <div className="button-group" role="group" aria-label={t('suspense.strategy')}>
+            {loadingStrategies.map(key => (
+              <Button
+                key={key}
+                text={t(`suspense.strategies.${key}.label`)}
+                onClick={() => setStrategy(key)}
+                variant={strategy === key ? 'primary' : 'secondary'}
+              />
+            ))}
+          </div>
+          <label>
+            <input type="checkbox" checked={nested} onChange={(e) => setNested(e.target.checked)} />
+            {t('suspense.nested')}
+          </label>
+          <p className="suspense-strategy-description">{t(`suspense.strategies.${strategy}.description`)}</p>
+          <Button text={t('suspense.load')} onClick={startRun} variant="primary" />
+        </div>
+
+        {run && (
+          <Suspense key={run.id} fallback={<PanelSkeleton name="profile" />}>
+            <ResourcePanel run={run} level={0} nested={nested} />
+          </Suspense>
+        )}
+
+        <MockApiControls />
+      </div>
+
+      {/* Demo 4: Bundle */}
+      <div id="bundle-splitting" className="demo-card">
+        <h3>4️⃣ What Lazy Splitting Did to the Bundle</h3>
+        <p className="demo-explanation">
+          Before, the home page downloaded every demo, the playground compiler and all their CSS in a
+          single file. Now the first visit only downloads the app shell; each demo arrives when it is
+          opened, and the playground&apos;s compiler is shared by all of them. Run{' '}
+          <code>npm run build</code> to see the list of chunks, or watch the Network tab while clicking
+          through the sidebar.
+        </p>
+
+        <table className="bundle-table">
+          <thead>
+            <tr>
+              <th>Chunk</th>
+              <th>Contents</th>
+              <th>Size</th>
+              <th>Gzipped</th>
+            </tr>
+          </thead>
+          <tbody>
+            {bundleSizes.map(row => (
+              <tr key={row.label}>
+                <td>{row.label}</td>
+                <td>{row.files}</td>
+                <td>{row.size}</td>
+                <td>{row.gzip}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>React.lazy:</strong> Split by route first - it&apos;s where users expect a short wait, and each page only pays for its own code</li>
+          <li><strong>Suspense:</strong> Shows the nearest fallback while code or data below it is loading; skeletons shaped like the content avoid layout jumps</li>
+          <li><strong>use(promise):</strong> Reads a promise during render. Create promises outside render (handler, parent, cache) or they restart forever</li>
+          <li><strong>Errors:</strong> A rejected promise is thrown to the nearest error boundary - pair every data boundary with one</li>
+          <li><strong>Waterfalls:</strong> Fetching in each component serialises requests. Start them together (or in a parent) to load in parallel</li>
+          <li><strong>Boundary placement:</strong> One boundary reveals everything at once; nested boundaries reveal sections as they become ready</li>
+          <li><strong>startTransition:</strong> Keeps already-shown content on screen instead of going back to the fallback</li>
+          <li><strong>use() is special:</strong> Unlike other hooks it can be called inside conditions and loops, and it also reads context</li>
+        </ul>
+        <Link to="/quiz?hook=use" className="quiz-link">
+          🧠 Quiz yourself on use() & Suspense →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default SuspenseDemo;
@@ -0,0 +1,31 @@
+import { useId } from 'react';
+import { THEME_MODES, useTheme } from '../context/ThemeContext';
+import { useLocale } from '../context/LocaleContext';
+
+/**
+ * Theme picker for the app header. "System" follows the operating system's
+ * light/dark and increased-contrast settings, and says what it resolved to.
+ */
+const ThemeSwitcher = () => {
+  const { mode, theme, setMode } = useTheme();
+  const { t } = useLocale();
+  const id = useId();
+
+  const label = (option) => t(`theme.modes.${option.id}`, { defaultValue: option.label });
+
+  return (
+    <div className="header-setting">
+      <label htmlFor={id}>{t('theme.label')}</label>
+      <select id={id} value={mode} onChange={(e) => setMode(e.target.value)}>
+        {THEME_MODES.map(option => (
+          <option key={option.id} value={option.id}>{label(option)}</option>
+        ))}
+      </select>
+      {mode === 'system' && (
+        <span className="header-setting-note">({label(THEME_MODES.find(option => option.id === theme))})</span>
+      )}
+    </div>
+  );
+};
+
+export default ThemeSwitcher;
@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useLocale } from '../context/LocaleContext';
+import { TOAST_VARIANTS } from '../context/ToastContext';
+import './ToastViewport.css';
+
+/**
+ * Renders the toast queue from ToastProvider: up to MAX_VISIBLE at a time,
+ * the rest wait until one is dismissed. Each toast's auto-dismiss timer only
+ * starts once it is on screen, and pauses while hovered or focused.
+ *
+ * The container is an ARIA live region that is always in the DOM, so screen
+ * readers announce toasts as they are added; danger toasts use role="alert".
+ */
+
+const MAX_VISIBLE = 3;
+
+const icons = {
+  primary: '✅',
+  secondary: 'ℹ️',
+  danger: '⚠️',
+};
+
+const Toast = ({ toast, onDismiss }) => {
+  const [paused, setPaused] = useState(false);
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (paused) return;
+    const timer = setTimeout(() => onDismiss(toast.id), toast.duration);
+    return () => clearTimeout(timer);
+  }, [paused, toast.id, toast.duration, onDismiss]);
+
+  return (
+    <li
+      className={`toast ${toast.variant}`}
+      role={toast.variant === 'danger' ? 'alert' : undefined}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <span className="toast-icon" aria-hidden="true">{icons[toast.variant]}</span>
+      <span className="toast-message">{toast.message}</span>
+      <button
+        type="button"
+        className="toast-close"
+        onClick={() => onDismiss(toast.id)}
+        aria-label={t('toast.dismiss')}
+      >
+        ✕
+      </button>
+      {!paused && (
+        <span className="toast-progress" style={{ animationDuration: `${toast.duration}ms` }} />
+      )}
+    </li>
+  );
+};
+
+const toastShape = PropTypes.shape({
+  id: PropTypes.number.isRequired,
+  message: PropTypes.string.isRequired,
+  variant: PropTypes.oneOf(TOAST_VARIANTS).isRequired,
+  duration: PropTypes.number.isRequired,
+});
+
+Toast.propTypes = {
+  toast: toastShape.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+const ToastViewport = ({ toasts, onDismiss }) => {
+  const waiting = toasts.length - MAX_VISIBLE;
+  const { t } = useLocale();
+
+  return (
+    <div className="toast-viewport" role="status" aria-live="polite" aria-label={t('toast.label')}>
+      <ol className="toast-list">
+        {toasts.slice(0, MAX_VISIBLE).map(toast => (
+          <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+        ))}
+      </ol>
+      {waiting > 0 && (
+        <p className="toast-queue">{t('toast.waiting', { count: waiting })}</p>
+      )}
+    </div>
+  );
+};
+
+ToastViewport.propTypes = {
+  toasts: PropTypes.arrayOf(toastShape).isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+export default ToastViewport;
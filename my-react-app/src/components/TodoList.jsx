@@ -1,21 +1,277 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
 import Button from './Button';
+import { useLocale } from '../context/LocaleContext';
+import { todoListStore } from '../services/todoStorage';
 import './TodoList.css';
 
+/**
+ * The baseline useState exercise, grown into a real todo app: inline
+ * editing, priorities, due dates, tags, drag-to-reorder and bulk actions.
+ * Every piece of UI state is its own useState - compare with the useReducer
+ * todo list, where one reducer owns all of it.
+ *
+ * The todos are useState too. An effect saves each change to localStorage
+ * (services/todoStorage.js) so the list survives a refresh, and a
+ * subscription loads the todos other open tabs save.
+ */
+
+// Labels are in the locale catalogs under todoList.priorities
+const PRIORITIES = {
+  high: { icon: '🔴' },
+  medium: { icon: '🟡' },
+  low: { icon: '🟢' },
+};
+
+const emptyDraft = { text: '', priority: 'medium', dueDate: '', tags: '' };
+
+// "YYYY-MM-DD" in local time, the format <input type="date"> uses
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatDueDate = (dueDate, locale) => {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+};
+
+// "Work, urgent ,work" -> ['work', 'urgent']
+const parseTags = (input) =>
+  [...new Set(input.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Move the todo with `fromId` to where the todo with `toId` is
+const reorder = (todos, fromId, toId) => {
+  const from = todos.findIndex(todo => todo.id === fromId);
+  const to = todos.findIndex(todo => todo.id === toId);
+  if (from === -1 || to === -1 || from === to) return todos;
+  const next = [...todos];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+const TodoItem = ({
+  todo,
+  today,
+  selected,
+  dragState,
+  onSelect,
+  onToggle,
+  onDelete,
+  onSave,
+  onTagClick,
+  dragHandlers,
+  onHandleKeyDown,
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(emptyDraft);
+  const { t, locale } = useLocale();
+  const priorityLabel = t(`todoList.priorities.${todo.priority}`);
+
+  const startEditing = () => {
+    setDraft({ text: todo.text, priority: todo.priority, dueDate: todo.dueDate, tags: todo.tags.join(', ') });
+    setEditing(true);
+  };
+
+  const save = () => {
+    if (draft.text.trim() !== '') {
+      onSave({ ...draft, text: draft.text.trim(), tags: parseTags(draft.tags) });
+    }
+    setEditing(false);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') setEditing(false);
+  };
+
+  const isOverdue = !todo.completed && todo.dueDate !== '' && todo.dueDate < today;
+  const isDueToday = !todo.completed && todo.dueDate === today;
+
+  const classes = [
+    'todo-item',
+    `priority-${todo.priority}`,
+    todo.completed && 'completed',
+    isOverdue && 'overdue',
+    dragState,
+  ].filter(Boolean).join(' ');
+
+  if (editing) {
+    return (
+      <li className={`${classes} editing`}>
+        <div className="todo-edit-form">
+          <input
+            type="text"
+            value={draft.text}
+            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+            onKeyDown={handleEditKeyDown}
+            className="todo-input"
+            aria-label={t('todoList.text')}
+            autoFocus
+          />
+          <div className="todo-edit-fields">
+            <select
+              value={draft.priority}
+              onChange={(e) => setDraft({ ...draft, priority: e.target.value })}
+              aria-label={t('todoList.priority')}
+            >
+              {Object.keys(PRIORITIES).map(value => (
+                <option key={value} value={value}>{t(`todoList.priorities.${value}`)}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={draft.dueDate}
+              onChange={(e) => setDraft({ ...draft, dueDate: e.target.value })}
+              aria-label={t('todoList.dueDate')}
+            />
+            <input
+              type="text"
+              value={draft.tags}
+              onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+              onKeyDown={handleEditKeyDown}
+              placeholder={t('todoList.tagsPlaceholder')}
+              aria-label={t('todoList.tags')}
+            />
+          </div>
+          <div className="todo-edit-actions">
+            <Button text={t('todoList.save')} onClick={save} variant="primary" />
+            <Button text={t('todoList.cancel')} onClick={() => setEditing(false)} variant="secondary" />
+          </div>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className={classes} draggable {...dragHandlers}>
+      <button
+        type="button"
+        className="todo-drag-handle"
+        data-drag-handle={todo.id}
+        onKeyDown={onHandleKeyDown}
+        aria-label={t('todoList.reorder', { text: todo.text })}
+        aria-pressed={dragState === 'grabbed'}
+      >
+        ⠿
+      </button>
+      <input
+        type="checkbox"
+        checked={selected}
+        onChange={onSelect}
+        className="todo-select"
+        aria-label={t('todoList.select', { text: todo.text })}
+      />
+      <input
+        type="checkbox"
+        checked={todo.completed}
+        onChange={onToggle}
+        className="todo-checkbox"
+        aria-label={t(todo.completed ? 'todoList.markNotDone' : 'todoList.markDone', { text: todo.text })}
+      />
+      <div className="todo-body">
+        <span className="todo-text" onDoubleClick={startEditing} title={t('todoList.doubleClickToEdit')}>
+          {todo.text}
+        </span>
+        <div className="todo-meta">
+          <span className="todo-priority" title={t('todoList.priorityTitle', { priority: priorityLabel })}>
+            {PRIORITIES[todo.priority].icon} {priorityLabel}
+          </span>
+          {todo.dueDate && (
+            <span className="todo-due">
+              📅 {formatDueDate(todo.dueDate, locale)}
+              {isOverdue && <strong> · {t('todoList.overdue')}</strong>}
+              {isDueToday && <strong> · {t('todoList.today')}</strong>}
+            </span>
+          )}
+          {todo.tags.map(tag => (
+            <button key={tag} type="button" className="todo-tag" onClick={() => onTagClick(tag)}>
+              #{tag}
+            </button>
+          ))}
+        </div>
+      </div>
+      <Button text={t('todoList.edit')} onClick={startEditing} variant="secondary" />
+      <Button text={t('todoList.delete')} onClick={onDelete} variant="danger" />
+    </li>
+  );
+};
+
+TodoItem.propTypes = {
+  todo: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    text: PropTypes.string.isRequired,
+    completed: PropTypes.bool.isRequired,
+    priority: PropTypes.oneOf(Object.keys(PRIORITIES)).isRequired,
+    dueDate: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }).isRequired,
+  today: PropTypes.string.isRequired,
+  selected: PropTypes.bool.isRequired,
+  dragState: PropTypes.oneOf(['dragging', 'drag-over', 'grabbed']),
+  onSelect: PropTypes.func.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onTagClick: PropTypes.func.isRequired,
+  dragHandlers: PropTypes.objectOf(PropTypes.func).isRequired,
+  onHandleKeyDown: PropTypes.func.isRequired,
+};
+
 const TodoList = () => {
-  const [todos, setTodos] = useState([]);
-  const [inputValue, setInputValue] = useState('');
+  const [todos, setTodos] = useState(todoListStore.getSnapshot);
+  const { t } = useLocale();
+
+  const [draft, setDraft] = useState(emptyDraft);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [draggedId, setDraggedId] = useState(null);    // mouse drag
+  const [dragOverId, setDragOverId] = useState(null);
+  const [grabbed, setGrabbed] = useState(null);        // keyboard drag: { id, originalTodos }
+  const [announcement, setAnnouncement] = useState('');
+  // Read once: good enough for overdue highlighting unless the tab stays open past midnight
+  const [today] = useState(() => toDateString(new Date()));
+  const listRef = useRef(null);
+
+  const visibleTodos = tagFilter ? todos.filter(todo => todo.tags.includes(tagFilter)) : todos;
+  const selectedTodos = visibleTodos.filter(todo => selectedIds.has(todo.id));
+  const allSelected = visibleTodos.length > 0 && selectedTodos.length === visibleTodos.length;
+  const remaining = todos.filter(todo => !todo.completed).length;
+  const overdue = todos.filter(todo => !todo.completed && todo.dueDate !== '' && todo.dueDate < today).length;
+
+  // Save every change, and load the todos other tabs save. Our own save
+  // notifies us too, but with the array we already have, so nothing re-renders.
+  useEffect(() => {
+    todoListStore.set(todos);
+  }, [todos]);
+
+  useEffect(() => todoListStore.subscribe(() => setTodos(todoListStore.getSnapshot())), []);
+
+  // Reordering moves the <li>, which can drop focus - put it back on the handle
+  useEffect(() => {
+    if (grabbed) {
+      listRef.current?.querySelector(`[data-drag-handle="${grabbed.id}"]`)?.focus();
+    }
+  }, [grabbed, todos]);
 
   const addTodo = () => {
-    if (inputValue.trim() !== '') {
-      setTodos([...todos, { id: Date.now(), text: inputValue, completed: false }]);
-      setInputValue('');
+    if (draft.text.trim() !== '') {
+      setTodos([...todos, {
+        id: Date.now(),
+        text: draft.text.trim(),
+        completed: false,
+        priority: draft.priority,
+        dueDate: draft.dueDate,
+        tags: parseTags(draft.tags),
+      }]);
+      setDraft(emptyDraft);
     }
   };
 
-  const toggleTodo = (id) => {
+  const updateTodo = (id, changes) => {
     setTodos(todos.map(todo =>
-      todo.id === id ? { ...todo, completed: !todo.completed } : todo
+      todo.id === id ? { ...todo, ...changes } : todo
     ));
   };
 
@@ -23,47 +279,206 @@ const TodoList = () => {
     setTodos(todos.filter(todo => todo.id !== id));
   };
 
-  const handleKeyPress = (e) => {
+  const handleKeyDown = (e) => {
     if (e.key === 'Enter') {
       addTodo();
     }
   };
 
+  // ---- Selection & bulk actions (they apply to the selected todos that are visible) ----
+  const toggleSelected = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelectedIds(next);
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(visibleTodos.map(todo => todo.id)));
+  };
+
+  const updateSelected = (changes) => {
+    const ids = new Set(selectedTodos.map(todo => todo.id));
+    setTodos(todos.map(todo => (ids.has(todo.id) ? { ...todo, ...changes } : todo)));
+  };
+
+  const deleteSelected = () => {
+    const ids = new Set(selectedTodos.map(todo => todo.id));
+    setTodos(todos.filter(todo => !ids.has(todo.id)));
+    setSelectedIds(new Set());
+  };
+
+  const clearCompleted = () => {
+    setTodos(todos.filter(todo => !todo.completed));
+  };
+
+  // ---- Mouse drag and drop (HTML5 drag events) ----
+  const dragHandlersFor = (id) => ({
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(id));
+      setDraggedId(id);
+    },
+    onDragOver: (e) => {
+      e.preventDefault(); // allow dropping here
+      if (dragOverId !== id) setDragOverId(id);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (draggedId !== null) setTodos(reorder(todos, draggedId, id));
+    },
+    onDragEnd: () => {
+      setDraggedId(null);
+      setDragOverId(null);
+    },
+  });
+
+  // ---- Keyboard drag and drop on the ⠿ handle ----
+  const handleHandleKeyDown = (e, todo) => {
+    const position = (id, list) => list.findIndex(item => item.id === id) + 1;
+
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      if (grabbed) {
+        setGrabbed(null);
+        setAnnouncement(t('todoList.dropped', { text: todo.text, position: position(todo.id, visibleTodos), total: visibleTodos.length }));
+      } else {
+        setGrabbed({ id: todo.id, originalTodos: todos });
+        setAnnouncement(t('todoList.pickedUp', { text: todo.text }));
+      }
+    } else if (grabbed && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      const index = visibleTodos.findIndex(item => item.id === todo.id);
+      const neighbour = visibleTodos[index + (e.key === 'ArrowUp' ? -1 : 1)];
+      if (!neighbour) return;
+      setTodos(reorder(todos, todo.id, neighbour.id));
+      setAnnouncement(t('todoList.moved', { position: index + (e.key === 'ArrowUp' ? 0 : 2), total: visibleTodos.length }));
+    } else if (grabbed && e.key === 'Escape') {
+      e.preventDefault();
+      setTodos(grabbed.originalTodos);
+      setGrabbed(null);
+      setAnnouncement(t('todoList.reorderCancelled'));
+    }
+  };
+
+  const dragStateFor = (id) => {
+    if (grabbed?.id === id) return 'grabbed';
+    if (draggedId === id) return 'dragging';
+    if (dragOverId === id && draggedId !== null) return 'drag-over';
+    return undefined;
+  };
+
   return (
     <div className="todo-container">
-      <h2>Todo List (State Demo)</h2>
+      <h2>{t('todoList.title')}</h2>
       <div className="todo-input-section">
         <input
           type="text"
-          value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
-          onKeyPress={handleKeyPress}
-          placeholder="Enter a new todo..."
+          value={draft.text}
+          onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+          onKeyDown={handleKeyDown}
+          placeholder={t('todoList.placeholder')}
           className="todo-input"
+          aria-label={t('todoList.newTodo')}
         />
-        <Button text="Add" onClick={addTodo} variant="primary" />
+        <Button text={t('todoList.add')} onClick={addTodo} variant="primary" />
       </div>
-      <ul className="todo-list">
-        {todos.map((todo) => (
-          <li key={todo.id} className={`todo-item ${todo.completed ? 'completed' : ''}`}>
-            <input
-              type="checkbox"
-              checked={todo.completed}
-              onChange={() => toggleTodo(todo.id)}
-              className="todo-checkbox"
-            />
-            <span className="todo-text">{todo.text}</span>
+      <div className="todo-add-options">
+        <select
+          value={draft.priority}
+          onChange={(e) => setDraft({ ...draft, priority: e.target.value })}
+          aria-label={t('todoList.priority')}
+        >
+          {Object.entries(PRIORITIES).map(([value, { icon }]) => (
+            <option key={value} value={value}>{icon} {t(`todoList.priorities.${value}`)}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={draft.dueDate}
+          onChange={(e) => setDraft({ ...draft, dueDate: e.target.value })}
+          aria-label={t('todoList.dueDate')}
+        />
+        <input
+          type="text"
+          value={draft.tags}
+          onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+          onKeyDown={handleKeyDown}
+          placeholder={t('todoList.tagsPlaceholder')}
+          aria-label={t('todoList.tags')}
+        />
+      </div>
+
+      {todos.length > 0 && (
+        <div className="todo-toolbar">
+          <label className="todo-select-all">
+            <input type="checkbox" checked={allSelected} onChange={toggleSelectAll} />
+            {selectedTodos.length > 0 ? t('todoList.selected', { count: selectedTodos.length }) : t('todoList.selectAll')}
+          </label>
+          {selectedTodos.length > 0 ? (
+            <div className="todo-bulk-actions">
+              <Button text={t('todoList.complete')} onClick={() => updateSelected({ completed: true })} variant="secondary" />
+              <Button text={t('todoList.reopen')} onClick={() => updateSelected({ completed: false })} variant="secondary" />
+              <select
+                value=""
+                onChange={(e) => updateSelected({ priority: e.target.value })}
+                aria-label={t('todoList.setSelectedPriority')}
+              >
+                <option value="" disabled>{t('todoList.setPriority')}</option>
+                {Object.entries(PRIORITIES).map(([value, { icon }]) => (
+                  <option key={value} value={value}>{icon} {t(`todoList.priorities.${value}`)}</option>
+                ))}
+              </select>
+              <Button text={t('todoList.deleteSelected')} onClick={deleteSelected} variant="danger" />
+            </div>
+          ) : (
             <Button
-              text="Delete"
-              onClick={() => deleteTodo(todo.id)}
-              variant="danger"
+              text={t('todoList.clearCompleted')}
+              onClick={clearCompleted}
+              variant="secondary"
+              disabled={remaining === todos.length}
             />
-          </li>
+          )}
+        </div>
+      )}
+
+      {tagFilter && (
+        <p className="todo-tag-filter">
+          {t('todoList.showingTag', { tag: `#${tagFilter}`, count: visibleTodos.length })}
+          <button type="button" onClick={() => setTagFilter(null)}>{t('todoList.showAll')}</button>
+        </p>
+      )}
+
+      <ul className="todo-list" ref={listRef}>
+        {visibleTodos.map((todo) => (
+          <TodoItem
+            key={todo.id}
+            todo={todo}
+            today={today}
+            selected={selectedIds.has(todo.id)}
+            dragState={dragStateFor(todo.id)}
+            onSelect={() => toggleSelected(todo.id)}
+            onToggle={() => updateTodo(todo.id, { completed: !todo.completed })}
+            onDelete={() => deleteTodo(todo.id)}
+            onSave={(changes) => updateTodo(todo.id, changes)}
+            onTagClick={setTagFilter}
+            dragHandlers={dragHandlersFor(todo.id)}
+            onHandleKeyDown={(e) => handleHandleKeyDown(e, todo)}
+          />
         ))}
       </ul>
       {todos.length === 0 && (
-        <p className="empty-message">No todos yet. Add one above!</p>
+        <p className="empty-message">{t('todoList.empty')}</p>
+      )}
+      {todos.length > 0 && (
+        <p className="todo-summary">
+          {t('todoList.summary', { remaining, done: todos.length - remaining })}
+          {overdue > 0 && <span className="todo-overdue-count"> · {t('todoList.overdueCount', { count: overdue })}</span>}
+        </p>
       )}
+      <p className="todo-sync-note">
+        {t('todoList.syncNote')}
+      </p>
+      <p className="todo-announcer" role="status" aria-live="polite">{announcement}</p>
     </div>
   );
 };
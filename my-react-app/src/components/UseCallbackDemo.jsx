@@ -1,5 +1,10 @@
 import { useState, useCallback, useMemo, memo } from 'react';
+import { Link } from 'react-router-dom';
 import Button from './Button';
+import CodePlayground from './CodePlayground';
+import withRenderInspector from './withRenderInspector';
+import { useLocale } from '../context/LocaleContext';
+import { useToast } from '../context/ToastContext';
 import './UseCallbackDemo.css';
 
 /**
@@ -27,31 +32,36 @@ import './UseCallbackDemo.css';
 
 // ==================== PATTERN 1: Child Component WITHOUT React.memo ====================
 // This component re-renders EVERY time parent re-renders (normal behavior)
-const RegularButton = ({ onClick, label, renderCount }) => {
+const RegularButton = withRenderInspector(({ onClick, label, renderCount }) => {
   console.log(`🔴 RegularButton "${label}" rendered`);
+  const { t } = useLocale();
   return (
     <div className="component-box regular">
       <Button text={label} onClick={onClick} variant="secondary" />
-      <p className="render-count">Renders: {renderCount.current++}</p>
+      <p className="render-count">{t('useCallback.renders', { count: renderCount.current++ })}</p>
     </div>
   );
-};
+}, 'RegularButton');
 
 // ==================== PATTERN 2: Child Component WITH React.memo ====================
-// This component only re-renders if props actually change (optimized)
-const MemoizedButton = memo(({ onClick, label, renderCount }) => {
+// This component only re-renders if props actually change (optimized).
+// Named function so the hooks linter knows useLocale is inside a component
+const MemoizedButton = memo(withRenderInspector(function MemoizedButton({ onClick, label, renderCount }) {
   console.log(`🟢 MemoizedButton "${label}" rendered`);
+  const { t } = useLocale();
   return (
     <div className="component-box memoized">
       <Button text={label} onClick={onClick} variant="primary" />
-      <p className="render-count">Renders: {renderCount.current++}</p>
+      <p className="render-count">{t('useCallback.renders', { count: renderCount.current++ })}</p>
     </div>
   );
-});
+}, 'MemoizedButton'));
 
 // ==================== PATTERN 3: Complex Search Component ====================
-const SearchResults = memo(({ onSearch, query }) => {
+// Named function so the hooks linter knows the useMemo below is inside a component
+const SearchResults = memo(withRenderInspector(function SearchResults({ onSearch, query }) {
   console.log(`🔍 SearchResults rendered with query: "${query}"`);
+  const { t } = useLocale();
 
   // Simulate expensive computation
   const results = useMemo(() => {
@@ -62,20 +72,22 @@ const SearchResults = memo(({ onSearch, query }) => {
 
   return (
     <div className="search-results">
-      <h4>Search Results ({results.length} items)</h4>
+      <h4>{t('useCallback.searchResults', { count: results.length })}</h4>
       <ul className="results-list">
         {results.slice(0, 10).map((item, index) => (
           <li key={index}>{item}</li>
         ))}
-        {results.length > 10 && <li className="more-results">...and {results.length - 10} more</li>}
+        {results.length > 10 && <li className="more-results">{t('useCallback.moreResults', { count: results.length - 10 })}</li>}
       </ul>
     </div>
   );
-});
+}, 'SearchResults'));
 
 // ==================== PATTERN 4: Todo Item Component ====================
-const TodoItem = memo(({ todo, onToggle, onDelete }) => {
+// Named function for the hooks linter, like SearchResults
+const TodoItem = memo(withRenderInspector(function TodoItem({ todo, onToggle, onDelete }) {
   console.log(`📝 TodoItem "${todo.text}" rendered`);
+  const { t } = useLocale();
 
   return (
     <li className={`todo-item-callback ${todo.completed ? 'completed' : ''}`}>
@@ -87,16 +99,16 @@ const TodoItem = memo(({ todo, onToggle, onDelete }) => {
       />
       <span className="todo-text">{todo.text}</span>
       <Button
-        text="Delete"
+        text={t('todoList.delete')}
         onClick={() => onDelete(todo.id)}
         variant="danger"
       />
     </li>
   );
-});
+}, 'TodoItem'));
 
 // ==================== PATTERN 5: List Component with Item Actions ====================
-const ItemList = memo(({ items, onItemClick, title }) => {
+const ItemList = memo(withRenderInspector(({ items, onItemClick, title }) => {
   console.log(`📋 ItemList "${title}" rendered with ${items.length} items`);
 
   return (
@@ -111,7 +123,7 @@ const ItemList = memo(({ items, onItemClick, title }) => {
       </ul>
     </div>
   );
-});
+}, 'ItemList'));
 
 const UseCallbackDemo = () => {
   // State for various demos
@@ -133,6 +145,8 @@ const UseCallbackDemo = () => {
     { id: 2, name: 'Item B2' },
     { id: 3, name: 'Item B3' }
   ]);
+  const { notify } = useToast();
+  const { t } = useLocale();
 
   // Render counters (using refs to persist across renders)
   const regularButtonRenders = { current: 0 };
@@ -143,21 +157,21 @@ const UseCallbackDemo = () => {
   // New function reference every time, breaks React.memo optimization
   const handleClickWithoutCallback = () => {
     console.log('Clicked without useCallback!');
-    alert('Without useCallback - new function every render!');
+    notify(t('useCallback.withoutCallback'), { variant: 'danger' });
   };
 
   // ✅ GOOD: Function reference stays the same (memoized)
   // Only creates new function if dependencies change
   const handleClickWithCallback = useCallback(() => {
     console.log('Clicked with useCallback!');
-    alert(`With useCallback - same function reference! Count: ${count}`);
-  }, [count]); // Only recreate when count changes
+    notify(t('useCallback.withCallback', { count }));
+  }, [count, notify, t]); // Only recreate when count changes (notify never changes, t only with the language)
 
   // ✅ Empty dependency array - function never changes
   const handleClickStable = useCallback(() => {
     console.log('Stable function - never changes!');
-    alert('This function reference never changes!');
-  }, []); // No dependencies - function created once
+    notify(t('useCallback.stable'));
+  }, [notify, t]); // notify is stable and t only changes with the language, so this is still created once
 
   // ==================== PATTERN: Search Handler ====================
   // ❌ Without useCallback - SearchResults re-renders unnecessarily
@@ -189,19 +203,19 @@ const UseCallbackDemo = () => {
   // ❌ Without useCallback - new function every render
   const handleItemAClickWithout = (id) => {
     console.log(`List A item ${id} clicked (without callback)`);
-    alert(`List A: Item ${id}`);
+    notify(t('useCallback.itemClicked', { list: 'A', id }), { variant: 'secondary' });
   };
 
   // ✅ With useCallback - stable function reference
   const handleItemAClickWith = useCallback((id) => {
     console.log(`List A item ${id} clicked (with callback)`);
-    alert(`List A: Item ${id}`);
-  }, []);
+    notify(t('useCallback.itemClicked', { list: 'A', id }), { variant: 'secondary' });
+  }, [notify, t]);
 
   const handleItemBClick = useCallback((id) => {
     console.log(`List B item ${id} clicked`);
-    alert(`List B: Item ${id}`);
-  }, []);
+    notify(t('useCallback.itemClicked', { list: 'B', id }), { variant: 'secondary' });
+  }, [notify, t]);
 
   // ==================== PATTERN: Dependent Functions ====================
   // Function that depends on state
@@ -224,7 +238,7 @@ const UseCallbackDemo = () => {
       </div>
 
       {/* Demo 1: Basic Comparison */}
-      <div className="demo-card">
+      <div id="fundamentals" className="demo-card">
         <h3>1️⃣ useCallback Fundamentals</h3>
         <p className="demo-explanation">
           Compare components with and without useCallback. Open console to see render behavior.
@@ -232,18 +246,18 @@ const UseCallbackDemo = () => {
         </p>
 
         <div className="state-controls">
-          <div className="counter-display-small">Count: {count}</div>
+          <div className="counter-display-small">{t('useCallback.count', { count })}</div>
           <Button
-            text="Increment Count"
+            text={t('useCallback.incrementCount')}
             onClick={() => setCount(count + 1)}
             variant="primary"
           />
           <Button
-            text="Update Other State"
+            text={t('useCallback.updateOther')}
             onClick={() => setOtherState(otherState + 1)}
             variant="secondary"
           />
-          <p className="info-text">Other State: {otherState} (triggers parent re-render)</p>
+          <p className="info-text">{t('useCallback.otherState', { value: otherState })}</p>
         </div>
 
         <div className="comparison-grid">
@@ -252,7 +266,7 @@ const UseCallbackDemo = () => {
             <p className="column-description">Always re-renders (normal behavior)</p>
             <RegularButton
               onClick={handleClickWithoutCallback}
-              label="Regular Button"
+              label={t('useCallback.regularButton')}
               renderCount={regularButtonRenders}
             />
           </div>
@@ -262,7 +276,7 @@ const UseCallbackDemo = () => {
             <p className="column-description">Re-renders because function reference changes</p>
             <MemoizedButton
               onClick={handleClickWithoutCallback}
-              label="Memo Without Callback"
+              label={t('useCallback.memoWithout')}
               renderCount={memoizedWithoutCallbackRenders}
             />
           </div>
@@ -272,37 +286,49 @@ const UseCallbackDemo = () => {
             <p className="column-description">Doesn't re-render (optimized!)</p>
             <MemoizedButton
               onClick={handleClickStable}
-              label="Memo With Callback"
+              label={t('useCallback.memoWith')}
               renderCount={memoizedWithCallbackRenders}
             />
           </div>
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// ❌ Without useCallback - new function every render
-const handleClick = () => {
-  console.log('Clicked!');
-};
+        <CodePlayground
+          title="useCallback with React.memo"
+          code={`import { useState, useCallback, memo } from 'react';
+
+// Using with React.memo
+const MemoButton = memo(({ onClick, label }) => {
+  console.log(\`\${label} rendered\`);
+  return <button onClick={onClick}>{label}</button>;
+});
 
-// ✅ With useCallback - memoized function
-const handleClick = useCallback(() => {
-  console.log('Clicked!');
-}, []); // Empty deps = function never changes
+export default function App() {
+  const [count, setCount] = useState(0);
 
-// With dependencies
-const handleClick = useCallback(() => {
-  console.log('Count:', count);
-}, [count]); // Recreate only when count changes
+  // ❌ Without useCallback - new function every render
+  const handleClickUnstable = () => {
+    console.log('Clicked!');
+  };
 
-// Using with React.memo
-const MemoButton = memo(({ onClick }) => {
-  return <button onClick={onClick}>Click</button>;
-});`}</pre>
-        </div>
+  // ✅ With useCallback - memoized function
+  const handleClickStable = useCallback(() => {
+    console.log('Clicked!');
+  }, []); // Empty deps = function never changes
+
+  return (
+    <div>
+      <p>Count: {count}</p>
+      <button onClick={() => setCount(count + 1)}>Re-render parent</button>
+      <MemoButton onClick={handleClickUnstable} label="Without useCallback" />
+      <MemoButton onClick={handleClickStable} label="With useCallback" />
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 2: Search with useCallback */}
-      <div className="demo-card">
+      <div id="search" className="demo-card">
         <h3>2️⃣ useCallback with Complex Components</h3>
         <p className="demo-explanation">
           Search component only re-renders when query changes, not when parent re-renders.
@@ -313,12 +339,12 @@ const MemoButton = memo(({ onClick }) => {
             type="text"
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
-            placeholder="Search items..."
+            placeholder={t('useCallback.searchPlaceholder')}
             className="search-input"
           />
 
           <Button
-            text="Trigger Parent Re-render"
+            text={t('useCallback.triggerRerender')}
             onClick={() => setOtherState(otherState + 1)}
             variant="secondary"
           />
@@ -329,30 +355,49 @@ const MemoButton = memo(({ onClick }) => {
           />
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// ✅ Memoized search handler
-const handleSearch = useCallback((query) => {
-  // Expensive search operation
-  fetchSearchResults(query);
-}, []); // No dependencies - stable function
+        <CodePlayground
+          title="Memoized search results"
+          code={`import { useState, useCallback, useMemo, memo } from 'react';
 
 // Memoized child component
 const SearchResults = memo(({ onSearch, query }) => {
   // Expensive computation
   const results = useMemo(() => {
-    return performSearch(query);
+    console.log('Computing results for', query);
+    return Array.from({ length: 100 }, (_, i) => \`Item \${i + 1}\`)
+      .filter(item => item.toLowerCase().includes(query.toLowerCase()));
   }, [query]);
 
-  return <div>{results}</div>;
+  return (
+    <div>
+      <button onClick={() => onSearch(query)}>Log search</button>
+      <p>{results.length} results</p>
+    </div>
+  );
 });
 
-// Usage
-<SearchResults onSearch={handleSearch} query={searchQuery} />`}</pre>
-        </div>
+export default function App() {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [other, setOther] = useState(0);
+
+  // ✅ Memoized search handler
+  const handleSearch = useCallback((query) => {
+    console.log('Searching for', query);
+  }, []); // No dependencies - stable function
+
+  return (
+    <div>
+      <input value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} />
+      <button onClick={() => setOther(other + 1)}>Re-render parent ({other})</button>
+      <SearchResults onSearch={handleSearch} query={searchQuery} />
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 3: Todo List with useCallback */}
-      <div className="demo-card">
+      <div id="todo-list" className="demo-card">
         <h3>3️⃣ List Items with Callbacks</h3>
         <p className="demo-explanation">
           Each todo item is memoized and only re-renders when its own data changes.
@@ -372,28 +417,19 @@ const SearchResults = memo(({ onSearch, query }) => {
           </ul>
 
           <Button
-            text="Trigger Parent Re-render"
+            text={t('useCallback.triggerRerender')}
             onClick={() => setOtherState(otherState + 1)}
             variant="secondary"
           />
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// ✅ Memoized handlers using functional updates
-const handleToggle = useCallback((id) => {
-  setTodos(prevTodos =>
-    prevTodos.map(todo =>
-      todo.id === id ? { ...todo, completed: !todo.completed } : todo
-    )
-  );
-}, []); // No dependencies - uses functional update
-
-const handleDelete = useCallback((id) => {
-  setTodos(prevTodos => prevTodos.filter(todo => todo.id !== id));
-}, []);
+        <CodePlayground
+          title="Memoized list items"
+          code={`import { useState, useCallback, memo } from 'react';
 
 // Memoized TodoItem component
 const TodoItem = memo(({ todo, onToggle, onDelete }) => {
+  console.log(\`TodoItem "\${todo.text}" rendered\`);
   return (
     <li>
       <input
@@ -401,15 +437,44 @@ const TodoItem = memo(({ todo, onToggle, onDelete }) => {
         checked={todo.completed}
         onChange={() => onToggle(todo.id)}
       />
+      {todo.text}
       <button onClick={() => onDelete(todo.id)}>Delete</button>
     </li>
   );
-});`}</pre>
-        </div>
+});
+
+export default function Todos() {
+  const [todos, setTodos] = useState([
+    { id: 1, text: 'Learn useCallback', completed: false },
+    { id: 2, text: 'Optimize performance', completed: false },
+  ]);
+
+  // ✅ Memoized handlers using functional updates
+  const handleToggle = useCallback((id) => {
+    setTodos(prevTodos =>
+      prevTodos.map(todo =>
+        todo.id === id ? { ...todo, completed: !todo.completed } : todo
+      )
+    );
+  }, []); // No dependencies - uses functional update
+
+  const handleDelete = useCallback((id) => {
+    setTodos(prevTodos => prevTodos.filter(todo => todo.id !== id));
+  }, []);
+
+  return (
+    <ul>
+      {todos.map(todo => (
+        <TodoItem key={todo.id} todo={todo} onToggle={handleToggle} onDelete={handleDelete} />
+      ))}
+    </ul>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 4: Multiple Lists */}
-      <div className="demo-card">
+      <div id="multiple-lists" className="demo-card">
         <h3>4️⃣ Multiple Lists with Independent Callbacks</h3>
         <p className="demo-explanation">
           Each list has its own memoized callback. Lists only re-render when their specific callback changes.
@@ -430,86 +495,118 @@ const TodoItem = memo(({ todo, onToggle, onDelete }) => {
         </div>
 
         <Button
-          text="Trigger Parent Re-render"
+          text={t('useCallback.triggerRerender')}
           onClick={() => setOtherState(otherState + 1)}
           variant="secondary"
         />
 
-        <div className="code-snippet">
-          <pre>{`// Multiple memoized callbacks
-const handleListAClick = useCallback((id) => {
-  console.log('List A item clicked:', id);
-}, []);
-
-const handleListBClick = useCallback((id) => {
-  console.log('List B item clicked:', id);
-}, []);
+        <CodePlayground
+          title="Independent list callbacks"
+          code={`import { useState, useCallback, memo } from 'react';
 
 // Memoized list component
 const ItemList = memo(({ items, onItemClick, title }) => {
+  console.log(\`\${title} rendered\`);
   return (
     <div>
       <h4>{title}</h4>
-      {items.map(item => (
-        <li key={item.id} onClick={() => onItemClick(item.id)}>
-          {item.name}
-        </li>
-      ))}
+      <ul>
+        {items.map(item => (
+          <li key={item.id} onClick={() => onItemClick(item.id)}>
+            {item.name}
+          </li>
+        ))}
+      </ul>
     </div>
   );
-});`}</pre>
-        </div>
+});
+
+const listA = [{ id: 1, name: 'Item A1' }, { id: 2, name: 'Item A2' }];
+const listB = [{ id: 1, name: 'Item B1' }, { id: 2, name: 'Item B2' }];
+
+export default function Lists() {
+  const [clicked, setClicked] = useState('nothing yet');
+
+  // Multiple memoized callbacks
+  const handleListAClick = useCallback((id) => setClicked(\`List A item \${id}\`), []);
+  const handleListBClick = useCallback((id) => setClicked(\`List B item \${id}\`), []);
+
+  return (
+    <div>
+      <p>Clicked: {clicked}</p>
+      <ItemList items={listA} onItemClick={handleListAClick} title="List A" />
+      <ItemList items={listB} onItemClick={handleListBClick} title="List B" />
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 5: Dependent Callbacks */}
-      <div className="demo-card">
+      <div id="dependencies" className="demo-card">
         <h3>5️⃣ Callbacks with Dependencies</h3>
         <p className="demo-explanation">
           Demonstrates how to handle callbacks that depend on state or other callbacks.
         </p>
 
         <div className="dependent-demo">
-          <div className="counter-display-small">Count: {count}</div>
+          <div className="counter-display-small">{t('useCallback.count', { count })}</div>
 
           <div className="button-group">
             <Button
-              text="Increment by 1"
+              text={t('useCallback.incrementBy', { amount: 1 })}
               onClick={() => handleIncrementBy(1)}
               variant="primary"
             />
             <Button
-              text="Increment by 2"
+              text={t('useCallback.incrementBy', { amount: 2 })}
               onClick={handleDoubleIncrement}
               variant="primary"
             />
             <Button
-              text="Increment by 5"
+              text={t('useCallback.incrementBy', { amount: 5 })}
               onClick={() => handleIncrementBy(5)}
               variant="primary"
             />
           </div>
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// Base callback with functional update (no dependencies)
-const handleIncrementBy = useCallback((amount) => {
-  setCount(prevCount => prevCount + amount);
-}, []); // No dependencies needed!
-
-// Callback that depends on another callback
-const handleDoubleIncrement = useCallback(() => {
-  handleIncrementBy(2);
-}, [handleIncrementBy]); // Depends on memoized function
-
-// ⚠️ If callback depends on state, include in dependencies
-const handleAlert = useCallback(() => {
-  alert(\`Current count: \${count}\`);
-}, [count]); // Recreate when count changes`}</pre>
-        </div>
+        <CodePlayground
+          title="Callbacks with dependencies"
+          code={`import { useState, useCallback } from 'react';
+
+export default function Counter() {
+  const [count, setCount] = useState(0);
+
+  // Base callback with functional update (no dependencies)
+  const handleIncrementBy = useCallback((amount) => {
+    setCount(prevCount => prevCount + amount);
+  }, []); // No dependencies needed!
+
+  // Callback that depends on another callback
+  const handleDoubleIncrement = useCallback(() => {
+    handleIncrementBy(2);
+  }, [handleIncrementBy]); // Depends on memoized function
+
+  // ⚠️ If callback depends on state, include in dependencies
+  const handleLog = useCallback(() => {
+    console.log(\`Current count: \${count}\`);
+  }, [count]); // Recreate when count changes
+
+  return (
+    <div>
+      <h2>{count}</h2>
+      <button onClick={() => handleIncrementBy(1)}>+1</button>
+      <button onClick={handleDoubleIncrement}>+2</button>
+      <button onClick={handleLog}>Log count</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Key Takeaways */}
-      <div className="demo-card key-takeaways">
+      <div id="interview-points" className="demo-card key-takeaways">
         <h3>🎯 Key Interview Points</h3>
         <ul>
           <li><strong>What is useCallback?</strong> Returns memoized callback that only changes if dependencies change</li>
@@ -523,6 +620,9 @@ const handleAlert = useCallback(() => {
           <li><strong>Performance:</strong> Premature optimization is bad. Only use when profiling shows actual performance issues</li>
           <li><strong>Common mistake:</strong> Using useCallback everywhere (adds overhead). Only use for expensive renders or strict referential equality</li>
         </ul>
+        <Link to="/quiz?hook=useCallback" className="quiz-link">
+          🧠 Quiz yourself on useCallback →
+        </Link>
 
         <div className="code-snippet">
           <pre>{`// ⚠️ Common Interview Questions
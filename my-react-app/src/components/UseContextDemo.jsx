@@ -1,5 +1,15 @@
 import {useState, useContext, createContext} from 'react';
+import {Link} from 'react-router-dom';
 import Button from './Button';
+import CodePlayground from './CodePlayground';
+import RenderInspector from './RenderInspector';
+import {useAuth} from '../context/AuthContext';
+import {useLocale} from '../context/LocaleContext';
+import {THEME_MODES, useTheme} from '../context/ThemeContext';
+import {useToast} from '../context/ToastContext';
+import {useStore} from '../hooks/useStore';
+import {autosave} from '../services/autosave';
+import {LANGUAGES} from '../services/i18n';
 import './UseContextDemo.css';
 
 /**
@@ -23,12 +33,16 @@ import './UseContextDemo.css';
  */
 
 // STEP 1: Create Contexts
-// Theme Context - for managing app theme
+// Theme Context - a self-contained copy for this page, so the steps are all
+// in one file. The app's real theme lives in context/ThemeContext.js.
 const ThemeContext = createContext();
 
-// User Context - for managing user data
+// User Context - whoever is signed in. The value comes from the app's
+// AuthContext (sign in on the Auth Context page), or a guest.
 const UserContext = createContext();
 
+const GUEST_USER = {name: 'Guest', email: '-', role: 'Visitor'};
+
 // Settings Context - for app-wide settings
 const SettingsContext = createContext();
 
@@ -39,12 +53,13 @@ const SettingsContext = createContext();
 const ThemedButton = () => {
     // STEP 3: Consume context with useContext
     const {theme, toggleTheme} = useContext(ThemeContext);
+    const {t} = useLocale();
 
     return (
         <div className={`themed-section ${theme}`}>
-            <h4>Current Theme: {theme}</h4>
+            <h4>{t('useContext.currentTheme', {theme})}</h4>
             <Button
-                text={`Switch to ${theme === 'light' ? 'Dark' : 'Light'} Mode`}
+                text={theme === 'light' ? t('useContext.switchToDark') : t('useContext.switchToLight')}
                 onClick={toggleTheme}
                 variant="primary"
             />
@@ -80,7 +95,9 @@ const MiddleComponent = () => {
     return (
         <div className="middle-component">
             <h4>Middle Component (doesn't use context)</h4>
-            <DeepNestedComponent/>
+            <RenderInspector name="DeepNestedComponent" contexts={{ThemeContext, UserContext}}>
+                <DeepNestedComponent/>
+            </RenderInspector>
         </div>
     );
 };
@@ -90,24 +107,28 @@ const MiddleComponent = () => {
  * Component consuming multiple contexts at once
  */
 const UserProfile = () => {
-    const {user, updateUser} = useContext(UserContext);
+    const {user, signedIn, logout} = useContext(UserContext);
     const {theme} = useContext(ThemeContext);
     const {settings, updateSettings} = useContext(SettingsContext);
+    const {t} = useLocale();
+
+    // Cycle through the languages: en -> es -> fr -> en
+    const nextLanguage = LANGUAGES[(LANGUAGES.findIndex(option => option.id === settings.language) + 1) % LANGUAGES.length];
 
     return (
         <div className={`user-profile ${theme}`}>
-            <h4>User Profile</h4>
+            <h4>{t('profile.title')}</h4>
             <div className="profile-info">
-                <p><strong>Name:</strong> {user.name}</p>
-                <p><strong>Email:</strong> {user.email}</p>
-                <p><strong>Role:</strong> {user.role}</p>
-                <p><strong>Notifications:</strong> {settings.notifications ? 'ON' : 'OFF'}</p>
-                <p><strong>Language:</strong> {settings.language}</p>
+                <p><strong>{t('profile.name')}:</strong> {user.name}</p>
+                <p><strong>{t('profile.email')}:</strong> {user.email}</p>
+                <p><strong>{t('profile.role')}:</strong> {user.role}</p>
+                <p><strong>{t('profile.notifications')}:</strong> {t(settings.notifications ? 'common.on' : 'common.off')}</p>
+                <p><strong>{t('profile.language')}:</strong> {settings.language}</p>
             </div>
 
             <div className="profile-actions">
                 <Button
-                    text="Toggle Notifications"
+                    text={t('profile.toggleNotifications')}
                     onClick={() => updateSettings({
                         ...settings,
                         notifications: !settings.notifications
@@ -115,14 +136,22 @@ const UserProfile = () => {
                     variant="secondary"
                 />
                 <Button
-                    text="Change Language"
+                    text={t('profile.changeLanguage')}
                     onClick={() => updateSettings({
                         ...settings,
-                        language: settings.language === 'en' ? 'es' : 'en'
+                        language: nextLanguage.id
                     })}
                     variant="secondary"
                 />
+                {signedIn && (
+                    <Button text={t('profile.logOut')} onClick={logout} variant="danger"/>
+                )}
             </div>
+            {!signedIn && (
+                <Link to="/hooks/auth-context#login" className="profile-sign-in">
+                    {t('profile.signIn')}
+                </Link>
+            )}
         </div>
     );
 };
@@ -134,6 +163,8 @@ const UserProfile = () => {
 const SettingsPanel = () => {
     const {settings, updateSettings} = useContext(SettingsContext);
     const {theme} = useContext(ThemeContext);
+    const {notify} = useToast();
+    const {t} = useLocale();
 
     const toggleAutoSave = () => {
         updateSettings({...settings, autoSave: !settings.autoSave});
@@ -141,7 +172,7 @@ const SettingsPanel = () => {
 
     return (
         <div className={`settings-panel ${theme}`}>
-            <h4>Settings Panel</h4>
+            <h4>{t('settings.title')}</h4>
             <div className="settings-list">
                 <label className="setting-item">
                     <input
@@ -149,8 +180,14 @@ const SettingsPanel = () => {
                         checked={settings.notifications}
                         onChange={(e) => updateSettings({...settings, notifications: e.target.checked})}
                     />
-                    Enable Notifications
+                    {t('settings.notifications')}
+                    <small>{t('settings.notificationsHint')}</small>
                 </label>
+                <Button
+                    text={t('settings.sendTest')}
+                    onClick={() => notify(t('settings.testMessage', {language: settings.language}), {variant: 'secondary'})}
+                    variant="secondary"
+                />
 
                 <label className="setting-item">
                     <input
@@ -158,18 +195,19 @@ const SettingsPanel = () => {
                         checked={settings.autoSave}
                         onChange={toggleAutoSave}
                     />
-                    Auto-save
+                    {t('settings.autoSave')}
+                    <small>{t('settings.autoSaveHint')}</small>
                 </label>
 
                 <label className="setting-item">
-                    <span>Language:</span>
+                    <span>{t('settings.language')}</span>
                     <select
                         value={settings.language}
                         onChange={(e) => updateSettings({...settings, language: e.target.value})}
                     >
-                        <option value="en">English</option>
-                        <option value="es">Spanish</option>
-                        <option value="fr">French</option>
+                        {LANGUAGES.map(option => (
+                            <option key={option.id} value={option.id} lang={option.locale}>{option.label}</option>
+                        ))}
                     </select>
                 </label>
             </div>
@@ -177,23 +215,69 @@ const SettingsPanel = () => {
     );
 };
 
+/**
+ * The same pattern at app scale: ThemeProvider wraps the whole app, so
+ * this component (or any other) can read and change the real theme.
+ */
+const AppThemePanel = () => {
+    const {mode, theme, setMode} = useTheme();
+    const {t} = useLocale();
+
+    return (
+        <div className="app-theme-panel">
+            <h4>{t(mode === 'system' ? 'useContext.appThemeSystem' : 'useContext.appTheme', {theme})}</h4>
+            <div className="button-group">
+                {THEME_MODES.map(option => (
+                    <Button
+                        key={option.id}
+                        text={t(`theme.modes.${option.id}`, {defaultValue: option.label})}
+                        onClick={() => setMode(option.id)}
+                        variant={mode === option.id ? 'primary' : 'secondary'}
+                    />
+                ))}
+            </div>
+            <p className="explanation">
+                <code>useTheme()</code> reads the app-wide ThemeContext - the same one the header&apos;s
+                picker uses. The choice is saved, so it survives a refresh.
+            </p>
+        </div>
+    );
+};
+
 /**
  * Main Demo Component
  * STEP 2: Provides context values to all children
  */
 const UseContextDemo = () => {
-    // State that will be shared through contexts
-    const [theme, setTheme] = useState('light');
-    const [user, setUser] = useState({
-        name: 'Avinash',
-        email: 'avinash@example.com',
-        role: 'Frontend Developer'
-    });
-    const [settings, setSettings] = useState({
-        notifications: true,
-        language: 'en',
-        autoSave: true
-    });
+    // State that will be shared through contexts. The demo theme starts out
+    // matching the app's (high contrast counts as dark here)
+    const {theme: appTheme} = useTheme();
+    const [theme, setTheme] = useState(() => appTheme === 'light' ? 'light' : 'dark');
+    // The signed-in account, shaped the way this page's components read it
+    const {user: account, logout} = useAuth();
+    const user = account
+        ? {name: account.name, email: account.email, role: account.title}
+        : GUEST_USER;
+    // Every setting is app-wide: `notifications` lives in the ToastContext,
+    // `language` in the LocaleContext and `autoSave` in the autosave service,
+    // so these switches really change the whole app.
+    const {enabled: notifications, setEnabled: setNotifications, notify} = useToast();
+    const {language, setLanguage, t} = useLocale();
+    const autoSave = useStore(autosave, state => state.enabled);
+    const settings = {notifications, language, autoSave};
+
+    const setSettings = (next) => {
+        if (next.notifications !== notifications) {
+            setNotifications(next.notifications);
+            if (next.notifications) notify(t('settings.notificationsOn'));
+        }
+        if (next.language !== language) {
+            setLanguage(next.language);
+        }
+        if (next.autoSave !== autoSave) {
+            autosave.setEnabled(next.autoSave);
+        }
+    };
 
     const toggleTheme = () => {
         setTheme(prev => prev === 'light' ? 'dark' : 'light');
@@ -211,67 +295,111 @@ const UseContextDemo = () => {
             {/* STEP 2: Wrap components with Providers */}
             {/* Multiple providers can be nested */}
             <ThemeContext.Provider value={{theme, toggleTheme}}>
-                <UserContext.Provider value={{user, updateUser: setUser}}>
+                <UserContext.Provider value={{user, signedIn: account !== null, logout}}>
                     <SettingsContext.Provider value={{settings, updateSettings: setSettings}}>
 
                         {/* Demo 1: Basic Theme Context */}
-                        <div className="demo-card">
+                        <div id="basic-context" className="demo-card">
                             <h3>1️⃣ Basic Context Usage</h3>
                             <p className="demo-explanation">
-                                Theme context shared across components without prop drilling.
+                                Theme context shared across components without prop drilling. This toggle
+                                only themes this page&apos;s demo context; the panel below it uses the
+                                app-wide one.
                             </p>
-                            <ThemedButton/>
-                            <div className="code-snippet">
-                            <pre>{`// 1. Create Context
-                                const ThemeContext = createContext();
-                                
-                                // 2. Provide Value
-                                <ThemeContext.Provider value={{ theme, toggleTheme }}>
-                                  <ThemedButton />
-                                </ThemeContext.Provider>
-                                
-                                // 3. Consume Context
-                                const ThemedButton = () => {
-                                  const { theme, toggleTheme } = useContext(ThemeContext);
-                                  return <button onClick={toggleTheme}>{theme}</button>;
-                                };`}
-                                </pre>
-                            </div>
+                            <RenderInspector name="ThemedButton" contexts={{ThemeContext}}>
+                                <ThemedButton/>
+                            </RenderInspector>
+                            <AppThemePanel/>
+                            <CodePlayground
+                                title="Basic context usage"
+                                code={`import { useState, useContext, createContext } from 'react';
+
+// 1. Create Context
+const ThemeContext = createContext();
+
+// 3. Consume Context
+const ThemedButton = () => {
+  const { theme, toggleTheme } = useContext(ThemeContext);
+  return <button onClick={toggleTheme}>Current theme: {theme}</button>;
+};
+
+export default function App() {
+  const [theme, setTheme] = useState('light');
+  const toggleTheme = () => setTheme(t => (t === 'light' ? 'dark' : 'light'));
+
+  // 2. Provide Value
+  return (
+    <ThemeContext.Provider value={{ theme, toggleTheme }}>
+      <ThemedButton />
+    </ThemeContext.Provider>
+  );
+}`}
+                            />
                         </div>
 
                         {/* Demo 2: Deeply Nested Components */}
-                        <div className="demo-card">
+                        <div id="no-prop-drilling" className="demo-card">
                             <h3>2️⃣ No Prop Drilling</h3>
                             <p className="demo-explanation">
-                                Components at any depth can access context directly.
+                                Components at any depth can access context directly. The user here is
+                                whoever is signed in on the{' '}
+                                <Link to="/hooks/auth-context#login">Auth Context</Link> page - sign in as
+                                the developer or the admin and this greeting changes without a single prop.
                             </p>
-                            <MiddleComponent/>
-                            <div className="code-snippet">
-                <pre>{`// Middle component doesn't need to pass props
+                            <RenderInspector name="MiddleComponent">
+                                <MiddleComponent/>
+                            </RenderInspector>
+                            <CodePlayground
+                                title="No prop drilling"
+                                code={`import { useContext, createContext } from 'react';
+
+const ThemeContext = createContext('light');
+const UserContext = createContext({ name: 'Guest' });
+
+// Deep component accesses context directly
+const DeepNestedComponent = () => {
+  const theme = useContext(ThemeContext);
+  const user = useContext(UserContext);
+  return <p>{user.name} - {theme}</p>;
+};
+
+// Middle component doesn't need to pass props
 const MiddleComponent = () => {
   return <DeepNestedComponent />; // No props needed!
 };
 
-// Deep component accesses context directly
-const DeepNestedComponent = () => {
-  const { theme } = useContext(ThemeContext);
-  const { user } = useContext(UserContext);
-  return <div>{user.name} - {theme}</div>;
-};`}</pre>
-                            </div>
+export default function App() {
+  return (
+    <ThemeContext.Provider value="dark">
+      <UserContext.Provider value={{ name: 'Avinash' }}>
+        <MiddleComponent />
+      </UserContext.Provider>
+    </ThemeContext.Provider>
+  );
+}`}
+                            />
                         </div>
 
                         {/* Demo 3: Multiple Contexts */}
-                        <div className="demo-card">
+                        <div id="multiple-contexts" className="demo-card">
                             <h3>3️⃣ Multiple Context Consumption</h3>
                             <p className="demo-explanation">
                                 A component can consume multiple contexts simultaneously.
                             </p>
-                            <UserProfile/>
-                            <div className="code-snippet">
-                <pre>{`// Consuming multiple contexts in one component
+                            <RenderInspector name="UserProfile" contexts={{UserContext, ThemeContext, SettingsContext}}>
+                                <UserProfile/>
+                            </RenderInspector>
+                            <CodePlayground
+                                title="Multiple contexts"
+                                code={`import { useContext, createContext } from 'react';
+
+const UserContext = createContext();
+const ThemeContext = createContext();
+const SettingsContext = createContext();
+
+// Consuming multiple contexts in one component
 const UserProfile = () => {
-  const { user, updateUser } = useContext(UserContext);
+  const { user } = useContext(UserContext);
   const { theme } = useContext(ThemeContext);
   const { settings } = useContext(SettingsContext);
 
@@ -280,35 +408,90 @@ const UserProfile = () => {
       <p>{user.name} - {theme} - {settings.language}</p>
     </div>
   );
-};`}</pre>
-                            </div>
+};
+
+export default function App() {
+  return (
+    <UserContext.Provider value={{ user: { name: 'Avinash' } }}>
+      <ThemeContext.Provider value={{ theme: 'light' }}>
+        <SettingsContext.Provider value={{ settings: { language: 'en' } }}>
+          <UserProfile />
+        </SettingsContext.Provider>
+      </ThemeContext.Provider>
+    </UserContext.Provider>
+  );
+}`}
+                            />
                         </div>
 
                         {/* Demo 4: Complex State Management */}
-                        <div className="demo-card">
+                        <div id="complex-state" className="demo-card">
                             <h3>4️⃣ Managing Complex State</h3>
                             <p className="demo-explanation">
                                 Context can manage and update complex nested state objects.
+                                &quot;Enable Notifications&quot; is wired to the app-wide ToastContext: turn it off
+                                and every toast in the app (Props page buttons, form submits, useCallback
+                                handlers) goes quiet. &quot;Language&quot; is the app-wide LocaleContext: pick
+                                Español or Français and the header, sidebar, progress dashboard and
+                                every price (cart, product lists) switch language and number format.
+                                &quot;Auto-save&quot; pauses the autosave service - edit a todo and watch the
+                                header switch to &quot;Unsaved changes&quot;.
                             </p>
-                            <SettingsPanel/>
-                            <div className="code-snippet">
-                <pre>{`const [settings, setSettings] = useState({
-  notifications: true,
-  language: 'en',
-  autoSave: true
-});
-
-<SettingsContext.Provider value={{
-  settings,
-  updateSettings: setSettings
-}}>
-  <SettingsPanel />
-</SettingsContext.Provider>`}</pre>
-                            </div>
+                            <RenderInspector name="SettingsPanel" contexts={{SettingsContext, ThemeContext}}>
+                                <SettingsPanel/>
+                            </RenderInspector>
+                            <CodePlayground
+                                title="Complex state in context"
+                                code={`import { useState, useContext, createContext } from 'react';
+
+const SettingsContext = createContext();
+
+const SettingsPanel = () => {
+  const { settings, updateSettings } = useContext(SettingsContext);
+
+  return (
+    <div>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.notifications}
+          onChange={(e) => updateSettings({ ...settings, notifications: e.target.checked })}
+        />
+        Notifications
+      </label>
+      <select
+        value={settings.language}
+        onChange={(e) => updateSettings({ ...settings, language: e.target.value })}
+      >
+        <option value="en">English</option>
+        <option value="es">Spanish</option>
+      </select>
+      <pre>{JSON.stringify(settings, null, 2)}</pre>
+    </div>
+  );
+};
+
+export default function App() {
+  const [settings, setSettings] = useState({
+    notifications: true,
+    language: 'en',
+    autoSave: true
+  });
+
+  return (
+    <SettingsContext.Provider value={{
+      settings,
+      updateSettings: setSettings
+    }}>
+      <SettingsPanel />
+    </SettingsContext.Provider>
+  );
+}`}
+                            />
                         </div>
 
                         {/* Key Takeaways */}
-                        <div className="demo-card key-takeaways">
+                        <div id="interview-points" className="demo-card key-takeaways">
                             <h3>🎯 Key Interview Points</h3>
                             <ul>
                                 <li><strong>What problem does it solve?</strong> Eliminates prop drilling - passing
@@ -333,6 +516,9 @@ const UserProfile = () => {
                                     component has no Provider above it
                                 </li>
                             </ul>
+                            <Link to="/quiz?hook=useContext" className="quiz-link">
+                                🧠 Quiz yourself on useContext →
+                            </Link>
 
                             <div className="code-snippet">
                 <pre>{`// Common Interview Question: Context vs Props
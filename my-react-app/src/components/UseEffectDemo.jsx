@@ -1,5 +1,16 @@
 import {useState, useEffect} from 'react';
 import Button from './Button';
+import CodePlayground from './CodePlayground';
+import MockApiControls from './MockApiControls';
+import RaceConditionDemo from './RaceConditionDemo';
+import {useLocale} from '../context/LocaleContext';
+import {useDebounce} from '../hooks/useDebounce';
+import {useFetch} from '../hooks/useFetch';
+import {useInterval} from '../hooks/useInterval';
+import {useLocalStorage} from '../hooks/useLocalStorage';
+import {useToggle} from '../hooks/useToggle';
+import {useWindowSize} from '../hooks/useWindowSize';
+import {getUser, searchProducts} from '../services/mockApi';
 import './UseEffectDemo.css';
 
 /**
@@ -17,14 +28,16 @@ import './UseEffectDemo.css';
  * 4. Return cleanup function -> runs before next effect or unmount
  */
 const UseEffectDemo = () => {
-    const [count, setCount] = useState(0);
+    // Earlier versions saved the count as a bare number under 'savedCount'
+    const [count, setCount] = useLocalStorage('learningHub.savedCount', 0, { legacyKey: 'savedCount' });
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(false);
     const [seconds, setSeconds] = useState(0);
-    const [isTimerRunning, setIsTimerRunning] = useState(false);
-    const [windowWidth, setWindowWidth] = useState(window.innerWidth);
+    const [isTimerRunning, toggleTimer, setIsTimerRunning] = useToggle(false);
+    const {width: windowWidth} = useWindowSize();
+    const {t, formatCurrency} = useLocale();
     const [searchTerm, setSearchTerm] = useState('');
-    const [debouncedTerm, setDebouncedTerm] = useState('');
+    const [fetchError, setFetchError] = useState(null);
     // PATTERN 1: Effect runs on EVERY render
     // ⚠️ Use sparingly - can cause performance issues
     useEffect(() => {
@@ -47,24 +60,23 @@ const UseEffectDemo = () => {
     }, []); // Empty array = run once
 
     // PATTERN 3: Effect with specific dependencies
-    // Runs when 'count' changes
+    // Runs when 'count' changes. Saving it to localStorage is useLocalStorage's job.
     useEffect(() => {
         console.log(`📊 Count changed to: ${count}`);
-
-        // Example: Save to localStorage when count changes
-        localStorage.setItem('savedCount', count.toString());
     }, [count]); // Only re-run when count changes
 
     // PATTERN 4: Data fetching with async/await
-    // Demonstrates loading states and error handling
+    // Demonstrates loading states and error handling. Talks to the in-app
+    // mock API, so latency and failures can be dialled in from the page.
     const fetchUser = async () => {
         setLoading(true);
+        setFetchError(null);
         try {
-            const response = await fetch('https://jsonplaceholder.typicode.com/users/1');
-            const data = await response.json();
+            const data = await getUser(1);
             setUser(data);
         } catch (error) {
             console.error('Error fetching user:', error);
+            setFetchError(error.message);
         } finally {
             setLoading(false);
         }
@@ -76,67 +88,29 @@ const UseEffectDemo = () => {
             console.log('clear')
         }
     }, []);
-    // PATTERN 5: Timer/Interval with cleanup
-    // This pattern prevents memory leaks by clearing interval on unmount or when timer stops
-    useEffect(() => {
-        let interval;
 
-        if (isTimerRunning) {
-            interval = setInterval(() => {
-                setSeconds(prev => prev + 1);
-            }, 1000);
-        }
+    // PATTERNS 5-8 are the effects shown in the playgrounds below, packaged
+    // as reusable hooks (src/hooks, documented on the Custom Hooks page)
 
-        // ⚡ CRITICAL: Always cleanup intervals/timeouts
-        return () => {
-            if (interval) {
-                clearInterval(interval);
-                console.log('⏱️ Timer cleaned up');
-            }
-        };
-    }, [isTimerRunning]); // Re-run when timer state changes
+    // PATTERN 5: Timer/Interval with cleanup - useInterval clears the interval
+    // when the delay changes (null = paused) and on unmount
+    useInterval(() => setSeconds(prev => prev + 1), isTimerRunning ? 1000 : null);
 
-    // PATTERN 6: Event listeners with cleanup
-    // Window resize listener - demonstrates proper cleanup to prevent memory leaks
-    useEffect(() => {
-        const handleResize = () => {
-            setWindowWidth(window.innerWidth);
-        };
+    // PATTERN 6: Event listeners with cleanup - useWindowSize (in the state
+    // declarations above) subscribes to 'resize' and unsubscribes on unmount
 
-        window.addEventListener('resize', handleResize);
+    // PATTERN 7: Debouncing - useDebounce restarts its timer on every keystroke
+    const debouncedTerm = useDebounce(searchTerm, 500);
 
-        // Cleanup: Remove event listener when component unmounts
-        return () => {
-            window.removeEventListener('resize', handleResize);
-            console.log('🧹 Resize listener removed');
-        };
-    }, []); // Only set up once
-
-    // PATTERN 7: Debouncing with useEffect
-    // Advanced pattern: Delay API calls until user stops typing
-    useEffect(() => {
-        // Set up a timer to update debounced value after delay
-        const timer = setTimeout(() => {
-            setDebouncedTerm(searchTerm);
-            console.log('🔍 Debounced search term:', searchTerm);
-        }, 500); // Wait 500ms after user stops typing
-
-        // Cleanup: Cancel previous timer on every keystroke
-        return () => {
-            clearTimeout(timer);
-        };
-    }, [searchTerm]); // Run when searchTerm changes
-
-    // PATTERN 8: Conditional effect execution
-    // Only fetch when debouncedTerm has a value
     useEffect(() => {
-        if (debouncedTerm.length >= 3) {
-            console.log('🌐 Would fetch search results for:', debouncedTerm);
-            // In real app: fetch(`/api/search?q=${debouncedTerm}`)
-        }
+        console.log('🔍 Debounced search term:', debouncedTerm);
     }, [debouncedTerm]);
 
-    const toggleTimer = () => setIsTimerRunning(prev => !prev);
+    // PATTERN 8: Conditional effect execution - only search once there are
+    // at least 3 characters. useFetch aborts the request for an older term
+    // when a newer one starts.
+    const search = useFetch(debouncedTerm.length >= 3 ? debouncedTerm : null, searchProducts);
+
     const resetTimer = () => {
         setIsTimerRunning(false);
         setSeconds(0);
@@ -152,145 +126,307 @@ const UseEffectDemo = () => {
             </div>
 
             {/* Demo 1: Basic Counter with Effect */}
-            <div className="demo-card">
+            <div id="basic-effect" className="demo-card">
                 <h3>1️⃣ Basic Effect with Dependencies</h3>
                 <p className="demo-explanation">
                     The effect runs when <code>count</code> changes. Check console to see execution.
-                    Also persists to localStorage.
+                    The count itself comes from <code>useLocalStorage</code>, so it survives a refresh.
                 </p>
                 <div className="counter-display">{count}</div>
                 <div className="button-group">
-                    <Button text="Increment" onClick={() => setCount(count + 1)} variant="primary"/>
-                    <Button text="Decrement" onClick={() => setCount(count - 1)} variant="secondary"/>
-                    <Button text="Reset" onClick={() => setCount(0)} variant="danger"/>
-                </div>
-                <div className="code-snippet">
-          <pre>{`useEffect(() => {
-  console.log(\`Count changed to: \${count}\`);
-  localStorage.setItem('savedCount', count);
-}, [count]); // Runs when count changes`}</pre>
+                    <Button text={t('counter.increment')} onClick={() => setCount(count + 1)} variant="primary"/>
+                    <Button text={t('counter.decrement')} onClick={() => setCount(count - 1)} variant="secondary"/>
+                    <Button text={t('counter.reset')} onClick={() => setCount(0)} variant="danger"/>
                 </div>
+                <CodePlayground
+                    title="Effect with dependencies"
+                    code={`import { useState, useEffect } from 'react';
+
+export default function Counter() {
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    console.log(\`Count changed to: \${count}\`);
+    localStorage.setItem('savedCount', count);
+  }, [count]); // Runs when count changes
+
+  return (
+    <div>
+      <h2>{count}</h2>
+      <button onClick={() => setCount(count + 1)}>Increment</button>
+      <button onClick={() => setCount(0)}>Reset</button>
+    </div>
+  );
+}`}
+                />
             </div>
 
             {/* Demo 2: Data Fetching */}
-            <div className="demo-card">
+            <div id="data-fetching" className="demo-card">
                 <h3>2️⃣ Async Data Fetching</h3>
                 <p className="demo-explanation">
                     Demonstrates API calls, loading states, and proper async/await patterns.
+                    Requests go to an in-app mock server: raise the latency or error rate to
+                    see the loading and error states.
                 </p>
+                <MockApiControls/>
                 <Button
-                    text={loading ? "Loading..." : "Fetch User Data"}
+                    text={loading ? t('useEffect.loading') : t('useEffect.fetchUser')}
                     onClick={fetchUser}
                     variant="primary"
                     disabled={loading}
                 />
+                {fetchError && (
+                    <p className="fetch-error" role="alert">⚠️ {fetchError}</p>
+                )}
                 {/*condition rendering*/}
                 {user && (
                     <div className="user-data">
                         <h4>{user.name}</h4>
-                        <p>Email: {user.email}</p>
-                        <p>Company: {user.company.name}</p>
-                        <p>Website: {user.website}</p>
+                        <p>{t('useEffect.email')} {user.email}</p>
+                        <p>{t('useEffect.company')} {user.company.name}</p>
+                        <p>{t('useEffect.website')} {user.website}</p>
                     </div>
                 )}
-                <div className="code-snippet">
-          <pre>{`useEffect(() => {
-  const fetchData = async () => {
-    setLoading(true);
-    const response = await fetch(url);
-    const data = await response.json();
-    setData(data);
-    setLoading(false);
-  };
-  fetchData();
-}, []); // Empty array = run once on mount`}</pre>
-                </div>
+                <CodePlayground
+                    title="Async data fetching"
+                    code={`import { useState, useEffect } from 'react';
+
+// Fake API so the example works offline
+const fetchUser = () =>
+  new Promise(resolve =>
+    setTimeout(() => resolve({ name: 'Leanne Graham', email: 'leanne@example.com' }), 800)
+  );
+
+export default function UserProfile() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      const data = await fetchUser();
+      setUser(data);
+      setLoading(false);
+    };
+    fetchData();
+  }, []); // Empty array = run once on mount
+
+  if (loading) return <p>Loading...</p>;
+  return user && <p>{user.name} ({user.email})</p>;
+}`}
+                />
             </div>
 
             {/* Demo 3: Timer with Cleanup */}
-            <div className="demo-card">
+            <div id="interval-cleanup" className="demo-card">
                 <h3>3️⃣ Interval with Cleanup</h3>
                 <p className="demo-explanation">
                     Critical pattern: Always cleanup timers to prevent memory leaks.
-                    The cleanup function runs before the next effect and on unmount.
+                    The cleanup function runs before the next effect and on unmount. This timer
+                    uses <code>useInterval</code>, which wraps exactly this effect.
                 </p>
                 <div className="timer-display">{seconds}s</div>
                 <div className="button-group">
                     <Button
-                        text={isTimerRunning ? "Pause" : "Start"}
+                        text={isTimerRunning ? t('useEffect.pause') : t('useEffect.start')}
                         onClick={toggleTimer}
                         variant={isTimerRunning ? "secondary" : "primary"}
                     />
-                    <Button text="Reset" onClick={resetTimer} variant="danger"/>
-                </div>
-                <div className="code-snippet">
-          <pre>{`useEffect(() => {
-  const interval = setInterval(() => {
-    setSeconds(prev => prev + 1);
-  }, 1000);
-
-  return () => clearInterval(interval); // ⚡ Cleanup
-}, [isTimerRunning]);`}</pre>
+                    <Button text={t('counter.reset')} onClick={resetTimer} variant="danger"/>
                 </div>
+                <CodePlayground
+                    title="Interval with cleanup"
+                    code={`import { useState, useEffect } from 'react';
+
+export default function Timer() {
+  const [seconds, setSeconds] = useState(0);
+  const [isTimerRunning, setIsTimerRunning] = useState(false);
+
+  useEffect(() => {
+    if (!isTimerRunning) return;
+
+    const interval = setInterval(() => {
+      setSeconds(prev => prev + 1);
+    }, 1000);
+
+    return () => clearInterval(interval); // ⚡ Cleanup
+  }, [isTimerRunning]);
+
+  return (
+    <div>
+      <h2>{seconds}s</h2>
+      <button onClick={() => setIsTimerRunning(r => !r)}>
+        {isTimerRunning ? 'Pause' : 'Start'}
+      </button>
+    </div>
+  );
+}`}
+                />
             </div>
 
             {/* Demo 4: Event Listeners */}
-            <div className="demo-card">
+            <div id="event-listeners" className="demo-card">
                 <h3>4️⃣ Event Listeners with Cleanup</h3>
                 <p className="demo-explanation">
                     Window resize listener. Resize your browser window to see it update.
-                    Always remove event listeners in cleanup.
+                    Always remove event listeners in cleanup. Here <code>useWindowSize</code> does both.
                 </p>
                 <div className="window-width">
-                    Window Width: <strong>{windowWidth}px</strong>
-                </div>
-                <div className="code-snippet">
-          <pre>{`useEffect(() => {
-  const handleResize = () => {
-    setWindowWidth(window.innerWidth);
-  };
-
-  window.addEventListener('resize', handleResize);
-
-  return () => {
-    window.removeEventListener('resize', handleResize);
-  };
-}, []); // Set up once`}</pre>
+                    {t('useEffect.windowWidth')} <strong>{windowWidth}px</strong>
                 </div>
+                <CodePlayground
+                    title="Event listener with cleanup"
+                    code={`import { useState, useEffect } from 'react';
+
+export default function WindowWidth() {
+  const [windowWidth, setWindowWidth] = useState(window.innerWidth);
+
+  useEffect(() => {
+    const handleResize = () => {
+      setWindowWidth(window.innerWidth);
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+    };
+  }, []); // Set up once
+
+  return <p>Window Width: <strong>{windowWidth}px</strong></p>;
+}`}
+                />
             </div>
 
             {/* Demo 5: Debouncing */}
-            <div className="demo-card">
+            <div id="debouncing" className="demo-card">
                 <h3>5️⃣ Advanced: Debouncing Search</h3>
                 <p className="demo-explanation">
                     Delays API calls until user stops typing (500ms). Essential for search autocomplete.
-                    Check console to see debounce in action.
+                    Check console to see debounce in action. Searches the mock products API
+                    once at least 3 characters are typed, using <code>useDebounce</code> and{' '}
+                    <code>useFetch</code>.
                 </p>
+                <MockApiControls/>
                 <input
                     type="text"
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
-                    placeholder="Type to search (debounced)..."
+                    placeholder={t('useEffect.searchPlaceholder')}
                     className="search-input"
                 />
                 <div className="debounce-info">
-                    <p>Current Input: <code>{searchTerm}</code></p>
-                    <p>Debounced Value: <code>{debouncedTerm}</code></p>
-                </div>
-                <div className="code-snippet">
-          <pre>{`useEffect(() => {
-  const timer = setTimeout(() => {
-    setDebouncedTerm(searchTerm);
-    // API call here
-  }, 500); // Wait 500ms
-
-  return () => clearTimeout(timer); // Cancel on new keystroke
-}, [searchTerm]);`}</pre>
+                    <p>{t('useEffect.currentInput')} <code>{searchTerm}</code></p>
+                    <p>{t('useEffect.debouncedValue')} <code>{debouncedTerm}</code></p>
                 </div>
+                {debouncedTerm.length >= 3 && (
+                    <div className="search-results-box">
+                        {search.loading && <p>{t('useEffect.searching', { term: debouncedTerm })}</p>}
+                        {!search.loading && search.error && (
+                            <p className="fetch-error" role="alert">⚠️ {search.error.message}</p>
+                        )}
+                        {!search.loading && !search.error && (
+                            search.data.length > 0 ? (
+                                <ul>
+                                    {search.data.map(product => (
+                                        <li key={product.id}>
+                                            {product.name} <span>{formatCurrency(product.price)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p>{t('useEffect.noProducts', { term: debouncedTerm })}</p>
+                            )
+                        )}
+                    </div>
+                )}
+                <CodePlayground
+                    title="Debounced search"
+                    code={`import { useState, useEffect } from 'react';
+
+export default function Search() {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedTerm, setDebouncedTerm] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedTerm(searchTerm);
+      // API call here
+    }, 500); // Wait 500ms
+
+    return () => clearTimeout(timer); // Cancel on new keystroke
+  }, [searchTerm]);
+
+  return (
+    <div>
+      <input value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} />
+      <p>Debounced: {debouncedTerm}</p>
+    </div>
+  );
+}`}
+                />
+            </div>
+
+            {/* Demo 6: Race Conditions */}
+            <div id="race-conditions" className="demo-card">
+                <h3>6️⃣ Race Conditions in Async Effects</h3>
+                <p className="demo-explanation">
+                    Setting state after <code>await</code> with no cleanup is the classic stale-response bug:
+                    pick user 1, then user 3, and if user 1&apos;s response is slower it overwrites user 3.
+                    These requests are forced to finish out of order. Fire a burst with each cleanup
+                    strategy and compare the timelines.
+                </p>
+                <RaceConditionDemo/>
+                <CodePlayground
+                    title="Cancelling stale requests"
+                    code={`import { useState, useEffect } from 'react';
+
+// Fake API: user 1 is slow, every other user is fast
+const fetchUser = (id, { signal } = {}) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve({ id, name: 'User ' + id }), id === 1 ? 1500 : 300);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    });
+  });
+
+export default function Profile() {
+  const [userId, setUserId] = useState(1);
+  const [user, setUser] = useState(null);
+
+  // Fix 1: ignore flag - the response still arrives, but is dropped
+  // useEffect(() => {
+  //   let ignore = false;
+  //   fetchUser(userId).then(data => { if (!ignore) setUser(data); });
+  //   return () => { ignore = true; };
+  // }, [userId]);
+
+  // Fix 2: AbortController - the request itself is cancelled
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchUser(userId, { signal: controller.signal })
+      .then(setUser)
+      .catch(error => {
+        if (error.name !== 'AbortError') throw error;
+      });
+    return () => controller.abort();
+  }, [userId]);
+
+  return (
+    <div>
+      <button onClick={() => setUserId(1)}>User 1 (slow)</button>
+      <button onClick={() => setUserId(3)}>User 3 (fast)</button>
+      <p>Selected: {userId} | Showing: {user ? user.name : '...'}</p>
+    </div>
+  );
+}`}
+                />
             </div>
 
             {/* Key Takeaways */}
-            <div className="demo-card key-takeaways">
+            <div id="key-takeaways" className="demo-card key-takeaways">
                 <h3>🎯 Key Takeaways</h3>
                 <ul>
                     <li><strong>Always cleanup:</strong> Return cleanup function for subscriptions, timers, listeners
@@ -310,6 +446,9 @@ const UseEffectDemo = () => {
                     <li><strong>Common pitfalls:</strong> Infinite loops (missing deps), memory leaks (no cleanup),
                         stale closures
                     </li>
+                    <li><strong>Race conditions:</strong> Async effects need cleanup too. Ignore stale responses
+                        with a flag, or cancel them with an AbortController
+                    </li>
                 </ul>
             </div>
         </div>
@@ -0,0 +1,260 @@
+import { useImperativeHandle, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import VideoPlayer from './VideoPlayer';
+import { useLocale } from '../context/LocaleContext';
+import { useToast } from '../context/ToastContext';
+import { sampleVideoUrl } from '../data/mockData';
+import './UseImperativeHandleDemo.css';
+
+/**
+ * useImperativeHandle & Ref Forwarding Demonstration
+ *
+ * A ref passed to your own component normally has nothing to point at. In
+ * React 19 the component receives it as a plain `ref` prop and can:
+ * - forward it to a DOM element:  <input ref={ref} />
+ *   The parent gets the whole node - every property and method.
+ * - expose a handle instead:      useImperativeHandle(ref, () => ({ focus }))
+ *   The parent gets only the methods you chose.
+ *
+ * Syntax: useImperativeHandle(ref, createHandle, dependencies?)
+ *
+ * Imperative handles are an escape hatch for things props can't express
+ * well (focus, scroll, play/pause, animations). Whatever you put in a handle
+ * becomes public API, so keep it narrow.
+ */
+
+// ==================== Ref forwarded straight to the DOM ====================
+const ForwardedField = ({ ref, label }) => (
+  <label className="imperative-field">
+    {label}
+    <input ref={ref} type="text" defaultValue="Hello" />
+  </label>
+);
+
+ForwardedField.propTypes = {
+  ref: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+  label: PropTypes.string.isRequired,
+};
+
+// ==================== Ref given a narrow handle ====================
+const HandleField = ({ ref, label }) => {
+  const inputRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    focus() {
+      inputRef.current.focus();
+    },
+    clear() {
+      inputRef.current.value = '';
+    },
+  }), []);
+
+  return (
+    <label className="imperative-field">
+      {label}
+      <input ref={inputRef} type="text" defaultValue="Hello" />
+    </label>
+  );
+};
+
+HandleField.propTypes = {
+  ref: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+  label: PropTypes.string.isRequired,
+};
+
+const UseImperativeHandleDemo = () => {
+  const { notify } = useToast();
+  const { t } = useLocale();
+  const playerRef = useRef(null);
+  const forwardedRef = useRef(null);
+  const handleRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [handleKeys, setHandleKeys] = useState(null);
+
+  const play = () => {
+    // play() can be refused, e.g. by autoplay rules - the handle passes the promise on
+    playerRef.current.play().catch(error => notify(t('imperativeHandle.playRefused', { reason: error.message }), { variant: 'danger' }));
+  };
+
+  const inspectHandle = () => {
+    setHandleKeys(Object.keys(playerRef.current));
+  };
+
+  const styleThroughRef = (ref, name) => {
+    if (ref.current.style) {
+      ref.current.style.background = '#fff3cd';
+      notify(t('imperativeHandle.restyled', { name }), { variant: 'secondary' });
+    } else {
+      notify(t('imperativeHandle.noStyle', { name }), { variant: 'primary' });
+    }
+  };
+
+  return (
+    <div className="useimperativehandle-container">
+      <div className="useimperativehandle-header">
+        <h2>useImperativeHandle & Ref Forwarding</h2>
+        <p className="hook-description">
+          Let a parent call methods on your component - only the ones you choose
+        </p>
+      </div>
+
+      {/* Demo 1: VideoPlayer */}
+      <div id="video-player" className="demo-card">
+        <h3>1️⃣ A VideoPlayer With a Narrow Imperative API</h3>
+        <p className="demo-explanation">
+          Play, pause and seek are commands - they happen at a moment, they aren&apos;t state you could
+          describe with props. <code>VideoPlayer</code> keeps its <code>&lt;video&gt;</code> private and
+          exposes exactly four methods. It reports back through the <code>onPlayingChange</code> prop,
+          the same player the <Link to="/hooks/use-ref#media-control">useRef demo</Link> uses.
+        </p>
+
+        <VideoPlayer ref={playerRef} src={sampleVideoUrl} onPlayingChange={setPlaying} />
+
+        <div className="button-group">
+          <Button text="▶ play()" onClick={play} variant={playing ? 'secondary' : 'primary'} disabled={playing} />
+          <Button text="⏸ pause()" onClick={() => playerRef.current.pause()} variant={playing ? 'primary' : 'secondary'} disabled={!playing} />
+          <Button text="⏮ seek(0)" onClick={() => playerRef.current.seek(0)} variant="secondary" />
+          <Button text="⏩ seek(30)" onClick={() => playerRef.current.seek(30)} variant="secondary" />
+          <Button text="🔇 setVolume(0)" onClick={() => playerRef.current.setVolume(0)} variant="secondary" />
+          <Button text="🔉 setVolume(0.5)" onClick={() => playerRef.current.setVolume(0.5)} variant="secondary" />
+          <Button text={t('imperativeHandle.inspect', { name: 'playerRef.current' })} onClick={inspectHandle} variant="primary" />
+        </div>
+
+        {handleKeys && (
+          <div className="handle-inspector">
+            <code>Object.keys(playerRef.current)</code>
+            <span>→</span>
+            <code>{JSON.stringify(handleKeys)}</code>
+            <p>
+              No <code>currentTime</code>, no <code>src</code>, no <code>style</code>: the parent
+              can&apos;t reach past the API, so the player is free to change how it works inside.
+            </p>
+          </div>
+        )}
+
+        <CodePlayground
+          title="Exposing a handle"
+          code={`import { useImperativeHandle, useRef } from 'react';
+
+// React 19: ref is a normal prop - no forwardRef needed
+function VideoPlayer({ ref, src }) {
+  const videoRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    play: () => videoRef.current.play(),
+    pause: () => videoRef.current.pause(),
+    seek: (seconds) => { videoRef.current.currentTime = seconds; },
+  }), []);
+
+  return <video ref={videoRef} src={src} width="100%" muted loop />;
+}
+
+export default function App() {
+  const playerRef = useRef(null);
+
+  return (
+    <div>
+      <VideoPlayer
+        ref={playerRef}
+        src="${sampleVideoUrl}"
+      />
+      <button onClick={() => playerRef.current.play()}>Play</button>
+      <button onClick={() => playerRef.current.pause()}>Pause</button>
+      <button onClick={() => playerRef.current.seek(10)}>Seek to 10s</button>
+      <button onClick={() => console.log(Object.keys(playerRef.current))}>Log handle</button>
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 2: Ref as a prop */}
+      <div id="ref-as-prop" className="demo-card">
+        <h3>2️⃣ Forwarding a Ref vs Exposing a Handle</h3>
+        <p className="demo-explanation">
+          Both fields take a <code>ref</code> prop. The first passes it straight to its{' '}
+          <code>&lt;input&gt;</code>, so the parent receives the DOM node and can do anything with it.
+          The second keeps the node private and hands out <code>focus()</code> and{' '}
+          <code>clear()</code> only. Try restyling each one through its ref.
+        </p>
+
+        <div className="imperative-fields">
+          <div className="imperative-field-card">
+            <ForwardedField ref={forwardedRef} label={t('imperativeHandle.forwardedLabel')} />
+            <div className="button-group">
+              <Button text="focus()" onClick={() => forwardedRef.current.focus()} variant="primary" />
+              <Button text={t('imperativeHandle.restyle')} onClick={() => styleThroughRef(forwardedRef, 'Forwarded')} variant="danger" />
+            </div>
+          </div>
+          <div className="imperative-field-card">
+            <HandleField ref={handleRef} label={t('imperativeHandle.handleLabel')} />
+            <div className="button-group">
+              <Button text="focus()" onClick={() => handleRef.current.focus()} variant="primary" />
+              <Button text="clear()" onClick={() => handleRef.current.clear()} variant="secondary" />
+              <Button text={t('imperativeHandle.restyle')} onClick={() => styleThroughRef(handleRef, 'Handle')} variant="danger" />
+            </div>
+          </div>
+        </div>
+
+        <p className="demo-explanation">
+          Before React 19 a function component had to be wrapped in <code>forwardRef((props, ref) =&gt; ...)</code>{' '}
+          to receive a ref at all. It still works, but reading <code>ref</code> from props is now the way to write it.
+        </p>
+      </div>
+
+      {/* Demo 3: When to use */}
+      <div id="narrow-handles" className="demo-card">
+        <h3>3️⃣ When to Expose a Handle - and Why Keep It Narrow</h3>
+        <div className="handle-guidance">
+          <div className="handle-guidance-item">
+            <h4>✅ Good fits</h4>
+            <ul>
+              <li>Focus, select or blur an input</li>
+              <li>Scroll to an item or into view</li>
+              <li>Play, pause and seek media</li>
+              <li>Start an animation or a one-off effect</li>
+              <li>Wrapping a non-React widget (map, chart, editor)</li>
+            </ul>
+          </div>
+          <div className="handle-guidance-item">
+            <h4>❌ Use props instead</h4>
+            <ul>
+              <li><code>open()</code> / <code>close()</code> on a modal - pass <code>isOpen</code></li>
+              <li><code>setValue()</code> - make it controlled with <code>value</code></li>
+              <li><code>getData()</code> - lift the state up</li>
+              <li>Returning the raw DOM node &quot;just in case&quot;</li>
+              <li>Exposing <code>setState</code> from the child</li>
+            </ul>
+          </div>
+        </div>
+        <p className="demo-explanation">
+          A handle is a public API: every method you add is one more thing callers can depend on and one
+          more thing you can&apos;t change later. If the player exposed its <code>&lt;video&gt;</code>, switching
+          to an adaptive-streaming library would break every parent. With four methods, only the four
+          methods have to keep working.
+        </p>
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>Ref as a prop:</strong> In React 19, function components receive <code>ref</code> like any other prop; forwardRef is no longer needed</li>
+          <li><strong>Forward for full access:</strong> <code>&lt;input ref={'{ref}'} /&gt;</code> hands the parent the DOM node</li>
+          <li><strong>Handle for a chosen API:</strong> <code>useImperativeHandle(ref, () =&gt; ({'{ play, pause }'}), [])</code> hands it only those methods</li>
+          <li><strong>Commands in, events out:</strong> Call methods through the handle, report changes through callback props</li>
+          <li><strong>Keep it narrow:</strong> Fewer methods means more freedom to change the component later</li>
+          <li><strong>Last resort:</strong> If it can be a prop, make it a prop</li>
+        </ul>
+        <Link to="/quiz?hook=useImperativeHandle" className="quiz-link">
+          🧠 Quiz yourself on useImperativeHandle →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default UseImperativeHandleDemo;
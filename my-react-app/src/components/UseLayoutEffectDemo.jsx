@@ -0,0 +1,454 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import { useLocale } from '../context/LocaleContext';
+import './UseLayoutEffectDemo.css';
+
+/**
+ * useLayoutEffect vs useEffect Demonstration
+ *
+ * Both run after React has updated the DOM. The difference is WHEN:
+ * - useLayoutEffect runs before the browser paints. Reading layout
+ *   (getBoundingClientRect) and setting state there re-renders before the
+ *   user sees anything - the first frame is already correct.
+ * - useEffect usually runs after the paint. Measuring there means one frame
+ *   is painted with the unmeasured layout, then corrected: a flicker.
+ *
+ * Tooltips and popovers are the classic case: their position depends on
+ * their own measured size. The "flicker" counters use requestAnimationFrame,
+ * which fires just before a frame is painted: if the overlay still hasn't
+ * been positioned by then, the wrong position reaches the screen.
+ */
+
+const GAP = 8;
+const SLOWDOWN_MS = 100;
+const TIMELINE_SETTLE_MS = 100;
+
+// Descriptions are in the locale catalogs under layoutEffect.strategies
+const strategies = {
+  effect: { label: 'useEffect' },
+  layout: { label: 'useLayoutEffect' },
+};
+
+// Busy-wait to make a render slow, so the wrong frame stays on screen long enough to see
+const simulateWork = (ms) => {
+  const end = performance.now() + ms;
+  while (performance.now() < end) {
+    // spin
+  }
+};
+
+// Timeline clock. Kept outside components - it's only read from handlers and effects
+const timestamp = () => performance.now();
+
+// Measure an element after it renders, from the effect the strategy picks.
+// Returns [ref, size] - size is null until measured. Calls onFlicker when a
+// frame gets painted before the measurement lands.
+const useMeasuredSize = (strategy, onFlicker) => {
+  const ref = useRef(null);
+  const [size, setSize] = useState(null);
+
+  useLayoutEffect(() => {
+    if (strategy !== 'layout') return;
+    const { width, height } = ref.current.getBoundingClientRect();
+    setSize({ width, height }); // re-renders synchronously, before paint
+  }, [strategy]);
+
+  useEffect(() => {
+    if (strategy !== 'effect') return;
+    const { width, height } = ref.current.getBoundingClientRect();
+    setSize({ width, height }); // too late - the unmeasured frame may already be on screen
+  }, [strategy]);
+
+  // While unmeasured, watch the next frame. Measuring cancels the watch.
+  useLayoutEffect(() => {
+    if (size) return;
+    const frame = requestAnimationFrame(onFlicker);
+    return () => cancelAnimationFrame(frame);
+  }, [size, onFlicker]);
+
+  return [ref, size];
+};
+
+const Tooltip = ({ targetRect, text, strategy, slow, onFlicker }) => {
+  const [ref, size] = useMeasuredSize(strategy, onFlicker);
+  if (slow) simulateWork(SLOWDOWN_MS);
+
+  // Above the target, or below it when there is no room above.
+  // Before measuring, the height is unknown (0), so it overlaps the target.
+  const height = size?.height ?? 0;
+  let top = targetRect.top - height - GAP;
+  let placement = 'above';
+  if (size && top < 0) {
+    top = targetRect.bottom + GAP;
+    placement = 'below';
+  }
+
+  return createPortal(
+    <div
+      ref={ref}
+      role="tooltip"
+      className={`layout-tooltip ${placement} ${size ? '' : 'unmeasured'}`}
+      style={{ top, left: targetRect.left + targetRect.width / 2 }}
+    >
+      {text}
+    </div>,
+    document.body
+  );
+};
+
+Tooltip.propTypes = {
+  targetRect: PropTypes.object.isRequired,
+  text: PropTypes.string.isRequired,
+  strategy: PropTypes.oneOf(Object.keys(strategies)).isRequired,
+  slow: PropTypes.bool.isRequired,
+  onFlicker: PropTypes.func.isRequired,
+};
+
+const Popover = ({ targetRect, strategy, slow, onFlicker, onClose }) => {
+  const [ref, size] = useMeasuredSize(strategy, onFlicker);
+  const { t } = useLocale();
+  if (slow) simulateWork(SLOWDOWN_MS);
+
+  // Below the button, flipped above when it would run off the bottom of the
+  // viewport, and kept inside the viewport horizontally
+  let top = targetRect.bottom + GAP;
+  let left = targetRect.left;
+  if (size) {
+    if (top + size.height > window.innerHeight && targetRect.top - size.height - GAP > 0) {
+      top = targetRect.top - size.height - GAP;
+    }
+    left = Math.min(Math.max(GAP, left), window.innerWidth - size.width - GAP);
+  }
+
+  return createPortal(
+    <div
+      ref={ref}
+      role="dialog"
+      aria-label={t('layoutEffect.shareOptions')}
+      className={`layout-popover ${size ? '' : 'unmeasured'}`}
+      style={{ top, left }}
+    >
+      <h4>{t('layoutEffect.shareTitle')}</h4>
+      <ul>
+        <li>{t('layoutEffect.copyLink')}</li>
+        <li>{t('layoutEffect.email')}</li>
+        <li>{t('layoutEffect.studyGroup')}</li>
+        <li>{t('layoutEffect.cheatSheet')}</li>
+      </ul>
+      <Button text={t('layoutEffect.close')} onClick={onClose} variant="secondary" />
+    </div>,
+    document.body
+  );
+};
+
+Popover.propTypes = {
+  targetRect: PropTypes.object.isRequired,
+  strategy: PropTypes.oneOf(Object.keys(strategies)).isRequired,
+  slow: PropTypes.bool.isRequired,
+  onFlicker: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+// ==================== Frame timeline ====================
+// Labels and descriptions are in the locale catalogs under layoutEffect.triggers
+const triggers = ['timer', 'click'];
+
+const FrameTimeline = () => {
+  const [run, setRun] = useState(0);
+  const [timeline, setTimeline] = useState(null); // { trigger, events: [{ key, values, kind, at }] }
+  const boxRef = useRef(null);
+  const recordingRef = useRef(null); // { trigger, start, events } while a run is being recorded
+  const { t } = useLocale();
+
+  // Events are stored as message keys and translated when the timeline renders
+  const record = (key, values, kind = 'step') => {
+    const recording = recordingRef.current;
+    if (recording) recording.events.push({ key, values, kind, at: timestamp() - recording.start });
+  };
+
+  useLayoutEffect(() => {
+    if (!recordingRef.current) return;
+    const width = boxRef.current.getBoundingClientRect().width;
+    record('layoutEffect.events.layout', { width: Math.round(width) });
+    // rAF callbacks run right before the browser paints the next frame
+    requestAnimationFrame(() => {
+      record('layoutEffect.events.paint', undefined, 'paint');
+    });
+  }, [run]);
+
+  useEffect(() => {
+    if (!recordingRef.current) return;
+    record('layoutEffect.events.effect');
+  }, [run]);
+
+  const start = (trigger) => {
+    recordingRef.current = { trigger, start: timestamp(), events: [] };
+    const update = () => {
+      record(`layoutEffect.events.${trigger}`);
+      setRun(r => r + 1);
+    };
+
+    if (trigger === 'timer') {
+      setTimeout(update, 0);
+    } else {
+      update();
+    }
+
+    // Publish once everything has happened, and stop recording first so
+    // this render doesn't log itself
+    setTimeout(() => {
+      const { events } = recordingRef.current;
+      recordingRef.current = null;
+      setTimeline({ trigger, events: [...events].sort((a, b) => a.at - b.at) });
+    }, TIMELINE_SETTLE_MS);
+  };
+
+  const last = timeline?.events[timeline.events.length - 1]?.at ?? 1;
+
+  return (
+    <div className="frame-timeline">
+      <div className="frame-diagram" aria-label="The usual order within one frame">
+        <span className="frame-step">Render<small>call components</small></span>
+        <span className="frame-step">Commit<small>update the DOM</small></span>
+        <span className="frame-step layout">useLayoutEffect<small>blocks paint</small></span>
+        <span className="frame-step paint">🎨 Paint<small>user sees it</small></span>
+        <span className="frame-step passive">useEffect<small>after paint</small></span>
+      </div>
+
+      <div className="button-group">
+        {triggers.map(key => (
+          <Button key={key} text={t(`layoutEffect.triggers.${key}.label`)} onClick={() => start(key)} variant="primary" />
+        ))}
+      </div>
+
+      <div ref={boxRef} className="frame-box" style={{ width: `${40 + (run % 4) * 15}%` }}>
+        {t('layoutEffect.update', { run })}
+      </div>
+
+      {timeline && (
+        <>
+          <p className="frame-trigger-description">{t(`layoutEffect.triggers.${timeline.trigger}.description`)}</p>
+          <ol className="frame-events">
+            {timeline.events.map((event, i) => (
+              <li key={i} className={event.kind}>
+                <span className="frame-event-time">{event.at.toFixed(1)}ms</span>
+                <span className="frame-event-track">
+                  <span className="frame-event-marker" style={{ left: `${(event.at / last) * 100}%` }} />
+                </span>
+                <span className="frame-event-label">{t(event.key, event.values)}</span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Labels and tooltips are in the locale catalogs under layoutEffect.targets
+const tooltipTargets = ['save', 'share', 'help'];
+
+const UseLayoutEffectDemo = () => {
+  const [strategy, setStrategy] = useState('effect');
+  const [slow, setSlow] = useState(true);
+  const [tooltip, setTooltip] = useState(null); // { id, rect }
+  const [popoverRect, setPopoverRect] = useState(null);
+  const [flickers, setFlickers] = useState({ effect: 0, layout: 0 });
+  const { t } = useLocale();
+
+  // Stable so the measuring effect doesn't re-subscribe on every render
+  const recordFlicker = useCallback(() => {
+    setFlickers(counts => ({ ...counts, [strategy]: counts[strategy] + 1 }));
+  }, [strategy]);
+
+  const showTooltip = (id, e) => {
+    setTooltip({ id, rect: e.currentTarget.getBoundingClientRect() });
+  };
+
+  const togglePopover = (e) => {
+    setPopoverRect(popoverRect ? null : e.currentTarget.getBoundingClientRect());
+  };
+
+  const strategyToggle = (
+    <div className="layout-strategy">
+      <div className="button-group" role="group" aria-label={t('layoutEffect.measureIn')}>
+        {Object.entries(strategies).map(([key, { label }]) => (
+          <Button
+            key={key}
+            text={label}
+            onClick={() => setStrategy(key)}
+            variant={strategy === key ? 'primary' : 'secondary'}
+          />
+        ))}
+      </div>
+      <label className="layout-slow-toggle">
+        <input type="checkbox" checked={slow} onChange={(e) => setSlow(e.target.checked)} />
+        {t('layoutEffect.slow', { ms: SLOWDOWN_MS })}
+      </label>
+      <p className="layout-strategy-description">{t(`layoutEffect.strategies.${strategy}`)}</p>
+      <p className="layout-flicker-count">
+        {t('layoutEffect.flickers')}{' '}
+        <strong className="effect">useEffect {flickers.effect}</strong>
+        {' · '}
+        <strong className="layout">useLayoutEffect {flickers.layout}</strong>
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="uselayouteffect-container">
+      <div className="uselayouteffect-header">
+        <h2>useLayoutEffect vs useEffect</h2>
+        <p className="hook-description">
+          Measure the DOM before the browser paints, and stop the flicker
+        </p>
+      </div>
+
+      {/* Demo 1: Tooltips */}
+      <div id="tooltip-flicker" className="demo-card">
+        <h3>1️⃣ Tooltip Positioned From getBoundingClientRect</h3>
+        <p className="demo-explanation">
+          The tooltip sits above its button, so it needs to know its own height - which only exists
+          after it has been rendered into the DOM. The first render places it with height 0 (on top of
+          the button), then an effect measures it and moves it. Hover the buttons with each strategy.
+        </p>
+
+        {strategyToggle}
+
+        <div className="tooltip-targets">
+          {tooltipTargets.map(id => (
+            <button
+              key={id}
+              type="button"
+              className="tooltip-target"
+              onPointerEnter={(e) => showTooltip(id, e)}
+              onPointerLeave={() => setTooltip(null)}
+              aria-describedby={tooltip?.id === id ? 'layout-tooltip' : undefined}
+            >
+              {t(`layoutEffect.targets.${id}.label`)}
+            </button>
+          ))}
+        </div>
+
+        {tooltip && (
+          <Tooltip
+            key={`${tooltip.id}-${strategy}`}
+            targetRect={tooltip.rect}
+            text={t(`layoutEffect.targets.${tooltip.id}.text`)}
+            strategy={strategy}
+            slow={slow}
+            onFlicker={recordFlicker}
+          />
+        )}
+
+        <CodePlayground
+          title="Tooltip measured in a layout effect"
+          code={`import { useState, useRef, useLayoutEffect, useEffect } from 'react';
+
+// Switch this to useEffect and hover again - watch the tooltip jump
+const useMeasure = useLayoutEffect;
+
+function Tooltip({ rect, text }) {
+  const ref = useRef(null);
+  const [height, setHeight] = useState(0);
+
+  // Slow render so the first (unmeasured) frame stays visible
+  const end = performance.now() + 100;
+  while (performance.now() < end) {}
+
+  useMeasure(() => {
+    setHeight(ref.current.getBoundingClientRect().height);
+  }, []);
+
+  return (
+    <div ref={ref} style={{
+      position: 'fixed', top: rect.top - height - 8, left: rect.left,
+      background: '#333', color: 'white', padding: 8, borderRadius: 4, maxWidth: 200
+    }}>
+      {text}
+    </div>
+  );
+}
+
+export default function App() {
+  const [rect, setRect] = useState(null);
+  return (
+    <div style={{ paddingTop: 80 }}>
+      <button
+        onPointerEnter={e => setRect(e.currentTarget.getBoundingClientRect())}
+        onPointerLeave={() => setRect(null)}
+      >
+        Hover me
+      </button>
+      {rect && <Tooltip rect={rect} text="I need my own height to sit above the button" />}
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 2: Popover */}
+      <div id="popover" className="demo-card">
+        <h3>2️⃣ Popover That Stays On Screen</h3>
+        <p className="demo-explanation">
+          The popover opens below its button, flips above when it would run off the bottom of the window,
+          and is clamped so it never runs off the sides. All of that needs its measured size.
+          Interesting twist: it opens on a <em>click</em>, a discrete event, so React runs even{' '}
+          <code>useEffect</code> before painting - the counters stay at zero. Don&apos;t rely on that:
+          the same popover opened from a timer, a hover or a data load would flicker.
+        </p>
+
+        {strategyToggle}
+
+        <div className="popover-row">
+          <Button text={popoverRect ? t('layoutEffect.closePopover') : t('layoutEffect.openPopover')} onClick={togglePopover} variant="primary" />
+        </div>
+
+        {popoverRect && (
+          <Popover
+            key={strategy}
+            targetRect={popoverRect}
+            strategy={strategy}
+            slow={slow}
+            onFlicker={recordFlicker}
+            onClose={() => setPopoverRect(null)}
+          />
+        )}
+      </div>
+
+      {/* Demo 3: Frame timeline */}
+      <div id="frame-timeline" className="demo-card">
+        <h3>3️⃣ What Happens in One Frame</h3>
+        <p className="demo-explanation">
+          After React commits changes to the DOM, <code>useLayoutEffect</code> runs synchronously -
+          the browser cannot paint until it returns. <code>useEffect</code> is scheduled for later, so
+          the browser usually paints first - React doesn&apos;t promise that, it only promises the layout
+          effect comes first. Trigger an update and see the order your browser actually recorded.
+        </p>
+        <FrameTimeline />
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>Default to useEffect:</strong> It doesn&apos;t block painting, so the page stays fast</li>
+          <li><strong>useLayoutEffect when you measure:</strong> Reading layout (size, position, scroll) and immediately updating the UI from it - tooltips, popovers, auto-sizing textareas, scroll restoration</li>
+          <li><strong>Blocks paint:</strong> Slow code in a layout effect delays the frame, so keep it short</li>
+          <li><strong>Same API:</strong> Dependencies and cleanup work exactly like useEffect - you can switch between them</li>
+          <li><strong>Discrete events:</strong> After a click or keypress React flushes useEffect before paint anyway - flicker shows up with hovers, timers and data loading</li>
+          <li><strong>SSR:</strong> Layout effects don&apos;t run on the server; measure-dependent UI should render after hydration</li>
+        </ul>
+        <Link to="/quiz?hook=useLayoutEffect" className="quiz-link">
+          🧠 Quiz yourself on useLayoutEffect →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default UseLayoutEffectDemo;
@@ -1,5 +1,10 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, memo } from 'react';
 import Button from './Button';
+import CodePlayground from './CodePlayground';
+import withRenderInspector from './withRenderInspector';
+import { useToggle } from '../hooks/useToggle';
+import { useLocale } from '../context/LocaleContext';
+import { useTheme } from '../context/ThemeContext';
 import './UseMemoDemo.css';
 
 /**
@@ -52,24 +57,25 @@ const filterAndSortData = (data, searchTerm, sortOrder) => {
   return result;
 };
 
-// Child component that demonstrates referential equality
-const ExpensiveChild = ({ data, onRender }) => {
-  useEffect(() => {
-    onRender();
-  }, [data, onRender]);
-
+// Child component that demonstrates referential equality. memo skips its
+// renders while 'data' keeps the same reference; the render overlay shows them.
+// Named function so the hooks linter knows useLocale is inside a component
+const ExpensiveChild = memo(withRenderInspector(function ExpensiveChild({ data }) {
+  console.log('🎨 ExpensiveChild rendered');
+  const { t } = useLocale();
   return (
     <div className="child-component">
-      <p>I re-render when 'data' reference changes</p>
-      <p>Items count: {data.length}</p>
+      <p>{t('useMemo.childNote')}</p>
+      <p>{t('useMemo.itemCount', { count: data.length })}</p>
     </div>
   );
-};
+}, 'ExpensiveChild'));
 
 const UseMemoDemo = () => {
   const [fibNumber, setFibNumber] = useState(10);
   const [count, setCount] = useState(0); // Unrelated state
-  const [theme, setTheme] = useState('light'); // Another unrelated state
+  const { theme, setMode } = useTheme(); // Another unrelated state - the app theme
+  const { t, formatCurrency } = useLocale();
 
   const [products, setProducts] = useState([
     { id: 1, name: 'Laptop', price: 1200 },
@@ -84,8 +90,7 @@ const UseMemoDemo = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [sortOrder, setSortOrder] = useState('asc');
 
-  const [childRenderCount, setChildRenderCount] = useState(0);
-  const [useMemoEnabled, setUseMemoEnabled] = useState(true);
+  const [useMemoEnabled, toggleMemo] = useToggle(true);
 
   // WITHOUT useMemo: Recalculates on EVERY render (even when count changes!)
   const fibResultWithoutMemo = fibonacci(fibNumber);
@@ -110,15 +115,6 @@ const UseMemoDemo = () => {
     return products.map(p => ({ ...p })); // Create new array
   }, [products]); // Only create new array when products actually change
 
-  // Without useMemo, this function is recreated on every render
-  // causing ExpensiveChild to re-render even when nothing changed
-  const handleChildRender = useMemo(() => {
-    return () => {
-      setChildRenderCount(prev => prev + 1);
-      console.log('🎨 ExpensiveChild rendered');
-    };
-  }, []); // Function never changes
-
   // PATTERN 4: Complex calculations
   const statistics = useMemo(() => {
     console.log('📊 Calculating statistics...');
@@ -132,11 +128,6 @@ const UseMemoDemo = () => {
     return { total, average, max, min };
   }, [products]); // Only recalculate when products change
 
-  // PATTERN 5: Conditional memoization toggle (for demonstration)
-  const toggleMemo = () => {
-    setUseMemoEnabled(!useMemoEnabled);
-  };
-
   return (
     <div className="usememo-container">
       <div className="usememo-header">
@@ -147,7 +138,7 @@ const UseMemoDemo = () => {
       </div>
 
       {/* Demo 1: Expensive Calculation */}
-      <div className="demo-card">
+      <div id="expensive-calculation" className="demo-card">
         <h3>1️⃣ Expensive Calculation (Fibonacci)</h3>
         <p className="demo-explanation">
           Without useMemo, fibonacci recalculates on EVERY render (even unrelated state changes).
@@ -161,13 +152,13 @@ const UseMemoDemo = () => {
               checked={useMemoEnabled}
               onChange={toggleMemo}
             />
-            {' '}Use useMemo (check console to see difference)
+            {' '}{t('useMemo.toggle')}
           </label>
         </div>
 
         <div className="calculation-display">
           <div className="calc-input">
-            <label>Fibonacci Number (try 1-35):</label>
+            <label>{t('useMemo.fibNumber')}</label>
             <input
               type="number"
               value={fibNumber}
@@ -178,38 +169,55 @@ const UseMemoDemo = () => {
             />
           </div>
           <div className="calc-result">
-            Result: <strong>{selectedFibResult}</strong>
+            {t('useMemo.result')} <strong>{selectedFibResult}</strong>
           </div>
         </div>
 
         <div className="unrelated-state">
-          <p>Unrelated State (causes re-render):</p>
+          <p>{t('useMemo.unrelatedState')}</p>
           <div className="counter-display-small">{count}</div>
           <Button
-            text="Increment Count"
+            text={t('useMemo.incrementCount')}
             onClick={() => setCount(count + 1)}
             variant="secondary"
           />
           <p className="demo-note">
-            {useMemoEnabled
-              ? '✅ With useMemo: Fibonacci NOT recalculated (check console)'
-              : '❌ Without useMemo: Fibonacci recalculated unnecessarily (check console)'}
+            {useMemoEnabled ? t('useMemo.withMemo') : t('useMemo.withoutMemo')}
           </p>
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// ❌ WITHOUT useMemo - recalculates EVERY render
-const result = fibonacci(number);
+        <CodePlayground
+          title="Memoized fibonacci"
+          code={`import { useState, useMemo } from 'react';
 
-// ✅ WITH useMemo - only recalculates when number changes
-const result = useMemo(() => {
-  return fibonacci(number);
-}, [number]); // Dependency array`}</pre>
-        </div>
+const fibonacci = (n) => (n <= 1 ? n : fibonacci(n - 1) + fibonacci(n - 2));
+
+export default function Fibonacci() {
+  const [number, setNumber] = useState(25);
+  const [count, setCount] = useState(0);
+
+  // ❌ WITHOUT useMemo - recalculates EVERY render
+  // const result = fibonacci(number);
+
+  // ✅ WITH useMemo - only recalculates when number changes
+  const result = useMemo(() => {
+    console.log('Calculating fibonacci', number);
+    return fibonacci(number);
+  }, [number]); // Dependency array
+
+  return (
+    <div>
+      <input type="number" value={number} onChange={(e) => setNumber(Number(e.target.value))} />
+      <p>fibonacci({number}) = {result}</p>
+      <button onClick={() => setCount(count + 1)}>Unrelated re-render ({count})</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 2: Filtering and Sorting */}
-      <div className="demo-card">
+      <div id="derived-state" className="demo-card">
         <h3>2️⃣ Derived State (Filter & Sort)</h3>
         <p className="demo-explanation">
           Filtering/sorting large datasets is expensive. useMemo ensures it only runs when data or filters change.
@@ -220,17 +228,17 @@ const result = useMemo(() => {
             type="text"
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
-            placeholder="Search products..."
+            placeholder={t('useMemo.searchPlaceholder')}
             className="search-input-small"
           />
           <div className="button-group">
             <Button
-              text="Sort Ascending"
+              text={t('useMemo.sortAsc')}
               onClick={() => setSortOrder('asc')}
               variant={sortOrder === 'asc' ? 'primary' : 'secondary'}
             />
             <Button
-              text="Sort Descending"
+              text={t('useMemo.sortDesc')}
               onClick={() => setSortOrder('desc')}
               variant={sortOrder === 'desc' ? 'primary' : 'secondary'}
             />
@@ -241,33 +249,63 @@ const result = useMemo(() => {
           {filteredProducts.map((product) => (
             <div key={product.id} className="product-item">
               <span className="product-name">{product.name}</span>
-              <span className="product-price">${product.price}</span>
+              <span className="product-price">{formatCurrency(product.price)}</span>
             </div>
           ))}
         </div>
 
         <Button
-          text="Change Theme (Unrelated State)"
-          onClick={() => setTheme(theme === 'light' ? 'dark' : 'light')}
+          text={t('useMemo.changeTheme')}
+          onClick={() => setMode(theme === 'light' ? 'dark' : 'light')}
           variant="secondary"
         />
         <p className="demo-note">
-          Changing theme doesn't re-filter products (check console).
+          Switching the whole app&apos;s theme re-renders this page but doesn&apos;t
+          re-filter products (check console).
           Only search/sort triggers recalculation.
         </p>
 
-        <div className="code-snippet">
-          <pre>{`const filteredProducts = useMemo(() => {
-  return filterAndSort(products, searchTerm, sortOrder);
-}, [products, searchTerm, sortOrder]);
+        <CodePlayground
+          title="Derived state with useMemo"
+          code={`import { useState, useMemo } from 'react';
 
-// Only recalculates when products, searchTerm, or sortOrder change
-// NOT when unrelated state (like theme) changes`}</pre>
-        </div>
+const products = [
+  { id: 1, name: 'Laptop', price: 1200 },
+  { id: 2, name: 'Mouse', price: 25 },
+  { id: 3, name: 'Keyboard', price: 75 },
+  { id: 4, name: 'Monitor', price: 300 },
+];
+
+export default function ProductFilter() {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [sortOrder, setSortOrder] = useState('asc');
+  const [theme, setTheme] = useState('light');
+
+  // Only recalculates when searchTerm or sortOrder change
+  // NOT when unrelated state (like theme) changes
+  const filteredProducts = useMemo(() => {
+    console.log('Filtering and sorting...');
+    return products
+      .filter(p => p.name.toLowerCase().includes(searchTerm.toLowerCase()))
+      .sort((a, b) => (sortOrder === 'asc' ? a.price - b.price : b.price - a.price));
+  }, [searchTerm, sortOrder]);
+
+  return (
+    <div>
+      <input value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} placeholder="Search" />
+      <button onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}>Sort: {sortOrder}</button>
+      <button onClick={() => setTheme(theme === 'light' ? 'dark' : 'light')}>Theme: {theme}</button>
+      <ul>
+        {filteredProducts.map(p => <li key={p.id}>{p.name} - \${p.price}</li>)}
+      </ul>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 3: Referential Equality */}
-      <div className="demo-card">
+      <div id="referential-equality" className="demo-card">
         <h3>3️⃣ Referential Equality & Child Renders</h3>
         <p className="demo-explanation">
           Objects/arrays are recreated on every render (new reference).
@@ -275,32 +313,51 @@ const result = useMemo(() => {
           useMemo maintains the same reference when data hasn't changed.
         </p>
 
-        <ExpensiveChild data={memoizedProductList} onRender={handleChildRender} />
+        <ExpensiveChild data={memoizedProductList} />
 
         <div className="render-stats">
-          <p>Child Component Renders: <strong>{childRenderCount}</strong></p>
+          <p>{t('useMemo.overlayHint')}</p>
           <Button
-            text="Force Parent Re-render"
+            text={t('useMemo.forceRerender')}
             onClick={() => setCount(count + 1)}
             variant="secondary"
           />
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// ❌ WITHOUT useMemo - new array every render
-const list = products.map(p => ({ ...p }));
-<Child data={list} /> // Always re-renders!
+        <CodePlayground
+          title="Referential equality"
+          code={`import { useState, useMemo, memo } from 'react';
 
-// ✅ WITH useMemo - same reference unless products change
-const list = useMemo(() => {
-  return products.map(p => ({ ...p }));
-}, [products]);
-<Child data={list} /> // Only re-renders when products change`}</pre>
-        </div>
+const products = [{ id: 1, name: 'Laptop' }, { id: 2, name: 'Mouse' }];
+
+const Child = memo(({ data }) => {
+  console.log('Child rendered');
+  return <p>Child sees {data.length} items</p>;
+});
+
+export default function Parent() {
+  const [count, setCount] = useState(0);
+
+  // ❌ WITHOUT useMemo - new array every render
+  // const list = products.map(p => ({ ...p }));
+
+  // ✅ WITH useMemo - same reference between renders
+  const list = useMemo(() => {
+    return products.map(p => ({ ...p }));
+  }, []);
+
+  return (
+    <div>
+      <Child data={list} />
+      <button onClick={() => setCount(count + 1)}>Re-render parent ({count})</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 4: Complex Statistics */}
-      <div className="demo-card">
+      <div id="statistics" className="demo-card">
         <h3>4️⃣ Complex Calculations (Statistics)</h3>
         <p className="demo-explanation">
           Aggregate calculations (sum, average, min, max) can be expensive with large datasets.
@@ -309,26 +366,26 @@ const list = useMemo(() => {
         {statistics && (
           <div className="statistics-grid">
             <div className="stat-item">
-              <span className="stat-label">Total Value:</span>
-              <span className="stat-value">${statistics.total}</span>
+              <span className="stat-label">{t('useMemo.stats.total')}</span>
+              <span className="stat-value">{formatCurrency(statistics.total)}</span>
             </div>
             <div className="stat-item">
-              <span className="stat-label">Average Price:</span>
-              <span className="stat-value">${statistics.average.toFixed(2)}</span>
+              <span className="stat-label">{t('useMemo.stats.average')}</span>
+              <span className="stat-value">{formatCurrency(statistics.average)}</span>
             </div>
             <div className="stat-item">
-              <span className="stat-label">Most Expensive:</span>
-              <span className="stat-value">${statistics.max}</span>
+              <span className="stat-label">{t('useMemo.stats.max')}</span>
+              <span className="stat-value">{formatCurrency(statistics.max)}</span>
             </div>
             <div className="stat-item">
-              <span className="stat-label">Cheapest:</span>
-              <span className="stat-value">${statistics.min}</span>
+              <span className="stat-label">{t('useMemo.stats.min')}</span>
+              <span className="stat-value">{formatCurrency(statistics.min)}</span>
             </div>
           </div>
         )}
 
         <Button
-          text="Add Random Product"
+          text={t('useMemo.addProduct')}
           onClick={() => {
             const newProduct = {
               id: Date.now(),
@@ -340,19 +397,42 @@ const list = useMemo(() => {
           variant="primary"
         />
 
-        <div className="code-snippet">
-          <pre>{`const statistics = useMemo(() => {
-  const total = products.reduce((sum, p) => sum + p.price, 0);
-  const average = total / products.length;
-  const max = Math.max(...products.map(p => p.price));
-  const min = Math.min(...products.map(p => p.price));
-  return { total, average, max, min };
-}, [products]); // Only recalculate when products change`}</pre>
-        </div>
+        <CodePlayground
+          title="Memoized statistics"
+          code={`import { useState, useMemo } from 'react';
+
+export default function Statistics() {
+  const [products, setProducts] = useState([
+    { id: 1, price: 1200 },
+    { id: 2, price: 25 },
+    { id: 3, price: 75 },
+  ]);
+
+  const statistics = useMemo(() => {
+    const total = products.reduce((sum, p) => sum + p.price, 0);
+    const average = total / products.length;
+    const max = Math.max(...products.map(p => p.price));
+    const min = Math.min(...products.map(p => p.price));
+    return { total, average, max, min };
+  }, [products]); // Only recalculate when products change
+
+  const addProduct = () => {
+    setProducts([...products, { id: products.length + 1, price: Math.floor(Math.random() * 500) + 50 }]);
+  };
+
+  return (
+    <div>
+      <p>Total: \${statistics.total} | Average: \${statistics.average.toFixed(2)}</p>
+      <p>Max: \${statistics.max} | Min: \${statistics.min}</p>
+      <button onClick={addProduct}>Add Random Product</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* When NOT to use useMemo */}
-      <div className="demo-card warning-card">
+      <div id="when-not-to-use" className="demo-card warning-card">
         <h3>⚠️ When NOT to Use useMemo</h3>
         <div className="warning-content">
           <div className="warning-item">
@@ -395,7 +475,7 @@ const uppercased = name.toUpperCase();`}</pre>
       </div>
 
       {/* Key Takeaways */}
-      <div className="demo-card key-takeaways">
+      <div id="key-takeaways" className="demo-card key-takeaways">
         <h3>🎯 Key Takeaways</h3>
         <ul>
           <li><strong>Purpose:</strong> Cache expensive computations to avoid recalculating on every render</li>
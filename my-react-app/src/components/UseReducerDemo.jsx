@@ -1,5 +1,15 @@
-import { useReducer, useState } from 'react';
+import { useEffect, useId, useRef, useState, useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
 import Button from './Button';
+import CodePlayground from './CodePlayground';
+import ReducerDevtools from './ReducerDevtools';
+import { useLocale } from '../context/LocaleContext';
+import { useToast } from '../context/ToastContext';
+import { useTimeTravelReducer } from '../hooks/useTimeTravelReducer';
+import { undoable, undoableInitialState, undoShortcuts } from '../reducers/undoable';
+import { cartDraftStore, signupFormDraftStore } from '../services/draftStorage';
+import { reducerTodosStore } from '../services/todoStorage';
 import './UseReducerDemo.css';
 
 /**
@@ -78,6 +88,9 @@ function formReducer(state, action) {
       return { ...state, isSubmitting: false };
     case 'RESET_FORM':
       return formInitialState;
+    case 'RESTORE_DRAFT':
+      // Fields autosaved before a reload (services/draftStorage.js)
+      return { ...formInitialState, ...action.draft };
     default:
       return state;
   }
@@ -127,6 +140,14 @@ function todoReducer(state, action) {
         ...state,
         todos: state.todos.filter(todo => !todo.completed)
       };
+    case 'HYDRATE':
+      // Todos loaded from storage - on mount, or saved by another tab
+      if (action.todos === state.todos) return state;
+      return {
+        ...state,
+        todos: action.todos,
+        nextId: Math.max(state.nextId, ...action.todos.map(todo => todo.id + 1))
+      };
     default:
       return state;
   }
@@ -182,17 +203,131 @@ function cartReducer(state, action) {
     }
     case 'CLEAR_CART':
       return cartInitialState;
+    case 'RESTORE_CART':
+      // The cart autosaved before a reload
+      return action.cart;
     default:
       return state;
   }
 }
 
+// ==================== PATTERN 5: Undo/Redo with a Higher-Order Reducer ====================
+// undoable() wraps a reducer in past/present/future stacks (see reducers/undoable.js).
+// todoReducer and cartReducer above are unchanged - they never learn about history.
+const HISTORY_LIMIT = 25;
+
+// Changing the filter is UI state. Another tab's changes aren't ours to undo,
+// and undoing past them would quietly revert them (and save that back), so
+// a HYDRATE starts the history over
+const undoableTodoReducer = undoable(todoReducer, {
+  limit: HISTORY_LIMIT,
+  ignore: ['SET_FILTER'],
+  reset: ['HYDRATE'],
+});
+const undoableCartReducer = undoable(cartReducer, { limit: HISTORY_LIMIT });
+
+const UndoControls = ({ history, dispatch }) => {
+  const { t } = useLocale();
+  return (
+    <div className="undo-controls">
+      <Button
+        text={t('useReducer.undo', { count: history.past.length })}
+        onClick={() => dispatch({ type: 'UNDO' })}
+        variant="secondary"
+        disabled={history.past.length === 0}
+      />
+      <Button
+        text={t('useReducer.redo', { count: history.future.length })}
+        onClick={() => dispatch({ type: 'REDO' })}
+        variant="secondary"
+        disabled={history.future.length === 0}
+      />
+      <span className="undo-hint">
+        <kbd>Ctrl</kbd>+<kbd>Z</kbd> / <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>Z</kbd> · {t('useReducer.undoLimit', { limit: HISTORY_LIMIT })}
+      </span>
+    </div>
+  );
+};
+
+UndoControls.propTypes = {
+  history: PropTypes.shape({
+    past: PropTypes.array.isRequired,
+    future: PropTypes.array.isRequired,
+  }).isRequired,
+  dispatch: PropTypes.func.isRequired,
+};
+
 const UseReducerDemo = () => {
-  // Using multiple reducers in one component
-  const [counterState, counterDispatch] = useReducer(counterReducer, counterInitialState);
-  const [formState, formDispatch] = useReducer(formReducer, formInitialState);
-  const [todoState, todoDispatch] = useReducer(todoReducer, todoInitialState);
-  const [cartState, cartDispatch] = useReducer(cartReducer, cartInitialState);
+  // Using multiple reducers in one component.
+  // useTimeTravelReducer is useReducer plus a recorded history for the
+  // time-travel debugger under each demo; state and dispatch work the same.
+  const [counterState, counterDispatch, counterDevtools] = useTimeTravelReducer(counterReducer, counterInitialState);
+  // The form and cart pick up where they left off before a reload (read once,
+  // like the todos below). Autosave keeps the drafts current; see the effects.
+  const [formRestoredState] = useState(() => {
+    const draft = signupFormDraftStore.getSnapshot();
+    return draft ? formReducer(formInitialState, { type: 'RESTORE_DRAFT', draft }) : formInitialState;
+  });
+  const [formDraftRestored, setFormDraftRestored] = useState(() => signupFormDraftStore.getSnapshot() !== null);
+  const [formState, formDispatch, formDevtools] = useTimeTravelReducer(formReducer, formRestoredState);
+  // Prefix for the form's label/input/error ids - unique per component instance
+  const formId = useId();
+  const { notify } = useToast();
+  const { t, formatCurrency } = useLocale();
+  // Start from the saved todos (read once, so the devtools start state stays put)
+  const [todoHistoryInitialState] = useState(() => undoableInitialState(
+    todoReducer(todoInitialState, { type: 'HYDRATE', todos: reducerTodosStore.getSnapshot() })
+  ));
+  const [todoHistory, todoDispatch, todoDevtools] = useTimeTravelReducer(undoableTodoReducer, todoHistoryInitialState);
+  const [cartHistoryInitialState] = useState(() => {
+    const cart = cartDraftStore.getSnapshot();
+    return undoableInitialState(cart ? cartReducer(cartInitialState, { type: 'RESTORE_CART', cart }) : cartInitialState);
+  });
+  const [cartHistory, cartDispatch, cartDevtools] = useTimeTravelReducer(undoableCartReducer, cartHistoryInitialState);
+  // The undoable reducers keep the current state under `present`
+  const todoState = todoHistory.present;
+  const cartState = cartHistory.present;
+  const cartItemCount = cartState.items.reduce((sum, item) => sum + item.quantity, 0);
+
+  // Save every change to the todos, and load the ones other tabs save.
+  // Our own save notifies subscribers too, so skip the todos we just wrote.
+  // Nothing is saved while the devtools show a past state - that's only a
+  // view; the latest state is saved once the learner is back at it.
+  const savedTodosRef = useRef(null);
+  const todoViewingPast = todoDevtools.viewingPast;
+  useEffect(() => {
+    if (todoViewingPast) return;
+    savedTodosRef.current = todoState.todos;
+    reducerTodosStore.set(todoState.todos);
+  }, [todoState.todos, todoViewingPast]);
+
+  // Drafts for the autosave service. The password is never written to storage,
+  // and an empty form or cart clears its draft.
+  const formViewingPast = formDevtools.viewingPast;
+  useEffect(() => {
+    if (formViewingPast) return;
+    const { username, email, age } = formState;
+    signupFormDraftStore.set(username || email || age ? { username, email, age } : null);
+  }, [formState, formViewingPast]);
+
+  const cartViewingPast = cartDevtools.viewingPast;
+  useEffect(() => {
+    if (cartViewingPast) return;
+    cartDraftStore.set(cartState.items.length > 0 ? cartState : null);
+  }, [cartState, cartViewingPast]);
+
+  // What's actually in localStorage right now, for the persistence card
+  const storedTodos = useSyncExternalStore(reducerTodosStore.subscribe, reducerTodosStore.getSnapshot);
+
+  // appendAction records the HYDRATE after the latest state, so someone
+  // scrubbing through the past keeps their place and their later states
+  const appendTodoAction = todoDevtools.appendAction;
+  useEffect(() => reducerTodosStore.subscribe(() => {
+    const todos = reducerTodosStore.getSnapshot();
+    if (todos !== savedTodosRef.current) {
+      appendTodoAction({ type: 'HYDRATE', todos });
+    }
+  }), [appendTodoAction]);
 
   // Local state for form inputs
   const [todoInput, setTodoInput] = useState('');
@@ -206,32 +341,34 @@ const UseReducerDemo = () => {
     { id: 3, name: 'Keyboard', price: 79 }
   ];
 
-  // Form validation and submission
+  // Form validation and submission. It's the same form as the useActionState
+  // one on the Form Actions page, so errors are its catalog keys, translated
+  // when shown.
   const validateForm = () => {
     const errors = {};
 
     if (!formState.username.trim()) {
-      errors.username = 'Username is required';
+      errors.username = 'formActions.errors.usernameRequired';
     } else if (formState.username.length < 3) {
-      errors.username = 'Username must be at least 3 characters';
+      errors.username = 'formActions.errors.usernameShort';
     }
 
     if (!formState.email.trim()) {
-      errors.email = 'Email is required';
+      errors.email = 'formActions.errors.emailRequired';
     } else if (!/\S+@\S+\.\S+/.test(formState.email)) {
-      errors.email = 'Email is invalid';
+      errors.email = 'formActions.errors.emailInvalid';
     }
 
     if (!formState.password) {
-      errors.password = 'Password is required';
+      errors.password = 'formActions.errors.passwordRequired';
     } else if (formState.password.length < 6) {
-      errors.password = 'Password must be at least 6 characters';
+      errors.password = 'formActions.errors.passwordShort';
     }
 
     if (!formState.age) {
-      errors.age = 'Age is required';
+      errors.age = 'formActions.errors.ageRequired';
     } else if (formState.age < 18 || formState.age > 100) {
-      errors.age = 'Age must be between 18 and 100';
+      errors.age = 'formActions.errors.ageRange';
     }
 
     return errors;
@@ -251,8 +388,9 @@ const UseReducerDemo = () => {
     // Simulate API call
     setTimeout(() => {
       console.log('Form submitted:', formState);
-      alert('Form submitted successfully!');
+      notify(t('useReducer.formSubmitted'));
       formDispatch({ type: 'SUBMIT_SUCCESS' });
+      setFormDraftRestored(false);
     }, 1000);
   };
 
@@ -300,7 +438,7 @@ const UseReducerDemo = () => {
       </div>
 
       {/* Demo 1: Simple Counter */}
-      <div className="demo-card">
+      <div id="counter" className="demo-card">
         <h3>1️⃣ Basic Reducer Pattern</h3>
         <p className="demo-explanation">
           Simple counter demonstrating core reducer concepts: state, actions, dispatch.
@@ -308,12 +446,12 @@ const UseReducerDemo = () => {
         <div className="counter-display">{counterState.count}</div>
         <div className="button-group">
           <Button
-            text="Increment"
+            text={t('counter.increment')}
             onClick={() => counterDispatch({ type: 'INCREMENT' })}
             variant="primary"
           />
           <Button
-            text="Decrement"
+            text={t('counter.decrement')}
             onClick={() => counterDispatch({ type: 'DECREMENT' })}
             variant="secondary"
           />
@@ -323,13 +461,18 @@ const UseReducerDemo = () => {
             variant="primary"
           />
           <Button
-            text="Reset"
+            text={t('counter.reset')}
             onClick={() => counterDispatch({ type: 'RESET' })}
             variant="danger"
           />
         </div>
-        <div className="code-snippet">
-          <pre>{`// 1. Define reducer function
+        <ReducerDevtools name="counterReducer" devtools={counterDevtools} />
+
+        <CodePlayground
+          title="Counter reducer"
+          code={`import { useReducer } from 'react';
+
+// 1. Define reducer function
 function counterReducer(state, action) {
   switch (action.type) {
     case 'INCREMENT':
@@ -343,25 +486,41 @@ function counterReducer(state, action) {
   }
 }
 
-// 2. Use reducer in component
-const [state, dispatch] = useReducer(counterReducer, { count: 0 });
+export default function Counter() {
+  // 2. Use reducer in component
+  const [state, dispatch] = useReducer(counterReducer, { count: 0 });
 
-// 3. Dispatch actions
-dispatch({ type: 'INCREMENT' });
-dispatch({ type: 'INCREMENT_BY', payload: 5 });`}</pre>
-        </div>
+  // 3. Dispatch actions
+  return (
+    <div>
+      <h2>{state.count}</h2>
+      <button onClick={() => dispatch({ type: 'INCREMENT' })}>+1</button>
+      <button onClick={() => dispatch({ type: 'DECREMENT' })}>-1</button>
+      <button onClick={() => dispatch({ type: 'INCREMENT_BY', payload: 5 })}>+5</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 2: Complex Form */}
-      <div className="demo-card">
+      <div id="form" className="demo-card">
         <h3>2️⃣ Complex Form State Management</h3>
         <p className="demo-explanation">
           Managing multiple form fields, validation, and submission states with one reducer.
+          React 19 can track the submission for you - see this form{' '}
+          <Link to="/hooks/form-actions#action-state">rebuilt with useActionState</Link>.
         </p>
+        {formDraftRestored && (
+          <p className="draft-notice">
+            {t('useReducer.draftRestored')}
+          </p>
+        )}
         <form onSubmit={handleFormSubmit} className="demo-form">
           <div className="form-group">
-            <label>Username:</label>
+            <label htmlFor={`${formId}-username`}>{t('formActions.fields.username')}</label>
             <input
+              id={`${formId}-username`}
               type="text"
               value={formState.username}
               onChange={(e) => formDispatch({
@@ -370,15 +529,18 @@ dispatch({ type: 'INCREMENT_BY', payload: 5 });`}</pre>
                 value: e.target.value
               })}
               className={formState.errors.username ? 'error' : ''}
+              aria-invalid={Boolean(formState.errors.username)}
+              aria-describedby={formState.errors.username ? `${formId}-username-error` : undefined}
             />
             {formState.errors.username && (
-              <span className="error-message">{formState.errors.username}</span>
+              <span id={`${formId}-username-error`} className="error-message">{t(formState.errors.username)}</span>
             )}
           </div>
 
           <div className="form-group">
-            <label>Email:</label>
+            <label htmlFor={`${formId}-email`}>{t('formActions.fields.email')}</label>
             <input
+              id={`${formId}-email`}
               type="email"
               value={formState.email}
               onChange={(e) => formDispatch({
@@ -387,15 +549,18 @@ dispatch({ type: 'INCREMENT_BY', payload: 5 });`}</pre>
                 value: e.target.value
               })}
               className={formState.errors.email ? 'error' : ''}
+              aria-invalid={Boolean(formState.errors.email)}
+              aria-describedby={formState.errors.email ? `${formId}-email-error` : undefined}
             />
             {formState.errors.email && (
-              <span className="error-message">{formState.errors.email}</span>
+              <span id={`${formId}-email-error`} className="error-message">{t(formState.errors.email)}</span>
             )}
           </div>
 
           <div className="form-group">
-            <label>Password:</label>
+            <label htmlFor={`${formId}-password`}>{t('formActions.fields.password')}</label>
             <input
+              id={`${formId}-password`}
               type="password"
               value={formState.password}
               onChange={(e) => formDispatch({
@@ -404,15 +569,18 @@ dispatch({ type: 'INCREMENT_BY', payload: 5 });`}</pre>
                 value: e.target.value
               })}
               className={formState.errors.password ? 'error' : ''}
+              aria-invalid={Boolean(formState.errors.password)}
+              aria-describedby={formState.errors.password ? `${formId}-password-error` : undefined}
             />
             {formState.errors.password && (
-              <span className="error-message">{formState.errors.password}</span>
+              <span id={`${formId}-password-error`} className="error-message">{t(formState.errors.password)}</span>
             )}
           </div>
 
           <div className="form-group">
-            <label>Age:</label>
+            <label htmlFor={`${formId}-age`}>{t('formActions.fields.age')}</label>
             <input
+              id={`${formId}-age`}
               type="number"
               value={formState.age}
               onChange={(e) => formDispatch({
@@ -421,30 +589,42 @@ dispatch({ type: 'INCREMENT_BY', payload: 5 });`}</pre>
                 value: parseInt(e.target.value) || ''
               })}
               className={formState.errors.age ? 'error' : ''}
+              aria-invalid={Boolean(formState.errors.age)}
+              aria-describedby={formState.errors.age ? `${formId}-age-error` : undefined}
             />
             {formState.errors.age && (
-              <span className="error-message">{formState.errors.age}</span>
+              <span id={`${formId}-age-error`} className="error-message">{t(formState.errors.age)}</span>
             )}
           </div>
 
           <div className="button-group">
             <Button
-              text={formState.isSubmitting ? 'Submitting...' : 'Submit'}
+              text={formState.isSubmitting ? t('useReducer.submitting') : t('useReducer.submit')}
               type="submit"
               variant="primary"
               disabled={formState.isSubmitting}
             />
             <Button
-              text="Reset Form"
-              onClick={() => formDispatch({ type: 'RESET_FORM' })}
+              text={t('useReducer.resetForm')}
+              onClick={() => {
+                formDispatch({ type: 'RESET_FORM' });
+                setFormDraftRestored(false);
+              }}
               variant="danger"
               type="button"
             />
           </div>
         </form>
 
-        <div className="code-snippet">
-          <pre>{`// Handling complex form state
+        <ReducerDevtools name="formReducer" devtools={formDevtools} />
+
+        <CodePlayground
+          title="Form reducer"
+          code={`import { useReducer } from 'react';
+
+const initialState = { email: '', errors: {}, isSubmitting: false };
+
+// Handling complex form state
 function formReducer(state, action) {
   switch (action.type) {
     case 'UPDATE_FIELD':
@@ -462,47 +642,73 @@ function formReducer(state, action) {
   }
 }
 
-// Dispatch with payload
-dispatch({ type: 'UPDATE_FIELD', field: 'email', value: 'test@example.com' });`}</pre>
-        </div>
+export default function SignupForm() {
+  const [state, dispatch] = useReducer(formReducer, initialState);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!state.email.includes('@')) {
+      dispatch({ type: 'SET_ERRORS', errors: { email: 'Email is invalid' } });
+      return;
+    }
+    dispatch({ type: 'SUBMIT_START' });
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {/* Dispatch with payload */}
+      <input
+        value={state.email}
+        onChange={(e) => dispatch({ type: 'UPDATE_FIELD', field: 'email', value: e.target.value })}
+        placeholder="test@example.com"
+      />
+      <button disabled={state.isSubmitting}>Submit</button>
+      {state.errors.email && <p style={{ color: 'red' }}>{state.errors.email}</p>}
+    </form>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 3: Todo List */}
-      <div className="demo-card">
+      <div id="todos" className="demo-card" onKeyDown={undoShortcuts(todoDispatch)}>
         <h3>3️⃣ Todo List with Filters</h3>
         <p className="demo-explanation">
           Complex state with arrays, filtering, and multiple operations.
+          Every change can be undone - even Clear Completed.
         </p>
 
+        <UndoControls history={todoHistory} dispatch={todoDispatch} />
+
         <form onSubmit={handleAddTodo} className="todo-form">
           <input
             type="text"
             value={todoInput}
             onChange={(e) => setTodoInput(e.target.value)}
-            placeholder="Add a new todo..."
+            placeholder={t('useReducer.todoPlaceholder')}
             className="todo-input"
           />
-          <Button text="Add Todo" type="submit" variant="primary" />
+          <Button text={t('useReducer.addTodo')} type="submit" variant="primary" />
         </form>
 
         <div className="filter-buttons">
           <Button
-            text="All"
+            text={t('useReducer.filters.all')}
             onClick={() => todoDispatch({ type: 'SET_FILTER', filter: 'all' })}
             variant={todoState.filter === 'all' ? 'primary' : 'secondary'}
           />
           <Button
-            text="Active"
+            text={t('useReducer.filters.active')}
             onClick={() => todoDispatch({ type: 'SET_FILTER', filter: 'active' })}
             variant={todoState.filter === 'active' ? 'primary' : 'secondary'}
           />
           <Button
-            text="Completed"
+            text={t('useReducer.filters.completed')}
             onClick={() => todoDispatch({ type: 'SET_FILTER', filter: 'completed' })}
             variant={todoState.filter === 'completed' ? 'primary' : 'secondary'}
           />
           <Button
-            text="Clear Completed"
+            text={t('todoList.clearCompleted')}
             onClick={() => todoDispatch({ type: 'CLEAR_COMPLETED' })}
             variant="danger"
           />
@@ -520,12 +726,12 @@ dispatch({ type: 'UPDATE_FIELD', field: 'email', value: 'test@example.com' });`}
                     className="edit-input"
                   />
                   <Button
-                    text="Save"
+                    text={t('todoList.save')}
                     onClick={() => handleSaveEdit(todo.id)}
                     variant="primary"
                   />
                   <Button
-                    text="Cancel"
+                    text={t('todoList.cancel')}
                     onClick={() => setEditingTodoId(null)}
                     variant="secondary"
                   />
@@ -541,12 +747,12 @@ dispatch({ type: 'UPDATE_FIELD', field: 'email', value: 'test@example.com' });`}
                   <span className="todo-text">{todo.text}</span>
                   <div className="todo-actions">
                     <Button
-                      text="Edit"
+                      text={t('todoList.edit')}
                       onClick={() => handleEditTodo(todo.id, todo.text)}
                       variant="secondary"
                     />
                     <Button
-                      text="Delete"
+                      text={t('todoList.delete')}
                       onClick={() => todoDispatch({ type: 'DELETE_TODO', id: todo.id })}
                       variant="danger"
                     />
@@ -557,45 +763,83 @@ dispatch({ type: 'UPDATE_FIELD', field: 'email', value: 'test@example.com' });`}
           ))}
         </ul>
 
-        <div className="code-snippet">
-          <pre>{`// Todo reducer with array operations
-case 'ADD_TODO':
-  return {
-    ...state,
-    todos: [...state.todos, { id: nextId, text, completed: false }]
-  };
+        <ReducerDevtools name="undoable(todoReducer)" devtools={todoDevtools} />
 
-case 'TOGGLE_TODO':
-  return {
-    ...state,
-    todos: state.todos.map(todo =>
-      todo.id === action.id ? { ...todo, completed: !todo.completed } : todo
-    )
-  };
+        <CodePlayground
+          title="Todo reducer"
+          code={`import { useReducer, useState } from 'react';
 
-case 'DELETE_TODO':
-  return {
-    ...state,
-    todos: state.todos.filter(todo => todo.id !== action.id)
-  };`}</pre>
-        </div>
+// Todo reducer with array operations
+function todoReducer(state, action) {
+  switch (action.type) {
+    case 'ADD_TODO':
+      return {
+        ...state,
+        todos: [...state.todos, { id: state.nextId, text: action.text, completed: false }],
+        nextId: state.nextId + 1
+      };
+    case 'TOGGLE_TODO':
+      return {
+        ...state,
+        todos: state.todos.map(todo =>
+          todo.id === action.id ? { ...todo, completed: !todo.completed } : todo
+        )
+      };
+    case 'DELETE_TODO':
+      return {
+        ...state,
+        todos: state.todos.filter(todo => todo.id !== action.id)
+      };
+    default:
+      return state;
+  }
+}
+
+export default function Todos() {
+  const [state, dispatch] = useReducer(todoReducer, { todos: [], nextId: 1 });
+  const [text, setText] = useState('');
+
+  return (
+    <div>
+      <input value={text} onChange={(e) => setText(e.target.value)} />
+      <button onClick={() => { dispatch({ type: 'ADD_TODO', text }); setText(''); }}>Add</button>
+      <ul>
+        {state.todos.map(todo => (
+          <li key={todo.id}>
+            <input
+              type="checkbox"
+              checked={todo.completed}
+              onChange={() => dispatch({ type: 'TOGGLE_TODO', id: todo.id })}
+            />
+            {todo.text}
+            <button onClick={() => dispatch({ type: 'DELETE_TODO', id: todo.id })}>x</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 4: Shopping Cart */}
-      <div className="demo-card">
+      <div id="cart" className="demo-card" onKeyDown={undoShortcuts(cartDispatch)}>
         <h3>4️⃣ Shopping Cart (Advanced)</h3>
         <p className="demo-explanation">
           Complex calculations and nested state updates in reducer.
+          Clear Cart by accident? Undo it.
         </p>
 
+        <UndoControls history={cartHistory} dispatch={cartDispatch} />
+
         <div className="products-grid">
-          <h4>Products:</h4>
+          <h4>{t('cart.products')}</h4>
           {products.map(product => (
             <div key={product.id} className="product-card">
               <h5>{product.name}</h5>
-              <p className="price">${product.price}</p>
+              <p className="price">{formatCurrency(product.price)}</p>
               <Button
-                text="Add to Cart"
+                text={t('cart.addToCart')}
                 onClick={() => cartDispatch({ type: 'ADD_ITEM', item: product })}
                 variant="primary"
               />
@@ -604,9 +848,9 @@ case 'DELETE_TODO':
         </div>
 
         <div className="cart-section">
-          <h4>Shopping Cart:</h4>
+          <h4>{t('cart.title')}</h4>
           {cartState.items.length === 0 ? (
-            <p className="empty-cart">Your cart is empty</p>
+            <p className="empty-cart">{t('cart.empty')}</p>
           ) : (
             <>
               <ul className="cart-items">
@@ -614,7 +858,9 @@ case 'DELETE_TODO':
                   <li key={item.id} className="cart-item">
                     <div className="item-info">
                       <span className="item-name">{item.name}</span>
-                      <span className="item-price">${item.price} x {item.quantity}</span>
+                      <span className="item-price">
+                        {t('cart.itemPrice', { price: formatCurrency(item.price), quantity: item.quantity })}
+                      </span>
                     </div>
                     <div className="item-actions">
                       <Button
@@ -641,7 +887,7 @@ case 'DELETE_TODO':
                         variant="secondary"
                       />
                       <Button
-                        text="Remove"
+                        text={t('cart.remove')}
                         onClick={() => cartDispatch({ type: 'REMOVE_ITEM', id: item.id })}
                         variant="danger"
                       />
@@ -650,10 +896,11 @@ case 'DELETE_TODO':
                 ))}
               </ul>
               <div className="cart-total">
-                <strong>Total: ${cartState.total}</strong>
+                <strong>{t('cart.total', { amount: formatCurrency(cartState.total) })}</strong>
+                {' '}({t('cart.itemCount', { count: cartItemCount })})
               </div>
               <Button
-                text="Clear Cart"
+                text={t('cart.clear')}
                 onClick={() => cartDispatch({ type: 'CLEAR_CART' })}
                 variant="danger"
               />
@@ -661,31 +908,233 @@ case 'DELETE_TODO':
           )}
         </div>
 
-        <div className="code-snippet">
-          <pre>{`// Cart reducer with complex logic
-case 'ADD_ITEM': {
-  const existingItem = state.items.find(item => item.id === action.item.id);
-
-  if (existingItem) {
-    return {
-      items: state.items.map(item =>
-        item.id === action.item.id
-          ? { ...item, quantity: item.quantity + 1 }
-          : item
-      ),
-      total: state.total + action.item.price
-    };
+        <ReducerDevtools name="undoable(cartReducer)" devtools={cartDevtools} />
+
+        <CodePlayground
+          title="Cart reducer"
+          code={`import { useReducer } from 'react';
+
+const products = [
+  { id: 1, name: 'Laptop', price: 999 },
+  { id: 2, name: 'Mouse', price: 29 },
+];
+
+// Cart reducer with complex logic
+function cartReducer(state, action) {
+  switch (action.type) {
+    case 'ADD_ITEM': {
+      const existingItem = state.items.find(item => item.id === action.item.id);
+
+      if (existingItem) {
+        return {
+          items: state.items.map(item =>
+            item.id === action.item.id
+              ? { ...item, quantity: item.quantity + 1 }
+              : item
+          ),
+          total: state.total + action.item.price
+        };
+      }
+      return {
+        items: [...state.items, { ...action.item, quantity: 1 }],
+        total: state.total + action.item.price
+      };
+    }
+    default:
+      return state;
   }
-  return {
-    items: [...state.items, { ...action.item, quantity: 1 }],
-    total: state.total + action.item.price
+}
+
+export default function Cart() {
+  const [cart, dispatch] = useReducer(cartReducer, { items: [], total: 0 });
+
+  return (
+    <div>
+      {products.map(product => (
+        <button key={product.id} onClick={() => dispatch({ type: 'ADD_ITEM', item: product })}>
+          Add {product.name}
+        </button>
+      ))}
+      <ul>
+        {cart.items.map(item => <li key={item.id}>{item.name} x {item.quantity}</li>)}
+      </ul>
+      <strong>Total: \${cart.total}</strong>
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 5: Undo/Redo */}
+      <div id="undo-redo" className="demo-card">
+        <h3>5️⃣ Undo/Redo with a Higher-Order Reducer</h3>
+        <p className="demo-explanation">
+          A higher-order reducer takes a reducer and returns a new one with extra behaviour.{' '}
+          <code>undoable(reducer)</code> keeps three things: <code>past</code> (earlier states),{' '}
+          <code>present</code> (what the wrapped reducer sees) and <code>future</code> (undone states).
+          UNDO and REDO just move states between the stacks; every other action goes to the
+          wrapped reducer and pushes the old present onto <code>past</code>. The todo list and cart
+          above use it without a single change to <code>todoReducer</code> or <code>cartReducer</code>.
+        </p>
+
+        <div className="undo-stacks">
+          <div className="undo-stack">
+            <h4>Todo past</h4>
+            <span className="stack-count">{todoHistory.past.length}</span>
+          </div>
+          <div className="undo-stack present">
+            <h4>Todo present</h4>
+            <span className="stack-count">{t('useReducer.todoCount', { count: todoState.todos.length })}</span>
+          </div>
+          <div className="undo-stack">
+            <h4>Todo future</h4>
+            <span className="stack-count">{todoHistory.future.length}</span>
+          </div>
+        </div>
+
+        <ul className="undo-notes">
+          <li><strong>Pure:</strong> Undo is just returning an earlier state object - possible only because states are never mutated</li>
+          <li><strong>New action clears future:</strong> After undoing, doing something new makes the redo stack meaningless</li>
+          <li><strong>No-op actions:</strong> If the wrapped reducer returns the same state, no undo step is recorded</li>
+          <li><strong>Limit:</strong> <code>past</code> is capped at {HISTORY_LIMIT} entries so memory stays bounded</li>
+          <li><strong>Ignore list:</strong> UI-only actions (like SET_FILTER) update <code>present</code> without an undo step</li>
+        </ul>
+
+        <CodePlayground
+          title="Higher-order undoable reducer"
+          code={`import { useReducer } from 'react';
+
+// Wraps ANY reducer with undo/redo
+function undoable(reducer, limit = 10) {
+  return (state, action) => {
+    const { past, present, future } = state;
+    switch (action.type) {
+      case 'UNDO':
+        if (!past.length) return state;
+        return { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] };
+      case 'REDO':
+        if (!future.length) return state;
+        return { past: [...past, present], present: future[0], future: future.slice(1) };
+      default: {
+        const next = reducer(present, action);
+        if (next === present) return state;
+        return { past: [...past, present].slice(-limit), present: next, future: [] };
+      }
+    }
   };
-}`}</pre>
+}
+
+// A plain reducer that knows nothing about history
+function counterReducer(state, action) {
+  switch (action.type) {
+    case 'INCREMENT': return { count: state.count + 1 };
+    case 'DOUBLE': return { count: state.count * 2 };
+    default: return state;
+  }
+}
+
+const undoableCounter = undoable(counterReducer);
+
+export default function Counter() {
+  const [state, dispatch] = useReducer(undoableCounter, {
+    past: [], present: { count: 1 }, future: []
+  });
+
+  return (
+    <div>
+      <h2>{state.present.count}</h2>
+      <button onClick={() => dispatch({ type: 'INCREMENT' })}>+1</button>
+      <button onClick={() => dispatch({ type: 'DOUBLE' })}>x2</button>
+      <button onClick={() => dispatch({ type: 'UNDO' })} disabled={!state.past.length}>Undo</button>
+      <button onClick={() => dispatch({ type: 'REDO' })} disabled={!state.future.length}>Redo</button>
+      <p>past: {state.past.length} | future: {state.future.length}</p>
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 6: Persistence */}
+      <div id="persistence" className="demo-card">
+        <h3>6️⃣ Persisting State &amp; Syncing Tabs</h3>
+        <p className="demo-explanation">
+          The todo list above survives a refresh and stays in sync across tabs. localStorage is an{' '}
+          <strong>external store</strong> - data that lives outside React - and{' '}
+          <code>useSyncExternalStore(subscribe, getSnapshot)</code> is the hook for reading one.{' '}
+          <code>subscribe</code> listens for the browser&apos;s <code>storage</code> event, which fires in every{' '}
+          <em>other</em> tab when a key changes; <code>getSnapshot</code> returns the current value, and must
+          return the same object until it changes or React will re-render forever.
+        </p>
+
+        <div className="persistence-status">
+          <p>
+            <code>{reducerTodosStore.key}</code> · schema v{reducerTodosStore.version} ·{' '}
+            {t('useReducer.todosSaved', { count: storedTodos.length })}
+          </p>
+          <a href="/hooks/use-reducer#todos" target="_blank" rel="noreferrer">
+            {t('useReducer.openInTab')}
+          </a>
+          <span className="undo-hint">{t('useReducer.openInTabHint')}</span>
         </div>
+
+        <ul className="undo-notes">
+          <li><strong>Versioned:</strong> Saved as <code>{'{ version, data }'}</code> - older versions are migrated, newer ones ignored instead of crashing</li>
+          <li><strong>No echo:</strong> Writing the value that is already saved is skipped, so two tabs don&apos;t ping-pong updates</li>
+          <li><strong>Reducer state:</strong> Only <code>todos</code> is saved - the filter is per-tab UI state. Changes from other tabs arrive as a HYDRATE action, which starts a new undo history so Undo can&apos;t revert them</li>
+          <li><strong>Autosave:</strong> Writes go through the autosave service, a second after you stop editing - the header shows when they land, and the useContext page&apos;s Auto-save setting pauses them</li>
+          <li><strong>useState TodoList:</strong> The State page&apos;s TodoList keeps its todos in useState, saves them from an effect and subscribes to the store for other tabs&apos; changes</li>
+        </ul>
+
+        <CodePlayground
+          title="useSyncExternalStore + localStorage"
+          code={`import { useSyncExternalStore } from 'react';
+
+const KEY = 'playground.notes';
+let cached = JSON.parse(localStorage.getItem(KEY)) ?? [];
+
+// The store: plain JavaScript, no React
+const notesStore = {
+  subscribe(listener) {
+    const onStorage = (e) => {
+      if (e.key !== KEY) return;
+      cached = JSON.parse(e.newValue) ?? []; // another tab saved
+      listener();
+    };
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('notes-changed', listener); // this tab
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('notes-changed', listener);
+    };
+  },
+  // Must return the SAME object until the data changes
+  getSnapshot: () => cached,
+  set(notes) {
+    cached = notes;
+    localStorage.setItem(KEY, JSON.stringify(notes));
+    window.dispatchEvent(new Event('notes-changed'));
+  },
+};
+
+export default function Notes() {
+  const notes = useSyncExternalStore(notesStore.subscribe, notesStore.getSnapshot);
+
+  return (
+    <div>
+      <button onClick={() => notesStore.set([...notes, 'Note ' + (notes.length + 1)])}>
+        Add note
+      </button>
+      <button onClick={() => notesStore.set([])}>Clear</button>
+      <ul>{notes.map((note, i) => <li key={i}>{note}</li>)}</ul>
+      <p>Refresh the page - the notes are still here.</p>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Key Takeaways */}
-      <div className="demo-card key-takeaways">
+      <div id="interview-points" className="demo-card key-takeaways">
         <h3>🎯 Key Interview Points</h3>
         <ul>
           <li><strong>When to use useReducer:</strong> Complex state logic, multiple sub-values, next state depends on previous, many actions</li>
@@ -696,8 +1145,12 @@ case 'ADD_ITEM': {
           <li><strong>Performance:</strong> dispatch function is stable (doesn't change), good for passing to child components</li>
           <li><strong>With Context:</strong> Often combined with useContext to create global state management (Redux pattern)</li>
           <li><strong>Debugging:</strong> Easy to log actions and state changes. Reducer logic is testable (pure function)</li>
+          <li><strong>Higher-order reducers:</strong> Wrap a reducer to add behaviour like undo/redo without touching it: undoable(reducer)</li>
           <li><strong>Initial state:</strong> Can pass lazy initializer function as 3rd parameter: useReducer(reducer, initialArg, init)</li>
         </ul>
+        <Link to="/quiz?hook=useReducer" className="quiz-link">
+          🧠 Quiz yourself on useReducer →
+        </Link>
 
         <div className="code-snippet">
           <pre>{`// Common Interview Question: useReducer vs useState
@@ -1,5 +1,13 @@
 import { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import Button from './Button';
+import CodePlayground from './CodePlayground';
+import VideoPlayer from './VideoPlayer';
+import { useLocale } from '../context/LocaleContext';
+import { useToast } from '../context/ToastContext';
+import { useInterval } from '../hooks/useInterval';
+import { usePrevious } from '../hooks/usePrevious';
+import { sampleVideoUrl } from '../data/mockData';
 import './UseRefDemo.css';
 
 /**
@@ -25,14 +33,16 @@ const UseRefDemo = () => {
   const [renderCount, setRenderCount] = useState(0);
   const [name, setName] = useState('');
   const [videoPlaying, setVideoPlaying] = useState(false);
+  const [playError, setPlayError] = useState(null);
+  const [autoIncrementing, setAutoIncrementing] = useState(false);
+  const { notify } = useToast();
+  const { t } = useLocale();
 
   // REFS (do NOT trigger re-renders)
   const inputRef = useRef(null); // For DOM access
-  const previousCountRef = useRef(0); // Track previous value
   const renderCountRef = useRef(0); // Count renders without causing re-render
-  const timerRef = useRef(null); // Store timer ID
   const clickCountRef = useRef(0); // Mutable value that doesn't need re-render
-  const videoRef = useRef(null); // DOM element (video/audio)
+  const playerRef = useRef(null); // VideoPlayer's imperative handle
   const hasRenderedRef = useRef(false); // Skip first render in useEffect
 
   // PATTERN 1: Tracking renders without causing infinite loop
@@ -43,10 +53,9 @@ const UseRefDemo = () => {
   });
 
   // PATTERN 2: Storing previous value
-  // Very useful for comparing current vs previous state
-  useEffect(() => {
-    previousCountRef.current = count;
-  }, [count]);
+  // Very useful for comparing current vs previous state. usePrevious keeps it
+  // in state rather than a ref, so it's safe to show during render.
+  const previousCount = usePrevious(count) ?? 0;
 
   // PATTERN 3: Skip first render (componentDidUpdate equivalent)
   useEffect(() => {
@@ -77,7 +86,7 @@ const UseRefDemo = () => {
   const getInputDimensions = () => {
     if (inputRef.current) {
       const { offsetWidth, offsetHeight, scrollWidth } = inputRef.current;
-      alert(`Width: ${offsetWidth}px\nHeight: ${offsetHeight}px\nScroll Width: ${scrollWidth}px`);
+      notify(t('useRef.dimensions', { width: offsetWidth, height: offsetHeight, scrollWidth }), { variant: 'secondary' });
     }
   };
 
@@ -90,53 +99,25 @@ const UseRefDemo = () => {
   };
 
   const showClickCount = () => {
-    alert(`You've clicked ${clickCountRef.current} times!`);
-  };
-
-  // PATTERN 5: Managing timers with refs
-  const startAutoIncrement = () => {
-    // Clear existing timer if any
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-    }
-
-    // Store timer ID in ref (persists across re-renders)
-    timerRef.current = setInterval(() => {
-      setCount(c => c + 1);
-    }, 1000);
+    notify(t('useRef.clicked', { count: clickCountRef.current }), { variant: 'secondary' });
   };
 
-  const stopAutoIncrement = () => {
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-      timerRef.current = null;
-    }
-  };
-
-  // Cleanup timer on unmount
-  useEffect(() => {
-    return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-      }
-    };
-  }, []);
+  // PATTERN 5: Managing timers
+  // useInterval holds the interval id and clears it on stop and on unmount -
+  // the ref-based version it replaces is in the card's playground
+  useInterval(() => setCount(c => c + 1), autoIncrementing ? 1000 : null);
 
   // PATTERN 6: Video/Audio control
+  // videoPlaying follows the player's own play/pause events, so it stays right
+  // even when playback is started or stopped some other way.
+  // play() returns a promise that rejects when the browser refuses (autoplay
+  // rules, a source that won't load) - left unhandled, the button just does nothing
   const toggleVideo = () => {
-    if (videoRef.current) {
-      if (videoPlaying) {
-        videoRef.current.pause();
-      } else {
-        videoRef.current.play();
-      }
-      setVideoPlaying(!videoPlaying);
-    }
-  };
-
-  const seekVideo = (seconds) => {
-    if (videoRef.current) {
-      videoRef.current.currentTime = seconds;
+    if (videoPlaying) {
+      playerRef.current.pause();
+    } else {
+      setPlayError(null);
+      playerRef.current.play().catch(error => setPlayError(error.message));
     }
   };
 
@@ -150,7 +131,7 @@ const UseRefDemo = () => {
       </div>
 
       {/* Demo 1: DOM Access */}
-      <div className="demo-card">
+      <div id="dom-access" className="demo-card">
         <h3>1️⃣ DOM Element Access</h3>
         <p className="demo-explanation">
           Use refs to directly access and manipulate DOM elements.
@@ -159,179 +140,258 @@ const UseRefDemo = () => {
         <input
           ref={inputRef}
           type="text"
-          placeholder="This input can be focused programmatically"
+          placeholder={t('useRef.inputPlaceholder')}
           className="ref-input"
           value={name}
           onChange={(e) => setName(e.target.value)}
         />
         <div className="button-group">
-          <Button text="Focus Input" onClick={focusInput} variant="primary" />
-          <Button text="Scroll to Input" onClick={scrollToInput} variant="secondary" />
-          <Button text="Get Dimensions" onClick={getInputDimensions} variant="primary" />
+          <Button text={t('useRef.focusInput')} onClick={focusInput} variant="primary" />
+          <Button text={t('useRef.scrollToInput')} onClick={scrollToInput} variant="secondary" />
+          <Button text={t('useRef.getDimensions')} onClick={getInputDimensions} variant="primary" />
         </div>
-        <div className="code-snippet">
-          <pre>{`const inputRef = useRef(null);
+        <CodePlayground
+          title="DOM access with refs"
+          code={`import { useRef } from 'react';
 
-<input ref={inputRef} />
+export default function FocusInput() {
+  const inputRef = useRef(null);
 
-// Direct DOM access
-inputRef.current.focus();
-inputRef.current.scrollIntoView();
-const width = inputRef.current.offsetWidth;`}</pre>
-        </div>
+  const showWidth = () => {
+    const width = inputRef.current.offsetWidth;
+    inputRef.current.value = \`I am \${width}px wide\`;
+  };
+
+  return (
+    <div>
+      <input ref={inputRef} placeholder="Focus me programmatically" />
+      {/* Direct DOM access */}
+      <button onClick={() => inputRef.current.focus()}>Focus</button>
+      <button onClick={showWidth}>Measure</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 2: Previous Value Tracking */}
-      <div className="demo-card">
+      <div id="previous-values" className="demo-card">
         <h3>2️⃣ Tracking Previous Values</h3>
         <p className="demo-explanation">
-          Refs persist values across renders. Perfect for comparing current vs previous state.
+          Refs persist values across renders, so the classic way to remember the previous value is a
+          ref updated in an effect (see the playground). But that ref is read during render, which
+          React can&apos;t track, and the React Compiler may skip the read. The counter here uses{' '}
+          <code>usePrevious</code> from the <Link to="/hooks/custom-hooks#use-previous">custom hooks library</Link>,
+          which keeps the previous value in state instead.
         </p>
         <div className="counter-display">{count}</div>
         <div className="previous-value">
-          Previous: <strong>{previousCountRef.current}</strong>
+          {t('useRef.previous')} <strong>{previousCount}</strong>
         </div>
         <div className="button-group">
-          <Button text="Increment" onClick={() => setCount(count + 1)} variant="primary" />
-          <Button text="Decrement" onClick={() => setCount(count - 1)} variant="secondary" />
+          <Button text={t('counter.increment')} onClick={() => setCount(count + 1)} variant="primary" />
+          <Button text={t('counter.decrement')} onClick={() => setCount(count - 1)} variant="secondary" />
         </div>
-        <div className="code-snippet">
-          <pre>{`const previousCountRef = useRef(0);
+        <CodePlayground
+          title="Previous value with a ref"
+          code={`import { useState, useRef, useEffect } from 'react';
 
-useEffect(() => {
-  previousCountRef.current = count; // Store after render
-}, [count]);
+export default function PreviousValue() {
+  const [count, setCount] = useState(0);
+  const previousCountRef = useRef(0);
 
-// Now you can compare: count vs previousCountRef.current`}</pre>
-        </div>
+  useEffect(() => {
+    previousCountRef.current = count; // Store after render
+  }, [count]);
+
+  // Now you can compare: count vs previousCountRef.current
+  return (
+    <div>
+      <h2>{count}</h2>
+      <p>Previous: {previousCountRef.current}</p>
+      <button onClick={() => setCount(count + 1)}>Increment</button>
+      <button onClick={() => setCount(count - 1)}>Decrement</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 3: Render Count */}
-      <div className="demo-card">
+      <div id="render-count" className="demo-card">
         <h3>3️⃣ Counting Renders (Without Causing Infinite Loop)</h3>
         <p className="demo-explanation">
           Using <code>useState</code> here would cause infinite re-renders!
           Refs let us track without triggering renders.
         </p>
         <div className="render-count">
-          This component has rendered: <strong>{renderCountRef.current} times</strong>
+          {t('useRef.rendered')} <strong>{renderCountRef.current} {t('useRef.times')}</strong>
         </div>
         <Button
-          text="Force Re-render"
+          text={t('useRef.forceRender')}
           onClick={() => setRenderCount(renderCount + 1)}
           variant="primary"
         />
-        <div className="code-snippet">
-          <pre>{`const renderCountRef = useRef(0);
+        <CodePlayground
+          title="Counting renders"
+          code={`import { useState, useRef, useEffect } from 'react';
 
-useEffect(() => {
-  renderCountRef.current += 1; // Doesn't trigger re-render!
-  console.log('Rendered', renderCountRef.current, 'times');
-});`}</pre>
-        </div>
+export default function RenderCounter() {
+  const [, forceRender] = useState(0);
+  const renderCountRef = useRef(0);
+
+  useEffect(() => {
+    renderCountRef.current += 1; // Doesn't trigger re-render!
+    console.log('Rendered', renderCountRef.current, 'times');
+  });
+
+  return (
+    <div>
+      <p>Rendered (as of last commit): {renderCountRef.current} times</p>
+      <button onClick={() => forceRender(n => n + 1)}>Force Re-render</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 4: Mutable Values */}
-      <div className="demo-card">
+      <div id="mutable-values" className="demo-card">
         <h3>4️⃣ Mutable Values Without Re-renders</h3>
         <p className="demo-explanation">
           Perfect for high-frequency updates where you don't need UI updates.
           Great for analytics, tracking, temporary storage.
         </p>
         <div className="button-group">
-          <Button text="Silent Click (No Re-render)" onClick={handleFastClick} variant="secondary" />
-          <Button text="Show Click Count" onClick={showClickCount} variant="primary" />
+          <Button text={t('useRef.silentClick')} onClick={handleFastClick} variant="secondary" />
+          <Button text={t('useRef.showClickCount')} onClick={showClickCount} variant="primary" />
         </div>
-        <p className="demo-note">
-          Click "Silent Click" multiple times (check console), then "Show Click Count"
-        </p>
-        <div className="code-snippet">
-          <pre>{`const clickCountRef = useRef(0);
-
-const handleClick = () => {
-  clickCountRef.current += 1; // No re-render!
-  console.log('Clicks:', clickCountRef.current);
-};
+        <p className="demo-note">{t('useRef.clickNote')}</p>
+        <CodePlayground
+          title="Mutable values without re-render"
+          code={`import { useRef, useState } from 'react';
+
+export default function SilentClicks() {
+  const clickCountRef = useRef(0);
+  const [shown, setShown] = useState(0);
+
+  const handleClick = () => {
+    clickCountRef.current += 1; // No re-render!
+    console.log('Clicks:', clickCountRef.current);
+  };
 
-// Use case: Analytics, temporary state, counters`}</pre>
-        </div>
+  // Use case: Analytics, temporary state, counters
+  return (
+    <div>
+      <button onClick={handleClick}>Silent Click</button>
+      <button onClick={() => setShown(clickCountRef.current)}>Show Count</button>
+      <p>Last shown count: {shown}</p>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 5: Timer Management */}
-      <div className="demo-card">
+      <div id="timers" className="demo-card">
         <h3>5️⃣ Managing Timers and Intervals</h3>
         <p className="demo-explanation">
           Store timer IDs in refs to persist them across re-renders and enable cleanup.
-          Essential pattern for preventing memory leaks.
+          Essential pattern for preventing memory leaks. Once the pattern clicks, wrap it up:
+          these buttons just switch <code>useInterval</code>&apos;s delay between 1000 and{' '}
+          <code>null</code>, and the hook clears the interval for you.
         </p>
         <div className="counter-display">{count}</div>
         <div className="button-group">
-          <Button text="Start Auto Increment" onClick={startAutoIncrement} variant="primary" />
-          <Button text="Stop Auto Increment" onClick={stopAutoIncrement} variant="danger" />
-          <Button text="Reset" onClick={() => setCount(0)} variant="secondary" />
+          <Button text={t('useRef.startAuto')} onClick={() => setAutoIncrementing(true)} variant="primary" disabled={autoIncrementing} />
+          <Button text={t('useRef.stopAuto')} onClick={() => setAutoIncrementing(false)} variant="danger" disabled={!autoIncrementing} />
+          <Button text={t('counter.reset')} onClick={() => setCount(0)} variant="secondary" />
         </div>
-        <div className="code-snippet">
-          <pre>{`const timerRef = useRef(null);
+        <CodePlayground
+          title="Timers stored in a ref"
+          code={`import { useState, useRef, useEffect } from 'react';
 
-const startTimer = () => {
-  timerRef.current = setInterval(() => {
-    setCount(c => c + 1);
-  }, 1000);
-};
+export default function AutoIncrement() {
+  const [count, setCount] = useState(0);
+  const timerRef = useRef(null);
 
-const stopTimer = () => {
-  clearInterval(timerRef.current);
-  timerRef.current = null;
-};
+  const startTimer = () => {
+    clearInterval(timerRef.current);
+    timerRef.current = setInterval(() => {
+      setCount(c => c + 1);
+    }, 1000);
+  };
 
-// Cleanup on unmount
-useEffect(() => () => clearInterval(timerRef.current), []);`}</pre>
-        </div>
+  const stopTimer = () => {
+    clearInterval(timerRef.current);
+    timerRef.current = null;
+  };
+
+  // Cleanup on unmount
+  useEffect(() => () => clearInterval(timerRef.current), []);
+
+  return (
+    <div>
+      <h2>{count}</h2>
+      <button onClick={startTimer}>Start</button>
+      <button onClick={stopTimer}>Stop</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Demo 6: Video Control */}
-      <div className="demo-card">
+      <div id="media-control" className="demo-card">
         <h3>6️⃣ Media Element Control (Video/Audio)</h3>
         <p className="demo-explanation">
           Control media elements programmatically. Essential for custom video players.
+          The <code>&lt;video&gt;</code> lives inside a reusable <code>VideoPlayer</code>, and the ref here
+          points to the small API it exposes rather than the element itself -
+          see <Link to="/hooks/use-imperative-handle">useImperativeHandle</Link>.
         </p>
-        <video
-          ref={videoRef}
-          className="demo-video"
-          loop
-          muted
-          playsInline
-        >
-          <source
-            src="https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4"
-            type="video/mp4"
-          />
-          Your browser doesn't support video.
-        </video>
+        <VideoPlayer ref={playerRef} src={sampleVideoUrl} onPlayingChange={setVideoPlaying} />
         <div className="button-group">
           <Button
-            text={videoPlaying ? "Pause" : "Play"}
+            text={videoPlaying ? t('useRef.pause') : t('useRef.play')}
             onClick={toggleVideo}
             variant={videoPlaying ? "secondary" : "primary"}
           />
-          <Button text="Skip to 5s" onClick={() => seekVideo(5)} variant="primary" />
-          <Button text="Skip to 10s" onClick={() => seekVideo(10)} variant="primary" />
+          <Button text={t('useRef.skipTo', { seconds: 5 })} onClick={() => playerRef.current.seek(5)} variant="primary" />
+          <Button text={t('useRef.skipTo', { seconds: 10 })} onClick={() => playerRef.current.seek(10)} variant="primary" />
         </div>
-        <div className="code-snippet">
-          <pre>{`const videoRef = useRef(null);
+        {playError && <p className="video-error" role="alert">{t('useRef.playError', { reason: playError })}</p>}
+        <CodePlayground
+          title="Media element control"
+          code={`import { useRef } from 'react';
 
-<video ref={videoRef} src="video.mp4" />
+export default function VideoControls() {
+  const videoRef = useRef(null);
 
-// Programmatic control
-videoRef.current.play();
-videoRef.current.pause();
-videoRef.current.currentTime = 10; // Seek to 10s
-videoRef.current.volume = 0.5;`}</pre>
-        </div>
+  return (
+    <div>
+      <video
+        ref={videoRef}
+        src="https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4"
+        width="100%"
+        muted
+      />
+      {/* Programmatic control */}
+      {/* play() returns a promise - it rejects if the browser refuses */}
+      <button onClick={() => videoRef.current.play().catch(error => console.warn('Playback refused:', error.message))}>
+        Play
+      </button>
+      <button onClick={() => videoRef.current.pause()}>Pause</button>
+      <button onClick={() => { videoRef.current.currentTime = 10; }}>Seek to 10s</button>
+      <button onClick={() => { videoRef.current.volume = 0.5; }}>50% volume</button>
+    </div>
+  );
+}`}
+        />
       </div>
 
       {/* Key Differences: useRef vs useState */}
-      <div className="demo-card comparison-card">
+      <div id="ref-vs-state" className="demo-card comparison-card">
         <h3>🆚 useRef vs useState</h3>
         <div className="comparison-grid">
           <div className="comparison-item">
@@ -358,7 +418,7 @@ videoRef.current.volume = 0.5;`}</pre>
       </div>
 
       {/* Key Takeaways */}
-      <div className="demo-card key-takeaways">
+      <div id="key-takeaways" className="demo-card key-takeaways">
         <h3>🎯 Key Takeaways</h3>
         <ul>
           <li><strong>DOM access:</strong> useRef is the React way to access DOM elements (no IDs needed)</li>
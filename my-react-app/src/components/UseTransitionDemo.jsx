@@ -0,0 +1,431 @@
+import { memo, useDeferredValue, useMemo, useRef, useState, useTransition } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import { useLocale } from '../context/LocaleContext';
+import { generateProducts } from '../data/mockData';
+import './UseTransitionDemo.css';
+
+/**
+ * useTransition & useDeferredValue Demonstration (concurrent React)
+ *
+ * Some updates are urgent (the letter you just typed must appear now) and
+ * some are not (the 2,000-row result list can lag a little). By default
+ * React treats every update as urgent and renders it in one blocking pass,
+ * so a slow list makes the input itself stutter.
+ *
+ * - useTransition:    const [isPending, startTransition] = useTransition();
+ *                     startTransition(() => setQuery(value)) marks a state
+ *                     update as non-urgent. Use it when you own the setter.
+ * - useDeferredValue: const deferred = useDeferredValue(value); renders with
+ *                     the old value first, then the new one in the
+ *                     background. Use it when you only receive the value.
+ *
+ * Non-urgent renders are interruptible: React works in small slices, checks
+ * for new input between them, and throws away a render that a newer
+ * keystroke has made stale.
+ *
+ * The latency meter times each keystroke from the browser event to the next
+ * frame. It writes straight to the DOM, so measuring never causes renders.
+ */
+
+const CATALOG_SIZES = [10000, 25000, 50000];
+const ROW_LIMITS = [500, 2000, 5000];
+const LATENCY_SAMPLES = 30;
+
+// Labels and descriptions are in the locale catalogs under useTransition.modes
+const modes = ['urgent', 'transition', 'deferred'];
+
+// Busy-wait so every row has a measurable cost, like a real complex row would
+const simulateWork = (ms) => {
+  const end = performance.now() + ms;
+  while (performance.now() < end) {
+    // spin
+  }
+};
+
+const filterProducts = (products, query) => {
+  const term = query.trim().toLowerCase();
+  if (!term) return products;
+  return products.filter(product =>
+    product.name.toLowerCase().includes(term) ||
+    product.category.toLowerCase().includes(term)
+  );
+};
+
+// "Turbo Laptop 12" + "lap" -> Turbo <mark>Lap</mark>top 12
+const Highlight = ({ text, term }) => {
+  const index = term ? text.toLowerCase().indexOf(term.toLowerCase()) : -1;
+  if (index === -1) return text;
+  return (
+    <>
+      {text.slice(0, index)}
+      <mark>{text.slice(index, index + term.length)}</mark>
+      {text.slice(index + term.length)}
+    </>
+  );
+};
+
+Highlight.propTypes = {
+  text: PropTypes.string.isRequired,
+  term: PropTypes.string.isRequired,
+};
+
+const ProductRow = ({ product, term, rowCost }) => {
+  const { formatCurrency } = useLocale();
+  simulateWork(rowCost);
+  return (
+    <li className="transition-row">
+      <span className="transition-row-name"><Highlight text={product.name} term={term} /></span>
+      <span className="transition-row-category">{product.category}</span>
+      <span className="transition-row-price">{formatCurrency(product.price)}</span>
+    </li>
+  );
+};
+
+ProductRow.propTypes = {
+  product: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    category: PropTypes.string.isRequired,
+    price: PropTypes.number.isRequired,
+  }).isRequired,
+  term: PropTypes.string.isRequired,
+  rowCost: PropTypes.number.isRequired,
+};
+
+// memo matters here: while typing, the parent re-renders with the new query,
+// but this list keeps the old (deferred / not-yet-transitioned) props and skips.
+// That's also why the "stale" dimming is applied by the parent, not passed in.
+const ProductResults = memo(function ProductResults({ products, query, rowLimit, rowCost }) {
+  const { t, formatNumber } = useLocale();
+  const matches = filterProducts(products, query);
+  const term = query.trim();
+  const counts = { matches: formatNumber(matches.length), total: formatNumber(products.length) };
+
+  return (
+    <div className="transition-results">
+      <p className="transition-results-summary">
+        {term ? t('useTransition.matchesTerm', { ...counts, term }) : t('useTransition.matches', counts)}
+        {matches.length > rowLimit && ` · ${t('useTransition.showingFirst', { count: formatNumber(rowLimit) })}`}
+      </p>
+      <ul className="transition-list">
+        {matches.slice(0, rowLimit).map(product => (
+          <ProductRow key={product.id} product={product} term={term} rowCost={rowCost} />
+        ))}
+      </ul>
+    </div>
+  );
+});
+
+ProductResults.propTypes = {
+  products: PropTypes.array.isRequired,
+  query: PropTypes.string.isRequired,
+  rowLimit: PropTypes.number.isRequired,
+  rowCost: PropTypes.number.isRequired,
+};
+
+// e.timeStamp includes time the keystroke spent queued behind a busy main
+// thread. Very old browsers report it as epoch time, so fall back to now.
+const keystrokeTime = (e) => Math.min(e.timeStamp, performance.now());
+
+const latencyClass = (ms) => (ms < 50 ? 'good' : ms < 100 ? 'ok' : 'bad');
+
+const UseTransitionDemo = () => {
+  const { t, formatNumber } = useLocale();
+  const [mode, setMode] = useState('urgent');
+  const [catalogSize, setCatalogSize] = useState(25000);
+  const [rowLimit, setRowLimit] = useState(2000);
+  const [rowCost, setRowCost] = useState(0.02); // ms of extra work per row
+
+  const [query, setQuery] = useState('');         // what the input shows - always urgent
+  const [listQuery, setListQuery] = useState(''); // what the list filters by (urgent & transition modes)
+  const [isPending, startTransition] = useTransition();
+  const deferredQuery = useDeferredValue(query);
+
+  const products = useMemo(() => generateProducts(catalogSize), [catalogSize]);
+
+  // Latency meter: samples per mode, rendered by hand into these elements
+  const samplesRef = useRef({ urgent: [], transition: [], deferred: [] });
+  const lastRef = useRef(null);
+  const barsRef = useRef(null);
+  const statsRef = useRef(null);
+
+  const renderMeter = (currentMode) => {
+    if (!lastRef.current) return; // unmounted before the measurement finished
+    const samples = samplesRef.current[currentMode];
+    const last = samples[samples.length - 1];
+
+    lastRef.current.textContent = last === undefined ? '–' : `${Math.round(last)}ms`;
+    lastRef.current.className = `latency-last ${last === undefined ? '' : latencyClass(last)}`;
+
+    barsRef.current.replaceChildren(...samples.map(ms => {
+      const bar = document.createElement('span');
+      bar.className = `latency-bar ${latencyClass(ms)}`;
+      bar.style.height = `${Math.min(100, ms / 2)}%`; // 200ms fills the chart
+      bar.title = `${Math.round(ms)}ms`;
+      return bar;
+    }));
+
+    statsRef.current.querySelectorAll('[data-mode]').forEach(cell => {
+      const modeSamples = samplesRef.current[cell.dataset.mode];
+      if (modeSamples.length === 0) {
+        cell.textContent = '–';
+        return;
+      }
+      const average = modeSamples.reduce((sum, ms) => sum + ms, 0) / modeSamples.length;
+      cell.textContent = t('useTransition.latencyStats', {
+        average: Math.round(average),
+        max: Math.round(Math.max(...modeSamples)),
+      });
+    });
+  };
+
+  // From the keystroke event to the frame after it: if rendering blocks the
+  // main thread, the next frame (and this measurement) has to wait for it
+  const measureKeystroke = (eventTime, currentMode) => {
+    requestAnimationFrame(() => {
+      setTimeout(() => {
+        const samples = samplesRef.current[currentMode];
+        samples.push(performance.now() - eventTime);
+        if (samples.length > LATENCY_SAMPLES) samples.shift();
+        renderMeter(currentMode);
+      }, 0);
+    });
+  };
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    measureKeystroke(keystrokeTime(e), mode);
+
+    setQuery(value); // urgent: the input must show the letter immediately
+
+    if (mode === 'urgent') {
+      setListQuery(value);
+    } else if (mode === 'transition') {
+      startTransition(() => {
+        setListQuery(value); // non-urgent: can be interrupted by the next keystroke
+      });
+    }
+    // deferred mode: nothing to do - useDeferredValue(query) handles it
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setListQuery(query);
+    renderMeter(nextMode);
+  };
+
+  const resetMeter = () => {
+    samplesRef.current = { urgent: [], transition: [], deferred: [] };
+    renderMeter(mode);
+  };
+
+  const resultsQuery = mode === 'deferred' ? deferredQuery : listQuery;
+  const isStale = mode === 'deferred' ? query !== deferredQuery : isPending;
+
+  return (
+    <div className="usetransition-container">
+      <div className="usetransition-header">
+        <h2>useTransition &amp; useDeferredValue</h2>
+        <p className="hook-description">
+          Keep typing responsive while React renders something slow in the background
+        </p>
+      </div>
+
+      {/* Demo 1: The big list */}
+      <div id="typing-lag" className="demo-card">
+        <h3>1️⃣ Typing Into a Huge List</h3>
+        <p className="demo-explanation">
+          Filter a generated catalog of tens of thousands of products. Pick a mode, then type quickly
+          (try &quot;turbo lap&quot;) and compare the keystroke latency. Every row does a little extra work
+          so the list is slow on any machine - raise it if your computer is fast.
+        </p>
+
+        <div className="transition-modes" role="group" aria-label={t('useTransition.strategy')}>
+          {modes.map(key => (
+            <Button
+              key={key}
+              text={t(`useTransition.modes.${key}.label`)}
+              onClick={() => switchMode(key)}
+              variant={mode === key ? 'primary' : 'secondary'}
+            />
+          ))}
+        </div>
+        <p className="transition-mode-description">{t(`useTransition.modes.${mode}.description`)}</p>
+
+        <div className="transition-controls">
+          <label>
+            {t('useTransition.catalogSize')}
+            <select value={catalogSize} onChange={(e) => setCatalogSize(Number(e.target.value))}>
+              {CATALOG_SIZES.map(size => (
+                <option key={size} value={size}>{t('useTransition.products', { count: formatNumber(size) })}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t('useTransition.rowsRendered')}
+            <select value={rowLimit} onChange={(e) => setRowLimit(Number(e.target.value))}>
+              {ROW_LIMITS.map(limit => (
+                <option key={limit} value={limit}>{formatNumber(limit)}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t('useTransition.rowCost', { ms: formatNumber(rowCost, { minimumFractionDigits: 2 }) })}
+            <input
+              type="range"
+              min="0"
+              max="0.2"
+              step="0.01"
+              value={rowCost}
+              onChange={(e) => setRowCost(Number(e.target.value))}
+            />
+          </label>
+        </div>
+
+        <div className="transition-search">
+          <input
+            type="text"
+            value={query}
+            onChange={handleChange}
+            placeholder={t('useTransition.filterPlaceholder')}
+            className="transition-input"
+            aria-label={t('useTransition.filter')}
+          />
+          {isStale && <span className="transition-pending">{t('useTransition.updating')}</span>}
+        </div>
+
+        <div className="latency-meter" aria-live="off">
+          <div className="latency-summary">
+            <span>{t('useTransition.lastKeystroke')}</span>
+            <strong ref={lastRef} className="latency-last">–</strong>
+            <Button text={t('useTransition.resetMeter')} onClick={resetMeter} variant="secondary" />
+          </div>
+          <div ref={barsRef} className="latency-bars" aria-hidden="true" />
+          <table ref={statsRef} className="latency-stats">
+            <tbody>
+              {modes.map(key => (
+                <tr key={key} className={mode === key ? 'current' : ''}>
+                  <th scope="row">{t(`useTransition.modes.${key}.label`)}</th>
+                  <td data-mode={key}>–</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="latency-legend">
+            <span className="latency-dot good" /> {t('useTransition.legend.good')}
+            <span className="latency-dot ok" /> {t('useTransition.legend.ok')}
+            <span className="latency-dot bad" /> {t('useTransition.legend.bad')}
+          </p>
+        </div>
+
+        <div className={isStale ? 'transition-stale' : ''}>
+          <ProductResults
+            products={products}
+            query={resultsQuery}
+            rowLimit={rowLimit}
+            rowCost={rowCost}
+          />
+        </div>
+      </div>
+
+      {/* Demo 2: Which one? */}
+      <div id="which-one" className="demo-card">
+        <h3>2️⃣ useTransition vs useDeferredValue</h3>
+        <p className="demo-explanation">
+          Both tell React &quot;this update can wait&quot;. They differ in <em>where</em> you say it.
+        </p>
+
+        <table className="transition-compare">
+          <thead>
+            <tr>
+              <th></th>
+              <th>useTransition</th>
+              <th>useDeferredValue</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <th scope="row">Wraps</th>
+              <td>The state update: <code>startTransition(() =&gt; setX(v))</code></td>
+              <td>A value: <code>useDeferredValue(x)</code></td>
+            </tr>
+            <tr>
+              <th scope="row">Use when</th>
+              <td>You own the setter (event handlers, navigation)</td>
+              <td>You only receive the value (props, another hook)</td>
+            </tr>
+            <tr>
+              <th scope="row">Pending signal</th>
+              <td><code>isPending</code></td>
+              <td><code>value !== deferredValue</code></td>
+            </tr>
+            <tr>
+              <th scope="row">Needs memo?</th>
+              <td>No - the slow state is separate</td>
+              <td>Yes - the slow child must skip the urgent render</td>
+            </tr>
+            <tr>
+              <th scope="row">Don&apos;t use for</th>
+              <td colSpan="2">Controlled input values - the input itself must always update urgently</td>
+            </tr>
+          </tbody>
+        </table>
+
+        <CodePlayground
+          title="useDeferredValue with a slow list"
+          code={`import { useState, useDeferredValue, memo } from 'react';
+
+// Each item burns 1ms - 250 items = a 250ms render
+const SlowItem = ({ text }) => {
+  const end = performance.now() + 1;
+  while (performance.now() < end) {}
+  return <li>{text}</li>;
+};
+
+// memo lets the list skip the urgent render (its props didn't change)
+const SlowList = memo(function SlowList({ text }) {
+  const items = Array.from({ length: 250 }, (_, i) => (
+    <SlowItem key={i} text={'Result #' + i + ' for "' + text + '"'} />
+  ));
+  return <ul>{items}</ul>;
+});
+
+export default function App() {
+  const [text, setText] = useState('');
+  const deferredText = useDeferredValue(text);
+  const isStale = text !== deferredText;
+
+  return (
+    <div>
+      <input value={text} onChange={e => setText(e.target.value)} placeholder="Type fast..." />
+      <p>Try swapping deferredText for text below and type again.</p>
+      <div style={{ opacity: isStale ? 0.5 : 1 }}>
+        <SlowList text={deferredText} />
+      </div>
+    </div>
+  );
+}`}
+        />
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>Urgent vs non-urgent:</strong> Typing, clicking and pressing must feel instant; big re-renders of results can lag behind</li>
+          <li><strong>Interruptible:</strong> Transition renders yield to the browser and are abandoned when newer input arrives - no wasted frames</li>
+          <li><strong>Not a debounce:</strong> There is no fixed delay. On a fast machine the list updates almost immediately; on a slow one it waits</li>
+          <li><strong>isPending:</strong> Show the old results dimmed (or a spinner) instead of blocking</li>
+          <li><strong>Still optimise:</strong> Transitions keep the UI responsive but don&apos;t make rendering cheaper - virtualise huge lists too</li>
+        </ul>
+        <Link to="/quiz?hook=useTransition" className="quiz-link">
+          🧠 Quiz yourself on useTransition →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default UseTransitionDemo;
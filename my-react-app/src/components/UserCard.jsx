@@ -1,13 +1,15 @@
 import PropTypes from 'prop-types';
+import { useLocale } from '../context/LocaleContext';
 import './UserCard.css';
 
 const UserCard = ({ name, age, email, role }) => {
+  const { t } = useLocale();
   return (
     <div className="user-card">
       <h3>{name}</h3>
-      <p><strong>Age:</strong> {age}</p>
-      <p><strong>Email:</strong> {email}</p>
-      <p><strong>Role:</strong> {role}</p>
+      <p><strong>{t('userCard.age')}</strong> {age}</p>
+      <p><strong>{t('userCard.email')}</strong> {email}</p>
+      <p><strong>{t('userCard.role')}</strong> {role}</p>
     </div>
   );
 };
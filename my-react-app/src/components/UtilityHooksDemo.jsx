@@ -0,0 +1,316 @@
+import { useId } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import CodePlayground from './CodePlayground';
+import { useLocale } from '../context/LocaleContext';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { useStore } from '../hooks/useStore';
+import { describeWidth, useWindowWidth } from '../hooks/useWindowWidth';
+import { createStore } from '../services/createStore';
+import './UtilityHooksDemo.css';
+
+/**
+ * useId, useSyncExternalStore & useDebugValue Demonstration
+ *
+ * Three small built-in hooks that solve specific problems:
+ * - useId:                a unique, stable id per component instance, for
+ *                         wiring <label htmlFor>, aria-describedby and the
+ *                         like. Same value on server and client.
+ * - useSyncExternalStore: read a value that lives OUTSIDE React (browser
+ *                         APIs, a store module) without tearing:
+ *                         useSyncExternalStore(subscribe, getSnapshot)
+ * - useDebugValue:        give a custom hook a readable label in React
+ *                         DevTools. It does nothing at runtime.
+ *
+ * The custom hooks used here live in src/hooks.
+ */
+
+// Lives outside React: any component (or plain code) can read and change it
+// lastSource is 'button' or 'timeout' (labels under utilityHooks.sources)
+const likesStore = createStore({ likes: 0, lastSource: null });
+
+const like = (source) => {
+  likesStore.setState(state => ({ likes: state.likes + 1, lastSource: source }));
+};
+
+// ==================== useId ====================
+const AccessibleField = ({ label, hint, type = 'text' }) => {
+  const id = useId();
+  return (
+    <div className="utility-field">
+      <label htmlFor={`${id}-input`}>{label}</label>
+      <input id={`${id}-input`} type={type} aria-describedby={`${id}-hint`} />
+      <small id={`${id}-hint`}>{hint}</small>
+      <code className="utility-generated-id">useId() → {JSON.stringify(id)}</code>
+    </div>
+  );
+};
+
+AccessibleField.propTypes = {
+  label: PropTypes.string.isRequired,
+  hint: PropTypes.string.isRequired,
+  type: PropTypes.string,
+};
+
+// The mistake useId prevents: the same id on every instance
+const HardcodedField = ({ label }) => (
+  <div className="utility-field broken">
+    <label htmlFor="hardcoded-email">{label}</label>
+    <input id="hardcoded-email" type="email" />
+    <code className="utility-generated-id">id=&quot;hardcoded-email&quot;</code>
+  </div>
+);
+
+HardcodedField.propTypes = {
+  label: PropTypes.string.isRequired,
+};
+
+// ==================== useSyncExternalStore ====================
+const WindowWidthTile = () => {
+  const { t } = useLocale();
+  const width = useWindowWidth();
+  return (
+    <div className="utility-tile">
+      <h4>📐 window.innerWidth</h4>
+      <p className="utility-tile-value">{width}px</p>
+      <small>{t('utilityHooks.resizeHint', { size: describeWidth(width) })}</small>
+    </div>
+  );
+};
+
+const OnlineStatusTile = () => {
+  const { t } = useLocale();
+  const isOnline = useOnlineStatus();
+  return (
+    <div className={`utility-tile ${isOnline ? 'online' : 'offline'}`}>
+      <h4>📶 navigator.onLine</h4>
+      <p className="utility-tile-value">{isOnline ? t('utilityHooks.online') : t('utilityHooks.offline')}</p>
+      <small>{t('utilityHooks.offlineHint')}</small>
+    </div>
+  );
+};
+
+const LikeButton = () => {
+  const { t } = useLocale();
+  const likes = useStore(likesStore, state => state.likes);
+  return <Button text={t('utilityHooks.like', { count: likes })} onClick={() => like('button')} variant="primary" />;
+};
+
+const LikesSummary = () => {
+  const { t } = useLocale();
+  const lastSource = useStore(likesStore, state => state.lastSource);
+  const likes = useStore(likesStore, state => state.likes);
+  return (
+    <p className="utility-likes-summary">
+      {lastSource
+        ? t('utilityHooks.likesFrom', { count: likes, source: t(`utilityHooks.sources.${lastSource}`) })
+        : t('utilityHooks.likes', { count: likes })}
+    </p>
+  );
+};
+
+// ==================== useDebugValue ====================
+// What React DevTools' component panel shows for each custom hook
+const DevtoolsPreview = () => {
+  const width = useWindowWidth();
+  const isOnline = useOnlineStatus();
+  const likes = useStore(likesStore, state => state.likes);
+
+  const rows = [
+    { hook: 'WindowWidth', value: describeWidth(width) },
+    { hook: 'OnlineStatus', value: isOnline ? 'Online' : 'Offline' },
+    { hook: 'Store', value: likes },
+  ];
+
+  return (
+    <div className="devtools-preview" aria-label="React DevTools preview">
+      <div className="devtools-preview-title">⚛️ Components › DevtoolsPreview › hooks</div>
+      {rows.map(row => (
+        <div key={row.hook} className="devtools-preview-row">
+          <span className="devtools-hook">{row.hook}:</span>
+          <span className="devtools-value">{JSON.stringify(row.value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const UtilityHooksDemo = () => {
+  const { t } = useLocale();
+  const likeLater = () => {
+    setTimeout(() => like('timeout'), 1000);
+  };
+
+  return (
+    <div className="utilityhooks-container">
+      <div className="utilityhooks-header">
+        <h2>useId, useSyncExternalStore & useDebugValue</h2>
+        <p className="hook-description">
+          Accessible ids, values from outside React, and readable custom hooks
+        </p>
+      </div>
+
+      {/* Demo 1: useId */}
+      <div id="use-id" className="demo-card">
+        <h3>1️⃣ useId: Wiring Labels to Inputs</h3>
+        <p className="demo-explanation">
+          <code>htmlFor</code> and <code>aria-describedby</code> need ids that are unique on the page.
+          A reusable component can&apos;t hardcode one - render it twice and the ids clash.{' '}
+          <code>useId()</code> gives every instance its own. The{' '}
+          <Link to="/hooks/use-reducer#form">useReducer registration form</Link> uses it for its labels
+          and error messages too.
+        </p>
+
+        <div className="utility-fields">
+          <div>
+            <h4>✅ With useId</h4>
+            <AccessibleField label={t('utilityHooks.email')} hint={t('utilityHooks.emailHint')} type="email" />
+            <AccessibleField label={t('utilityHooks.backupEmail')} hint={t('utilityHooks.backupEmailHint')} type="email" />
+          </div>
+          <div>
+            <h4>❌ Hardcoded id</h4>
+            <HardcodedField label={t('utilityHooks.email')} />
+            <HardcodedField label={t('utilityHooks.backupEmail')} />
+            <p className="utility-note">{t('utilityHooks.hardcodedNote')}</p>
+          </div>
+        </div>
+
+        <CodePlayground
+          title="useId for label wiring"
+          code={`import { useId } from 'react';
+
+function PasswordField() {
+  const id = useId();
+  return (
+    <div>
+      <label htmlFor={id + '-input'}>Password: </label>
+      <input id={id + '-input'} type="password" aria-describedby={id + '-hint'} />
+      <p id={id + '-hint'}>At least 6 characters (id: {id})</p>
+    </div>
+  );
+}
+
+export default function App() {
+  // Two instances, two different ids - click each label
+  return (
+    <>
+      <PasswordField />
+      <PasswordField />
+    </>
+  );
+}`}
+        />
+      </div>
+
+      {/* Demo 2: useSyncExternalStore */}
+      <div id="external-store" className="demo-card">
+        <h3>2️⃣ useSyncExternalStore: Values From Outside React</h3>
+        <p className="demo-explanation">
+          Window size, network status and store modules change without React knowing. Instead of copying
+          them into state with an effect, <code>useSyncExternalStore(subscribe, getSnapshot)</code> subscribes
+          to the source and reads it during render, so every component sees the same value in the same
+          render. The likes below live in a tiny store module; the button and the summary are separate
+          components that share it without any context or props.
+        </p>
+
+        <div className="utility-tiles">
+          <WindowWidthTile />
+          <OnlineStatusTile />
+          <div className="utility-tile">
+            <h4>🗃️ A tiny external store</h4>
+            <div className="button-group">
+              <LikeButton />
+              <Button text={t('utilityHooks.likeLater')} onClick={likeLater} variant="secondary" />
+            </div>
+            <LikesSummary />
+          </div>
+        </div>
+
+        <CodePlayground
+          title="Subscribing to window size"
+          code={`import { useSyncExternalStore } from 'react';
+
+// Defined outside the component so React doesn't resubscribe every render
+function subscribe(callback) {
+  window.addEventListener('resize', callback);
+  return () => window.removeEventListener('resize', callback);
+}
+
+function getSnapshot() {
+  return window.innerWidth; // must return the same value until it changes
+}
+
+function useWindowWidth() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default function App() {
+  const width = useWindowWidth();
+  return <h2>The window is {width}px wide {width < 600 ? '📱' : '🖥️'}</h2>;
+}`}
+        />
+      </div>
+
+      {/* Demo 3: useDebugValue */}
+      <div id="debug-value" className="demo-card">
+        <h3>3️⃣ useDebugValue: Labels for Custom Hooks</h3>
+        <p className="demo-explanation">
+          React DevTools lists the hooks each component calls. For a custom hook it shows the hook&apos;s
+          name and, if the hook calls <code>useDebugValue</code>, that value. The three hooks above do,
+          so with DevTools installed you would see this for a component using them (live values):
+        </p>
+
+        <DevtoolsPreview />
+
+        <p className="demo-explanation">
+          <code>useWindowWidth</code> passes a formatter as the second argument:{' '}
+          <code>useDebugValue(width, describeWidth)</code>. The formatting only runs when DevTools actually
+          inspects the component, so an expensive label costs nothing for everyone else. Only add{' '}
+          <code>useDebugValue</code> to hooks shared across a codebase - it isn&apos;t worth it for one-off hooks.
+        </p>
+
+        <CodePlayground
+          title="useDebugValue in a custom hook"
+          code={`import { useDebugValue, useState, useEffect } from 'react';
+
+function useClock() {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  // DevTools shows "Clock: 14:03:27" - the formatter only runs when inspected
+  useDebugValue(now, date => date.toLocaleTimeString());
+  return now;
+}
+
+export default function App() {
+  const now = useClock();
+  return <h2>🕒 {now.toLocaleTimeString()}</h2>;
+}`}
+        />
+      </div>
+
+      {/* Key Takeaways */}
+      <div id="key-takeaways" className="demo-card key-takeaways">
+        <h3>🎯 Key Takeaways</h3>
+        <ul>
+          <li><strong>useId:</strong> Unique per component instance and identical on server and client - use it for accessibility attributes, never for list keys</li>
+          <li><strong>One id, many elements:</strong> Call useId once and add suffixes (<code>id + &apos;-hint&apos;</code>) instead of calling it per element</li>
+          <li><strong>useSyncExternalStore:</strong> The right way to read browser APIs and store modules - no effect-and-state copy, no tearing in concurrent renders</li>
+          <li><strong>Stable snapshots:</strong> getSnapshot must return the same value (or reference) until the data changes, or React re-renders forever</li>
+          <li><strong>Stable subscribe:</strong> Define it outside the component; a new function each render means resubscribing each render</li>
+          <li><strong>useDebugValue:</strong> DevTools-only labels for shared custom hooks; pass a formatter for anything expensive</li>
+        </ul>
+        <Link to="/quiz?hook=useSyncExternalStore" className="quiz-link">
+          🧠 Quiz yourself on useSyncExternalStore →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default UtilityHooksDemo;
@@ -0,0 +1,90 @@
+import { useImperativeHandle, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import './VideoPlayer.css';
+
+/**
+ * A <video> wrapped in a component with a small imperative API.
+ *
+ * Parents get a ref to a handle, not to the <video> element:
+ *   playerRef.current.play()        -> Promise, like HTMLMediaElement.play()
+ *   playerRef.current.pause()
+ *   playerRef.current.seek(seconds) -> clamped to the video's length
+ *   playerRef.current.setVolume(v)  -> 0-1, unmutes when v > 0
+ *
+ * Commands go in through the handle; what happens comes back out through
+ * the onPlayingChange prop. Keeping the handle this narrow means the player
+ * could switch to a streaming library or an iframe without breaking callers.
+ *
+ * React 19 passes `ref` to function components as a regular prop, so there
+ * is no forwardRef.
+ */
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds || 0);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+const VideoPlayer = ({ ref, src, onPlayingChange }) => {
+  const videoRef = useRef(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [volume, setVolumeState] = useState(0); // starts muted so autoplay rules allow play()
+
+  useImperativeHandle(ref, () => ({
+    play() {
+      console.log('🎬 VideoPlayer.play()');
+      return videoRef.current.play();
+    },
+    pause() {
+      console.log('🎬 VideoPlayer.pause()');
+      videoRef.current.pause();
+    },
+    seek(seconds) {
+      const video = videoRef.current;
+      const target = clamp(seconds, 0, video.duration || seconds);
+      console.log(`🎬 VideoPlayer.seek(${seconds})`);
+      video.currentTime = target;
+    },
+    setVolume(level) {
+      const video = videoRef.current;
+      const next = clamp(level, 0, 1);
+      console.log(`🎬 VideoPlayer.setVolume(${level})`);
+      video.volume = next;
+      video.muted = next === 0;
+      setVolumeState(next);
+    },
+  }), []);
+
+  return (
+    <div className="video-player">
+      <video
+        ref={videoRef}
+        className="video-player-media"
+        loop
+        muted
+        playsInline
+        onPlay={() => onPlayingChange?.(true)}
+        onPause={() => onPlayingChange?.(false)}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+        onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+      >
+        <source src={src} type="video/mp4" />
+        Your browser doesn&apos;t support video.
+      </video>
+      <div className="video-player-status">
+        <span>⏱️ {formatTime(currentTime)} / {formatTime(duration)}</span>
+        <span>{volume === 0 ? '🔇 muted' : `🔊 ${Math.round(volume * 100)}%`}</span>
+      </div>
+    </div>
+  );
+};
+
+VideoPlayer.propTypes = {
+  ref: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+  src: PropTypes.string.isRequired,
+  onPlayingChange: PropTypes.func,
+};
+
+export default VideoPlayer;
@@ -0,0 +1,18 @@
+import RenderInspector from './RenderInspector';
+
+/**
+ * HOC version of <RenderInspector>, for components that are wrapped in
+ * React.memo. Put it inside memo so only the renders memo lets through
+ * are counted:
+ *
+ *   const TodoItem = memo(withRenderInspector(({ todo }) => ..., 'TodoItem'));
+ */
+export default function withRenderInspector(Component, name = Component.displayName || Component.name) {
+  const Inspected = (props) => (
+    <RenderInspector name={name}>
+      <Component {...props} />
+    </RenderInspector>
+  );
+  Inspected.displayName = `RenderInspector(${name})`;
+  return Inspected;
+}
@@ -0,0 +1,36 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Who is signed in. The provider lives in AuthProvider.jsx; the accounts
+ * and session checks are the mock server's (services/mockApi.js).
+ *
+ *   const { status, user, login, logout, hasRole } = useAuth();
+ *   if (hasRole('admin')) ...
+ *
+ * `status` is 'signed-out', 'checking' (a saved session is being confirmed
+ * with the server after a reload), 'signed-in', 'expired' (the server
+ * rejected the saved session) or 'error' (the check itself failed - `retry`
+ * tries again). `user` is only set while signed in. The session token is
+ * saved in localStorage, so it survives a reload and signing out in one tab
+ * signs out every tab.
+ */
+export const AuthContext = createContext(null);
+
+export const SESSION_STORAGE_KEY = 'learningHub.session';
+
+// Where RequireAuth sends signed-out visitors (the auth demo's login form)
+export const LOGIN_PATH = '/hooks/auth-context';
+
+// A role can do everything the roles ranked below it can
+export const ROLES = {
+  developer: { rank: 1, label: 'Developer' },
+  admin: { rank: 2, label: 'Admin' },
+};
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return context;
+}
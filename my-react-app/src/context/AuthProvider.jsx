@@ -0,0 +1,69 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AuthContext, ROLES, SESSION_STORAGE_KEY } from './AuthContext';
+import { useFetch } from '../hooks/useFetch';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { getSession, login as loginRequest, logout as logoutRequest } from '../services/mockApi';
+
+const loadSession = (token, { signal }) => getSession(token, { signal });
+
+const AuthProvider = ({ children }) => {
+  const [token, setToken] = useLocalStorage(SESSION_STORAGE_KEY, null);
+  // The login response already says who signed in, so that token needs no check
+  const [lastLogin, setLastLogin] = useState(null); // { token, user }
+
+  // A token this tab didn't just get from login() - saved before a reload,
+  // or written by another tab - is confirmed with the server first
+  const needsCheck = token !== null && lastLogin?.token !== token;
+  const session = useFetch(needsCheck ? token : null, loadSession);
+
+  let status = 'signed-in';
+  let user = lastLogin?.user ?? null;
+  if (token === null) {
+    status = 'signed-out';
+    user = null;
+  } else if (needsCheck) {
+    user = null;
+    if (session.loading) status = 'checking';
+    else if (session.error?.status === 401) status = 'expired';
+    else if (session.error) status = 'error';
+    else user = session.data;
+  }
+
+  const value = useMemo(() => ({
+    status,
+    user,
+    // For API calls that need the session, like getAccounts(token)
+    token: user ? token : null,
+    error: status === 'error' || status === 'expired' ? session.error : null,
+    retry: session.reload,
+    hasRole: (role) => user !== null && ROLES[user.role].rank >= ROLES[role].rank,
+    // Rejects with the server's error (401 for a wrong password)
+    login: async ({ email, password }) => {
+      const result = await loginRequest({ email, password });
+      setLastLogin(result);
+      setToken(result.token);
+      return result.user;
+    },
+    // Signed out here straight away; the server is told in the background
+    logout: () => {
+      setLastLogin(null);
+      setToken(null);
+      if (token !== null) {
+        logoutRequest(token).catch(error => console.warn('Could not revoke the session:', error.message));
+      }
+    },
+  }), [status, user, token, session.error, session.reload, setToken]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+AuthProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default AuthProvider;
@@ -0,0 +1,28 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * The learner's language and everything that depends on it. The provider
+ * lives in LocaleProvider.jsx; the catalogs and formatting rules are in
+ * services/i18n.js.
+ *
+ *   const { t, formatCurrency } = useLocale();
+ *   t('home.examples', { count: demo.cards.length });
+ *   formatCurrency(product.price);
+ *   formatTime(savedAt);
+ *
+ * `language` is one of LANGUAGES ('en', 'es', 'fr'), saved in localStorage
+ * and first guessed from the browser. It is the `settings.language` the
+ * Settings Panel on the useContext page edits. `t` and the formatters
+ * change identity with the language, so components re-render when it does.
+ */
+export const LocaleContext = createContext(null);
+
+export const LANGUAGE_STORAGE_KEY = 'learningHub.language';
+
+export function useLocale() {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useLocale must be used inside <LocaleProvider>');
+  }
+  return context;
+}
@@ -0,0 +1,39 @@
+import { useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { LANGUAGE_STORAGE_KEY, LocaleContext } from './LocaleContext';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { createTranslator, detectLanguage, isLanguage } from '../services/i18n';
+
+const LocaleProvider = ({ children }) => {
+  const [savedLanguage, setSavedLanguage] = useLocalStorage(LANGUAGE_STORAGE_KEY, detectLanguage());
+
+  // A language whose catalog has since been removed falls back to the browser's
+  const language = isLanguage(savedLanguage) ? savedLanguage : detectLanguage();
+
+  const translator = useMemo(() => createTranslator(language), [language]);
+
+  // Screen readers and the browser's hyphenation follow <html lang>
+  useEffect(() => {
+    document.documentElement.lang = translator.locale;
+  }, [translator.locale]);
+
+  const value = useMemo(() => ({
+    ...translator,
+    setLanguage: (next) => {
+      if (!isLanguage(next)) throw new Error(`Unknown language: ${next}`);
+      setSavedLanguage(next);
+    },
+  }), [translator, setSavedLanguage]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
+
+LocaleProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default LocaleProvider;
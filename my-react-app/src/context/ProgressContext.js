@@ -0,0 +1,27 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Learner progress, shared by the header dashboard, sidebar, demo pages and quiz.
+ * The provider lives in ProgressProvider.jsx (kept separate so Fast Refresh
+ * keeps working for the component file).
+ */
+export const ProgressContext = createContext(null);
+
+export const PROGRESS_STORAGE_KEY = 'learningHub.progress';
+export const PROGRESS_VERSION = 1;
+
+export const progressInitialState = {
+  version: PROGRESS_VERSION,
+  // '/hooks/use-reducer': { visitedAt, cards: { cart: { visited: true, passed: true } } }
+  demos: {},
+  // 'useReducer': { score, total, best, completedAt }
+  quiz: {},
+};
+
+export function useProgress() {
+  const context = useContext(ProgressContext);
+  if (!context) {
+    throw new Error('useProgress must be used inside <ProgressProvider>');
+  }
+  return context;
+}
@@ -0,0 +1,137 @@
+import { useEffect, useMemo, useReducer } from 'react';
+import PropTypes from 'prop-types';
+import {
+  ProgressContext,
+  PROGRESS_STORAGE_KEY,
+  PROGRESS_VERSION,
+  progressInitialState,
+} from './ProgressContext';
+
+/**
+ * Tracks which demos and cards a learner has worked through and their quiz
+ * scores, persisted to localStorage so it survives reloads. No backend.
+ */
+
+// Split "/hooks/use-reducer#cart" into its demo path and card id
+const parseLink = (link) => {
+  const [path, cardId] = link.split('#');
+  return { path, cardId };
+};
+
+const updateCard = (state, path, cardId, changes) => {
+  const demo = state.demos[path] || { visitedAt: null, cards: {} };
+  const card = demo.cards[cardId] || { visited: false, passed: false };
+
+  return {
+    ...state,
+    demos: {
+      ...state.demos,
+      [path]: {
+        ...demo,
+        cards: { ...demo.cards, [cardId]: { ...card, ...changes } },
+      },
+    },
+  };
+};
+
+function progressReducer(state, action) {
+  switch (action.type) {
+    case 'VISIT_DEMO': {
+      if (state.demos[action.path]?.visitedAt) return state;
+      const demo = state.demos[action.path] || { cards: {} };
+      return {
+        ...state,
+        demos: { ...state.demos, [action.path]: { ...demo, visitedAt: action.at } },
+      };
+    }
+    case 'VISIT_CARD':
+      if (state.demos[action.path]?.cards[action.cardId]?.visited) return state;
+      return updateCard(state, action.path, action.cardId, { visited: true });
+    case 'PASS_CARD':
+      return updateCard(state, action.path, action.cardId, { passed: true });
+    case 'QUIZ_COMPLETED': {
+      const previous = state.quiz[action.hook];
+      const percent = Math.round((action.score / action.total) * 100);
+      return {
+        ...state,
+        quiz: {
+          ...state.quiz,
+          [action.hook]: {
+            score: action.score,
+            total: action.total,
+            best: Math.max(previous?.best ?? 0, percent),
+            completedAt: action.at,
+          },
+        },
+      };
+    }
+    case 'RESET':
+      return progressInitialState;
+    default:
+      return state;
+  }
+}
+
+// Lazy initializer: read saved progress once, ignoring unknown versions
+const loadProgress = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    if (saved?.version === PROGRESS_VERSION) {
+      return { ...progressInitialState, ...saved };
+    }
+  } catch (error) {
+    console.error('Could not read saved progress:', error);
+  }
+  return progressInitialState;
+};
+
+const ProgressProvider = ({ children }) => {
+  const [progress, dispatch] = useReducer(progressReducer, undefined, loadProgress);
+
+  // Persist every change
+  useEffect(() => {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+  }, [progress]);
+
+  // Actions only need the (stable) dispatch, so they keep the same identity
+  // across renders and are safe to use in effect dependency arrays
+  const actions = useMemo(() => ({
+    visitDemo: (path) => dispatch({ type: 'VISIT_DEMO', path, at: new Date().toISOString() }),
+    visitCard: (path, cardId) => dispatch({ type: 'VISIT_CARD', path, cardId }),
+    // A correct quiz answer counts as passing the card the question links to
+    recordQuizAnswer: (link, correct) => {
+      if (!correct) return;
+      const { path, cardId } = parseLink(link);
+      if (cardId) dispatch({ type: 'PASS_CARD', path, cardId });
+    },
+    recordQuizResult: (hook, score, total) =>
+      dispatch({ type: 'QUIZ_COMPLETED', hook, score, total, at: new Date().toISOString() }),
+    resetProgress: () => dispatch({ type: 'RESET' }),
+  }), []);
+
+  const value = useMemo(() => ({
+    progress,
+    ...actions,
+    exportProgress: () => {
+      const blob = new Blob([JSON.stringify(progress, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'react-hooks-progress.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+  }), [progress, actions]);
+
+  return (
+    <ProgressContext.Provider value={value}>
+      {children}
+    </ProgressContext.Provider>
+  );
+};
+
+ProgressProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default ProgressProvider;
@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Global on/off switch for the render overlay (components/RenderInspector.jsx).
+ * The provider lives in RenderInspectorProvider.jsx. Off by default, so the
+ * overlay stays out of the way until a learner turns it on from the sidebar.
+ */
+// <Profiler> only reports renders with the profiling react-dom, which
+// vite.config.js uses for the dev server and `npm run build:profiling`
+export const RENDER_OVERLAY_AVAILABLE = import.meta.env.DEV || import.meta.env.MODE === 'profiling';
+
+export const RenderInspectorContext = createContext({
+  enabled: false,
+  setEnabled: () => {},
+});
+
+export function useRenderInspector() {
+  return useContext(RenderInspectorContext);
+}
@@ -0,0 +1,21 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { RenderInspectorContext } from './RenderInspectorContext';
+
+const RenderInspectorProvider = ({ children }) => {
+  const [enabled, setEnabled] = useState(false);
+
+  const value = useMemo(() => ({ enabled, setEnabled }), [enabled]);
+
+  return (
+    <RenderInspectorContext.Provider value={value}>
+      {children}
+    </RenderInspectorContext.Provider>
+  );
+};
+
+RenderInspectorProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default RenderInspectorProvider;
@@ -0,0 +1,31 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * The app-wide color theme. The provider lives in ThemeProvider.jsx.
+ *
+ *   const { mode, theme, setMode } = useTheme();
+ *
+ * `mode` is the learner's choice, one of THEME_MODES, saved in localStorage.
+ * `theme` is what is actually shown: 'system' resolves to 'light', 'dark'
+ * or 'high-contrast' from the operating system's preferences. The colors
+ * themselves are CSS custom properties in index.css, switched by the
+ * data-theme attribute on <html>.
+ */
+export const ThemeContext = createContext(null);
+
+export const THEME_STORAGE_KEY = 'learningHub.theme';
+
+export const THEME_MODES = [
+  { id: 'system', label: '💻 System' },
+  { id: 'light', label: '☀️ Light' },
+  { id: 'dark', label: '🌙 Dark' },
+  { id: 'high-contrast', label: '🔲 High contrast' },
+];
+
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used inside <ThemeProvider>');
+  }
+  return context;
+}
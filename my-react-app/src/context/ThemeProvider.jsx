@@ -0,0 +1,49 @@
+import { useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { THEME_MODES, THEME_STORAGE_KEY, ThemeContext } from './ThemeContext';
+import { useLocalStorage } from '../hooks/useLocalStorage';
+import { useMediaQuery } from '../hooks/useMediaQuery';
+
+const isThemeMode = (mode) => THEME_MODES.some(option => option.id === mode);
+
+const ThemeProvider = ({ children }) => {
+  const [savedMode, setSavedMode] = useLocalStorage(THEME_STORAGE_KEY, 'system');
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const prefersMoreContrast = useMediaQuery('(prefers-contrast: more)');
+
+  // Anything unexpected in storage (an old or hand-edited value) means "system"
+  const mode = isThemeMode(savedMode) ? savedMode : 'system';
+
+  let theme = mode;
+  if (mode === 'system') {
+    if (prefersMoreContrast) theme = 'high-contrast';
+    else theme = prefersDark ? 'dark' : 'light';
+  }
+
+  // index.html applies the saved theme before React loads, so this only
+  // has to keep the attribute in sync from then on
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const value = useMemo(() => ({
+    mode,
+    theme,
+    setMode: (next) => {
+      if (!isThemeMode(next)) throw new Error(`Unknown theme mode: ${next}`);
+      setSavedMode(next);
+    },
+  }), [mode, theme, setSavedMode]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
+
+ThemeProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default ThemeProvider;
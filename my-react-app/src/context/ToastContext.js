@@ -0,0 +1,25 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * App-wide toast notifications, replacing blocking alert() calls.
+ * The provider lives in ToastProvider.jsx.
+ *
+ *   const { notify } = useToast();
+ *   notify('Saved!', { variant: 'primary' });
+ *
+ * Variants match Button's: 'primary' | 'secondary' | 'danger'. `notify`,
+ * `dismiss` and `setEnabled` never change identity, so they are safe in
+ * useCallback/useEffect dependency arrays. While `enabled` is false (the
+ * notifications setting on the useContext page) notify() does nothing.
+ */
+export const ToastContext = createContext(null);
+
+export const TOAST_VARIANTS = ['primary', 'secondary', 'danger'];
+
+export function useToast() {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used inside <ToastProvider>');
+  }
+  return context;
+}
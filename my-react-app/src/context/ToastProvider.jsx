@@ -0,0 +1,57 @@
+import { useMemo, useReducer } from 'react';
+import PropTypes from 'prop-types';
+import { ToastContext } from './ToastContext';
+import ToastViewport from '../components/ToastViewport';
+
+const DEFAULT_DURATION = 4000; // ms
+
+let nextToastId = 1;
+
+const toastInitialState = {
+  enabled: true,
+  toasts: [], // queue: the first few are on screen, the rest wait their turn
+};
+
+function toastReducer(state, action) {
+  switch (action.type) {
+    case 'ADD':
+      if (!state.enabled) return state;
+      return { ...state, toasts: [...state.toasts, action.toast] };
+    case 'DISMISS':
+      return { ...state, toasts: state.toasts.filter(toast => toast.id !== action.id) };
+    case 'SET_ENABLED':
+      // Turning notifications off also clears whatever is showing or queued
+      return { enabled: action.enabled, toasts: action.enabled ? state.toasts : [] };
+    default:
+      return state;
+  }
+}
+
+const ToastProvider = ({ children }) => {
+  const [{ enabled, toasts }, dispatch] = useReducer(toastReducer, toastInitialState);
+
+  // Only need the (stable) dispatch, so they never change identity. Whether
+  // notifications are on is checked in the reducer, not captured here.
+  const actions = useMemo(() => ({
+    notify: (message, { variant = 'primary', duration = DEFAULT_DURATION } = {}) => {
+      dispatch({ type: 'ADD', toast: { id: nextToastId++, message, variant, duration } });
+    },
+    dismiss: (id) => dispatch({ type: 'DISMISS', id }),
+    setEnabled: (next) => dispatch({ type: 'SET_ENABLED', enabled: next }),
+  }), []);
+
+  const value = useMemo(() => ({ enabled, ...actions }), [enabled, actions]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <ToastViewport toasts={toasts} onDismiss={actions.dismiss} />
+    </ToastContext.Provider>
+  );
+};
+
+ToastProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default ToastProvider;
@@ -0,0 +1,654 @@
+/**
+ * English messages - the reference catalog. Every key used in the app
+ * should be here; es.js and fr.js fall back to it for anything missing.
+ * See services/i18n.js for placeholders and plural forms.
+ *
+ * English text that already lives next to its data (section titles and
+ * descriptions in routes.js, THEME_MODES labels) is not copied here:
+ * callers pass it as `defaultValue` and the other catalogs translate it.
+ *
+ * Translated: everything the learner operates or is told by the app -
+ * navigation, buttons and form fields, statuses, validation errors, toasts
+ * and the playground's own errors. Lesson content stays English: demo
+ * headings and explanations, key takeaways, code samples and playground
+ * snippets, quiz questions, console.log output and the error messages the
+ * mock server sends. So do buttons labelled with the call they make
+ * (`focus()`, `seek(30)`) and the devtools panels that mirror React DevTools.
+ */
+const en = {
+  app: {
+    title: 'React Hooks Learning Hub',
+    tagline: 'Master React fundamentals, hooks, and advanced patterns',
+    footer: 'Built with React + Vite | Learning React Hooks',
+  },
+  common: {
+    on: 'On',
+    off: 'Off',
+  },
+  theme: {
+    label: 'Theme',
+  },
+  language: {
+    label: 'Language',
+  },
+  autosave: {
+    saved: '✓ Saved',
+    savedAt: '✓ Saved at {time}',
+    saving: '⏳ Saving…',
+    unsaved: '● Unsaved changes',
+    off: 'autosave off',
+    saveNow: 'Save now',
+  },
+  nav: {
+    label: 'Demo navigation',
+    overview: 'Overview',
+    overlay: '🔦 Render overlay: {state}',
+    overlayHint: 'Flash components when they render and show why',
+    visited: 'Visited',
+    requiresRole: 'Requires the {role} role',
+  },
+  home: {
+    examples: { one: '{count} example', other: '{count} examples' },
+  },
+  notFound: {
+    title: 'Page Not Found',
+    noDemo: 'There is no demo at',
+    back: 'Back to all demos',
+  },
+  progress: {
+    examples: '{visited}/{total} examples',
+    demos: '{visited}/{total} demos',
+    quizBest: 'Quiz best: {score}',
+    demosHeading: 'Demos',
+    quizHeading: 'Quiz Scores',
+    allHooks: 'All Hooks',
+    notTaken: 'not taken',
+    quizResult: '{score}/{total} (best {best}%)',
+    passed: '{count} passed',
+    cardsVisited: { one: '{visited} of {count} example visited', other: '{visited} of {count} examples visited' },
+    export: 'Export Progress',
+    reset: 'Reset Progress',
+    confirmReset: 'Reset all learning progress? This cannot be undone.',
+    confirmYes: 'Yes, reset',
+    cancel: 'Cancel',
+  },
+  profile: {
+    title: 'User Profile',
+    name: 'Name',
+    email: 'Email',
+    role: 'Role',
+    notifications: 'Notifications',
+    language: 'Language',
+    toggleNotifications: 'Toggle Notifications',
+    changeLanguage: 'Change Language',
+    logOut: 'Log Out',
+    signIn: 'Sign in to see your own profile →',
+  },
+  settings: {
+    title: 'Settings Panel',
+    notifications: 'Enable Notifications',
+    notificationsHint: '(app-wide toasts)',
+    sendTest: 'Send Test Notification',
+    testMessage: 'Hello from the Settings Panel! ({language})',
+    notificationsOn: '🔔 Notifications are on',
+    autoSave: 'Auto-save',
+    autoSaveHint: '(todos, form and cart drafts, playground edits)',
+    language: 'Language:',
+  },
+  cart: {
+    products: 'Products:',
+    addToCart: 'Add to Cart',
+    title: 'Shopping Cart:',
+    empty: 'Your cart is empty',
+    itemPrice: '{price} x {quantity}',
+    remove: 'Remove',
+    total: 'Total: {amount}',
+    itemCount: { one: '{count} item', other: '{count} items' },
+    clear: 'Clear Cart',
+  },
+  counter: {
+    title: 'Counter (State Demo)',
+    increment: 'Increment',
+    decrement: 'Decrement',
+    reset: 'Reset',
+  },
+  todoList: {
+    title: 'Todo List (State Demo)',
+    placeholder: 'Enter a new todo...',
+    newTodo: 'New todo',
+    add: 'Add',
+    text: 'Todo text',
+    priority: 'Priority',
+    priorities: { high: 'High', medium: 'Medium', low: 'Low' },
+    priorityTitle: '{priority} priority',
+    dueDate: 'Due date',
+    tags: 'Tags',
+    tagsPlaceholder: 'tags, comma separated',
+    save: 'Save',
+    cancel: 'Cancel',
+    edit: 'Edit',
+    delete: 'Delete',
+    reorder: 'Reorder "{text}". Press Space to pick up, arrows to move, Space to drop.',
+    select: 'Select "{text}"',
+    markDone: 'Mark "{text}" as done',
+    markNotDone: 'Mark "{text}" as not done',
+    doubleClickToEdit: 'Double-click to edit',
+    overdue: 'Overdue',
+    today: 'Today',
+    pickedUp: 'Picked up "{text}". Use the arrow keys to move, Space to drop, Escape to cancel.',
+    moved: 'Moved to position {position} of {total}.',
+    dropped: 'Dropped "{text}" at position {position} of {total}.',
+    reorderCancelled: 'Reorder cancelled.',
+    selectAll: 'Select all',
+    selected: '{count} selected',
+    complete: '✅ Complete',
+    reopen: '↩️ Reopen',
+    setPriority: 'Set priority…',
+    setSelectedPriority: 'Set priority of selected todos',
+    deleteSelected: '🗑 Delete',
+    clearCompleted: 'Clear completed',
+    showingTag: 'Showing {tag} ({count})',
+    showAll: '✕ Show all',
+    empty: 'No todos yet. Add one above!',
+    summary: '{remaining} left · {done} done',
+    overdueCount: '{count} overdue',
+    syncNote: '💾 Saved in this browser and synced across open tabs · drag ⠿ to reorder · double-click to edit',
+  },
+  quiz: {
+    title: '🧠 Hooks Interview Quiz',
+    description: 'Questions drawn from the interview guide and the Key Interview Points in each demo',
+    predictOutput: '🔮 Predict the output',
+    multipleChoice: '📝 Multiple choice',
+    correct: '✅ Correct!',
+    wrong: '❌ Not quite.',
+    review: 'Review the demo →',
+    noQuestions: 'No questions for this hook yet.',
+    result: 'You answered {score} of {total} correctly.',
+    worthReviewing: 'Worth reviewing:',
+    restart: 'Restart Quiz',
+    progress: 'Question {number} of {total}',
+    score: 'Score: {score}',
+    next: 'Next Question',
+    seeResults: 'See Results',
+  },
+  console: {
+    label: 'Demo console',
+    title: 'Console',
+    filter: 'Filter log lines',
+    filterPlaceholder: 'Filter log lines...',
+    scope: 'Which demos to show',
+    thisPage: 'This page',
+    allDemos: 'All demos',
+    clearPage: 'Clear Page',
+    clearAll: 'Clear All',
+    noMatches: 'No lines match the filter.',
+    empty: 'Nothing logged yet. Interact with a demo to see its output.',
+  },
+  toast: {
+    label: 'Notifications',
+    dismiss: 'Dismiss notification',
+    waiting: '+{count} more waiting',
+  },
+  devtools: {
+    title: 'Time-travel debugger',
+    actions: { one: '{count} action', other: '{count} actions' },
+    viewingPast: 'viewing the past',
+    scrub: 'Scrub through {name} history',
+    state: 'State {cursor} / {last}',
+    back: '◀ Back',
+    forward: 'Forward ▶',
+    replay: '🔁 Replay',
+    stop: '⏹ Stop',
+    export: '📤 Export',
+    import: '📥 Import',
+    clear: '🗑 Clear',
+    replayPure: {
+      one: '✅ Replaying {count} action reproduced every recorded state - the reducer is pure.',
+      other: '✅ Replaying {count} actions reproduced every recorded state - the reducer is pure.',
+    },
+    replayMismatch: '❌ State #{state} came out different on replay. Is the reducer pure?',
+    replayThrew: '❌ The reducer threw during replay: {message}',
+    imported: { one: '📥 Imported {count} action from {file}.', other: '📥 Imported {count} actions from {file}.' },
+    importFailed: '❌ Could not import {file}: {message}',
+    importNotALog: 'expected { actions: [{ type, ... }] }',
+    importWrongReducer: 'this log was recorded with {reducer}, not {name}',
+    importBadStart: 'startState doesn\'t match the {name} state (at {path})',
+    importBadAction: 'action #{step} ({type}) leaves the state in the wrong shape (at {path})',
+    newTimeline: {
+      one: 'Dispatching now starts a new timeline from this state and discards the {count} later action.',
+      other: 'Dispatching now starts a new timeline from this state and discards the {count} later actions.',
+    },
+    action: 'Action #{number}',
+    diff: 'Diff',
+    sameState: 'No change - the reducer returned the same state object.',
+    noValuesChanged: 'New state object, but no values changed.',
+    before: 'Before',
+    after: 'After',
+    initialState: 'Initial state',
+  },
+  playground: {
+    running: '✅ Running',
+    error: '❌ Error',
+    edited: '📝 Edited',
+    editedHint: 'Your edits are autosaved',
+    reset: 'Reset Code',
+    source: '{title} source code',
+    preview: '{title} preview',
+    syntaxError: 'Syntax error',
+    badImport: 'Cannot import "{name}" in the playground. Only \'react\' is available.',
+    noDefaultExport: 'Snippet must `export default` a component to render it.',
+    loopStopped: 'A loop ran for over {seconds}s and was stopped. Is it an infinite loop?',
+  },
+  auth: {
+    email: 'Email:',
+    password: 'Password:',
+    signIn: 'Sign In',
+    signingIn: 'Signing in...',
+    demoAccounts: 'Demo accounts:',
+    wrongCredentials: 'Wrong email or password',
+    sessionExpired: 'Your session has expired. Please sign in again.',
+    signInToOpen: 'Sign in to open {path} - you\'ll be sent straight back.',
+    signedInAs: 'Signed in as {name} ({email}) - {title}, role',
+    status: 'Status',
+    statuses: {
+      'signed-out': '🔓 Signed out',
+      checking: '⏳ Checking the saved session...',
+      'signed-in': '✅ Signed in',
+      expired: '⌛ Session expired',
+      error: '⚠️ Could not reach the server',
+    },
+    token: 'Token',
+    savedUnder: 'Saved under',
+    checkWithServer: 'Check With Server',
+    checking: 'Checking...',
+    tokenValid: 'Valid - belongs to {email}',
+    role: 'Role',
+    signInForRoles: 'Sign in above to see what each role gets.',
+    signInForNotes: 'Sign in to read the team notes.',
+    checkingSession: '⏳ Checking your session...',
+    checkFailed: 'Couldn\'t check your session',
+    tryAgain: 'Try Again',
+    roleOnly: '{role}s Only',
+    missingRole: 'You\'re signed in as {name} ({title}), whose role is "{role}". This page needs "{required}".',
+  },
+  admin: {
+    teamAccounts: 'Team Accounts',
+    signedInAs: 'Signed in as {name} ({title}).',
+    loading: 'Loading accounts...',
+    retry: 'Retry',
+    forbidden: 'Only admins can list accounts',
+    title: 'Title',
+  },
+  userCard: {
+    age: 'Age:',
+    email: 'Email:',
+    role: 'Role:',
+  },
+  props: {
+    title: 'Button Component (Props Demo)',
+    buttons: {
+      primary: 'Primary Button',
+      secondary: 'Secondary Button',
+      danger: 'Danger Button',
+      disabled: 'Disabled Button',
+    },
+    clicked: 'You clicked the {button}!',
+  },
+  useRef: {
+    inputPlaceholder: 'This input can be focused programmatically',
+    focusInput: 'Focus Input',
+    scrollToInput: 'Scroll to Input',
+    getDimensions: 'Get Dimensions',
+    dimensions: 'Width: {width}px\nHeight: {height}px\nScroll Width: {scrollWidth}px',
+    previous: 'Previous:',
+    rendered: 'This component has rendered:',
+    times: 'times',
+    forceRender: 'Force Re-render',
+    silentClick: 'Silent Click (No Re-render)',
+    showClickCount: 'Show Click Count',
+    clickNote: 'Click "Silent Click" multiple times (check console), then "Show Click Count"',
+    clicked: { one: 'You\'ve clicked {count} time!', other: 'You\'ve clicked {count} times!' },
+    startAuto: 'Start Auto Increment',
+    stopAuto: 'Stop Auto Increment',
+    play: 'Play',
+    pause: 'Pause',
+    skipTo: 'Skip to {seconds}s',
+    playError: '❌ Couldn\'t play the video: {reason}',
+  },
+  useReducer: {
+    formSubmitted: 'Form submitted successfully!',
+    draftRestored: '📝 Restored the draft you were filling in before the page reloaded. The password is never saved, so type it again.',
+    submit: 'Submit',
+    submitting: 'Submitting...',
+    resetForm: 'Reset Form',
+    undo: '↶ Undo ({count})',
+    redo: '↷ Redo ({count})',
+    undoLimit: 'last {limit} steps',
+    todoPlaceholder: 'Add a new todo...',
+    addTodo: 'Add Todo',
+    filters: { all: 'All', active: 'Active', completed: 'Completed' },
+    todoCount: { one: '{count} todo', other: '{count} todos' },
+    todosSaved: { one: '{count} todo saved', other: '{count} todos saved' },
+    openInTab: 'Open this page in another tab ↗',
+    openInTabHint: 'then add a todo there and watch this one update',
+  },
+  useCallback: {
+    renders: 'Renders: {count}',
+    count: 'Count: {count}',
+    incrementCount: 'Increment Count',
+    updateOther: 'Update Other State',
+    otherState: 'Other State: {value} (triggers parent re-render)',
+    regularButton: 'Regular Button',
+    memoWithout: 'Memo Without Callback',
+    memoWith: 'Memo With Callback',
+    withoutCallback: 'Without useCallback - new function every render!',
+    withCallback: 'With useCallback - same function reference! Count: {count}',
+    stable: 'This function reference never changes!',
+    searchPlaceholder: 'Search items...',
+    searchResults: { one: 'Search Results ({count} item)', other: 'Search Results ({count} items)' },
+    moreResults: '...and {count} more',
+    triggerRerender: 'Trigger Parent Re-render',
+    itemClicked: 'List {list}: Item {id}',
+    incrementBy: 'Increment by {amount}',
+  },
+  imperativeHandle: {
+    playRefused: 'Playback refused: {reason}',
+    inspect: '🔍 Inspect {name}',
+    forwardedLabel: 'Forwarded to <input>',
+    handleLabel: 'Exposes { focus, clear }',
+    restyle: 'Restyle via ref',
+    restyled: '{name}: the parent just restyled the child\'s <input>. Nothing stops it.',
+    noStyle: '{name}: the handle has no "style" - the parent can only focus() and clear().',
+  },
+  layoutEffect: {
+    measureIn: 'Measure in',
+    strategies: {
+      effect: 'Measured after the browser paints - the first frame shows the overlay in the wrong place.',
+      layout: 'Measured before the browser paints - the overlay appears in the right place straight away.',
+    },
+    slow: 'Slow render (+{ms}ms) so the wrong frame is easy to see',
+    flickers: 'Frames painted before positioning:',
+    targets: {
+      save: { label: '💾 Save', text: 'Saves your progress to this browser' },
+      share: { label: '🔗 Share', text: 'Copies a link to this demo' },
+      help: { label: '❓ Help', text: 'Tooltips flip below the button when there is no room above - scroll this button to the top of the window to try it' },
+    },
+    openPopover: '📤 Open popover',
+    closePopover: 'Close popover',
+    shareOptions: 'Share options',
+    shareTitle: 'Share this demo',
+    copyLink: '📋 Copy link',
+    email: '✉️ Email',
+    studyGroup: '💬 Send to a study group',
+    cheatSheet: '🖨️ Print cheat sheet',
+    close: 'Close',
+    triggers: {
+      timer: {
+        label: '⏱️ Update from setTimeout',
+        description: 'A normal update: useEffect is scheduled for later, so the browser usually paints first.',
+      },
+      click: {
+        label: '🖱️ Update from click',
+        description: 'A discrete event (click, keypress): React flushes useEffect before the paint so the UI reacts to input immediately.',
+      },
+    },
+    update: 'Update #{run}',
+    events: {
+      timer: 'setTimeout fires → setState',
+      click: 'onClick → setState',
+      layout: 'useLayoutEffect - DOM updated, box is {width}px wide, nothing painted yet',
+      paint: 'Browser paints the frame (requestAnimationFrame)',
+      effect: 'useEffect',
+    },
+  },
+  suspense: {
+    loadChunk: '📦 Load the VideoPlayer chunk',
+    downloadingChunk: '⏳ Downloading VideoPlayer chunk...',
+    user: 'User #{id}',
+    failNext: '💥 Make the next request fail',
+    keepOld: 'Use startTransition (keep the old profile instead of the skeleton)',
+    retry: '🔄 Retry',
+    arrivedAfter: 'Arrived after {ms}ms',
+    resources: {
+      profile: '👤 Profile',
+      todos: '✅ Todos',
+      products: '🛒 Products',
+    },
+    todoCount: { one: '{count} todo', other: '{count} todos' },
+    productCount: { one: '{count} product', other: '{count} products' },
+    readyAt: 'ready at {ms}ms',
+    strategy: 'Loading strategy',
+    strategies: {
+      waterfall: {
+        label: '🌊 Fetch in each component',
+        description: 'Each panel starts its request when it renders - which is only after its parent\'s data arrived. The requests run one after another.',
+      },
+      parallel: {
+        label: '⚡ Start all requests up front',
+        description: 'The click handler reads all three resources before rendering, so the requests run at the same time. The panels then find them in the cache.',
+      },
+    },
+    nested: 'A Suspense boundary around each panel (otherwise one around all three)',
+    load: '▶ Load',
+  },
+  formActions: {
+    fields: {
+      username: 'Username:',
+      email: 'Email:',
+      password: 'Password:',
+      age: 'Age:',
+    },
+    errors: {
+      usernameRequired: 'Username is required',
+      usernameShort: 'Username must be at least 3 characters',
+      usernameTaken: 'Username "{username}" is already taken',
+      emailRequired: 'Email is required',
+      emailInvalid: 'Email is invalid',
+      passwordRequired: 'Password is required',
+      passwordShort: 'Password must be at least 6 characters',
+      ageRequired: 'Age is required',
+      ageRange: 'Age must be between 18 and 100',
+    },
+    register: 'Register',
+    registering: 'Registering...',
+    waiting: '⏳ Waiting for the server...',
+    idle: 'Fill in the form and submit. Try the username "Bret" - the server says it is taken.',
+    invalid: '✋ Fix the highlighted fields.',
+    welcome: '✅ Welcome, {username}! You are member #{id}.',
+    subscribe: 'Subscribe',
+    subscribing: 'Subscribing...',
+    emailPlaceholder: 'you@example.com',
+    insideForm: 'Inside the <form>',
+    outsideForm: 'Outside the <form>',
+    subscribed: '📬 {email} is subscribed',
+    loadingTodos: '⏳ Loading todos from the mock server...',
+    rejectSaves: '💥 Server rejects every save',
+    add: 'Add',
+    saving: 'Saving...',
+    sending: 'saving...',
+    toggle: 'Toggle {text}',
+    rolledBack: '"{text}" was rolled back - {reason}',
+  },
+  mockApi: {
+    title: '🧪 Mock Server',
+    latency: 'Latency:',
+    errorRate: 'Error rate:',
+    outOfOrder: 'Out-of-order responses (newest request finishes first)',
+    reset: 'Reset',
+  },
+  renderInspector: {
+    watching: '{name} · watching…',
+    badge: { one: '{name} · {count} render · {reason}', other: '{name} · {count} renders · {reason}' },
+    mounted: 'mounted',
+    prop: 'prop "{key}"',
+    context: 'context {key}',
+    changed: '{reasons} changed',
+    parentRendered: 'parent re-rendered (props equal)',
+    stateUpdate: 'state update inside',
+  },
+  useMemo: {
+    overlayHint: 'Switch on the render overlay in the sidebar to see when the child renders.',
+    toggle: 'Use useMemo (check console to see difference)',
+    fibNumber: 'Fibonacci Number (try 1-35):',
+    result: 'Result:',
+    unrelatedState: 'Unrelated State (causes re-render):',
+    incrementCount: 'Increment Count',
+    withMemo: '✅ With useMemo: Fibonacci NOT recalculated (check console)',
+    withoutMemo: '❌ Without useMemo: Fibonacci recalculated unnecessarily (check console)',
+    searchPlaceholder: 'Search products...',
+    sortAsc: 'Sort Ascending',
+    sortDesc: 'Sort Descending',
+    changeTheme: 'Change App Theme (Unrelated State)',
+    childNote: 'I re-render when \'data\' reference changes',
+    itemCount: 'Items count: {count}',
+    forceRerender: 'Force Parent Re-render',
+    stats: {
+      total: 'Total Value:',
+      average: 'Average Price:',
+      max: 'Most Expensive:',
+      min: 'Cheapest:',
+    },
+    addProduct: 'Add Random Product',
+  },
+  raceCondition: {
+    strategy: 'Cleanup strategy',
+    strategies: {
+      none: { label: 'No cleanup', description: 'Whichever response arrives last wins - even if it is for an old selection.' },
+      ignore: { label: 'Ignore flag', description: 'Cleanup sets ignore = true, so responses for old selections are dropped on arrival.' },
+      abort: { label: 'AbortController', description: 'Cleanup aborts the in-flight request, so old responses never arrive at all.' },
+    },
+    fireBurst: '🔥 Fire users 1 → 2 → 3',
+    user: 'User {id}',
+    userWithName: 'User {id} ({name})',
+    selected: 'Selected:',
+    showing: 'Showing:',
+    staleWon: '❌ Stale response won: you selected user {selected}, but user {shown}\'s response arrived last.',
+    outcomes: {
+      pending: '⏳ pending',
+      applied: '✅ applied',
+      ignored: '🙈 ignored',
+      aborted: '🛑 aborted',
+      failed: '❌ failed',
+    },
+  },
+  useEffect: {
+    fetchUser: 'Fetch User Data',
+    loading: 'Loading...',
+    email: 'Email:',
+    company: 'Company:',
+    website: 'Website:',
+    start: 'Start',
+    pause: 'Pause',
+    windowWidth: 'Window Width:',
+    searchPlaceholder: 'Type to search (debounced)...',
+    currentInput: 'Current Input:',
+    debouncedValue: 'Debounced Value:',
+    searching: 'Searching for "{term}"...',
+    noProducts: 'No products match "{term}".',
+  },
+  useTransition: {
+    strategy: 'Update strategy',
+    modes: {
+      urgent: {
+        label: 'Urgent (plain setState)',
+        description: 'Input and list update together in one blocking render. Type fast and the input freezes.',
+      },
+      transition: {
+        label: 'useTransition',
+        description: 'The input updates right away; the list update is wrapped in startTransition and isPending dims the old results.',
+      },
+      deferred: {
+        label: 'useDeferredValue',
+        description: 'The list receives a deferred copy of the query, so it renders the old results first and catches up in the background.',
+      },
+    },
+    catalogSize: 'Catalog size',
+    products: '{count} products',
+    rowsRendered: 'Rows rendered',
+    rowCost: 'Extra work per row: {ms}ms',
+    filter: 'Filter products',
+    filterPlaceholder: 'Type to filter products...',
+    updating: '⏳ Updating list…',
+    lastKeystroke: 'Last keystroke',
+    resetMeter: 'Reset meter',
+    latencyStats: '{average}ms avg · {max}ms max',
+    legend: {
+      good: '< 50ms feels instant',
+      ok: '50-100ms noticeable',
+      bad: '> 100ms laggy',
+    },
+    matches: '{matches} of {total} products match',
+    matchesTerm: '{matches} of {total} products match "{term}"',
+    showingFirst: 'showing the first {count}',
+  },
+  errorBoundary: {
+    crashed: '💥 {name} crashed',
+    explanation: 'An error boundary caught this, so only this demo is replaced - the sidebar and the rest of the app still work. Reset the demo to mount it again from scratch.',
+    componentStack: 'Component stack',
+    reset: '🔄 Reset demo',
+  },
+  useContext: {
+    currentTheme: 'Current Theme: {theme}',
+    switchToDark: 'Switch to Dark Mode',
+    switchToLight: 'Switch to Light Mode',
+    appTheme: 'App theme: {theme}',
+    appThemeSystem: 'App theme: {theme} (following the system setting)',
+  },
+  errorBoundaryDemo: {
+    renderedFine: '✅ RenderBomb rendered fine',
+    throwInRender: '💣 Throw during render',
+    effectMounted: '⏳ EffectBomb mounted…',
+    effectNotMounted: '✅ EffectBomb not mounted yet',
+    mountEffect: '💣 Mount EffectBomb',
+    stillFine: { one: '✅ Still rendering fine after {count} throw', other: '✅ Still rendering fine after {count} throws' },
+    throwInClick: '💣 Throw in onClick',
+    noAsyncError: '✅ No async error caught yet',
+    throwInTimeout: '💣 Throw in setTimeout',
+    rethrow: '💣 Re-throw via setState',
+    caught: '🛡️ caught',
+    notCaught: '🚫 not caught',
+    boundaryCaught: '🛡️ Boundary caught:',
+    reset: '🔄 Reset',
+    uncaughtTitle: '🌍 Reached window.onerror (no boundary caught these)',
+    nothingYet: 'Nothing yet.',
+    crashPage: '🔥 Crash this page',
+  },
+  customHooks: {
+    usedIn: 'Used in:',
+    debouncePlaceholder: 'Type quickly, then stop...',
+    delay: 'Delay:',
+    value: 'Value:',
+    debounced: 'Debounced:',
+    user: 'User #{id}',
+    missingUser: 'User #{id} (404)',
+    loadingUser: '⏳ Loading user #{id}...',
+    ticks: { one: '{count} tick', other: '{count} ticks' },
+    start: '▶ Start',
+    pause: '⏸ Pause (delay = null)',
+    every: 'Every',
+    previous: 'Previous:',
+    notes: 'Notes',
+    notesPlaceholder: 'Write something, then refresh the page (or open it in a second tab)',
+    charactersSaved: { one: '{count} character saved', other: '{count} characters saved' },
+    clear: 'Clear',
+    resize: 'Resize the window',
+  },
+  utilityHooks: {
+    email: 'Email',
+    emailHint: 'We never share it',
+    backupEmail: 'Backup email',
+    backupEmailHint: 'Used if you lose access to the first one',
+    hardcodedNote: 'Click "Backup email" here - the focus jumps to the first input.',
+    resizeHint: '{size} - resize the window',
+    online: '🟢 Online',
+    offline: '🔴 Offline',
+    offlineHint: 'Toggle "Offline" in DevTools\' Network tab',
+    like: '❤️ Like ({count})',
+    likeLater: '⏱️ Like from setTimeout',
+    likes: { one: '{count} like', other: '{count} likes' },
+    likesFrom: { one: '{count} like, the last one from {source}', other: '{count} likes, the last one from {source}' },
+    sources: { button: 'a button', timeout: 'a setTimeout outside React' },
+  },
+};
+
+export default en;
@@ -0,0 +1,685 @@
+/**
+ * Spanish messages. Keys missing here fall back to en.js.
+ */
+const es = {
+  app: {
+    title: 'Centro de aprendizaje de React Hooks',
+    tagline: 'Domina los fundamentos de React, los hooks y los patrones avanzados',
+    footer: 'Hecho con React + Vite | Aprendiendo React Hooks',
+  },
+  common: {
+    on: 'Sí',
+    off: 'No',
+  },
+  theme: {
+    label: 'Tema',
+    modes: {
+      system: '💻 Sistema',
+      light: '☀️ Claro',
+      dark: '🌙 Oscuro',
+      'high-contrast': '🔲 Alto contraste',
+    },
+  },
+  language: {
+    label: 'Idioma',
+  },
+  autosave: {
+    saved: '✓ Guardado',
+    savedAt: '✓ Guardado a las {time}',
+    saving: '⏳ Guardando…',
+    unsaved: '● Cambios sin guardar',
+    off: 'guardado automático desactivado',
+    saveNow: 'Guardar ahora',
+  },
+  nav: {
+    label: 'Navegación de demos',
+    overview: 'Resumen',
+    overlay: '🔦 Resaltar renders: {state}',
+    overlayHint: 'Destaca los componentes al renderizarse y muestra por qué',
+    visited: 'Visitado',
+    requiresRole: 'Requiere el rol {role}',
+  },
+  home: {
+    examples: { one: '{count} ejemplo', other: '{count} ejemplos' },
+  },
+  notFound: {
+    title: 'Página no encontrada',
+    noDemo: 'No hay ninguna demo en',
+    back: 'Volver a todas las demos',
+  },
+  progress: {
+    examples: '{visited}/{total} ejemplos',
+    demos: '{visited}/{total} demos',
+    quizBest: 'Mejor test: {score}',
+    demosHeading: 'Demos',
+    quizHeading: 'Resultados de los tests',
+    allHooks: 'Todos los hooks',
+    notTaken: 'sin hacer',
+    quizResult: '{score}/{total} (mejor {best} %)',
+    passed: { one: '{count} superado', other: '{count} superados' },
+    cardsVisited: { one: '{visited} de {count} ejemplo visitado', other: '{visited} de {count} ejemplos visitados' },
+    export: 'Exportar progreso',
+    reset: 'Reiniciar progreso',
+    confirmReset: '¿Reiniciar todo el progreso? No se puede deshacer.',
+    confirmYes: 'Sí, reiniciar',
+    cancel: 'Cancelar',
+  },
+  sections: {
+    props: {
+      title: 'Demostración de props',
+      description: 'Componentes que reciben datos de su padre mediante props',
+    },
+    state: {
+      title: 'Demostración de estado (useState)',
+      description: 'Componentes que gestionan su propio estado interno',
+    },
+    'advanced-hooks': {
+      title: 'Hooks avanzados de React',
+      description: 'Un recorrido a fondo por useEffect, useRef, useMemo, useLayoutEffect y el resto de hooks integrados, con ejemplos reales',
+    },
+    'interview-hooks': {
+      title: 'Hooks para entrevistas',
+      description: 'Domina useContext, useReducer y useCallback para entrevistas de frontend',
+    },
+    'custom-hooks': {
+      title: 'Hooks personalizados',
+      description: 'Hooks reutilizables extraídos de las demos: debounce, peticiones, temporizadores, almacenamiento y más',
+    },
+    concurrent: {
+      title: 'React concurrente',
+      description: 'Mantén la interfaz fluida durante renders costosos y cargas lentas con las funciones concurrentes de React 19',
+    },
+    'react-19': {
+      title: 'Acciones de React 19',
+      description: 'Acciones de formulario, estados pendientes y actualizaciones optimistas sin reducers escritos a mano',
+    },
+    'error-handling': {
+      title: 'Error Boundaries',
+      description: 'Aísla los fallos para que un componente roto no deje toda la aplicación en blanco',
+    },
+    practice: {
+      title: 'Práctica de entrevista',
+      description: 'Ponte a prueba con preguntas sobre cada hook sacadas de la guía de entrevistas',
+    },
+  },
+  profile: {
+    title: 'Perfil de usuario',
+    name: 'Nombre',
+    email: 'Correo',
+    role: 'Puesto',
+    notifications: 'Notificaciones',
+    language: 'Idioma',
+    toggleNotifications: 'Activar/desactivar notificaciones',
+    changeLanguage: 'Cambiar idioma',
+    logOut: 'Cerrar sesión',
+    signIn: 'Inicia sesión para ver tu perfil →',
+  },
+  settings: {
+    title: 'Panel de ajustes',
+    notifications: 'Activar notificaciones',
+    notificationsHint: '(avisos en toda la app)',
+    sendTest: 'Enviar notificación de prueba',
+    testMessage: '¡Hola desde el panel de ajustes! ({language})',
+    notificationsOn: '🔔 Notificaciones activadas',
+    autoSave: 'Guardado automático',
+    autoSaveHint: '(tareas, borradores del formulario y del carrito, cambios en los editores)',
+    language: 'Idioma:',
+  },
+  cart: {
+    products: 'Productos:',
+    addToCart: 'Añadir al carrito',
+    title: 'Carrito:',
+    empty: 'Tu carrito está vacío',
+    itemPrice: '{price} × {quantity}',
+    remove: 'Quitar',
+    total: 'Total: {amount}',
+    itemCount: { one: '{count} artículo', other: '{count} artículos' },
+    clear: 'Vaciar carrito',
+  },
+  counter: {
+    title: 'Contador (demo de estado)',
+    increment: 'Sumar',
+    decrement: 'Restar',
+    reset: 'Reiniciar',
+  },
+  todoList: {
+    title: 'Lista de tareas (demo de estado)',
+    placeholder: 'Escribe una tarea nueva...',
+    newTodo: 'Tarea nueva',
+    add: 'Añadir',
+    text: 'Texto de la tarea',
+    priority: 'Prioridad',
+    priorities: { high: 'Alta', medium: 'Media', low: 'Baja' },
+    priorityTitle: 'Prioridad {priority}',
+    dueDate: 'Fecha límite',
+    tags: 'Etiquetas',
+    tagsPlaceholder: 'etiquetas, separadas por comas',
+    save: 'Guardar',
+    cancel: 'Cancelar',
+    edit: 'Editar',
+    delete: 'Eliminar',
+    reorder: 'Reordenar "{text}". Pulsa Espacio para tomarla, las flechas para moverla y Espacio para soltarla.',
+    select: 'Seleccionar "{text}"',
+    markDone: 'Marcar "{text}" como hecha',
+    markNotDone: 'Marcar "{text}" como pendiente',
+    doubleClickToEdit: 'Doble clic para editar',
+    overdue: 'Vencida',
+    today: 'Hoy',
+    pickedUp: 'Has tomado "{text}". Usa las flechas para moverla, Espacio para soltarla y Escape para cancelar.',
+    moved: 'Movida a la posición {position} de {total}.',
+    dropped: '"{text}" soltada en la posición {position} de {total}.',
+    reorderCancelled: 'Reordenación cancelada.',
+    selectAll: 'Seleccionar todo',
+    selected: { one: '{count} seleccionada', other: '{count} seleccionadas' },
+    complete: '✅ Completar',
+    reopen: '↩️ Reabrir',
+    setPriority: 'Cambiar prioridad…',
+    setSelectedPriority: 'Cambiar la prioridad de las tareas seleccionadas',
+    deleteSelected: '🗑 Eliminar',
+    clearCompleted: 'Borrar completadas',
+    showingTag: 'Mostrando {tag} ({count})',
+    showAll: '✕ Mostrar todas',
+    empty: 'Aún no hay tareas. ¡Añade una arriba!',
+    summary: '{remaining} pendientes · {done} hechas',
+    overdueCount: { one: '{count} vencida', other: '{count} vencidas' },
+    syncNote: '💾 Guardada en este navegador y sincronizada entre pestañas · arrastra ⠿ para reordenar · doble clic para editar',
+  },
+  quiz: {
+    title: '🧠 Test de entrevista sobre hooks',
+    description: 'Preguntas sacadas de la guía de entrevistas y de los puntos clave de cada demo',
+    predictOutput: '🔮 Adivina el resultado',
+    multipleChoice: '📝 Opción múltiple',
+    correct: '✅ ¡Correcto!',
+    wrong: '❌ No exactamente.',
+    review: 'Repasar la demo →',
+    noQuestions: 'Todavía no hay preguntas sobre este hook.',
+    result: 'Has acertado {score} de {total}.',
+    worthReviewing: 'Conviene repasar:',
+    restart: 'Reiniciar el test',
+    progress: 'Pregunta {number} de {total}',
+    score: 'Puntuación: {score}',
+    next: 'Siguiente pregunta',
+    seeResults: 'Ver resultados',
+  },
+  console: {
+    label: 'Consola de las demos',
+    title: 'Consola',
+    filter: 'Filtrar líneas',
+    filterPlaceholder: 'Filtrar líneas...',
+    scope: 'Qué demos mostrar',
+    thisPage: 'Esta página',
+    allDemos: 'Todas las demos',
+    clearPage: 'Borrar página',
+    clearAll: 'Borrar todo',
+    noMatches: 'Ninguna línea coincide con el filtro.',
+    empty: 'Aún no hay nada. Usa una demo para ver su salida.',
+  },
+  toast: {
+    label: 'Notificaciones',
+    dismiss: 'Cerrar notificación',
+    waiting: { one: '+{count} más en espera', other: '+{count} más en espera' },
+  },
+  devtools: {
+    title: 'Depurador con viaje en el tiempo',
+    actions: { one: '{count} acción', other: '{count} acciones' },
+    viewingPast: 'viendo el pasado',
+    scrub: 'Recorrer el historial de {name}',
+    state: 'Estado {cursor} / {last}',
+    back: '◀ Atrás',
+    forward: 'Adelante ▶',
+    replay: '🔁 Repetir',
+    stop: '⏹ Parar',
+    export: '📤 Exportar',
+    import: '📥 Importar',
+    clear: '🗑 Borrar',
+    replayPure: {
+      one: '✅ Repetir {count} acción reprodujo todos los estados grabados: el reducer es puro.',
+      other: '✅ Repetir {count} acciones reprodujo todos los estados grabados: el reducer es puro.',
+    },
+    replayMismatch: '❌ El estado #{state} salió distinto al repetir. ¿Es puro el reducer?',
+    replayThrew: '❌ El reducer lanzó un error al repetir: {message}',
+    imported: { one: '📥 Importada {count} acción de {file}.', other: '📥 Importadas {count} acciones de {file}.' },
+    importFailed: '❌ No se pudo importar {file}: {message}',
+    importNotALog: 'se esperaba { actions: [{ type, ... }] }',
+    importWrongReducer: 'este registro se grabó con {reducer}, no con {name}',
+    importBadStart: 'startState no coincide con el estado de {name} (en {path})',
+    importBadAction: 'la acción #{step} ({type}) deja el estado con una forma incorrecta (en {path})',
+    newTimeline: {
+      one: 'Despachar ahora empieza una nueva línea temporal desde este estado y descarta {count} acción posterior.',
+      other: 'Despachar ahora empieza una nueva línea temporal desde este estado y descarta {count} acciones posteriores.',
+    },
+    action: 'Acción #{number}',
+    diff: 'Diferencias',
+    sameState: 'Sin cambios: el reducer devolvió el mismo objeto de estado.',
+    noValuesChanged: 'Objeto de estado nuevo, pero ningún valor cambió.',
+    before: 'Antes',
+    after: 'Después',
+    initialState: 'Estado inicial',
+  },
+  playground: {
+    running: '✅ Funcionando',
+    error: '❌ Error',
+    edited: '📝 Editado',
+    editedHint: 'Tus cambios se guardan automáticamente',
+    reset: 'Restaurar código',
+    source: 'Código fuente de {title}',
+    preview: 'Vista previa de {title}',
+    syntaxError: 'Error de sintaxis',
+    badImport: 'No se puede importar "{name}" en el playground. Solo está disponible \'react\'.',
+    noDefaultExport: 'El fragmento debe hacer `export default` de un componente para mostrarlo.',
+    loopStopped: 'Un bucle se ejecutó durante más de {seconds} s y se detuvo. ¿Es un bucle infinito?',
+  },
+  auth: {
+    email: 'Correo:',
+    password: 'Contraseña:',
+    signIn: 'Iniciar sesión',
+    signingIn: 'Iniciando sesión...',
+    demoAccounts: 'Cuentas de prueba:',
+    wrongCredentials: 'Correo o contraseña incorrectos',
+    sessionExpired: 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    signInToOpen: 'Inicia sesión para abrir {path}: volverás allí enseguida.',
+    signedInAs: 'Sesión iniciada como {name} ({email}) - {title}, rol',
+    status: 'Estado',
+    statuses: {
+      'signed-out': '🔓 Sin sesión',
+      checking: '⏳ Comprobando la sesión guardada...',
+      'signed-in': '✅ Sesión iniciada',
+      expired: '⌛ Sesión caducada',
+      error: '⚠️ No se pudo contactar con el servidor',
+    },
+    token: 'Token',
+    savedUnder: 'Guardado en',
+    checkWithServer: 'Comprobar con el servidor',
+    checking: 'Comprobando...',
+    tokenValid: 'Válido: pertenece a {email}',
+    role: 'Rol',
+    roles: { developer: 'Desarrollador', admin: 'Administrador' },
+    signInForRoles: 'Inicia sesión arriba para ver qué obtiene cada rol.',
+    signInForNotes: 'Inicia sesión para leer las notas del equipo.',
+    checkingSession: '⏳ Comprobando tu sesión...',
+    checkFailed: 'No se pudo comprobar tu sesión',
+    tryAgain: 'Reintentar',
+    roleOnly: 'Solo para el rol {role}',
+    missingRole: 'Has iniciado sesión como {name} ({title}), con el rol "{role}". Esta página necesita "{required}".',
+  },
+  admin: {
+    teamAccounts: 'Cuentas del equipo',
+    signedInAs: 'Sesión iniciada como {name} ({title}).',
+    loading: 'Cargando cuentas...',
+    retry: 'Reintentar',
+    forbidden: 'Solo los administradores pueden ver las cuentas',
+    title: 'Puesto',
+  },
+  userCard: {
+    age: 'Edad:',
+    email: 'Correo:',
+    role: 'Puesto:',
+  },
+  props: {
+    title: 'Componente Button (demo de props)',
+    buttons: {
+      primary: 'Botón principal',
+      secondary: 'Botón secundario',
+      danger: 'Botón de peligro',
+      disabled: 'Botón desactivado',
+    },
+    clicked: '¡Has pulsado el {button}!',
+  },
+  useRef: {
+    inputPlaceholder: 'Este campo se puede enfocar desde el código',
+    focusInput: 'Enfocar el campo',
+    scrollToInput: 'Desplazarse al campo',
+    getDimensions: 'Obtener medidas',
+    dimensions: 'Ancho: {width}px\nAlto: {height}px\nAncho de desplazamiento: {scrollWidth}px',
+    previous: 'Anterior:',
+    rendered: 'Este componente se ha renderizado:',
+    times: 'veces',
+    forceRender: 'Forzar un renderizado',
+    silentClick: 'Clic silencioso (sin renderizar)',
+    showClickCount: 'Mostrar los clics',
+    clickNote: 'Pulsa «Clic silencioso» varias veces (mira la consola) y luego «Mostrar los clics»',
+    clicked: { one: '¡Has hecho clic {count} vez!', other: '¡Has hecho clic {count} veces!' },
+    startAuto: 'Iniciar el autoincremento',
+    stopAuto: 'Detener el autoincremento',
+    play: 'Reproducir',
+    pause: 'Pausa',
+    skipTo: 'Ir al segundo {seconds}',
+    playError: '❌ No se pudo reproducir el vídeo: {reason}',
+  },
+  useReducer: {
+    formSubmitted: '¡Formulario enviado!',
+    draftRestored: '📝 Se ha recuperado el borrador que estabas rellenando antes de recargar la página. La contraseña nunca se guarda, así que escríbela otra vez.',
+    submit: 'Enviar',
+    submitting: 'Enviando...',
+    resetForm: 'Reiniciar formulario',
+    undo: '↶ Deshacer ({count})',
+    redo: '↷ Rehacer ({count})',
+    undoLimit: 'últimos {limit} pasos',
+    todoPlaceholder: 'Añade una tarea nueva...',
+    addTodo: 'Añadir tarea',
+    filters: { all: 'Todas', active: 'Pendientes', completed: 'Completadas' },
+    todoCount: { one: '{count} tarea', other: '{count} tareas' },
+    todosSaved: { one: '{count} tarea guardada', other: '{count} tareas guardadas' },
+    openInTab: 'Abre esta página en otra pestaña ↗',
+    openInTabHint: 'añade allí una tarea y mira cómo se actualiza esta',
+  },
+  useCallback: {
+    renders: 'Renderizados: {count}',
+    count: 'Contador: {count}',
+    incrementCount: 'Sumar al contador',
+    updateOther: 'Cambiar el otro estado',
+    otherState: 'Otro estado: {value} (vuelve a renderizar el padre)',
+    regularButton: 'Botón normal',
+    memoWithout: 'Memo sin callback',
+    memoWith: 'Memo con callback',
+    withoutCallback: 'Sin useCallback: ¡una función nueva en cada renderizado!',
+    withCallback: 'Con useCallback: ¡la misma referencia de función! Contador: {count}',
+    stable: '¡La referencia de esta función nunca cambia!',
+    searchPlaceholder: 'Buscar elementos...',
+    searchResults: { one: 'Resultados ({count} elemento)', other: 'Resultados ({count} elementos)' },
+    moreResults: '...y {count} más',
+    triggerRerender: 'Renderizar el padre',
+    itemClicked: 'Lista {list}: elemento {id}',
+    incrementBy: 'Sumar {amount}',
+  },
+  imperativeHandle: {
+    playRefused: 'Reproducción rechazada: {reason}',
+    inspect: '🔍 Inspeccionar {name}',
+    forwardedLabel: 'Reenviado al <input>',
+    handleLabel: 'Expone { focus, clear }',
+    restyle: 'Cambiar estilo por la ref',
+    restyled: '{name}: el padre acaba de cambiar el estilo del <input> del hijo. Nada se lo impide.',
+    noStyle: '{name}: el handle no tiene «style»; el padre solo puede llamar a focus() y clear().',
+  },
+  layoutEffect: {
+    measureIn: 'Medir en',
+    strategies: {
+      effect: 'Se mide después de que el navegador pinte: el primer fotograma muestra la capa en el sitio equivocado.',
+      layout: 'Se mide antes de que el navegador pinte: la capa aparece en su sitio desde el principio.',
+    },
+    slow: 'Renderizado lento (+{ms}ms) para que el fotograma erróneo se vea bien',
+    flickers: 'Fotogramas pintados antes de colocarla:',
+    targets: {
+      save: { label: '💾 Guardar', text: 'Guarda tu progreso en este navegador' },
+      share: { label: '🔗 Compartir', text: 'Copia un enlace a esta demo' },
+      help: { label: '❓ Ayuda', text: 'Los tooltips pasan debajo del botón cuando no caben encima: desplaza este botón hasta arriba de la ventana para probarlo' },
+    },
+    openPopover: '📤 Abrir el popover',
+    closePopover: 'Cerrar el popover',
+    shareOptions: 'Opciones para compartir',
+    shareTitle: 'Compartir esta demo',
+    copyLink: '📋 Copiar el enlace',
+    email: '✉️ Correo',
+    studyGroup: '💬 Enviar a un grupo de estudio',
+    cheatSheet: '🖨️ Imprimir la chuleta',
+    close: 'Cerrar',
+    triggers: {
+      timer: {
+        label: '⏱️ Actualizar desde setTimeout',
+        description: 'Una actualización normal: useEffect se programa para más tarde, así que el navegador suele pintar antes.',
+      },
+      click: {
+        label: '🖱️ Actualizar desde un clic',
+        description: 'Un evento discreto (clic, tecla): React ejecuta useEffect antes de pintar para que la interfaz responda al instante.',
+      },
+    },
+    update: 'Actualización n.º {run}',
+    events: {
+      timer: 'Salta el setTimeout → setState',
+      click: 'onClick → setState',
+      layout: 'useLayoutEffect: DOM actualizado, la caja mide {width}px, aún no se ha pintado nada',
+      paint: 'El navegador pinta el fotograma (requestAnimationFrame)',
+      effect: 'useEffect',
+    },
+  },
+  suspense: {
+    loadChunk: '📦 Cargar el chunk de VideoPlayer',
+    downloadingChunk: '⏳ Descargando el chunk de VideoPlayer...',
+    user: 'Usuario n.º {id}',
+    failNext: '💥 Hacer fallar la próxima petición',
+    keepOld: 'Usar startTransition (mantener el perfil anterior en vez del esqueleto)',
+    retry: '🔄 Reintentar',
+    arrivedAfter: 'Llegó a los {ms}ms',
+    resources: {
+      profile: '👤 Perfil',
+      todos: '✅ Tareas',
+      products: '🛒 Productos',
+    },
+    todoCount: { one: '{count} tarea', other: '{count} tareas' },
+    productCount: { one: '{count} producto', other: '{count} productos' },
+    readyAt: 'listo a los {ms}ms',
+    strategy: 'Estrategia de carga',
+    strategies: {
+      waterfall: {
+        label: '🌊 Pedir en cada componente',
+        description: 'Cada panel lanza su petición al renderizarse, es decir, solo cuando han llegado los datos de su padre. Las peticiones van una detrás de otra.',
+      },
+      parallel: {
+        label: '⚡ Lanzar todas las peticiones al principio',
+        description: 'El manejador del clic lee los tres recursos antes de renderizar, así que las peticiones van a la vez. Después los paneles las encuentran en la caché.',
+      },
+    },
+    nested: 'Un límite de Suspense por panel (si no, uno para los tres)',
+    load: '▶ Cargar',
+  },
+  formActions: {
+    fields: {
+      username: 'Usuario:',
+      email: 'Correo:',
+      password: 'Contraseña:',
+      age: 'Edad:',
+    },
+    errors: {
+      usernameRequired: 'El usuario es obligatorio',
+      usernameShort: 'El usuario debe tener al menos 3 caracteres',
+      usernameTaken: 'El usuario «{username}» ya está en uso',
+      emailRequired: 'El correo es obligatorio',
+      emailInvalid: 'El correo no es válido',
+      passwordRequired: 'La contraseña es obligatoria',
+      passwordShort: 'La contraseña debe tener al menos 6 caracteres',
+      ageRequired: 'La edad es obligatoria',
+      ageRange: 'La edad debe estar entre 18 y 100',
+    },
+    register: 'Registrarse',
+    registering: 'Registrando...',
+    waiting: '⏳ Esperando al servidor...',
+    idle: 'Rellena el formulario y envíalo. Prueba el usuario «Bret»: el servidor dice que ya está en uso.',
+    invalid: '✋ Corrige los campos marcados.',
+    welcome: '✅ ¡Bienvenido, {username}! Eres el miembro n.º {id}.',
+    subscribe: 'Suscribirse',
+    subscribing: 'Suscribiendo...',
+    emailPlaceholder: 'tu@ejemplo.com',
+    insideForm: 'Dentro del <form>',
+    outsideForm: 'Fuera del <form>',
+    subscribed: '📬 {email} está suscrito',
+    loadingTodos: '⏳ Cargando las tareas del servidor simulado...',
+    rejectSaves: '💥 El servidor rechaza todos los guardados',
+    add: 'Añadir',
+    saving: 'Guardando...',
+    sending: 'guardando...',
+    toggle: 'Marcar {text}',
+    rolledBack: 'Se ha deshecho «{text}»: {reason}',
+  },
+  mockApi: {
+    title: '🧪 Servidor simulado',
+    latency: 'Latencia:',
+    errorRate: 'Tasa de errores:',
+    outOfOrder: 'Respuestas desordenadas (la petición más reciente termina primero)',
+    reset: 'Restablecer',
+  },
+  renderInspector: {
+    watching: '{name} · observando…',
+    badge: { one: '{name} · {count} renderizado · {reason}', other: '{name} · {count} renderizados · {reason}' },
+    mounted: 'montado',
+    prop: 'prop "{key}"',
+    context: 'contexto {key}',
+    changed: 'cambió {reasons}',
+    parentRendered: 'el padre se volvió a renderizar (props iguales)',
+    stateUpdate: 'actualización de estado interna',
+  },
+  useMemo: {
+    overlayHint: 'Activa «Resaltar renders» en la barra lateral para ver cuándo se renderiza el hijo.',
+    toggle: 'Usar useMemo (mira la consola para ver la diferencia)',
+    fibNumber: 'Número de Fibonacci (prueba de 1 a 35):',
+    result: 'Resultado:',
+    unrelatedState: 'Estado no relacionado (provoca un renderizado):',
+    incrementCount: 'Sumar al contador',
+    withMemo: '✅ Con useMemo: Fibonacci NO se recalcula (mira la consola)',
+    withoutMemo: '❌ Sin useMemo: Fibonacci se recalcula sin necesidad (mira la consola)',
+    searchPlaceholder: 'Buscar productos...',
+    sortAsc: 'Orden ascendente',
+    sortDesc: 'Orden descendente',
+    changeTheme: 'Cambiar el tema de la app (estado no relacionado)',
+    childNote: 'Me vuelvo a renderizar cuando cambia la referencia de \'data\'',
+    itemCount: 'Número de elementos: {count}',
+    forceRerender: 'Forzar renderizado del padre',
+    stats: {
+      total: 'Valor total:',
+      average: 'Precio medio:',
+      max: 'El más caro:',
+      min: 'El más barato:',
+    },
+    addProduct: 'Añadir producto aleatorio',
+  },
+  raceCondition: {
+    strategy: 'Estrategia de limpieza',
+    strategies: {
+      none: { label: 'Sin limpieza', description: 'Gana la respuesta que llegue la última, aunque sea de una selección antigua.' },
+      ignore: { label: 'Bandera ignore', description: 'La limpieza pone ignore = true, así que las respuestas de selecciones antiguas se descartan al llegar.' },
+      abort: { label: 'AbortController', description: 'La limpieza cancela la petición en curso, así que las respuestas antiguas ni siquiera llegan.' },
+    },
+    fireBurst: '🔥 Lanzar usuarios 1 → 2 → 3',
+    user: 'Usuario {id}',
+    userWithName: 'Usuario {id} ({name})',
+    selected: 'Seleccionado:',
+    showing: 'Mostrando:',
+    staleWon: '❌ Ganó una respuesta obsoleta: seleccionaste el usuario {selected}, pero la respuesta del usuario {shown} llegó la última.',
+    outcomes: {
+      pending: '⏳ pendiente',
+      applied: '✅ aplicada',
+      ignored: '🙈 ignorada',
+      aborted: '🛑 cancelada',
+      failed: '❌ fallida',
+    },
+  },
+  useEffect: {
+    fetchUser: 'Cargar datos del usuario',
+    loading: 'Cargando...',
+    email: 'Correo:',
+    company: 'Empresa:',
+    website: 'Web:',
+    start: 'Iniciar',
+    pause: 'Pausar',
+    windowWidth: 'Ancho de la ventana:',
+    searchPlaceholder: 'Escribe para buscar (con debounce)...',
+    currentInput: 'Texto actual:',
+    debouncedValue: 'Valor con debounce:',
+    searching: 'Buscando «{term}»...',
+    noProducts: 'Ningún producto coincide con «{term}».',
+  },
+  useTransition: {
+    strategy: 'Estrategia de actualización',
+    modes: {
+      urgent: {
+        label: 'Urgente (setState normal)',
+        description: 'El campo y la lista se actualizan juntos en un renderizado que bloquea. Escribe rápido y el campo se congela.',
+      },
+      transition: {
+        label: 'useTransition',
+        description: 'El campo se actualiza al momento; la actualización de la lista va dentro de startTransition e isPending atenúa los resultados antiguos.',
+      },
+      deferred: {
+        label: 'useDeferredValue',
+        description: 'La lista recibe una copia diferida de la búsqueda, así que primero renderiza los resultados antiguos y se pone al día en segundo plano.',
+      },
+    },
+    catalogSize: 'Tamaño del catálogo',
+    products: '{count} productos',
+    rowsRendered: 'Filas renderizadas',
+    rowCost: 'Trabajo extra por fila: {ms}ms',
+    filter: 'Filtrar productos',
+    filterPlaceholder: 'Escribe para filtrar productos...',
+    updating: '⏳ Actualizando la lista…',
+    lastKeystroke: 'Última pulsación',
+    resetMeter: 'Reiniciar medidor',
+    latencyStats: '{average}ms de media · {max}ms máx.',
+    legend: {
+      good: '< 50ms se siente instantáneo',
+      ok: '50-100ms se nota',
+      bad: '> 100ms va a tirones',
+    },
+    matches: '{matches} de {total} productos coinciden',
+    matchesTerm: '{matches} de {total} productos coinciden con «{term}»',
+    showingFirst: 'se muestran los primeros {count}',
+  },
+  errorBoundary: {
+    crashed: '💥 {name} ha fallado',
+    explanation: 'Lo ha capturado un error boundary, así que solo se sustituye esta demo: la barra lateral y el resto de la app siguen funcionando. Reinicia la demo para montarla de nuevo desde cero.',
+    componentStack: 'Pila de componentes',
+    reset: '🔄 Reiniciar demo',
+  },
+  useContext: {
+    currentTheme: 'Tema actual: {theme}',
+    switchToDark: 'Cambiar a modo oscuro',
+    switchToLight: 'Cambiar a modo claro',
+    appTheme: 'Tema de la app: {theme}',
+    appThemeSystem: 'Tema de la app: {theme} (según la configuración del sistema)',
+  },
+  errorBoundaryDemo: {
+    renderedFine: '✅ RenderBomb se renderizó sin problemas',
+    throwInRender: '💣 Lanzar durante el renderizado',
+    effectMounted: '⏳ EffectBomb montado…',
+    effectNotMounted: '✅ EffectBomb aún no está montado',
+    mountEffect: '💣 Montar EffectBomb',
+    stillFine: { one: '✅ Sigue renderizando bien tras {count} error', other: '✅ Sigue renderizando bien tras {count} errores' },
+    throwInClick: '💣 Lanzar en onClick',
+    noAsyncError: '✅ Aún no se ha capturado ningún error asíncrono',
+    throwInTimeout: '💣 Lanzar en setTimeout',
+    rethrow: '💣 Relanzar con setState',
+    caught: '🛡️ capturado',
+    notCaught: '🚫 no capturado',
+    boundaryCaught: '🛡️ El boundary capturó:',
+    reset: '🔄 Reiniciar',
+    uncaughtTitle: '🌍 Llegaron a window.onerror (ningún boundary los capturó)',
+    nothingYet: 'Nada todavía.',
+    crashPage: '🔥 Romper esta página',
+  },
+  customHooks: {
+    usedIn: 'Se usa en:',
+    debouncePlaceholder: 'Escribe rápido y luego para...',
+    delay: 'Retraso:',
+    value: 'Valor:',
+    debounced: 'Con debounce:',
+    user: 'Usuario #{id}',
+    missingUser: 'Usuario #{id} (404)',
+    loadingUser: '⏳ Cargando el usuario #{id}...',
+    ticks: { one: '{count} tic', other: '{count} tics' },
+    start: '▶ Iniciar',
+    pause: '⏸ Pausar (delay = null)',
+    every: 'Cada',
+    previous: 'Anterior:',
+    notes: 'Notas',
+    notesPlaceholder: 'Escribe algo y recarga la página (o ábrela en otra pestaña)',
+    charactersSaved: { one: '{count} carácter guardado', other: '{count} caracteres guardados' },
+    clear: 'Borrar',
+    resize: 'Cambia el tamaño de la ventana',
+  },
+  utilityHooks: {
+    email: 'Correo',
+    emailHint: 'Nunca lo compartimos',
+    backupEmail: 'Correo de respaldo',
+    backupEmailHint: 'Se usa si pierdes el acceso al primero',
+    hardcodedNote: 'Haz clic en «Correo de respaldo» aquí: el foco salta al primer campo.',
+    resizeHint: '{size} - cambia el tamaño de la ventana',
+    online: '🟢 Conectado',
+    offline: '🔴 Sin conexión',
+    offlineHint: 'Activa «Offline» en la pestaña Network de DevTools',
+    like: '❤️ Me gusta ({count})',
+    likeLater: '⏱️ Me gusta desde setTimeout',
+    likes: { one: '{count} me gusta', other: '{count} me gusta' },
+    likesFrom: { one: '{count} me gusta, el último desde {source}', other: '{count} me gusta, el último desde {source}' },
+    sources: { button: 'un botón', timeout: 'un setTimeout fuera de React' },
+  },
+};
+
+export default es;
@@ -0,0 +1,685 @@
+/**
+ * French messages. Keys missing here fall back to en.js.
+ */
+const fr = {
+  app: {
+    title: 'Centre d’apprentissage des React Hooks',
+    tagline: 'Maîtrisez les bases de React, les hooks et les patterns avancés',
+    footer: 'Réalisé avec React + Vite | Apprendre les React Hooks',
+  },
+  common: {
+    on: 'Oui',
+    off: 'Non',
+  },
+  theme: {
+    label: 'Thème',
+    modes: {
+      system: '💻 Système',
+      light: '☀️ Clair',
+      dark: '🌙 Sombre',
+      'high-contrast': '🔲 Contraste élevé',
+    },
+  },
+  language: {
+    label: 'Langue',
+  },
+  autosave: {
+    saved: '✓ Enregistré',
+    savedAt: '✓ Enregistré à {time}',
+    saving: '⏳ Enregistrement…',
+    unsaved: '● Modifications non enregistrées',
+    off: 'enregistrement automatique désactivé',
+    saveNow: 'Enregistrer',
+  },
+  nav: {
+    label: 'Navigation des démos',
+    overview: 'Vue d’ensemble',
+    overlay: '🔦 Surligner les rendus : {state}',
+    overlayHint: 'Fait clignoter les composants à chaque rendu et explique pourquoi',
+    visited: 'Visité',
+    requiresRole: 'Nécessite le rôle {role}',
+  },
+  home: {
+    examples: { one: '{count} exemple', other: '{count} exemples' },
+  },
+  notFound: {
+    title: 'Page introuvable',
+    noDemo: 'Il n’y a pas de démo à l’adresse',
+    back: 'Retour à toutes les démos',
+  },
+  progress: {
+    examples: '{visited}/{total} exemples',
+    demos: '{visited}/{total} démos',
+    quizBest: 'Meilleur quiz : {score}',
+    demosHeading: 'Démos',
+    quizHeading: 'Scores des quiz',
+    allHooks: 'Tous les hooks',
+    notTaken: 'pas encore fait',
+    quizResult: '{score}/{total} (meilleur {best} %)',
+    passed: { one: '{count} réussi', other: '{count} réussis' },
+    cardsVisited: { one: '{visited} exemple visité sur {count}', other: '{visited} exemples visités sur {count}' },
+    export: 'Exporter la progression',
+    reset: 'Réinitialiser la progression',
+    confirmReset: 'Réinitialiser toute la progression ? Cette action est irréversible.',
+    confirmYes: 'Oui, réinitialiser',
+    cancel: 'Annuler',
+  },
+  sections: {
+    props: {
+      title: 'Démonstration des props',
+      description: 'Des composants qui reçoivent leurs données du parent via les props',
+    },
+    state: {
+      title: 'Démonstration de l’état (useState)',
+      description: 'Des composants qui gèrent leur propre état interne',
+    },
+    'advanced-hooks': {
+      title: 'Hooks React avancés',
+      description: 'Plongée dans useEffect, useRef, useMemo, useLayoutEffect et les autres hooks intégrés, avec des exemples concrets',
+    },
+    'interview-hooks': {
+      title: 'Hooks pour les entretiens',
+      description: 'Maîtrisez useContext, useReducer et useCallback pour vos entretiens frontend',
+    },
+    'custom-hooks': {
+      title: 'Hooks personnalisés',
+      description: 'Des hooks réutilisables extraits des démos : debounce, requêtes, minuteurs, stockage et plus',
+    },
+    concurrent: {
+      title: 'React concurrent',
+      description: 'Gardez une interface réactive pendant les rendus coûteux et les chargements lents grâce aux fonctions concurrentes de React 19',
+    },
+    'react-19': {
+      title: 'Actions React 19',
+      description: 'Actions de formulaire, états en attente et mises à jour optimistes sans reducer écrit à la main',
+    },
+    'error-handling': {
+      title: 'Error Boundaries',
+      description: 'Contenez les plantages pour qu’un composant cassé ne vide pas toute l’application',
+    },
+    practice: {
+      title: 'Entraînement aux entretiens',
+      description: 'Testez-vous sur chaque hook avec des questions tirées du guide d’entretien',
+    },
+  },
+  profile: {
+    title: 'Profil utilisateur',
+    name: 'Nom',
+    email: 'E-mail',
+    role: 'Poste',
+    notifications: 'Notifications',
+    language: 'Langue',
+    toggleNotifications: 'Activer/désactiver les notifications',
+    changeLanguage: 'Changer de langue',
+    logOut: 'Se déconnecter',
+    signIn: 'Connectez-vous pour voir votre profil →',
+  },
+  settings: {
+    title: 'Panneau de réglages',
+    notifications: 'Activer les notifications',
+    notificationsHint: '(messages dans toute l’app)',
+    sendTest: 'Envoyer une notification de test',
+    testMessage: 'Bonjour depuis le panneau de réglages ! ({language})',
+    notificationsOn: '🔔 Notifications activées',
+    autoSave: 'Enregistrement automatique',
+    autoSaveHint: '(tâches, brouillons du formulaire et du panier, code modifié)',
+    language: 'Langue :',
+  },
+  cart: {
+    products: 'Produits :',
+    addToCart: 'Ajouter au panier',
+    title: 'Panier :',
+    empty: 'Votre panier est vide',
+    itemPrice: '{price} × {quantity}',
+    remove: 'Retirer',
+    total: 'Total : {amount}',
+    itemCount: { one: '{count} article', other: '{count} articles' },
+    clear: 'Vider le panier',
+  },
+  counter: {
+    title: 'Compteur (démo d’état)',
+    increment: 'Incrémenter',
+    decrement: 'Décrémenter',
+    reset: 'Réinitialiser',
+  },
+  todoList: {
+    title: 'Liste de tâches (démo d’état)',
+    placeholder: 'Saisissez une nouvelle tâche...',
+    newTodo: 'Nouvelle tâche',
+    add: 'Ajouter',
+    text: 'Texte de la tâche',
+    priority: 'Priorité',
+    priorities: { high: 'Haute', medium: 'Moyenne', low: 'Basse' },
+    priorityTitle: 'Priorité {priority}',
+    dueDate: 'Échéance',
+    tags: 'Étiquettes',
+    tagsPlaceholder: 'étiquettes, séparées par des virgules',
+    save: 'Enregistrer',
+    cancel: 'Annuler',
+    edit: 'Modifier',
+    delete: 'Supprimer',
+    reorder: 'Réordonner « {text} ». Espace pour la saisir, les flèches pour la déplacer, Espace pour la déposer.',
+    select: 'Sélectionner « {text} »',
+    markDone: 'Marquer « {text} » comme faite',
+    markNotDone: 'Marquer « {text} » comme à faire',
+    doubleClickToEdit: 'Double-cliquez pour modifier',
+    overdue: 'En retard',
+    today: 'Aujourd’hui',
+    pickedUp: '« {text} » saisie. Flèches pour déplacer, Espace pour déposer, Échap pour annuler.',
+    moved: 'Déplacée en position {position} sur {total}.',
+    dropped: '« {text} » déposée en position {position} sur {total}.',
+    reorderCancelled: 'Réorganisation annulée.',
+    selectAll: 'Tout sélectionner',
+    selected: { one: '{count} sélectionnée', other: '{count} sélectionnées' },
+    complete: '✅ Terminer',
+    reopen: '↩️ Rouvrir',
+    setPriority: 'Changer la priorité…',
+    setSelectedPriority: 'Changer la priorité des tâches sélectionnées',
+    deleteSelected: '🗑 Supprimer',
+    clearCompleted: 'Effacer les terminées',
+    showingTag: 'Affichage de {tag} ({count})',
+    showAll: '✕ Tout afficher',
+    empty: 'Aucune tâche pour l’instant. Ajoutez-en une ci-dessus !',
+    summary: '{remaining} restantes · {done} faites',
+    overdueCount: { one: '{count} en retard', other: '{count} en retard' },
+    syncNote: '💾 Enregistrée dans ce navigateur et synchronisée entre les onglets · glissez ⠿ pour réordonner · double-cliquez pour modifier',
+  },
+  quiz: {
+    title: '🧠 Quiz d’entretien sur les hooks',
+    description: 'Questions tirées du guide d’entretien et des points clés de chaque démo',
+    predictOutput: '🔮 Devinez le résultat',
+    multipleChoice: '📝 Choix multiple',
+    correct: '✅ Correct !',
+    wrong: '❌ Pas tout à fait.',
+    review: 'Revoir la démo →',
+    noQuestions: 'Pas encore de questions sur ce hook.',
+    result: 'Vous avez répondu correctement à {score} questions sur {total}.',
+    worthReviewing: 'À revoir :',
+    restart: 'Recommencer le quiz',
+    progress: 'Question {number} sur {total}',
+    score: 'Score : {score}',
+    next: 'Question suivante',
+    seeResults: 'Voir les résultats',
+  },
+  console: {
+    label: 'Console des démos',
+    title: 'Console',
+    filter: 'Filtrer les lignes',
+    filterPlaceholder: 'Filtrer les lignes...',
+    scope: 'Démos à afficher',
+    thisPage: 'Cette page',
+    allDemos: 'Toutes les démos',
+    clearPage: 'Effacer la page',
+    clearAll: 'Tout effacer',
+    noMatches: 'Aucune ligne ne correspond au filtre.',
+    empty: 'Rien pour l’instant. Utilisez une démo pour voir sa sortie.',
+  },
+  toast: {
+    label: 'Notifications',
+    dismiss: 'Fermer la notification',
+    waiting: '+{count} en attente',
+  },
+  devtools: {
+    title: 'Débogueur à remonter le temps',
+    actions: { one: '{count} action', other: '{count} actions' },
+    viewingPast: 'vue du passé',
+    scrub: 'Parcourir l’historique de {name}',
+    state: 'État {cursor} / {last}',
+    back: '◀ Reculer',
+    forward: 'Avancer ▶',
+    replay: '🔁 Rejouer',
+    stop: '⏹ Arrêter',
+    export: '📤 Exporter',
+    import: '📥 Importer',
+    clear: '🗑 Effacer',
+    replayPure: {
+      one: '✅ Rejouer {count} action a reproduit chaque état enregistré : le reducer est pur.',
+      other: '✅ Rejouer {count} actions a reproduit chaque état enregistré : le reducer est pur.',
+    },
+    replayMismatch: '❌ L’état n°{state} est différent une fois rejoué. Le reducer est-il pur ?',
+    replayThrew: '❌ Le reducer a levé une erreur pendant la relecture : {message}',
+    imported: { one: '📥 {count} action importée depuis {file}.', other: '📥 {count} actions importées depuis {file}.' },
+    importFailed: '❌ Impossible d’importer {file} : {message}',
+    importNotALog: '{ actions: [{ type, ... }] } attendu',
+    importWrongReducer: 'ce journal a été enregistré avec {reducer}, pas {name}',
+    importBadStart: 'startState ne correspond pas à l’état de {name} (à {path})',
+    importBadAction: 'l’action n°{step} ({type}) donne un état de mauvaise forme (à {path})',
+    newTimeline: {
+      one: 'Dispatcher maintenant démarre une nouvelle chronologie depuis cet état et abandonne {count} action suivante.',
+      other: 'Dispatcher maintenant démarre une nouvelle chronologie depuis cet état et abandonne les {count} actions suivantes.',
+    },
+    action: 'Action n°{number}',
+    diff: 'Différences',
+    sameState: 'Aucun changement : le reducer a renvoyé le même objet d’état.',
+    noValuesChanged: 'Nouvel objet d’état, mais aucune valeur n’a changé.',
+    before: 'Avant',
+    after: 'Après',
+    initialState: 'État initial',
+  },
+  playground: {
+    running: '✅ En cours',
+    error: '❌ Erreur',
+    edited: '📝 Modifié',
+    editedHint: 'Vos modifications sont enregistrées automatiquement',
+    reset: 'Rétablir le code',
+    source: 'Code source de {title}',
+    preview: 'Aperçu de {title}',
+    syntaxError: 'Erreur de syntaxe',
+    badImport: 'Impossible d’importer « {name} » dans le playground. Seul \'react\' est disponible.',
+    noDefaultExport: 'L’extrait doit faire `export default` d’un composant pour l’afficher.',
+    loopStopped: 'Une boucle a tourné plus de {seconds} s et a été arrêtée. Est-ce une boucle infinie ?',
+  },
+  auth: {
+    email: 'E-mail :',
+    password: 'Mot de passe :',
+    signIn: 'Se connecter',
+    signingIn: 'Connexion...',
+    demoAccounts: 'Comptes de démo :',
+    wrongCredentials: 'E-mail ou mot de passe incorrect',
+    sessionExpired: 'Votre session a expiré. Veuillez vous reconnecter.',
+    signInToOpen: 'Connectez-vous pour ouvrir {path} : vous y serez renvoyé aussitôt.',
+    signedInAs: 'Connecté en tant que {name} ({email}) - {title}, rôle',
+    status: 'Statut',
+    statuses: {
+      'signed-out': '🔓 Déconnecté',
+      checking: '⏳ Vérification de la session enregistrée...',
+      'signed-in': '✅ Connecté',
+      expired: '⌛ Session expirée',
+      error: '⚠️ Impossible de joindre le serveur',
+    },
+    token: 'Jeton',
+    savedUnder: 'Enregistré sous',
+    checkWithServer: 'Vérifier auprès du serveur',
+    checking: 'Vérification...',
+    tokenValid: 'Valide : appartient à {email}',
+    role: 'Rôle',
+    roles: { developer: 'Développeur', admin: 'Administrateur' },
+    signInForRoles: 'Connectez-vous ci-dessus pour voir ce que chaque rôle obtient.',
+    signInForNotes: 'Connectez-vous pour lire les notes de l’équipe.',
+    checkingSession: '⏳ Vérification de votre session...',
+    checkFailed: 'Impossible de vérifier votre session',
+    tryAgain: 'Réessayer',
+    roleOnly: 'Réservé au rôle {role}',
+    missingRole: 'Vous êtes connecté en tant que {name} ({title}), avec le rôle « {role} ». Cette page nécessite « {required} ».',
+  },
+  admin: {
+    teamAccounts: 'Comptes de l’équipe',
+    signedInAs: 'Connecté en tant que {name} ({title}).',
+    loading: 'Chargement des comptes...',
+    retry: 'Réessayer',
+    forbidden: 'Seuls les administrateurs peuvent lister les comptes',
+    title: 'Poste',
+  },
+  userCard: {
+    age: 'Âge :',
+    email: 'E-mail :',
+    role: 'Poste :',
+  },
+  props: {
+    title: 'Composant Button (démo des props)',
+    buttons: {
+      primary: 'Bouton principal',
+      secondary: 'Bouton secondaire',
+      danger: 'Bouton danger',
+      disabled: 'Bouton désactivé',
+    },
+    clicked: 'Vous avez cliqué sur le {button} !',
+  },
+  useRef: {
+    inputPlaceholder: 'Ce champ peut recevoir le focus depuis le code',
+    focusInput: 'Donner le focus',
+    scrollToInput: 'Faire défiler jusqu’au champ',
+    getDimensions: 'Mesurer',
+    dimensions: 'Largeur : {width}px\nHauteur : {height}px\nLargeur de défilement : {scrollWidth}px',
+    previous: 'Précédent :',
+    rendered: 'Ce composant s’est rendu :',
+    times: 'fois',
+    forceRender: 'Forcer un rendu',
+    silentClick: 'Clic silencieux (sans rendu)',
+    showClickCount: 'Afficher les clics',
+    clickNote: 'Cliquez plusieurs fois sur « Clic silencieux » (regardez la console), puis sur « Afficher les clics »',
+    clicked: { one: 'Vous avez cliqué {count} fois !', other: 'Vous avez cliqué {count} fois !' },
+    startAuto: 'Lancer l’incrémentation auto',
+    stopAuto: 'Arrêter l’incrémentation auto',
+    play: 'Lecture',
+    pause: 'Pause',
+    skipTo: 'Aller à {seconds} s',
+    playError: '❌ Impossible de lire la vidéo : {reason}',
+  },
+  useReducer: {
+    formSubmitted: 'Formulaire envoyé !',
+    draftRestored: '📝 Le brouillon que vous remplissiez avant le rechargement de la page a été restauré. Le mot de passe n’est jamais enregistré : saisissez-le à nouveau.',
+    submit: 'Envoyer',
+    submitting: 'Envoi...',
+    resetForm: 'Réinitialiser le formulaire',
+    undo: '↶ Annuler ({count})',
+    redo: '↷ Rétablir ({count})',
+    undoLimit: '{limit} dernières étapes',
+    todoPlaceholder: 'Ajoutez une nouvelle tâche...',
+    addTodo: 'Ajouter la tâche',
+    filters: { all: 'Toutes', active: 'En cours', completed: 'Terminées' },
+    todoCount: { one: '{count} tâche', other: '{count} tâches' },
+    todosSaved: { one: '{count} tâche enregistrée', other: '{count} tâches enregistrées' },
+    openInTab: 'Ouvrir cette page dans un autre onglet ↗',
+    openInTabHint: 'puis ajoutez-y une tâche et regardez celle-ci se mettre à jour',
+  },
+  useCallback: {
+    renders: 'Rendus : {count}',
+    count: 'Compteur : {count}',
+    incrementCount: 'Incrémenter le compteur',
+    updateOther: 'Modifier l’autre état',
+    otherState: 'Autre état : {value} (provoque un rendu du parent)',
+    regularButton: 'Bouton normal',
+    memoWithout: 'Memo sans callback',
+    memoWith: 'Memo avec callback',
+    withoutCallback: 'Sans useCallback : une nouvelle fonction à chaque rendu !',
+    withCallback: 'Avec useCallback : la même référence de fonction ! Compteur : {count}',
+    stable: 'La référence de cette fonction ne change jamais !',
+    searchPlaceholder: 'Rechercher des éléments...',
+    searchResults: { one: 'Résultats ({count} élément)', other: 'Résultats ({count} éléments)' },
+    moreResults: '...et {count} de plus',
+    triggerRerender: 'Provoquer un rendu du parent',
+    itemClicked: 'Liste {list} : élément {id}',
+    incrementBy: 'Ajouter {amount}',
+  },
+  imperativeHandle: {
+    playRefused: 'Lecture refusée : {reason}',
+    inspect: '🔍 Inspecter {name}',
+    forwardedLabel: 'Transmis à l’<input>',
+    handleLabel: 'Expose { focus, clear }',
+    restyle: 'Changer le style via la ref',
+    restyled: '{name} : le parent vient de changer le style de l’<input> de l’enfant. Rien ne l’en empêche.',
+    noStyle: '{name} : le handle n’a pas de « style » - le parent ne peut qu’appeler focus() et clear().',
+  },
+  layoutEffect: {
+    measureIn: 'Mesurer dans',
+    strategies: {
+      effect: 'Mesuré après que le navigateur a peint : la première image affiche la surcouche au mauvais endroit.',
+      layout: 'Mesuré avant que le navigateur ne peigne : la surcouche apparaît directement au bon endroit.',
+    },
+    slow: 'Rendu lent (+{ms} ms) pour bien voir la mauvaise image',
+    flickers: 'Images peintes avant le positionnement :',
+    targets: {
+      save: { label: '💾 Enregistrer', text: 'Enregistre votre progression dans ce navigateur' },
+      share: { label: '🔗 Partager', text: 'Copie un lien vers cette démo' },
+      help: { label: '❓ Aide', text: 'Les infobulles passent sous le bouton quand il n’y a pas de place au-dessus - faites défiler ce bouton tout en haut de la fenêtre pour essayer' },
+    },
+    openPopover: '📤 Ouvrir le popover',
+    closePopover: 'Fermer le popover',
+    shareOptions: 'Options de partage',
+    shareTitle: 'Partager cette démo',
+    copyLink: '📋 Copier le lien',
+    email: '✉️ E-mail',
+    studyGroup: '💬 Envoyer à un groupe d’étude',
+    cheatSheet: '🖨️ Imprimer l’aide-mémoire',
+    close: 'Fermer',
+    triggers: {
+      timer: {
+        label: '⏱️ Mise à jour depuis setTimeout',
+        description: 'Une mise à jour normale : useEffect est planifié pour plus tard, donc le navigateur peint généralement avant.',
+      },
+      click: {
+        label: '🖱️ Mise à jour depuis un clic',
+        description: 'Un événement discret (clic, touche) : React exécute useEffect avant de peindre pour que l’interface réagisse tout de suite.',
+      },
+    },
+    update: 'Mise à jour n° {run}',
+    events: {
+      timer: 'Le setTimeout se déclenche → setState',
+      click: 'onClick → setState',
+      layout: 'useLayoutEffect - DOM mis à jour, la boîte fait {width}px de large, rien n’est encore peint',
+      paint: 'Le navigateur peint l’image (requestAnimationFrame)',
+      effect: 'useEffect',
+    },
+  },
+  suspense: {
+    loadChunk: '📦 Charger le chunk VideoPlayer',
+    downloadingChunk: '⏳ Téléchargement du chunk VideoPlayer...',
+    user: 'Utilisateur n° {id}',
+    failNext: '💥 Faire échouer la prochaine requête',
+    keepOld: 'Utiliser startTransition (garder l’ancien profil au lieu du squelette)',
+    retry: '🔄 Réessayer',
+    arrivedAfter: 'Arrivé après {ms} ms',
+    resources: {
+      profile: '👤 Profil',
+      todos: '✅ Tâches',
+      products: '🛒 Produits',
+    },
+    todoCount: { one: '{count} tâche', other: '{count} tâches' },
+    productCount: { one: '{count} produit', other: '{count} produits' },
+    readyAt: 'prêt à {ms} ms',
+    strategy: 'Stratégie de chargement',
+    strategies: {
+      waterfall: {
+        label: '🌊 Charger dans chaque composant',
+        description: 'Chaque panneau lance sa requête quand il se rend, donc seulement après l’arrivée des données de son parent. Les requêtes s’enchaînent.',
+      },
+      parallel: {
+        label: '⚡ Lancer toutes les requêtes d’emblée',
+        description: 'Le gestionnaire du clic lit les trois ressources avant le rendu, donc les requêtes partent en même temps. Les panneaux les trouvent ensuite dans le cache.',
+      },
+    },
+    nested: 'Une frontière Suspense par panneau (sinon une seule pour les trois)',
+    load: '▶ Charger',
+  },
+  formActions: {
+    fields: {
+      username: 'Nom d’utilisateur :',
+      email: 'E-mail :',
+      password: 'Mot de passe :',
+      age: 'Âge :',
+    },
+    errors: {
+      usernameRequired: 'Le nom d’utilisateur est obligatoire',
+      usernameShort: 'Le nom d’utilisateur doit faire au moins 3 caractères',
+      usernameTaken: 'Le nom d’utilisateur « {username} » est déjà pris',
+      emailRequired: 'L’e-mail est obligatoire',
+      emailInvalid: 'L’e-mail n’est pas valide',
+      passwordRequired: 'Le mot de passe est obligatoire',
+      passwordShort: 'Le mot de passe doit faire au moins 6 caractères',
+      ageRequired: 'L’âge est obligatoire',
+      ageRange: 'L’âge doit être compris entre 18 et 100',
+    },
+    register: 'S’inscrire',
+    registering: 'Inscription...',
+    waiting: '⏳ En attente du serveur...',
+    idle: 'Remplissez le formulaire et envoyez-le. Essayez le nom « Bret » : le serveur dit qu’il est déjà pris.',
+    invalid: '✋ Corrigez les champs en surbrillance.',
+    welcome: '✅ Bienvenue, {username} ! Vous êtes le membre n° {id}.',
+    subscribe: 'S’abonner',
+    subscribing: 'Abonnement...',
+    emailPlaceholder: 'vous@exemple.fr',
+    insideForm: 'Dans le <form>',
+    outsideForm: 'En dehors du <form>',
+    subscribed: '📬 {email} est abonné',
+    loadingTodos: '⏳ Chargement des tâches depuis le serveur simulé...',
+    rejectSaves: '💥 Le serveur refuse chaque enregistrement',
+    add: 'Ajouter',
+    saving: 'Enregistrement...',
+    sending: 'enregistrement...',
+    toggle: 'Cocher {text}',
+    rolledBack: '« {text} » a été annulé - {reason}',
+  },
+  mockApi: {
+    title: '🧪 Serveur simulé',
+    latency: 'Latence :',
+    errorRate: 'Taux d’erreur :',
+    outOfOrder: 'Réponses dans le désordre (la requête la plus récente finit en premier)',
+    reset: 'Réinitialiser',
+  },
+  renderInspector: {
+    watching: '{name} · en observation…',
+    badge: { one: '{name} · {count} rendu · {reason}', other: '{name} · {count} rendus · {reason}' },
+    mounted: 'monté',
+    prop: 'prop « {key} »',
+    context: 'contexte {key}',
+    changed: 'modifié : {reasons}',
+    parentRendered: 'le parent a été rendu à nouveau (props égales)',
+    stateUpdate: 'mise à jour d’état interne',
+  },
+  useMemo: {
+    overlayHint: 'Activez « Surligner les rendus » dans la barre latérale pour voir quand l’enfant est rendu.',
+    toggle: 'Utiliser useMemo (regardez la console pour voir la différence)',
+    fibNumber: 'Nombre de Fibonacci (essayez de 1 à 35) :',
+    result: 'Résultat :',
+    unrelatedState: 'État sans rapport (provoque un rendu) :',
+    incrementCount: 'Incrémenter le compteur',
+    withMemo: '✅ Avec useMemo : Fibonacci n’est PAS recalculé (regardez la console)',
+    withoutMemo: '❌ Sans useMemo : Fibonacci est recalculé inutilement (regardez la console)',
+    searchPlaceholder: 'Rechercher des produits...',
+    sortAsc: 'Tri croissant',
+    sortDesc: 'Tri décroissant',
+    changeTheme: 'Changer le thème de l’app (état sans rapport)',
+    childNote: 'Je suis rendu à nouveau quand la référence de « data » change',
+    itemCount: 'Nombre d’éléments : {count}',
+    forceRerender: 'Forcer le rendu du parent',
+    stats: {
+      total: 'Valeur totale :',
+      average: 'Prix moyen :',
+      max: 'Le plus cher :',
+      min: 'Le moins cher :',
+    },
+    addProduct: 'Ajouter un produit au hasard',
+  },
+  raceCondition: {
+    strategy: 'Stratégie de nettoyage',
+    strategies: {
+      none: { label: 'Sans nettoyage', description: 'La dernière réponse arrivée l’emporte - même si elle concerne une ancienne sélection.' },
+      ignore: { label: 'Drapeau ignore', description: 'Le nettoyage met ignore = true : les réponses des anciennes sélections sont écartées à leur arrivée.' },
+      abort: { label: 'AbortController', description: 'Le nettoyage annule la requête en cours : les anciennes réponses n’arrivent jamais.' },
+    },
+    fireBurst: '🔥 Lancer les utilisateurs 1 → 2 → 3',
+    user: 'Utilisateur {id}',
+    userWithName: 'Utilisateur {id} ({name})',
+    selected: 'Sélectionné :',
+    showing: 'Affiché :',
+    staleWon: '❌ Une réponse périmée l’a emporté : vous avez sélectionné l’utilisateur {selected}, mais la réponse de l’utilisateur {shown} est arrivée en dernier.',
+    outcomes: {
+      pending: '⏳ en attente',
+      applied: '✅ appliquée',
+      ignored: '🙈 ignorée',
+      aborted: '🛑 annulée',
+      failed: '❌ échouée',
+    },
+  },
+  useEffect: {
+    fetchUser: 'Charger l’utilisateur',
+    loading: 'Chargement...',
+    email: 'E-mail :',
+    company: 'Entreprise :',
+    website: 'Site web :',
+    start: 'Démarrer',
+    pause: 'Pause',
+    windowWidth: 'Largeur de la fenêtre :',
+    searchPlaceholder: 'Tapez pour chercher (avec debounce)...',
+    currentInput: 'Saisie actuelle :',
+    debouncedValue: 'Valeur après debounce :',
+    searching: 'Recherche de « {term} »...',
+    noProducts: 'Aucun produit ne correspond à « {term} ».',
+  },
+  useTransition: {
+    strategy: 'Stratégie de mise à jour',
+    modes: {
+      urgent: {
+        label: 'Urgent (setState simple)',
+        description: 'Le champ et la liste se mettent à jour ensemble dans un rendu bloquant. Tapez vite et le champ se fige.',
+      },
+      transition: {
+        label: 'useTransition',
+        description: 'Le champ se met à jour tout de suite ; la mise à jour de la liste est dans startTransition et isPending estompe les anciens résultats.',
+      },
+      deferred: {
+        label: 'useDeferredValue',
+        description: 'La liste reçoit une copie différée de la recherche : elle affiche d’abord les anciens résultats puis rattrape en arrière-plan.',
+      },
+    },
+    catalogSize: 'Taille du catalogue',
+    products: '{count} produits',
+    rowsRendered: 'Lignes rendues',
+    rowCost: 'Travail en plus par ligne : {ms} ms',
+    filter: 'Filtrer les produits',
+    filterPlaceholder: 'Tapez pour filtrer les produits...',
+    updating: '⏳ Mise à jour de la liste…',
+    lastKeystroke: 'Dernière frappe',
+    resetMeter: 'Réinitialiser la mesure',
+    latencyStats: '{average} ms en moyenne · {max} ms max',
+    legend: {
+      good: '< 50 ms : instantané',
+      ok: '50-100 ms : perceptible',
+      bad: '> 100 ms : saccadé',
+    },
+    matches: '{matches} produits sur {total} correspondent',
+    matchesTerm: '{matches} produits sur {total} correspondent à « {term} »',
+    showingFirst: 'affichage des {count} premiers',
+  },
+  errorBoundary: {
+    crashed: '💥 {name} a planté',
+    explanation: 'Une error boundary l’a intercepté : seule cette démo est remplacée - la barre latérale et le reste de l’app fonctionnent toujours. Réinitialisez la démo pour la monter à nouveau de zéro.',
+    componentStack: 'Pile de composants',
+    reset: '🔄 Réinitialiser la démo',
+  },
+  useContext: {
+    currentTheme: 'Thème actuel : {theme}',
+    switchToDark: 'Passer en mode sombre',
+    switchToLight: 'Passer en mode clair',
+    appTheme: 'Thème de l’app : {theme}',
+    appThemeSystem: 'Thème de l’app : {theme} (selon le réglage du système)',
+  },
+  errorBoundaryDemo: {
+    renderedFine: '✅ RenderBomb s’est rendu sans problème',
+    throwInRender: '💣 Lever pendant le rendu',
+    effectMounted: '⏳ EffectBomb monté…',
+    effectNotMounted: '✅ EffectBomb pas encore monté',
+    mountEffect: '💣 Monter EffectBomb',
+    stillFine: { one: '✅ Le rendu fonctionne toujours après {count} erreur', other: '✅ Le rendu fonctionne toujours après {count} erreurs' },
+    throwInClick: '💣 Lever dans onClick',
+    noAsyncError: '✅ Aucune erreur asynchrone interceptée pour l’instant',
+    throwInTimeout: '💣 Lever dans setTimeout',
+    rethrow: '💣 Relancer via setState',
+    caught: '🛡️ interceptée',
+    notCaught: '🚫 non interceptée',
+    boundaryCaught: '🛡️ La boundary a intercepté :',
+    reset: '🔄 Réinitialiser',
+    uncaughtTitle: '🌍 Arrivées à window.onerror (aucune boundary ne les a interceptées)',
+    nothingYet: 'Rien pour l’instant.',
+    crashPage: '🔥 Faire planter cette page',
+  },
+  customHooks: {
+    usedIn: 'Utilisé dans :',
+    debouncePlaceholder: 'Tapez vite, puis arrêtez-vous...',
+    delay: 'Délai :',
+    value: 'Valeur :',
+    debounced: 'Après debounce :',
+    user: 'Utilisateur n° {id}',
+    missingUser: 'Utilisateur n° {id} (404)',
+    loadingUser: '⏳ Chargement de l’utilisateur n° {id}...',
+    ticks: { one: '{count} tic', other: '{count} tics' },
+    start: '▶ Démarrer',
+    pause: '⏸ Pause (delay = null)',
+    every: 'Toutes les',
+    previous: 'Précédent :',
+    notes: 'Notes',
+    notesPlaceholder: 'Écrivez quelque chose, puis rechargez la page (ou ouvrez-la dans un autre onglet)',
+    charactersSaved: { one: '{count} caractère enregistré', other: '{count} caractères enregistrés' },
+    clear: 'Effacer',
+    resize: 'Redimensionnez la fenêtre',
+  },
+  utilityHooks: {
+    email: 'E-mail',
+    emailHint: 'Nous ne le partageons jamais',
+    backupEmail: 'E-mail de secours',
+    backupEmailHint: 'Utilisé si vous perdez l’accès au premier',
+    hardcodedNote: 'Cliquez sur « E-mail de secours » ici : le focus saute au premier champ.',
+    resizeHint: '{size} - redimensionnez la fenêtre',
+    online: '🟢 En ligne',
+    offline: '🔴 Hors ligne',
+    offlineHint: 'Activez « Offline » dans l’onglet Network des DevTools',
+    like: '❤️ J’aime ({count})',
+    likeLater: '⏱️ J’aime depuis setTimeout',
+    likes: { one: '{count} j’aime', other: '{count} j’aime' },
+    likesFrom: { one: '{count} j’aime, le dernier depuis {source}', other: '{count} j’aime, le dernier depuis {source}' },
+    sources: { button: 'un bouton', timeout: 'un setTimeout hors de React' },
+  },
+};
+
+export default fr;
@@ -0,0 +1,86 @@
+/**
+ * Records served by the in-app mock backend (services/mockApi.js).
+ * Users follow the shape of jsonplaceholder.typicode.com/users, which
+ * the data-fetching demo used to call. generateProducts() grows the product
+ * list into a catalog big enough to make rendering slow on purpose.
+ */
+
+// Public sample clip used by the media demos
+export const sampleVideoUrl = 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4';
+
+export const mockUsers = [
+  { id: 1, name: 'Leanne Graham', username: 'Bret', email: 'Sincere@april.biz', website: 'hildegard.org', company: { name: 'Romaguera-Crona' } },
+  { id: 2, name: 'Ervin Howell', username: 'Antonette', email: 'Shanna@melissa.tv', website: 'anastasia.net', company: { name: 'Deckow-Crist' } },
+  { id: 3, name: 'Clementine Bauch', username: 'Samantha', email: 'Nathan@yesenia.net', website: 'ramiro.info', company: { name: 'Romaguera-Jacobson' } },
+  { id: 4, name: 'Patricia Lebsack', username: 'Karianne', email: 'Julianne.OConner@kory.org', website: 'kale.biz', company: { name: 'Robel-Corkery' } },
+  { id: 5, name: 'Chelsey Dietrich', username: 'Kamren', email: 'Lucio_Hettinger@annie.ca', website: 'demarco.info', company: { name: 'Keebler LLC' } },
+  { id: 6, name: 'Mrs. Dennis Schulist', username: 'Leopoldo_Corkery', email: 'Karley_Dach@jasper.info', website: 'ola.org', company: { name: 'Considine-Lockman' } },
+  { id: 7, name: 'Kurtis Weissnat', username: 'Elwyn.Skiles', email: 'Telly.Hoeger@billy.biz', website: 'elvis.io', company: { name: 'Johns Group' } },
+  { id: 8, name: 'Nicholas Runolfsdottir V', username: 'Maxime_Nienow', email: 'Sherwood@rosamond.me', website: 'jacynthe.com', company: { name: 'Abernathy Group' } },
+  { id: 9, name: 'Glenna Reichert', username: 'Delphine', email: 'Chaim_McDermott@dana.io', website: 'conrad.com', company: { name: 'Yost and Sons' } },
+  { id: 10, name: 'Clementina DuBuque', username: 'Moriah.Stanton', email: 'Rey.Padberg@karina.biz', website: 'ambrose.net', company: { name: 'Hoeger LLC' } },
+];
+
+// Sign-in accounts for the auth demo. Plain-text passwords are fine for a
+// fake server that runs in the browser - never anywhere else.
+export const mockAccounts = [
+  { id: 1, name: 'Avinash', email: 'avinash@example.com', password: 'hooks123', role: 'developer', title: 'Frontend Developer' },
+  { id: 2, name: 'Sam Rivera', email: 'admin@example.com', password: 'admin123', role: 'admin', title: 'Engineering Manager' },
+];
+
+export const mockTodos = [
+  { id: 1, text: 'Read the React 19 release notes', completed: true },
+  { id: 2, text: 'Rebuild a form with useActionState', completed: false },
+  { id: 3, text: 'Try useOptimistic with a flaky server', completed: false },
+];
+
+export const mockProducts = [
+  { id: 1, name: 'Laptop', category: 'Computers', price: 1200 },
+  { id: 2, name: 'Mouse', category: 'Accessories', price: 25 },
+  { id: 3, name: 'Keyboard', category: 'Accessories', price: 75 },
+  { id: 4, name: 'Monitor', category: 'Computers', price: 300 },
+  { id: 5, name: 'Headphones', category: 'Audio', price: 150 },
+  { id: 6, name: 'Webcam', category: 'Accessories', price: 80 },
+  { id: 7, name: 'Microphone', category: 'Audio', price: 120 },
+  { id: 8, name: 'Desk Lamp', category: 'Office', price: 45 },
+  { id: 9, name: 'Mechanical Keyboard', category: 'Accessories', price: 140 },
+  { id: 10, name: 'Gaming Mouse', category: 'Accessories', price: 60 },
+  { id: 11, name: 'USB-C Hub', category: 'Accessories', price: 55 },
+  { id: 12, name: 'External SSD', category: 'Storage', price: 110 },
+  { id: 13, name: 'Portable Hard Drive', category: 'Storage', price: 70 },
+  { id: 14, name: 'Wireless Speaker', category: 'Audio', price: 95 },
+  { id: 15, name: 'Noise-Cancelling Earbuds', category: 'Audio', price: 180 },
+  { id: 16, name: 'Standing Desk', category: 'Office', price: 450 },
+  { id: 17, name: 'Office Chair', category: 'Office', price: 320 },
+  { id: 18, name: 'Monitor Arm', category: 'Office', price: 85 },
+  { id: 19, name: 'Tablet', category: 'Computers', price: 500 },
+  { id: 20, name: 'Mini PC', category: 'Computers', price: 650 },
+  { id: 21, name: 'Laptop Stand', category: 'Office', price: 40 },
+  { id: 22, name: 'Laptop Sleeve', category: 'Accessories', price: 30 },
+  { id: 23, name: 'Ultrawide Monitor', category: 'Computers', price: 700 },
+  { id: 24, name: 'Studio Monitor Speakers', category: 'Audio', price: 260 },
+  { id: 25, name: 'Memory Card', category: 'Storage', price: 20 },
+];
+
+const productVariants = ['Pro', 'Mini', 'Ultra', 'Smart', 'Eco', 'Max', 'Lite', 'Turbo', 'Classic', 'Wireless'];
+
+// Park-Miller PRNG: the same seed gives the same catalog on every load
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+// `count` products built from mockProducts, e.g. "Turbo Laptop 1234"
+export function generateProducts(count, seed = 42) {
+  const random = seededRandom(seed);
+  return Array.from({ length: count }, (_, i) => {
+    const base = mockProducts[Math.floor(random() * mockProducts.length)];
+    const variant = productVariants[Math.floor(random() * productVariants.length)];
+    return {
+      id: i + 1,
+      name: `${variant} ${base.name} ${i + 1}`,
+      category: base.category,
+      price: Math.round(base.price * (0.5 + random())),
+    };
+  });
+}
@@ -0,0 +1,821 @@
+/**
+ * Quiz question bank.
+ *
+ * Questions are plain data drawn from INTERVIEW_HOOKS_GUIDE.md and the
+ * "Key Interview Points" / "Key Takeaways" cards. To add a question, append an
+ * object here - the Quiz component picks it up without any code changes.
+ *
+ * Shape:
+ * {
+ *   id:          unique string
+ *   hook:        one of the keys in `quizHooks`
+ *   type:        'multiple-choice' | 'predict-output'
+ *   question:    prompt text
+ *   code:        (predict-output only) snippet the learner reasons about
+ *   options:     answer choices
+ *   answer:      index of the correct option
+ *   explanation: shown after answering
+ *   link:        route + card anchor of the demo that teaches it
+ * }
+ */
+
+export const quizHooks = ['useEffect', 'useRef', 'useMemo', 'useContext', 'useReducer', 'useCallback', 'useTransition', 'useLayoutEffect', 'useActionState', 'useImperativeHandle', 'useId', 'useSyncExternalStore', 'use', 'Custom Hooks'];
+
+export const quizQuestions = [
+  // ==================== useContext ====================
+  {
+    id: 'context-prop-drilling',
+    hook: 'useContext',
+    type: 'multiple-choice',
+    question: 'What problem does useContext primarily solve?',
+    options: [
+      'Expensive re-computation of derived values',
+      'Memory leaks from forgotten event listeners',
+      'Stale closures inside callbacks',
+      'Prop drilling through components that do not use the data',
+    ],
+    answer: 3,
+    explanation:
+      'Context lets any descendant read a value directly, so intermediate components no longer need to receive and forward props they never use.',
+    link: '/hooks/use-context#no-prop-drilling',
+  },
+  {
+    id: 'context-rerenders',
+    hook: 'useContext',
+    type: 'multiple-choice',
+    question: 'When a context value changes, which components re-render?',
+    options: [
+      'Only the Provider',
+      'Only components wrapped in React.memo',
+      'Every component that consumes that context',
+      'Nothing re-renders until the page reloads',
+    ],
+    answer: 2,
+    explanation:
+      'All consumers re-render when the value changes. Split contexts by concern and memoize the value object to keep that cheap.',
+    link: '/hooks/use-context#interview-points',
+  },
+  {
+    id: 'context-default-value',
+    hook: 'useContext',
+    type: 'predict-output',
+    question: 'What does this component render?',
+    code: `const ThemeContext = createContext('light');
+
+const Label = () => {
+  const theme = useContext(ThemeContext);
+  return <p>{theme}</p>;
+};
+
+// Rendered WITHOUT any ThemeContext.Provider above it
+<Label />`,
+    options: ['light', 'undefined', 'An error is thrown', 'An empty paragraph'],
+    answer: 0,
+    explanation:
+      'The argument to createContext() is the default value. It is used only when there is no matching Provider above the consumer.',
+    link: '/hooks/use-context#interview-points',
+  },
+  {
+    id: 'context-memo-value',
+    hook: 'useContext',
+    type: 'multiple-choice',
+    question: 'Why wrap a Provider value like { user, login, logout } in useMemo?',
+    options: [
+      'Context values must be memoized or React throws',
+      'To persist the value to localStorage',
+      'So consumers do not re-render just because the parent created a new object',
+      'useMemo makes the context value mutable',
+    ],
+    answer: 2,
+    explanation:
+      'A new object literal on every render is a new reference, which notifies every consumer. useMemo keeps the same reference until user changes.',
+    link: '/hooks/use-context#interview-points',
+  },
+  {
+    id: 'context-multiple',
+    hook: 'useContext',
+    type: 'multiple-choice',
+    question: 'Can one component consume several contexts?',
+    options: [
+      'No, only one useContext call is allowed per component',
+      'Yes, call useContext once for each context',
+      'Only if the contexts are merged with createContext([...])',
+      'Only in class components',
+    ],
+    answer: 1,
+    explanation: 'Components can call useContext for as many contexts as they need, e.g. theme, user and settings.',
+    link: '/hooks/use-context#multiple-contexts',
+  },
+  {
+    id: 'context-auth-roles',
+    hook: 'useContext',
+    type: 'multiple-choice',
+    question: 'An auth context hides the admin page from users without the admin role. What else is needed?',
+    options: [
+      'Nothing - a user who cannot see the page cannot reach its data',
+      'The server must check the role again on every admin request',
+      'Storing the user object in localStorage so it cannot be changed',
+      'A second AuthContext.Provider around the admin page',
+    ],
+    answer: 1,
+    explanation:
+      'Anything in the browser can be bypassed, so role checks in the UI only decide what to show. The API has to reject requests from the wrong role on its own.',
+    link: '/hooks/auth-context#roles',
+  },
+
+  // ==================== useReducer ====================
+  {
+    id: 'reducer-pure',
+    hook: 'useReducer',
+    type: 'multiple-choice',
+    question: 'Which of these is allowed inside a reducer?',
+    options: [
+      'Calling fetch() to load data',
+      'Mutating state.items with push()',
+      'Returning a new object computed from state and action',
+      'Calling setTimeout to dispatch later',
+    ],
+    answer: 2,
+    explanation:
+      'A reducer is a pure function (state, action) => newState. No side effects and no mutation - always return a new object.',
+    link: '/hooks/use-reducer#interview-points',
+  },
+  {
+    id: 'reducer-async',
+    hook: 'useReducer',
+    type: 'multiple-choice',
+    question: 'How should async work (like an API call) be handled with useReducer?',
+    options: [
+      'Make the reducer async and await inside it',
+      'useReducer cannot be used with async data',
+      'Return a Promise from the reducer',
+      'Do the async work outside and dispatch START / SUCCESS / FAILURE actions',
+    ],
+    answer: 3,
+    explanation:
+      'Reducers must be synchronous. Run the request in an event handler or effect and dispatch actions describing each stage, like the form demo does with SUBMIT_START.',
+    link: '/hooks/use-reducer#form',
+  },
+  {
+    id: 'reducer-counter-output',
+    hook: 'useReducer',
+    type: 'predict-output',
+    question: 'What is state.count after these dispatches (starting from 0)?',
+    code: `dispatch({ type: 'INCREMENT' });
+dispatch({ type: 'INCREMENT_BY', payload: 5 });
+dispatch({ type: 'DECREMENT' });`,
+    options: ['5', '6', '4', '1'],
+    answer: 0,
+    explanation: '0 + 1 = 1, then + 5 = 6, then - 1 = 5. Each action is applied to the result of the previous one.',
+    link: '/hooks/use-reducer#counter',
+  },
+  {
+    id: 'reducer-dispatch-stable',
+    hook: 'useReducer',
+    type: 'multiple-choice',
+    question: 'Why is dispatch handy to pass down to child components?',
+    options: [
+      'It is a stable function that keeps the same identity across renders',
+      'It automatically memoizes the children',
+      'It batches state updates across components',
+      'It avoids the need for a reducer',
+    ],
+    answer: 0,
+    explanation: 'React guarantees dispatch is stable, so it never breaks React.memo or dependency arrays.',
+    link: '/hooks/use-reducer#interview-points',
+  },
+  {
+    id: 'reducer-vs-state',
+    hook: 'useReducer',
+    type: 'multiple-choice',
+    question: 'Which situation calls for useReducer over useState?',
+    options: [
+      'A single boolean toggle',
+      'A text input value',
+      'A form with several fields, errors and a submitting flag updated by many actions',
+      'A number that only ever increments',
+    ],
+    answer: 2,
+    explanation:
+      'useReducer shines for complex state with multiple sub-values and update patterns. Simple independent values are fine with useState.',
+    link: '/hooks/use-reducer#form',
+  },
+
+  // ==================== useCallback ====================
+  {
+    id: 'callback-vs-memo',
+    hook: 'useCallback',
+    type: 'multiple-choice',
+    question: 'useCallback(fn, deps) is equivalent to...',
+    options: [
+      'useMemo(fn, deps)',
+      'useEffect(fn, deps)',
+      'useMemo(() => fn, deps)',
+      'useRef(fn).current',
+    ],
+    answer: 2,
+    explanation: 'useCallback memoizes the function itself. useMemo memoizes the value a function returns, so you wrap fn in another function.',
+    link: '/hooks/use-callback#interview-points',
+  },
+  {
+    id: 'callback-needs-memo',
+    hook: 'useCallback',
+    type: 'predict-output',
+    question: 'The parent re-renders. Does RegularComponent re-render?',
+    code: `const RegularComponent = ({ onClick }) => {
+  console.log('render');
+  return <button onClick={onClick}>Click</button>;
+};
+
+// In the parent:
+const handleClick = useCallback(() => {}, []);
+<RegularComponent onClick={handleClick} />`,
+    options: [
+      'No - the callback is stable',
+      'Only the first time',
+      'It throws an error',
+      'Yes - it is not wrapped in React.memo',
+    ],
+    answer: 3,
+    explanation:
+      'A stable callback only helps if the child skips renders when props are equal. Without React.memo the child re-renders with its parent anyway.',
+    link: '/hooks/use-callback#fundamentals',
+  },
+  {
+    id: 'callback-functional-update',
+    hook: 'useCallback',
+    type: 'multiple-choice',
+    question: 'How can increment = useCallback(() => setCount(count + 1), [count]) avoid depending on count?',
+    options: [
+      'Remove count from the dependency array',
+      'Use a functional update: setCount(c => c + 1) with []',
+      'Store count in a global variable',
+      'Wrap setCount in useMemo',
+    ],
+    answer: 1,
+    explanation:
+      'Functional updates read the latest state from React, so the callback has no dependencies and never changes. Simply removing count creates a stale closure.',
+    link: '/hooks/use-callback#dependencies',
+  },
+  {
+    id: 'callback-stale-closure',
+    hook: 'useCallback',
+    type: 'predict-output',
+    question: 'count is 0. You click "+1" three times, then "Log". What is logged?',
+    code: `const [count, setCount] = useState(0);
+
+const handleLog = useCallback(() => {
+  console.log(count);
+}, []); // <- missing dependency
+
+<button onClick={() => setCount(c => c + 1)}>+1</button>
+<button onClick={handleLog}>Log</button>`,
+    options: ['0', '3', 'undefined', '1'],
+    answer: 0,
+    explanation:
+      'With an empty dependency array the callback is created once and closes over the first render, where count was 0 - a stale closure.',
+    link: '/hooks/use-callback#dependencies',
+  },
+  {
+    id: 'callback-when-not',
+    hook: 'useCallback',
+    type: 'multiple-choice',
+    question: 'When should you NOT reach for useCallback?',
+    options: [
+      'When passing a handler to a React.memo child',
+      'When the function is a useEffect dependency',
+      'On every function "just in case", without a measured problem',
+      'When referential equality matters',
+    ],
+    answer: 2,
+    explanation: 'useCallback has its own cost. Use it where referential equality actually matters, not everywhere.',
+    link: '/hooks/use-callback#interview-points',
+  },
+
+  // ==================== useEffect ====================
+  {
+    id: 'effect-empty-deps',
+    hook: 'useEffect',
+    type: 'multiple-choice',
+    question: 'An effect with an empty dependency array [] runs...',
+    options: [
+      'After every render',
+      'Before the first render',
+      'Once after the initial mount (cleanup on unmount)',
+      'Never',
+    ],
+    answer: 2,
+    explanation: 'An empty array means there is nothing to re-run for, so the effect runs after mount and its cleanup runs on unmount.',
+    link: '/hooks/use-effect#basic-effect',
+  },
+  {
+    id: 'effect-cleanup-order',
+    hook: 'useEffect',
+    type: 'predict-output',
+    question: 'count changes from 0 to 1. What is logged, in order?',
+    code: `useEffect(() => {
+  console.log('effect', count);
+  return () => console.log('cleanup', count);
+}, [count]);`,
+    options: [
+      'effect 1',
+      'effect 1, cleanup 0',
+      'cleanup 0, effect 1',
+      'cleanup 1, effect 1',
+    ],
+    answer: 2,
+    explanation:
+      'Before running the new effect React runs the previous cleanup, which still sees the old count (0). Then the new effect runs with 1.',
+    link: '/hooks/use-effect#interval-cleanup',
+  },
+  {
+    id: 'effect-async',
+    hook: 'useEffect',
+    type: 'multiple-choice',
+    question: 'Why can\'t you write useEffect(async () => { ... })?',
+    options: [
+      'async functions are not allowed in components',
+      'React runs effects during render',
+      'You can - it works the same',
+      'The effect must return a cleanup function or nothing, not a Promise',
+    ],
+    answer: 3,
+    explanation: 'An async function always returns a Promise. Define the async function inside the effect and call it instead.',
+    link: '/hooks/use-effect#data-fetching',
+  },
+  {
+    id: 'effect-debounce',
+    hook: 'useEffect',
+    type: 'multiple-choice',
+    question: 'In the debounced search, what cancels the pending timeout on each keystroke?',
+    options: [
+      'The cleanup function calling clearTimeout',
+      'React automatically cancels timeouts',
+      'The dependency array',
+      'Nothing - every timeout still fires',
+    ],
+    answer: 0,
+    explanation: 'Each keystroke changes searchTerm, so React runs the previous cleanup (clearTimeout) before scheduling a new timer.',
+    link: '/hooks/use-effect#debouncing',
+  },
+  {
+    id: 'effect-race-condition',
+    hook: 'useEffect',
+    type: 'predict-output',
+    question: 'The user clicks user 1, then quickly user 2. User 1\'s request is slower. What is shown once both finish?',
+    code: `useEffect(() => {
+  const load = async () => {
+    const data = await fetchUser(userId);
+    setUser(data);
+  };
+  load();
+}, [userId]);`,
+    options: [
+      'User 2 - React discards the old effect\'s result',
+      'User 1 - the slower, stale response overwrites user 2',
+      'An error, because the component re-rendered',
+      'Nothing until the page is reloaded',
+    ],
+    answer: 1,
+    explanation:
+      'Without cleanup, whichever response arrives last wins. Set an ignore flag or abort the request with an AbortController in the cleanup.',
+    link: '/hooks/use-effect#race-conditions',
+  },
+
+  // ==================== useRef ====================
+  {
+    id: 'ref-no-rerender',
+    hook: 'useRef',
+    type: 'multiple-choice',
+    question: 'What happens when you assign ref.current = 5?',
+    options: [
+      'The component re-renders',
+      'The value is updated but no re-render happens',
+      'React throws because refs are read-only',
+      'The value is reset on the next render',
+    ],
+    answer: 1,
+    explanation: 'Refs are mutable boxes that persist across renders. Changing .current never schedules a render.',
+    link: '/hooks/use-ref#mutable-values',
+  },
+  {
+    id: 'ref-silent-clicks',
+    hook: 'useRef',
+    type: 'predict-output',
+    question: 'The user clicks the button 3 times. What does the paragraph show?',
+    code: `const clicksRef = useRef(0);
+
+return (
+  <>
+    <button onClick={() => { clicksRef.current += 1; }}>Click</button>
+    <p>{clicksRef.current}</p>
+  </>
+);`,
+    options: ['0', '3', '1', 'undefined'],
+    answer: 0,
+    explanation: 'The ref is updated, but nothing triggers a re-render, so the paragraph still shows the value from the first render.',
+    link: '/hooks/use-ref#mutable-values',
+  },
+  {
+    id: 'ref-timers',
+    hook: 'useRef',
+    type: 'multiple-choice',
+    question: 'Why store a setInterval ID in a ref rather than a plain variable?',
+    options: [
+      'Plain variables are reset on every render, so the ID would be lost',
+      'setInterval only accepts refs',
+      'Refs make intervals run faster',
+      'To trigger a re-render when the timer starts',
+    ],
+    answer: 0,
+    explanation: 'Local variables are recreated on each render. A ref keeps the same ID so the stop handler and cleanup can clear it.',
+    link: '/hooks/use-ref#timers',
+  },
+
+  // ==================== useMemo ====================
+  {
+    id: 'memo-purpose',
+    hook: 'useMemo',
+    type: 'multiple-choice',
+    question: 'useMemo(() => fibonacci(n), [n]) recalculates when...',
+    options: ['Any state changes', 'The component mounts only', 'Every render', 'n changes'],
+    answer: 3,
+    explanation: 'useMemo caches the result and only recomputes when a dependency changes. Unrelated state updates reuse the cached value.',
+    link: '/hooks/use-memo#expensive-calculation',
+  },
+  {
+    id: 'memo-overkill',
+    hook: 'useMemo',
+    type: 'multiple-choice',
+    question: 'Which is the best example of when NOT to use useMemo?',
+    options: [
+      'Filtering and sorting thousands of rows',
+      'Keeping an array reference stable for a memoized child',
+      'const doubled = useMemo(() => number * 2, [number])',
+      'Computing statistics over a large dataset',
+    ],
+    answer: 2,
+    explanation: 'For trivial calculations the memoization overhead costs more than it saves. Just compute it directly.',
+    link: '/hooks/use-memo#when-not-to-use',
+  },
+  {
+    id: 'memo-reference',
+    hook: 'useMemo',
+    type: 'predict-output',
+    question: 'The parent re-renders because of unrelated state. Does the memo() child re-render?',
+    code: `const Child = memo(({ data }) => <p>{data.length}</p>);
+
+// In the parent, on every render:
+const list = products.map(p => ({ ...p }));
+<Child data={list} />`,
+    options: [
+      'No - memo() prevents it',
+      'Only if products changed',
+      'Yes - list is a new array reference every render',
+      'It depends on the length of products',
+    ],
+    answer: 2,
+    explanation: 'map() returns a new array each time, so memo() sees a changed prop. Wrapping it in useMemo keeps the same reference.',
+    link: '/hooks/use-memo#referential-equality',
+  },
+
+  // ==================== useTransition / useDeferredValue ====================
+  {
+    id: 'transition-purpose',
+    hook: 'useTransition',
+    type: 'multiple-choice',
+    question: 'What does wrapping a state update in startTransition do?',
+    options: [
+      'Delays the update by a fixed number of milliseconds, like a debounce',
+      'Marks it non-urgent, so React can interrupt its render to handle new input first',
+      'Runs the render in a Web Worker',
+      'Skips the render if the new state equals the old one',
+    ],
+    answer: 1,
+    explanation:
+      'Transition updates render in the background in small slices. Urgent updates such as typing interrupt them, and a render made stale by newer input is thrown away.',
+    link: '/hooks/use-transition#typing-lag',
+  },
+  {
+    id: 'transition-controlled-input',
+    hook: 'useTransition',
+    type: 'predict-output',
+    question: 'What goes wrong with this search box?',
+    code: `const [query, setQuery] = useState('');
+const [isPending, startTransition] = useTransition();
+
+<input
+  value={query}
+  onChange={e => startTransition(() => setQuery(e.target.value))}
+/>
+<Results query={query} />`,
+    options: [
+      'Nothing - this is the recommended pattern',
+      'isPending is always false',
+      'The input\'s own value is now non-urgent, so typing can lag or drop characters',
+      'Results never re-renders',
+    ],
+    answer: 2,
+    explanation:
+      'A controlled input must update urgently. Keep one urgent state for the input and put only the slow update (a second state, or the list) in the transition - or use useDeferredValue for the list.',
+    link: '/hooks/use-transition#which-one',
+  },
+  {
+    id: 'deferred-value-memo',
+    hook: 'useTransition',
+    type: 'multiple-choice',
+    question: 'Why should the slow list that receives a useDeferredValue value be wrapped in memo()?',
+    options: [
+      'So it can skip the urgent render, where its (deferred) props have not changed yet',
+      'useDeferredValue throws an error without memo',
+      'memo makes the deferred render run on a separate thread',
+      'It shouldn\'t - memo and useDeferredValue cannot be combined',
+    ],
+    answer: 0,
+    explanation:
+      'On each keystroke the parent first re-renders urgently with the old deferred value. Without memo the slow list re-renders in that urgent pass anyway, and the benefit is lost.',
+    link: '/hooks/use-transition#which-one',
+  },
+
+  // ==================== useLayoutEffect ====================
+  {
+    id: 'layout-effect-tooltip',
+    hook: 'useLayoutEffect',
+    type: 'multiple-choice',
+    question: 'A tooltip measures its own height with getBoundingClientRect and moves itself above its button. With useEffect it briefly appears in the wrong place. Why does useLayoutEffect fix it?',
+    options: [
+      'useLayoutEffect runs before React updates the DOM, so there is nothing to measure yet',
+      'useLayoutEffect runs after the DOM update but before the browser paints, so the corrected position is the first one on screen',
+      'useLayoutEffect batches the measurement with the next animation frame',
+      'getBoundingClientRect only returns real values inside useLayoutEffect',
+    ],
+    answer: 1,
+    explanation:
+      'Both effects see the updated DOM. useLayoutEffect runs synchronously before paint, and a state update inside it re-renders before the browser draws anything, so the unmeasured frame never reaches the screen.',
+    link: '/hooks/use-layout-effect#tooltip-flicker',
+  },
+  {
+    id: 'layout-effect-order',
+    hook: 'useLayoutEffect',
+    type: 'predict-output',
+    question: 'The count is updated from a setTimeout. In what order are the logs printed?',
+    code: `function Probe({ count }) {
+  console.log('render');
+  useEffect(() => console.log('effect'), [count]);
+  useLayoutEffect(() => {
+    console.log('layout effect');
+    requestAnimationFrame(() => console.log('paint'));
+  }, [count]);
+  return <p>{count}</p>;
+}`,
+    options: [
+      'render, effect, layout effect, paint',
+      'render, layout effect, effect, paint',
+      'render, layout effect, paint, effect',
+      'layout effect, render, paint, effect',
+    ],
+    answer: 2,
+    explanation:
+      'Render, then React commits the DOM and runs layout effects, then the browser paints, then passive effects run. (After a discrete event like a click, React flushes useEffect before the paint instead.)',
+    link: '/hooks/use-layout-effect#frame-timeline',
+  },
+
+  // ==================== useActionState ====================
+  {
+    id: 'action-state-signature',
+    hook: 'useActionState',
+    type: 'multiple-choice',
+    question: 'What does the action passed to useActionState(action, initialState) receive when it is used as a <form action>?',
+    options: [
+      'The submit event',
+      'The previous state and the form\'s FormData',
+      'Only the FormData',
+      'A dispatch function',
+    ],
+    answer: 1,
+    explanation:
+      'The action works like an async reducer: (previousState, formData) => nextState. Whatever it returns (or resolves to) becomes the new state, and isPending is true while it runs.',
+    link: '/hooks/form-actions#action-state',
+  },
+  {
+    id: 'form-status-placement',
+    hook: 'useActionState',
+    type: 'predict-output',
+    question: 'The user submits the form. What does the button show while the action is running?',
+    code: `function SignupForm() {
+  const { pending } = useFormStatus();
+  return (
+    <form action={signup}>
+      <input name="email" />
+      <button>{pending ? 'Sending...' : 'Sign up'}</button>
+    </form>
+  );
+}`,
+    options: [
+      '"Sending..." until signup finishes',
+      '"Sign up" the whole time - useFormStatus only sees a <form> rendered above the component calling it',
+      'It throws: useFormStatus must be called inside an action',
+      '"Sending..." forever',
+    ],
+    answer: 1,
+    explanation:
+      'useFormStatus reads the status of the parent form, like a context. Here the form is rendered BY the component, not above it. Move the button into its own component rendered inside the <form>.',
+    link: '/hooks/form-actions#form-status',
+  },
+  {
+    id: 'optimistic-rollback',
+    hook: 'useActionState',
+    type: 'multiple-choice',
+    question: 'An action calls addOptimistic(newTodo) and then the request fails. How do you remove the optimistic todo?',
+    options: [
+      'Call addOptimistic again with the item removed',
+      'Dispatch a ROLLBACK action',
+      'You don\'t - optimistic state is dropped when the action ends, so the list falls back to the real state',
+      'Reload the list from the server',
+    ],
+    answer: 2,
+    explanation:
+      'useOptimistic only applies its updates while an action is pending. Once it settles, the value is the real state again - which never got the new todo, because setTodos only ran on success.',
+    link: '/hooks/form-actions#optimistic',
+  },
+
+  // ==================== useImperativeHandle ====================
+  {
+    id: 'imperative-handle-ref',
+    hook: 'useImperativeHandle',
+    type: 'predict-output',
+    question: 'What does the parent log?',
+    code: `function Player({ ref }) {
+  const videoRef = useRef(null);
+  useImperativeHandle(ref, () => ({
+    play: () => videoRef.current.play(),
+  }), []);
+  return <video ref={videoRef} />;
+}
+
+// Parent, after mounting <Player ref={playerRef} />:
+console.log(typeof playerRef.current.pause);`,
+    options: [
+      '"function" - the ref points to the <video>',
+      '"undefined" - the ref points to the handle, which only has play',
+      'It throws: function components cannot receive refs',
+      '"object"',
+    ],
+    answer: 1,
+    explanation:
+      'useImperativeHandle replaces what the ref points to. The parent gets exactly the object you return - here only play - not the <video> element.',
+    link: '/hooks/use-imperative-handle#video-player',
+  },
+  {
+    id: 'imperative-handle-when',
+    hook: 'useImperativeHandle',
+    type: 'multiple-choice',
+    question: 'A Modal component needs to open and close. What should it offer its parent?',
+    options: [
+      'An imperative handle with open() and close()',
+      'An isOpen prop (and an onClose callback)',
+      'A ref forwarded to its root <div>',
+      'Its internal setIsOpen function through the ref',
+    ],
+    answer: 1,
+    explanation:
+      'Whether the modal is open is state the parent can describe, so it belongs in props. Imperative handles are for commands props can\'t express, like focus() or play().',
+    link: '/hooks/use-imperative-handle#narrow-handles',
+  },
+
+  // ==================== useId ====================
+  {
+    id: 'use-id-purpose',
+    hook: 'useId',
+    type: 'multiple-choice',
+    question: 'Which of these is a good use of useId?',
+    options: [
+      'Keys for the items in a list',
+      'Connecting a <label htmlFor> and an aria-describedby hint to an input in a reusable component',
+      'Generating database ids for new records',
+      'A random value that changes on every render',
+    ],
+    answer: 1,
+    explanation:
+      'useId returns an id that is unique per component instance and the same on server and client - made for accessibility attributes. List keys should come from your data.',
+    link: '/hooks/utility-hooks#use-id',
+  },
+
+  // ==================== useSyncExternalStore ====================
+  {
+    id: 'external-store-snapshot',
+    hook: 'useSyncExternalStore',
+    type: 'predict-output',
+    question: 'What happens when a component uses this hook?',
+    code: `function useTodos() {
+  return useSyncExternalStore(
+    todoStore.subscribe,
+    () => todoStore.getState().todos.filter(t => !t.done)
+  );
+}`,
+    options: [
+      'It works, and only re-renders when todos change',
+      'React warns that getSnapshot should be cached, and re-renders in an infinite loop',
+      'The filter runs once and never updates',
+      'It throws because getSnapshot must be defined outside the component',
+    ],
+    answer: 1,
+    explanation:
+      'getSnapshot must return the same value until the store changes. filter() returns a new array on every call, so React thinks the store changed every time it checks. Select the stored array and filter it in the component (or memoize).',
+    link: '/hooks/utility-hooks#external-store',
+  },
+  {
+    id: 'external-store-vs-effect',
+    hook: 'useSyncExternalStore',
+    type: 'multiple-choice',
+    question: 'Why prefer useSyncExternalStore over useState + useEffect for reading window.innerWidth?',
+    options: [
+      'It is the only way to listen to the resize event',
+      'It reads the current value during render, so there is no first render with a stale value and no tearing between components',
+      'It throttles resize events automatically',
+      'useEffect cannot add event listeners',
+    ],
+    answer: 1,
+    explanation:
+      'The effect version renders once with whatever state held, then copies the real value in after paint. useSyncExternalStore reads the source during render and keeps every component consistent, even in concurrent renders.',
+    link: '/hooks/utility-hooks#external-store',
+  },
+
+  // ==================== use ====================
+  {
+    id: 'use-promise-in-render',
+    hook: 'use',
+    type: 'predict-output',
+    question: 'What happens when this component renders inside a <Suspense> boundary?',
+    code: `function Profile({ id }) {
+  const user = use(fetch('/api/users/' + id).then(r => r.json()));
+  return <h2>{user.name}</h2>;
+}`,
+    options: [
+      'It shows the fallback once, then the name',
+      'It shows the fallback forever: every retry creates a new promise, which suspends again',
+      'It throws because use() cannot take a promise',
+      'It renders undefined first, then the name',
+    ],
+    answer: 1,
+    explanation:
+      'use() suspends until the promise it receives settles, then React renders the component again. That render calls fetch again and gets a brand-new pending promise. Create the promise outside render - in an event handler, a parent, or a cache - so the retry sees the same one.',
+    link: '/hooks/suspense#use-promise',
+  },
+  {
+    id: 'use-waterfall',
+    hook: 'use',
+    type: 'multiple-choice',
+    question: 'A Profile component reads its user with use(), and renders a Posts component that reads the user\'s posts with use(). Each request takes 1 second. How long until the posts appear?',
+    options: [
+      'About 1 second - Suspense runs both requests in parallel',
+      'About 2 seconds - Posts only renders, and starts its request, after Profile\'s data arrived',
+      'It depends on how many Suspense boundaries there are',
+      'Posts never appears because nested use() calls are not allowed',
+    ],
+    answer: 1,
+    explanation:
+      'That is a waterfall: a child can\'t start fetching until its parent stops suspending. Boundaries only change what is shown while waiting. To load in parallel, start both requests up front (for example in the event handler or a parent) and pass or cache the promises.',
+    link: '/hooks/suspense#waterfalls',
+  },
+
+  // ==================== Custom Hooks ====================
+  {
+    id: 'custom-hooks-shared-state',
+    hook: 'Custom Hooks',
+    type: 'multiple-choice',
+    question: 'Two components both call useToggle(). One of them calls toggle(). What happens to the other?',
+    options: [
+      'It toggles too - they share the hook\'s state',
+      'Nothing - each call to a custom hook gets its own independent state',
+      'It re-renders but keeps its value',
+      'React throws because a custom hook can only be used by one component',
+    ],
+    answer: 1,
+    explanation:
+      'Custom hooks share logic, not state. Every useState inside the hook belongs to the component calling it. To share the value itself, lift it up, use context, or read an external store (like useLocalStorage with the same key).',
+    link: '/hooks/custom-hooks#writing-hooks',
+  },
+  {
+    id: 'custom-hooks-interval-callback',
+    hook: 'Custom Hooks',
+    type: 'predict-output',
+    question: 'This naive useInterval is used as useInterval(() => setTicks(ticks + 1), 1000). What does the counter do?',
+    code: `function useInterval(callback, delay) {
+  useEffect(() => {
+    const id = setInterval(callback, delay);
+    return () => clearInterval(id);
+  }, [delay]);
+}`,
+    options: [
+      'Counts 1, 2, 3... once per second',
+      'Goes to 1 and stays there - the interval keeps calling the first render\'s callback, where ticks is 0',
+      'Counts twice per second',
+      'Never changes because the effect never runs',
+    ],
+    answer: 1,
+    explanation:
+      'The effect only re-runs when delay changes, so setInterval holds on to the callback from the first render - a stale closure. The library version wraps the callback in useEffectEvent, which always calls the latest one without restarting the interval.',
+    link: '/hooks/custom-hooks#use-interval',
+  },
+];
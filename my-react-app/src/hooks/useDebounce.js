@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * `value`, but only once it has stopped changing for `delay` ms.
+ *
+ *   const debouncedTerm = useDebounce(searchTerm, 500);
+ *
+ * Every change restarts the timer (the effect's cleanup clears the previous
+ * one), so while the user keeps typing the debounced value stays put.
+ */
+export function useDebounce(value, delay = 500) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
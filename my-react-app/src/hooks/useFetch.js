@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useEffectEvent, useState } from 'react';
+
+/**
+ * Load data for `key` whenever it changes: { data, error, loading, reload }.
+ *
+ *   const { data, loading } = useFetch(userId, (id, { signal }) => getUser(id, { signal }));
+ *
+ * `load(key, { signal })` must return a promise. Pass `null` as the key to
+ * load nothing. When the key changes before the response arrives, the old
+ * request is aborted and its result dropped, so a slow earlier response
+ * can never overwrite a newer one (the race condition the useEffect demo
+ * shows). `loading` is derived - it is true until the result for the
+ * current key and attempt is in - so it never needs its own effect.
+ */
+export function useFetch(key, load) {
+  const [result, setResult] = useState({ key: null, attempt: 0, data: undefined, error: null });
+  const [attempt, setAttempt] = useState(0);
+  const onLoad = useEffectEvent((signal) => load(key, { signal }));
+
+  useEffect(() => {
+    if (key === null) return;
+    const controller = new AbortController();
+
+    onLoad(controller.signal).then(
+      data => {
+        if (!controller.signal.aborted) setResult({ key, attempt, data, error: null });
+      },
+      error => {
+        if (!controller.signal.aborted) setResult({ key, attempt, data: undefined, error });
+      }
+    );
+
+    return () => controller.abort();
+  }, [key, attempt]);
+
+  const reload = useCallback(() => setAttempt(n => n + 1), []);
+
+  // Data for another key is never returned, but a reload keeps showing the current data
+  const isCurrentKey = key !== null && Object.is(result.key, key);
+  return {
+    data: isCurrentKey ? result.data : undefined,
+    error: isCurrentKey ? result.error : null,
+    loading: key !== null && (!isCurrentKey || result.attempt !== attempt),
+    reload,
+  };
+}
@@ -0,0 +1,21 @@
+import { useEffect, useEffectEvent } from 'react';
+
+/**
+ * Call `callback` every `delay` ms; pass `null` as the delay to pause.
+ *
+ *   useInterval(() => setSeconds(s => s + 1), isRunning ? 1000 : null);
+ *
+ * The interval is cleared when the delay changes and on unmount, so there
+ * is no id to keep in a ref. The callback is an effect event: it always
+ * sees the latest props and state, and a new callback every render doesn't
+ * restart the interval.
+ */
+export function useInterval(callback, delay) {
+  const onTick = useEffectEvent(callback);
+
+  useEffect(() => {
+    if (delay === null) return;
+    const id = setInterval(() => onTick(), delay);
+    return () => clearInterval(id);
+  }, [delay]);
+}
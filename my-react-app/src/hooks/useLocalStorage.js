@@ -0,0 +1,32 @@
+import { useDebugValue, useSyncExternalStore } from 'react';
+import { createPersistentStore } from '../services/persistentStore';
+
+/**
+ * useState that survives a refresh: [value, setValue], saved under `key`.
+ *
+ *   const [count, setCount] = useLocalStorage('learningHub.savedCount', 0);
+ *
+ * Built on createPersistentStore (services/persistentStore.js), so every
+ * component using the same key shares one value, and other tabs pick up
+ * changes through the `storage` event. The first call for a key decides
+ * its initial value. Values must survive JSON.stringify.
+ *
+ * `options.legacyKey` moves a value saved by older code as plain JSON (see
+ * createPersistentStore) over to `key` the first time it is read.
+ */
+
+const stores = new Map();
+
+const getStore = (key, initialValue, legacyKey) => {
+  if (!stores.has(key)) {
+    stores.set(key, createPersistentStore({ key, version: 1, initialValue, legacyKey }));
+  }
+  return stores.get(key);
+};
+
+export function useLocalStorage(key, initialValue, { legacyKey } = {}) {
+  const store = getStore(key, initialValue, legacyKey);
+  const value = useSyncExternalStore(store.subscribe, store.getSnapshot, () => initialValue);
+  useDebugValue(`${key}: ${JSON.stringify(value)}`);
+  return [value, store.set];
+}
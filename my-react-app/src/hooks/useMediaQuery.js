@@ -0,0 +1,26 @@
+import { useCallback, useDebugValue, useSyncExternalStore } from 'react';
+
+/**
+ * Whether a CSS media query currently matches, e.g.
+ *
+ *   const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+ *
+ * Re-renders when the match changes (the OS switches to dark mode, the
+ * window crosses a breakpoint). `serverValue` is used where there is no
+ * window to ask.
+ */
+export function useMediaQuery(query, serverValue = false) {
+  const subscribe = useCallback((callback) => {
+    const mediaQueryList = window.matchMedia(query);
+    mediaQueryList.addEventListener('change', callback);
+    return () => mediaQueryList.removeEventListener('change', callback);
+  }, [query]);
+
+  const matches = useSyncExternalStore(
+    subscribe,
+    () => window.matchMedia(query).matches,
+    () => serverValue
+  );
+  useDebugValue(`${query}: ${matches}`);
+  return matches;
+}
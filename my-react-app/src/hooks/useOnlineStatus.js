@@ -0,0 +1,26 @@
+import { useDebugValue, useSyncExternalStore } from 'react';
+
+/**
+ * Whether the browser thinks it is online (navigator.onLine), updated by
+ * the window's online/offline events. DevTools' "Offline" network
+ * throttling toggles it.
+ */
+
+const subscribe = (callback) => {
+  window.addEventListener('online', callback);
+  window.addEventListener('offline', callback);
+  return () => {
+    window.removeEventListener('online', callback);
+    window.removeEventListener('offline', callback);
+  };
+};
+
+const getSnapshot = () => navigator.onLine;
+
+const getServerSnapshot = () => true;
+
+export function useOnlineStatus() {
+  const isOnline = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  useDebugValue(isOnline ? 'Online' : 'Offline');
+  return isOnline;
+}
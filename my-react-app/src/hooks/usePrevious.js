@@ -0,0 +1,22 @@
+import { useState } from 'react';
+
+/**
+ * The value `value` had before it last changed (undefined until it does).
+ *
+ * The classic version copies the value into a ref in an effect and reads
+ * the ref during render. Reading refs during render breaks under the React
+ * Compiler and concurrent rendering, so this keeps both values in state and
+ * updates them while rendering - React's documented pattern for storing
+ * information from previous renders.
+ */
+export function usePrevious(value) {
+  const [current, setCurrent] = useState(value);
+  const [previous, setPrevious] = useState(undefined);
+
+  if (!Object.is(value, current)) {
+    setPrevious(current);
+    setCurrent(value);
+  }
+
+  return previous;
+}
@@ -0,0 +1,19 @@
+import { useDebugValue, useSyncExternalStore } from 'react';
+
+/**
+ * Read a slice of a createStore() store (services/createStore.js).
+ *
+ * The component re-renders only when the selected value changes, so the
+ * selector must return a primitive or a reference that stays the same
+ * between calls - `state => state.items` is fine, `state => [...state.items]`
+ * would re-render forever.
+ */
+export function useStore(store, selector = state => state) {
+  const selected = useSyncExternalStore(
+    store.subscribe,
+    () => selector(store.getState()),
+    () => selector(store.getState())
+  );
+  useDebugValue(selected);
+  return selected;
+}
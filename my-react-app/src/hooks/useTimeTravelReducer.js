@@ -0,0 +1,97 @@
+import { useMemo, useReducer } from 'react';
+
+/**
+ * useReducer with a recorded history, for the time-travel debugger
+ * (components/ReducerDevtools.jsx).
+ *
+ * The app reducer is "lifted": the hook's own reducer keeps every state the
+ * app reducer produced plus the action that produced it, and a cursor for
+ * the state currently shown. Jumping back only moves the cursor. Dispatching
+ * while in the past drops the states after the cursor and starts a new
+ * timeline from there; devtools.appendAction instead records on top of the
+ * latest state and leaves the cursor alone, for changes that don't come from
+ * the user (another tab's save, say).
+ *
+ * Returns [state, dispatch, devtools] - the first two behave exactly like
+ * useReducer's, dispatch included (it keeps the same identity).
+ * devtools.viewingPast is true while the cursor is before the latest state,
+ * so callers can hold off side effects (saving, say) until the user is back.
+ */
+
+const MAX_ENTRIES = 200;
+
+const RECORD = '@@timeTravel/RECORD';
+const JUMP = '@@timeTravel/JUMP';
+const LOAD = '@@timeTravel/LOAD';
+const CLEAR = '@@timeTravel/CLEAR';
+
+const createHistory = (initialState) => ({
+  states: [initialState], // states[i + 1] = reducer(states[i], entries[i].action)
+  entries: [],            // { action, at }
+  cursor: 0,              // index into states of the state being shown
+});
+
+// Run actions through the reducer from the initial state. Throws whatever the reducer throws.
+export function replayActions(reducer, initialState, actions) {
+  return actions.reduce(
+    (states, action) => [...states, reducer(states[states.length - 1], action)],
+    [initialState]
+  );
+}
+
+const liftReducer = (reducer) => (history, action) => {
+  switch (action.type) {
+    case RECORD: {
+      // An appended action follows the latest state, not the one shown
+      const from = action.append ? history.states.length - 1 : history.cursor;
+      const after = reducer(history.states[from], action.action);
+      const states = [...history.states.slice(0, from + 1), after];
+      const entries = [...history.entries.slice(0, from), { action: action.action, at: action.at }];
+      // Someone looking at the past stays there; otherwise show the new state
+      const cursor = history.cursor < from ? history.cursor : entries.length;
+      // Keep the most recent entries; the oldest kept state becomes the new start
+      const overflow = Math.max(0, entries.length - MAX_ENTRIES);
+      return {
+        states: states.slice(overflow),
+        entries: entries.slice(overflow),
+        cursor: Math.max(cursor - overflow, 0),
+      };
+    }
+    case JUMP:
+      return { ...history, cursor: Math.min(Math.max(action.index, 0), history.states.length - 1) };
+    case LOAD:
+      return action.history;
+    case CLEAR:
+      // Forget the log but keep the state being shown
+      return createHistory(history.states[history.cursor]);
+    default:
+      return history;
+  }
+};
+
+export function useTimeTravelReducer(reducer, initialState) {
+  const liftedReducer = useMemo(() => liftReducer(reducer), [reducer]);
+  const [history, dispatchHistory] = useReducer(liftedReducer, initialState, createHistory);
+
+  const controls = useMemo(() => ({
+    // Timestamp here rather than in the reducer, which must stay pure
+    dispatch: (action) => dispatchHistory({ type: RECORD, action, at: Date.now() }),
+    appendAction: (action) => dispatchHistory({ type: RECORD, action, at: Date.now(), append: true }),
+    jumpTo: (index) => dispatchHistory({ type: JUMP, index }),
+    // Replace the log with these actions, replayed from startState
+    loadActions: (actions, startState = initialState) => {
+      const states = replayActions(reducer, startState, actions);
+      const at = Date.now();
+      dispatchHistory({
+        type: LOAD,
+        history: { states, entries: actions.map(action => ({ action, at })), cursor: actions.length },
+      });
+    },
+    clear: () => dispatchHistory({ type: CLEAR }),
+  }), [reducer, initialState]);
+
+  const viewingPast = history.cursor < history.states.length - 1;
+  const devtools = { ...controls, history, viewingPast, reducer, initialState };
+
+  return [history.states[history.cursor], controls.dispatch, devtools];
+}
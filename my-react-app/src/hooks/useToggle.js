@@ -0,0 +1,13 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * A boolean with a stable toggle function: [value, toggle, setValue].
+ *
+ * toggle() ignores its arguments, so it can be passed straight to onClick
+ * without the click event ending up as the new value.
+ */
+export function useToggle(initialValue = false) {
+  const [value, setValue] = useState(initialValue);
+  const toggle = useCallback(() => setValue(on => !on), []);
+  return [value, toggle, setValue];
+}
@@ -0,0 +1,34 @@
+import { useDebugValue, useSyncExternalStore } from 'react';
+
+/**
+ * The window's inner width and height, re-rendering on resize.
+ *
+ * useSyncExternalStore compares snapshots with Object.is, so getSnapshot
+ * must not build a new object on every call. It keeps the last { width,
+ * height } and only replaces it when one of them actually changed.
+ * For the width alone, useWindowWidth is simpler.
+ */
+
+const subscribe = (callback) => {
+  window.addEventListener('resize', callback);
+  return () => window.removeEventListener('resize', callback);
+};
+
+let size = { width: 0, height: 0 };
+
+const getSnapshot = () => {
+  if (size.width !== window.innerWidth || size.height !== window.innerHeight) {
+    size = { width: window.innerWidth, height: window.innerHeight };
+  }
+  return size;
+};
+
+const serverSize = { width: 1024, height: 768 };
+
+const getServerSnapshot = () => serverSize;
+
+export function useWindowSize() {
+  const windowSize = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  useDebugValue(windowSize, ({ width, height }) => `${width}×${height}`);
+  return windowSize;
+}
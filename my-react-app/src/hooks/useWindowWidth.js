@@ -0,0 +1,35 @@
+import { useDebugValue, useSyncExternalStore } from 'react';
+
+/**
+ * The current window.innerWidth, re-rendering on resize.
+ *
+ * innerWidth is a number, so the snapshot compares by value and a resize
+ * event that doesn't change the width doesn't re-render anything.
+ */
+
+const breakpoints = [
+  { name: 'mobile', max: 600 },
+  { name: 'tablet', max: 1024 },
+  { name: 'desktop', max: Infinity },
+];
+
+export function describeWidth(width) {
+  return `${width}px (${breakpoints.find(breakpoint => width <= breakpoint.max).name})`;
+}
+
+const subscribe = (callback) => {
+  window.addEventListener('resize', callback);
+  return () => window.removeEventListener('resize', callback);
+};
+
+const getSnapshot = () => window.innerWidth;
+
+// No window during server rendering - assume a desktop layout
+const getServerSnapshot = () => 1024;
+
+export function useWindowWidth() {
+  const width = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  // The formatter only runs when React DevTools inspects the component
+  useDebugValue(width, describeWidth);
+  return width;
+}
@@ -0,0 +1,77 @@
+import { Link } from 'react-router-dom';
+import Button from '../components/Button';
+import { ROLES, useAuth } from '../context/AuthContext';
+import { useLocale } from '../context/LocaleContext';
+import { useFetch } from '../hooks/useFetch';
+import { getAccounts } from '../services/mockApi';
+import '../components/AuthContextDemo.css';
+
+const loadAccounts = (token, { signal }) => getAccounts(token, { signal });
+
+// Refusals the UI can explain in the learner's language
+const errorKeys = {
+  401: 'auth.sessionExpired',
+  403: 'admin.forbidden',
+};
+
+/**
+ * Admins only: App.jsx wraps this route in <RequireAuth role="admin">
+ * (routes.js sets `requiredRole`), so it only renders for an admin.
+ * The account list still comes from an endpoint that checks the role
+ * itself - the guard decides what to show, the server what to share.
+ */
+const AdminPage = () => {
+  const { user, token } = useAuth();
+  const { data: accounts, error, loading, reload } = useFetch(token, loadAccounts);
+  const { t } = useLocale();
+
+  return (
+    <div className="auth-role-content">
+      <div id="team" className="auth-role-box admin">
+        <h4>👥 {t('admin.teamAccounts')}</h4>
+        <p>{t('admin.signedInAs', { name: user.name, title: user.title })}</p>
+        {loading && <p>{t('admin.loading')}</p>}
+        {error && (
+          <p>
+            ❌ {errorKeys[error.status] ? t(errorKeys[error.status]) : error.message}{' '}
+            <Button text={t('admin.retry')} onClick={reload} variant="secondary" />
+          </p>
+        )}
+        {accounts && (
+          <table className="auth-roles">
+            <thead>
+              <tr>
+                <th>{t('profile.name')}</th>
+                <th>{t('profile.email')}</th>
+                <th>{t('admin.title')}</th>
+                <th>{t('profile.role')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map(account => (
+                <tr key={account.id} className={account.id === user.id ? 'current' : ''}>
+                  <td>{account.name}</td>
+                  <td>{account.email}</td>
+                  <td>{account.title}</td>
+                  <td>{t(`auth.roles.${account.role}`, { defaultValue: ROLES[account.role].label })}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div id="server-checks" className="auth-role-box">
+        <h4>🛡️ Server Checks</h4>
+        <p>
+          Hiding this page from developers is only the first line. The mock server answers{' '}
+          <code>getAccounts()</code> with a 403 for any token that isn&apos;t an admin&apos;s, and a 401
+          once the session is revoked, whatever the UI shows. See{' '}
+          <Link to="/hooks/auth-context#roles">role-based rendering</Link>.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -0,0 +1,112 @@
+import { Suspense, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { useLocale } from '../context/LocaleContext';
+import { useProgress } from '../context/ProgressContext';
+import RenderInspector from '../components/RenderInspector';
+import ErrorBoundary from '../components/ErrorBoundary';
+import DemoSkeleton from '../components/DemoSkeleton';
+
+/**
+ * Renders one demo route inside the section chrome that App.jsx used
+ * to repeat for every hook (section title, description, hook-demo box).
+ * Also records progress: the demo as visited, and each card once it has
+ * been scrolled at least halfway into view.
+ * The whole demo sits in a RenderInspector so the render overlay covers it,
+ * and in an ErrorBoundary so a crash only replaces this demo.
+ *
+ * Demos are lazy (see routes.js), so the demo renders inside <Suspense>
+ * with a skeleton fallback. Anything that needs the demo's cards in the
+ * DOM - the progress observer and `#card` deep links - lives in
+ * DemoContent, whose effects only run once the demo has actually loaded.
+ */
+const DemoContent = ({ demo }) => {
+  const { component: Demo } = demo;
+  const { hash } = useLocation();
+  const { visitCard } = useProgress();
+
+  useEffect(() => {
+    const observer = new IntersectionObserver((entries) => {
+      entries
+        .filter(entry => entry.isIntersecting)
+        .forEach(entry => visitCard(demo.path, entry.target.id));
+    }, { threshold: 0.5 });
+
+    demo.cards
+      .map(card => document.getElementById(card.id))
+      .filter(Boolean)
+      .forEach(element => observer.observe(element));
+
+    return () => observer.disconnect();
+  }, [demo.path, demo.cards, visitCard]);
+
+  // React Router does not scroll to `#hash` targets on its own
+  useEffect(() => {
+    if (!hash) return;
+    const target = document.getElementById(decodeURIComponent(hash.slice(1)));
+    target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [hash]);
+
+  return <Demo />;
+};
+
+const demoShape = PropTypes.shape({
+  path: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  cards: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+  })).isRequired,
+  component: PropTypes.elementType.isRequired,
+  section: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    description: PropTypes.string.isRequired,
+  }).isRequired,
+});
+
+DemoContent.propTypes = {
+  demo: demoShape.isRequired,
+};
+
+const DemoPage = ({ demo }) => {
+  const { section } = demo;
+  const isHookDemo = demo.path.startsWith('/hooks/');
+  const { visitDemo } = useProgress();
+  const { t } = useLocale();
+
+  // Keyed by path: React Router reuses this DemoPage when moving between demos,
+  // and a crash on one demo shouldn't follow you to the next
+  const content = (
+    <ErrorBoundary key={demo.path} name={demo.title}>
+      <RenderInspector name={demo.title}>
+        <Suspense fallback={<DemoSkeleton title={demo.title} cards={demo.cards} />}>
+          <DemoContent demo={demo} />
+        </Suspense>
+      </RenderInspector>
+    </ErrorBoundary>
+  );
+
+  useEffect(() => {
+    visitDemo(demo.path);
+  }, [demo.path, visitDemo]);
+
+  return (
+    <section className={`demo-section ${isHookDemo ? 'hooks-section' : ''}`}>
+      <h2 className="section-title">
+        {t(`sections.${section.id}.title`, { defaultValue: section.title })}
+      </h2>
+      <p className="section-description">
+        {t(`sections.${section.id}.description`, { defaultValue: section.description })}
+      </p>
+
+      {isHookDemo ? <div className="hook-demo">{content}</div> : content}
+    </section>
+  );
+};
+
+DemoPage.propTypes = {
+  demo: demoShape.isRequired,
+};
+
+export default DemoPage;
@@ -0,0 +1,32 @@
+import { Link } from 'react-router-dom';
+import { sections } from '../routes';
+import { useLocale } from '../context/LocaleContext';
+
+const HomePage = () => {
+  const { t } = useLocale();
+
+  return (
+    <>
+      {sections.map(section => (
+        <section key={section.id} className="demo-section">
+          <h2 className="section-title">
+            {t(`sections.${section.id}.title`, { defaultValue: section.title })}
+          </h2>
+          <p className="section-description">
+            {t(`sections.${section.id}.description`, { defaultValue: section.description })}
+          </p>
+          <div className="overview-links">
+            {section.demos.map(demo => (
+              <Link key={demo.path} to={demo.path} className="overview-link">
+                <strong>{demo.title}</strong>
+                <span>{t('home.examples', { count: demo.cards.length })}</span>
+              </Link>
+            ))}
+          </div>
+        </section>
+      ))}
+    </>
+  );
+};
+
+export default HomePage;
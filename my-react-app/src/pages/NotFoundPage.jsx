@@ -0,0 +1,18 @@
+import { Link, useLocation } from 'react-router-dom';
+import { useLocale } from '../context/LocaleContext';
+
+const NotFoundPage = () => {
+  const { pathname } = useLocation();
+  const { t } = useLocale();
+
+  return (
+    <section className="demo-section">
+      <h2 className="section-title">{t('notFound.title')}</h2>
+      <p className="section-description">
+        {t('notFound.noDemo')} <code>{pathname}</code>. <Link to="/">{t('notFound.back')}</Link>
+      </p>
+    </section>
+  );
+};
+
+export default NotFoundPage;
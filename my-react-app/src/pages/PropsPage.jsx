@@ -0,0 +1,66 @@
+import UserCard from '../components/UserCard';
+import Button from '../components/Button';
+import { useLocale } from '../context/LocaleContext';
+import { useToast } from '../context/ToastContext';
+
+const PropsPage = () => {
+  const { notify } = useToast();
+  const { t } = useLocale();
+
+  // The toast uses the same variant as the button that was clicked
+  const handleButtonClick = (variant) => {
+    notify(t('props.clicked', { button: t(`props.buttons.${variant}`) }), { variant });
+  };
+
+  return (
+    <>
+      <div id="user-cards" className="user-cards">
+        <UserCard
+          name="John Doe"
+          age={24}
+          email="john@example.com"
+          role="Frontend Developer"
+        />
+        <UserCard
+          name="Jane Smith"
+          age={32}
+          email="jane@example.com"
+          role="Backend Developer"
+        />
+        <UserCard
+          name="Mike Johnson"
+          age={25}
+          email="mike@example.com"
+          role="UI/UX Designer"
+        />
+      </div>
+
+      <div id="button-demo" className="button-demo">
+        <h3>{t('props.title')}</h3>
+        <Button
+          text={t('props.buttons.primary')}
+          onClick={() => handleButtonClick('primary')}
+          // variant="primary"
+        />
+        <Button
+          text={t('props.buttons.secondary')}
+          onClick={() => handleButtonClick('secondary')}
+          variant="secondary"
+        />
+        <Button
+          text={t('props.buttons.danger')}
+          onClick={() => handleButtonClick('danger')}
+          variant="danger"
+        />
+        <Button
+          text={t('props.buttons.disabled')}
+          onClick={() => handleButtonClick('disabled')}
+          variant="primary"
+          disabled={true}
+        />
+      </div>
+    </>
+  );
+};
+
+export default PropsPage;
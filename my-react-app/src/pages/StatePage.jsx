@@ -0,0 +1,22 @@
+import Counter from '../components/Counter';
+import TodoList from '../components/TodoList';
+import RenderInspector from '../components/RenderInspector';
+
+const StatePage = () => {
+  return (
+    <>
+      <div id="counter">
+        <RenderInspector name="Counter">
+          <Counter />
+        </RenderInspector>
+      </div>
+      <div id="todo-list">
+        <RenderInspector name="TodoList">
+          <TodoList />
+        </RenderInspector>
+      </div>
+    </>
+  );
+};
+
+export default StatePage;
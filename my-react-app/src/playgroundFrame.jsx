@@ -0,0 +1,251 @@
+import * as React from 'react';
+import { createRoot } from 'react-dom/client';
+import { transform } from 'sucrase';
+import { createTranslator, DEFAULT_LANGUAGE } from './services/i18n';
+
+/**
+ * Runs CodePlayground snippets inside the preview iframe (playground.html).
+ *
+ * Everything a snippet touches belongs to this frame, not to the app: it
+ * gets this document's React, `window` is the frame's window (so resize
+ * listeners follow the preview, not the page), and localStorage and
+ * sessionStorage are in-memory copies that last until the preview reloads.
+ * The iframe is sandboxed without `allow-same-origin`, so this document's
+ * origin is opaque ('null'): the browser keeps it out of the app's window
+ * and storage, and the real localStorage would throw if a snippet used it.
+ *
+ * The host talks to the frame with postMessage:
+ *   host -> frame  { type: 'run', id, source, language }
+ *   frame -> host  { type: 'ready' }               listening for snippets
+ *                  { type: 'ran', id }             compiled and rendered
+ *                  { type: 'error', id, message }  compile, render, effect,
+ *                                                  event handler or promise
+ *                  { type: 'console', level, args } forwarded so the app's
+ *                                                  ConsolePanel still shows it
+ * `id` is the run the message is about, so the host can drop reports from
+ * a snippet it has already replaced. `language` picks the catalog for the
+ * errors this file reports itself.
+ *
+ * The frame shares the page's thread, so a runaway loop would freeze the
+ * app too. Loops in snippets are instrumented to throw once they have run
+ * for LOOP_LIMIT ms without giving the browser a turn.
+ */
+
+const LOOP_LIMIT = 1000; // ms
+
+// Replaced with the learner's language on every run
+let t = createTranslator(DEFAULT_LANGUAGE).t;
+
+// Modules a snippet is allowed to import
+const snippetModules = {
+  react: { ...React, default: React, __esModule: true },
+};
+
+const snippetRequire = (name) => {
+  if (!snippetModules[name]) {
+    throw new Error(t('playground.badImport', { name }));
+  }
+  return snippetModules[name];
+};
+
+const formatError = (error) => {
+  if (!(error instanceof Error)) return `Error: ${String(error)}`;
+  // sucrase attaches the position to syntax errors, e.g. "Unexpected token (4:12)"
+  const kind = error instanceof SyntaxError ? t('playground.syntaxError') : error.name || 'Error';
+  return `${kind}: ${error.message}`;
+};
+
+const formatArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    return JSON.stringify(arg);
+  } catch {
+    return String(arg);
+  }
+};
+
+// The app that embeds this page is served from the same place as the page -
+// but location.origin is 'null' in the sandbox, so ask the URL instead
+const HOST_ORIGIN = new URL(window.location.href).origin;
+
+let currentRun = null;
+const post = (message) => window.parent.postMessage({ ...message, id: currentRun }, HOST_ORIGIN);
+
+// ---- Storage: the same API, but nothing leaves the frame ----
+class MemoryStorage {
+  #items = new Map();
+  get length() { return this.#items.size; }
+  key(index) { return [...this.#items.keys()][index] ?? null; }
+  getItem(key) { return this.#items.has(String(key)) ? this.#items.get(String(key)) : null; }
+  setItem(key, value) { this.#items.set(String(key), String(value)); }
+  removeItem(key) { this.#items.delete(String(key)); }
+  clear() { this.#items.clear(); }
+}
+
+['localStorage', 'sessionStorage'].forEach(name => {
+  Object.defineProperty(window, name, { value: new MemoryStorage(), configurable: true });
+});
+
+// ---- Console: still printed here, and mirrored to the app ----
+['log', 'info', 'warn', 'error'].forEach(level => {
+  const original = console[level].bind(console);
+  console[level] = (...args) => {
+    original(...args);
+    post({ type: 'console', level, args: args.map(formatArg) });
+  };
+});
+
+// ---- Errors React doesn't catch: effects, event handlers, promises ----
+window.addEventListener('error', (e) => post({ type: 'error', message: formatError(e.error ?? e.message) }));
+window.addEventListener('unhandledrejection', (e) => post({ type: 'error', message: formatError(e.reason) }));
+
+// ---- Loop protection ----
+// Time spent in loops since the current task started. The microtask only
+// runs once the synchronous code has finished, so a loop that never ends
+// never resets it.
+let loopTaskStart = null;
+const loopGuard = () => {
+  if (loopTaskStart === null) {
+    loopTaskStart = performance.now();
+    queueMicrotask(() => { loopTaskStart = null; });
+  } else if (performance.now() - loopTaskStart > LOOP_LIMIT) {
+    // Not reset here: if React retries the render in this same task, the
+    // retry stops at its first iteration instead of spinning another second
+    throw new Error(t('playground.loopStopped', { seconds: LOOP_LIMIT / 1000 }));
+  }
+};
+
+// Adds `__loopGuard();` at the top of every `for`, `while` and `do` body
+// that is a block. Strings, template literals and comments are skipped;
+// anything the scan gets wrong fails to compile, and then the snippet runs
+// unguarded (see compile below).
+const guardLoops = (code) => {
+  // Index just past the string or template literal that starts at `from`
+  const skipString = (from) => {
+    const quote = code[from];
+    let j = from + 1;
+    while (j < code.length && code[j] !== quote) {
+      j += code[j] === '\\' ? 2 : 1;
+    }
+    return j + 1;
+  };
+
+  const skipSpace = (from) => {
+    let j = from;
+    while (j < code.length && /\s/.test(code[j])) j++;
+    return j;
+  };
+
+  // Index just past the `)` matching the `(` at `from`, or -1
+  const skipParens = (from) => {
+    let depth = 0;
+    let j = from;
+    while (j < code.length) {
+      if (/['"`]/.test(code[j])) {
+        j = skipString(j);
+        continue;
+      }
+      if (code[j] === '(') depth++;
+      if (code[j] === ')' && --depth === 0) return j + 1;
+      j++;
+    }
+    return -1;
+  };
+
+  // Index of the `{` opening the body of the loop whose keyword is at `at`, or -1
+  const loopBody = (at, keyword) => {
+    let end = at + keyword.length;
+    if (keyword !== 'do') {
+      const open = skipSpace(end);
+      if (code[open] !== '(') return -1;
+      end = skipParens(open);
+      if (end === -1) return -1;
+    }
+    const brace = skipSpace(end);
+    return code[brace] === '{' ? brace : -1;
+  };
+
+  let out = '';
+  let i = 0;
+  while (i < code.length) {
+    let next = i + 1;
+
+    if (/['"`]/.test(code[i])) {
+      next = skipString(i);
+    } else if (code.startsWith('//', i)) {
+      const end = code.indexOf('\n', i);
+      next = end === -1 ? code.length : end;
+    } else if (code.startsWith('/*', i)) {
+      const end = code.indexOf('*/', i + 2);
+      next = end === -1 ? code.length : end + 2;
+    } else if (i === 0 || !/[\w$.]/.test(code[i - 1])) {
+      const keyword = /^(for|while|do)\b/.exec(code.slice(i, i + 6))?.[1];
+      const brace = keyword ? loopBody(i, keyword) : -1;
+      if (brace !== -1) {
+        out += code.slice(i, brace + 1) + '__loopGuard();';
+        i = brace + 1;
+        continue;
+      }
+    }
+
+    out += code.slice(i, next);
+    i = next;
+  }
+  return out;
+};
+
+// Compile a snippet, returning the component it exports
+const compile = (source) => {
+  const { code } = transform(source, {
+    transforms: ['jsx', 'imports'],
+    production: true,
+  });
+
+  const params = ['React', 'require', 'exports', '__loopGuard'];
+  let run;
+  try {
+    run = new Function(...params, guardLoops(code));
+  } catch {
+    run = new Function(...params, code);
+  }
+
+  const exports = {};
+  run(React, snippetRequire, exports, loopGuard);
+
+  if (typeof exports.default !== 'function') {
+    throw new Error(t('playground.noDefaultExport'));
+  }
+  return exports.default;
+};
+
+// A fresh root for every run, so nothing the last snippet rendered survives
+let root = null;
+const container = document.getElementById('root');
+
+const runSnippet = ({ id, source, language }) => {
+  currentRun = id;
+  t = createTranslator(language).t;
+  const previous = root;
+  root = null;
+  if (previous) previous.unmount();
+
+  try {
+    const Snippet = compile(source);
+    root = createRoot(container, {
+      onUncaughtError: (error) => post({ type: 'error', message: formatError(error) }),
+    });
+    root.render(<Snippet />);
+    post({ type: 'ran' });
+  } catch (error) {
+    post({ type: 'error', message: formatError(error) });
+  }
+};
+
+window.addEventListener('message', (e) => {
+  if (e.source !== window.parent || e.origin !== HOST_ORIGIN) return;
+  if (e.data?.type === 'run') runSnippet(e.data);
+});
+
+// Tell the host we're listening
+post({ type: 'ready' });
@@ -0,0 +1,79 @@
+/**
+ * Higher-order reducer that adds undo/redo to any reducer.
+ *
+ *   const undoableTodoReducer = undoable(todoReducer, { limit: 25 });
+ *   useReducer(undoableTodoReducer, undoableInitialState(todoInitialState));
+ *
+ * State becomes { past, present, future }: `present` is what the wrapped
+ * reducer sees and returns, `past` and `future` are stacks of earlier and
+ * undone presents. The wrapped reducer doesn't know any of this exists.
+ *
+ * Options:
+ * - limit:  max number of undo steps kept (oldest are dropped)
+ * - ignore: action types that update the present without adding an undo
+ *           step, e.g. UI-only state like a list filter
+ * - reset:  action types whose result is a new baseline: past and future
+ *           are cleared, e.g. state replaced from outside (another tab), where
+ *           undoing back past it would throw that change away
+ */
+
+export const undoableInitialState = (present) => ({
+  past: [],
+  present,
+  future: [],
+});
+
+export function undoable(reducer, { limit = 50, ignore = [], reset = [] } = {}) {
+  return function undoableReducer(state, action) {
+    const { past, present, future } = state;
+
+    switch (action.type) {
+      case 'UNDO':
+        if (past.length === 0) return state;
+        return {
+          past: past.slice(0, -1),
+          present: past[past.length - 1],
+          future: [present, ...future],
+        };
+      case 'REDO':
+        if (future.length === 0) return state;
+        return {
+          past: [...past, present],
+          present: future[0],
+          future: future.slice(1),
+        };
+      case 'CLEAR_HISTORY':
+        return undoableInitialState(present);
+      default: {
+        const next = reducer(present, action);
+        // Actions that change nothing shouldn't cost an undo step
+        if (next === present) return state;
+        if (reset.includes(action.type)) return undoableInitialState(next);
+        if (ignore.includes(action.type)) return { ...state, present: next };
+        return {
+          past: [...past, present].slice(-limit),
+          present: next,
+          future: [], // a new action invalidates the redo stack
+        };
+      }
+    }
+  };
+}
+
+// onKeyDown handler for Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (Cmd on macOS).
+// Text fields keep their own native undo.
+export const undoShortcuts = (dispatch) => (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  const isTextField = e.target.tagName === 'TEXTAREA' ||
+    (e.target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit'].includes(e.target.type));
+  if (isTextField) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    dispatch({ type: 'UNDO' });
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    dispatch({ type: 'REDO' });
+  }
+};
@@ -0,0 +1,330 @@
+import { lazy } from 'react';
+
+// Every demo is its own chunk, downloaded the first time its route renders.
+// DemoPage shows a skeleton in a <Suspense> boundary until it arrives.
+const UseEffectDemo = lazy(() => import('./components/UseEffectDemo'));
+const UseRefDemo = lazy(() => import('./components/UseRefDemo'));
+const UseImperativeHandleDemo = lazy(() => import('./components/UseImperativeHandleDemo'));
+const UseMemoDemo = lazy(() => import('./components/UseMemoDemo'));
+const UseLayoutEffectDemo = lazy(() => import('./components/UseLayoutEffectDemo'));
+const UtilityHooksDemo = lazy(() => import('./components/UtilityHooksDemo'));
+const CustomHooksDemo = lazy(() => import('./components/CustomHooksDemo'));
+const UseContextDemo = lazy(() => import('./components/UseContextDemo'));
+const AuthContextDemo = lazy(() => import('./components/AuthContextDemo'));
+const UseReducerDemo = lazy(() => import('./components/UseReducerDemo'));
+const UseCallbackDemo = lazy(() => import('./components/UseCallbackDemo'));
+const UseTransitionDemo = lazy(() => import('./components/UseTransitionDemo'));
+const SuspenseDemo = lazy(() => import('./components/SuspenseDemo'));
+const FormActionsDemo = lazy(() => import('./components/FormActionsDemo'));
+const ErrorBoundaryDemo = lazy(() => import('./components/ErrorBoundaryDemo'));
+const Quiz = lazy(() => import('./components/Quiz'));
+const PropsPage = lazy(() => import('./pages/PropsPage'));
+const StatePage = lazy(() => import('./pages/StatePage'));
+const AdminPage = lazy(() => import('./pages/AdminPage'));
+
+/**
+ * Route table for the learning hub.
+ *
+ * Every section that used to be stacked on the single App page is listed here,
+ * with one route per demo. The sidebar, the home page and the <Routes> in App
+ * are all generated from this array, so adding a demo only means adding an entry.
+ *
+ * `cards` mirrors the numbered demo-cards inside each component. The `id` must
+ * match the id on the card so that `/hooks/use-reducer#cart` scrolls to it.
+ *
+ * A demo with `requiredRole` is only shown to signed-in users with that role
+ * (see context/AuthContext.js): App wraps it in <RequireAuth>, the sidebar
+ * marks it with a lock for everyone else, and it only counts towards the
+ * progress totals for users who can open it.
+ */
+export const sections = [
+  {
+    id: 'props',
+    title: 'Props Demonstration',
+    description: 'Components receiving data from parent via props',
+    demos: [
+      {
+        path: '/props',
+        title: 'UserCard & Button',
+        component: PropsPage,
+        cards: [
+          { id: 'user-cards', title: 'UserCard Component' },
+          { id: 'button-demo', title: 'Button Component' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'state',
+    title: 'State Demonstration (useState)',
+    description: 'Components managing their own internal state',
+    demos: [
+      {
+        path: '/state',
+        title: 'Counter & TodoList',
+        component: StatePage,
+        cards: [
+          { id: 'counter', title: 'Counter' },
+          { id: 'todo-list', title: 'Todo List' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'advanced-hooks',
+    title: 'Advanced React Hooks',
+    description: 'Deep dive into useEffect, useRef, useMemo, useLayoutEffect and the other built-in hooks with real-world examples',
+    demos: [
+      {
+        path: '/hooks/use-effect',
+        title: 'useEffect',
+        component: UseEffectDemo,
+        cards: [
+          { id: 'basic-effect', title: 'Basic Effect with Dependencies' },
+          { id: 'data-fetching', title: 'Async Data Fetching' },
+          { id: 'interval-cleanup', title: 'Interval with Cleanup' },
+          { id: 'event-listeners', title: 'Event Listeners with Cleanup' },
+          { id: 'debouncing', title: 'Debouncing Search' },
+          { id: 'race-conditions', title: 'Race Conditions' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/hooks/use-ref',
+        title: 'useRef',
+        component: UseRefDemo,
+        cards: [
+          { id: 'dom-access', title: 'DOM Element Access' },
+          { id: 'previous-values', title: 'Tracking Previous Values' },
+          { id: 'render-count', title: 'Counting Renders' },
+          { id: 'mutable-values', title: 'Mutable Values' },
+          { id: 'timers', title: 'Managing Timers' },
+          { id: 'media-control', title: 'Media Element Control' },
+          { id: 'ref-vs-state', title: 'useRef vs useState' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/hooks/use-imperative-handle',
+        title: 'useImperativeHandle',
+        component: UseImperativeHandleDemo,
+        cards: [
+          { id: 'video-player', title: 'VideoPlayer With an Imperative API' },
+          { id: 'ref-as-prop', title: 'Forwarding a Ref vs Exposing a Handle' },
+          { id: 'narrow-handles', title: 'When to Expose a Handle' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/hooks/use-memo',
+        title: 'useMemo',
+        component: UseMemoDemo,
+        cards: [
+          { id: 'expensive-calculation', title: 'Expensive Calculation' },
+          { id: 'derived-state', title: 'Derived State' },
+          { id: 'referential-equality', title: 'Referential Equality' },
+          { id: 'statistics', title: 'Complex Calculations' },
+          { id: 'when-not-to-use', title: 'When NOT to Use' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/hooks/use-layout-effect',
+        title: 'useLayoutEffect',
+        component: UseLayoutEffectDemo,
+        cards: [
+          { id: 'tooltip-flicker', title: 'Tooltip Positioning' },
+          { id: 'popover', title: 'Popover That Stays On Screen' },
+          { id: 'frame-timeline', title: 'What Happens in One Frame' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/hooks/utility-hooks',
+        title: 'useId, useSyncExternalStore & useDebugValue',
+        component: UtilityHooksDemo,
+        cards: [
+          { id: 'use-id', title: 'useId for Label Wiring' },
+          { id: 'external-store', title: 'Values From Outside React' },
+          { id: 'debug-value', title: 'useDebugValue in Custom Hooks' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'interview-hooks',
+    title: 'Interview Prep Hooks',
+    description: 'Master useContext, useReducer, and useCallback for frontend interviews',
+    demos: [
+      {
+        path: '/hooks/use-context',
+        title: 'useContext',
+        component: UseContextDemo,
+        cards: [
+          { id: 'basic-context', title: 'Basic Context Usage' },
+          { id: 'no-prop-drilling', title: 'No Prop Drilling' },
+          { id: 'multiple-contexts', title: 'Multiple Contexts' },
+          { id: 'complex-state', title: 'Managing Complex State' },
+          { id: 'interview-points', title: 'Key Interview Points' },
+        ],
+      },
+      {
+        path: '/hooks/auth-context',
+        title: 'Auth Context',
+        component: AuthContextDemo,
+        cards: [
+          { id: 'login', title: 'Login and Logout' },
+          { id: 'session', title: 'Session Persistence' },
+          { id: 'protected-content', title: 'Protected Routes and Sections' },
+          { id: 'roles', title: 'Role-Based Rendering' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/admin',
+        title: 'Admin: Team Accounts',
+        component: AdminPage,
+        requiredRole: 'admin',
+        cards: [
+          { id: 'team', title: 'Team Accounts' },
+          { id: 'server-checks', title: 'Server Checks' },
+        ],
+      },
+      {
+        path: '/hooks/use-reducer',
+        title: 'useReducer',
+        component: UseReducerDemo,
+        cards: [
+          { id: 'counter', title: 'Basic Reducer Pattern' },
+          { id: 'form', title: 'Complex Form State' },
+          { id: 'todos', title: 'Todo List with Filters' },
+          { id: 'cart', title: 'Shopping Cart' },
+          { id: 'undo-redo', title: 'Undo/Redo' },
+          { id: 'persistence', title: 'Persistence & Tab Sync' },
+          { id: 'interview-points', title: 'Key Interview Points' },
+        ],
+      },
+      {
+        path: '/hooks/use-callback',
+        title: 'useCallback',
+        component: UseCallbackDemo,
+        cards: [
+          { id: 'fundamentals', title: 'useCallback Fundamentals' },
+          { id: 'search', title: 'Complex Components' },
+          { id: 'todo-list', title: 'List Items with Callbacks' },
+          { id: 'multiple-lists', title: 'Multiple Lists' },
+          { id: 'dependencies', title: 'Callbacks with Dependencies' },
+          { id: 'interview-points', title: 'Key Interview Points' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'custom-hooks',
+    title: 'Custom Hooks',
+    description: 'Reusable hooks extracted from the demos: debouncing, fetching, timers, storage and more',
+    demos: [
+      {
+        path: '/hooks/custom-hooks',
+        title: 'Custom Hooks Library',
+        component: CustomHooksDemo,
+        cards: [
+          { id: 'use-debounce', title: 'useDebounce' },
+          { id: 'use-fetch', title: 'useFetch' },
+          { id: 'use-interval', title: 'useInterval' },
+          { id: 'use-previous', title: 'usePrevious' },
+          { id: 'use-local-storage', title: 'useLocalStorage' },
+          { id: 'use-toggle', title: 'useToggle' },
+          { id: 'use-window-size', title: 'useWindowSize' },
+          { id: 'writing-hooks', title: 'Writing Your Own' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'concurrent',
+    title: 'Concurrent React',
+    description: 'Keep the UI responsive during expensive renders and slow loads with React 19\'s concurrent features',
+    demos: [
+      {
+        path: '/hooks/use-transition',
+        title: 'useTransition & useDeferredValue',
+        component: UseTransitionDemo,
+        cards: [
+          { id: 'typing-lag', title: 'Typing Into a Huge List' },
+          { id: 'which-one', title: 'useTransition vs useDeferredValue' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+      {
+        path: '/hooks/suspense',
+        title: 'Suspense, lazy & use()',
+        component: SuspenseDemo,
+        cards: [
+          { id: 'lazy-loading', title: 'Code Splitting With React.lazy' },
+          { id: 'use-promise', title: 'Reading a Promise With use()' },
+          { id: 'waterfalls', title: 'Waterfalls vs Parallel Loading' },
+          { id: 'bundle-splitting', title: 'What Lazy Splitting Did to the Bundle' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'react-19',
+    title: 'React 19 Actions',
+    description: 'Form actions, pending states and optimistic updates without hand-written reducers',
+    demos: [
+      {
+        path: '/hooks/form-actions',
+        title: 'useActionState, useFormStatus & useOptimistic',
+        component: FormActionsDemo,
+        cards: [
+          { id: 'action-state', title: 'Registration Form With useActionState' },
+          { id: 'form-status', title: 'useFormStatus' },
+          { id: 'optimistic', title: 'Optimistic Todos With Rollback' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'error-handling',
+    title: 'Error Boundaries',
+    description: 'Contain crashes so one broken component does not blank the whole app',
+    demos: [
+      {
+        path: '/error-boundaries',
+        title: 'Break It!',
+        component: ErrorBoundaryDemo,
+        cards: [
+          { id: 'break-it', title: 'What Does a Boundary Catch?' },
+          { id: 'page-crash', title: 'Crash the Whole Demo' },
+          { id: 'key-takeaways', title: 'Key Takeaways' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'practice',
+    title: 'Interview Practice',
+    description: 'Quiz yourself on every hook with questions drawn from the interview guide',
+    demos: [
+      {
+        path: '/quiz',
+        title: 'Hooks Quiz',
+        component: Quiz,
+        cards: [
+          { id: 'quiz', title: 'Quiz' },
+        ],
+      },
+    ],
+  },
+];
+
+// Flat list of every demo route, handy for <Routes> and lookups by path
+export const demoRoutes = sections.flatMap(section =>
+  section.demos.map(demo => ({ ...demo, section }))
+);
@@ -0,0 +1,110 @@
+import { createStore } from './createStore';
+import { createPersistentStore } from './persistentStore';
+
+/**
+ * Autosave for work in progress: the todo lists, the useReducer form and
+ * cart, and edits in any CodePlayground.
+ *
+ * Those persistent stores are created with `scheduleWrite: autosave.schedule`
+ * and `cancelWrite: autosave.cancel` (services/todoStorage.js,
+ * services/draftStorage.js). Their values update in memory at once, and the
+ * writes to localStorage wait until editing pauses for AUTOSAVE_DELAY ms,
+ * then all go out together. A store edited back to its saved value cancels
+ * its write. While autosave is off
+ * (settings.autoSave on the useContext page) writes wait until it is turned
+ * back on or saveNow() is called.
+ *
+ * `autosave` is a createStore() store, so the header reads it with useStore:
+ *
+ *   const { enabled, status, savedAt } = useStore(autosave);
+ *
+ * status is 'saved' (nothing waiting), 'saving' (a write is scheduled) or
+ * 'unsaved' (autosave is off and there are changes only this tab has).
+ */
+
+export const AUTOSAVE_DELAY = 1000; // ms
+
+const enabledStore = createPersistentStore({
+  key: 'learningHub.autoSave',
+  version: 1,
+  initialValue: true,
+});
+
+const pendingWrites = new Map(); // store key -> write()
+let timer = null;
+
+const store = createStore({
+  enabled: enabledStore.getSnapshot(),
+  status: 'saved',
+  savedAt: null, // ms timestamp of the last write
+});
+
+// Apply `changes` and work out the status again, keeping the same state
+// object when nothing changed so useStore doesn't re-render for nothing
+const update = (changes = {}) => {
+  store.setState(state => {
+    const next = { ...state, ...changes };
+    if (pendingWrites.size === 0) next.status = 'saved';
+    else next.status = next.enabled ? 'saving' : 'unsaved';
+    return Object.keys(next).every(key => next[key] === state[key]) ? state : next;
+  });
+};
+
+const saveNow = () => {
+  clearTimeout(timer);
+  timer = null;
+  const writes = [...pendingWrites.values()];
+  pendingWrites.clear();
+  writes.forEach(write => write());
+  update(writes.length > 0 ? { savedAt: Date.now() } : {});
+};
+
+// A store whose value went back to what is saved has nothing to write
+const cancel = (key) => {
+  if (!pendingWrites.delete(key)) return;
+  if (pendingWrites.size === 0) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  update();
+};
+
+// Each new change restarts the countdown, so a burst of typing is one save
+const schedule = (key, write) => {
+  pendingWrites.set(key, write);
+  if (store.getState().enabled) {
+    clearTimeout(timer);
+    timer = setTimeout(saveNow, AUTOSAVE_DELAY);
+  }
+  update();
+};
+
+const setEnabled = (enabled) => {
+  enabledStore.set(enabled);
+  update({ enabled });
+  if (enabled) {
+    saveNow(); // catch up on everything that waited while it was off
+  } else {
+    clearTimeout(timer);
+    timer = null;
+  }
+};
+
+// Leaving the page: finish a save that is still counting down, or - with
+// autosave off - have the browser ask before throwing the changes away
+if (typeof window !== 'undefined') {
+  window.addEventListener('beforeunload', (e) => {
+    if (pendingWrites.size === 0) return;
+    if (store.getState().enabled) saveNow();
+    else e.preventDefault();
+  });
+}
+
+export const autosave = {
+  getState: store.getState,
+  subscribe: store.subscribe,
+  schedule,
+  cancel,
+  saveNow,
+  setEnabled,
+};
@@ -0,0 +1,81 @@
+/**
+ * Captures console output so the in-app ConsolePanel can show it.
+ *
+ * The demos teach through console.log (effect cleanups, memo recomputation,
+ * which child re-rendered), which is invisible on tablets and projectors.
+ * captureConsole() wraps the console methods once at startup; every call is
+ * still printed to the real console and is also recorded with a timestamp
+ * and the route path it was logged on, which is how lines are grouped by demo.
+ *
+ * The store follows the subscribe/getSnapshot shape of useSyncExternalStore.
+ */
+
+const CAPTURED_METHODS = ['log', 'info', 'warn', 'error'];
+const MAX_ENTRIES = 500;
+
+let entries = [];
+let nextId = 1;
+let installed = false;
+let notifyScheduled = false;
+const listeners = new Set();
+
+// Logs often happen while React is rendering (memo recomputation, "X rendered").
+// Subscribers are notified in a microtask so the panel never updates mid-render.
+const scheduleNotify = () => {
+  if (notifyScheduled) return;
+  notifyScheduled = true;
+  queueMicrotask(() => {
+    notifyScheduled = false;
+    listeners.forEach(listener => listener());
+  });
+};
+
+const formatArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    return JSON.stringify(arg);
+  } catch {
+    return String(arg);
+  }
+};
+
+const record = (level, args) => {
+  const entry = {
+    id: nextId++,
+    level,
+    time: Date.now(),
+    path: window.location.pathname,
+    text: args.map(formatArg).join(' '),
+  };
+  entries = [...entries, entry].slice(-MAX_ENTRIES);
+  scheduleNotify();
+};
+
+export function captureConsole() {
+  if (installed) return;
+  installed = true;
+
+  CAPTURED_METHODS.forEach(level => {
+    const original = console[level].bind(console);
+    console[level] = (...args) => {
+      original(...args);
+      record(level, args);
+    };
+  });
+}
+
+export function subscribeToConsole(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getConsoleEntries() {
+  return entries;
+}
+
+// Clear everything, or only the lines logged on one route
+export function clearConsoleEntries(path) {
+  entries = path ? entries.filter(entry => entry.path !== path) : [];
+  scheduleNotify();
+}
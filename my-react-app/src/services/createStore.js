@@ -0,0 +1,31 @@
+/**
+ * The smallest useful external store: state that lives outside React and
+ * tells subscribers when it changes.
+ *
+ *   const store = createStore({ likes: 0 });
+ *   store.setState(state => ({ likes: state.likes + 1 }));
+ *   const likes = useStore(store, state => state.likes); // hooks/useStore.js
+ *
+ * setState replaces the state object (never mutate it), so getState()
+ * returns the same reference until something changes - which is what
+ * useSyncExternalStore needs from a snapshot.
+ */
+
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    setState(update) {
+      const next = typeof update === 'function' ? update(state) : update;
+      if (Object.is(next, state)) return;
+      state = next;
+      listeners.forEach(listener => listener());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import { autosave } from './autosave';
+import { createPersistentStore } from './persistentStore';
+
+/**
+ * Unfinished work restored after a reload: the useReducer page's signup
+ * form and cart, and edited CodePlayground snippets. Written by the
+ * autosave service (services/autosave.js); null / {} means no draft.
+ */
+
+// { username, email, age } - never the password
+export const signupFormDraftStore = createPersistentStore({
+  key: 'learningHub.drafts.signupForm',
+  version: 1,
+  initialValue: null,
+  scheduleWrite: autosave.schedule,
+  cancelWrite: autosave.cancel,
+});
+
+// The cart reducer's state: { items, total }
+export const cartDraftStore = createPersistentStore({
+  key: 'learningHub.drafts.cart',
+  version: 1,
+  initialValue: null,
+  scheduleWrite: autosave.schedule,
+  cancelWrite: autosave.cancel,
+});
+
+// Playground title -> { original, source }. `original` is the snippet the
+// draft was edited from; when a demo's snippet changes, its old draft is dropped.
+export const playgroundDraftsStore = createPersistentStore({
+  key: 'learningHub.drafts.playgrounds',
+  version: 1,
+  initialValue: {},
+  scheduleWrite: autosave.schedule,
+  cancelWrite: autosave.cancel,
+});
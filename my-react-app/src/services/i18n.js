@@ -0,0 +1,89 @@
+import en from '../data/locales/en';
+import es from '../data/locales/es';
+import fr from '../data/locales/fr';
+
+/**
+ * Message catalogs and locale-aware formatting, with no React in sight.
+ * LocaleProvider (context/LocaleProvider.jsx) makes one translator per
+ * language and hands it to the app through useLocale().
+ *
+ *   const { t, formatCurrency } = createTranslator('fr');
+ *   t('home.examples', { count: 2 });  // '2 exemples'
+ *   formatCurrency(999);               // '999,00 $US'
+ *
+ * Keys are dotted paths into the catalogs in data/locales. `{name}`
+ * placeholders are filled from `values`; numbers are formatted for the
+ * locale first. A message can also be an object of plural forms keyed by
+ * Intl.PluralRules category ('zero', 'one', 'two', 'few', 'many', 'other'),
+ * picked with `values.count` - 'other' is the only one that is required.
+ *
+ * A key missing from the current language falls back to English, then to
+ * `values.defaultValue`, then to the key itself, so a half-translated
+ * catalog never leaves a hole in the UI.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', locale: 'en-US' },
+  { id: 'es', label: 'Español', locale: 'es-ES' },
+  { id: 'fr', label: 'Français', locale: 'fr-FR' },
+];
+
+const catalogs = { en, es, fr };
+
+export const isLanguage = (id) => LANGUAGES.some(language => language.id === id);
+
+/**
+ * The first of the browser's preferred languages that has a catalog
+ * ('fr-CA' counts as 'fr'), or English.
+ */
+export function detectLanguage(preferred = globalThis.navigator?.languages ?? []) {
+  const match = preferred
+    .map(tag => tag.split('-')[0].toLowerCase())
+    .find(isLanguage);
+  return match ?? DEFAULT_LANGUAGE;
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+export function createTranslator(language) {
+  const { locale } = LANGUAGES.find(option => option.id === language)
+    ?? LANGUAGES.find(option => option.id === DEFAULT_LANGUAGE);
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+  const timeFormat = new Intl.DateTimeFormat(locale, { timeStyle: 'short' });
+  const currencyFormats = new Map();
+
+  const formatNumber = (value, options) => (
+    options ? new Intl.NumberFormat(locale, options).format(value) : numberFormat.format(value)
+  );
+
+  // Prices in the demos are plain USD amounts: this changes how they are
+  // written (999,00 $US), not what they are worth
+  const formatCurrency = (amount, currency = 'USD') => {
+    if (!currencyFormats.has(currency)) {
+      currencyFormats.set(currency, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+    }
+    return currencyFormats.get(currency).format(amount);
+  };
+
+  const formatTime = (date) => timeFormat.format(date);
+
+  const interpolate = (template, values) => template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) return placeholder;
+    const value = values[name];
+    return typeof value === 'number' ? numberFormat.format(value) : String(value);
+  });
+
+  const t = (key, values = {}) => {
+    let message = lookup(catalogs[language], key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+    if (message === undefined) return values.defaultValue ?? key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(values.count ?? 0)] ?? message.other;
+    }
+    return interpolate(message, values);
+  };
+
+  return { language, locale, t, formatNumber, formatCurrency, formatTime };
+}
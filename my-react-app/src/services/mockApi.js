@@ -0,0 +1,241 @@
+import { mockAccounts, mockUsers, mockProducts, mockTodos } from '../data/mockData';
+
+/**
+ * In-app mock backend for the data-fetching demos.
+ *
+ * Every endpoint returns a Promise that settles after a simulated network
+ * delay, so the demos work offline and can show loading, error and
+ * race-condition states on demand. Behaviour is controlled by three settings,
+ * adjustable at runtime from <MockApiControls>:
+ * - latency:    base delay in ms
+ * - errorRate:  chance (0-1) that a request fails with a 500
+ * - outOfOrder: each request started while others are still pending finishes
+ *               sooner than they do, so the LAST request resolves FIRST
+ *
+ * Requests accept an AbortSignal, like fetch, and reject with an
+ * 'AbortError' DOMException when it fires. A request can also pass
+ * `outOfOrder` or `errorRate` to override the global setting, for demos that
+ * need a guaranteed race or a guaranteed failure.
+ *
+ * The write endpoints (registerUser, createTodo, updateTodo) keep their
+ * records in memory, so they last until the page reloads.
+ *
+ * The auth endpoints (login, getSession, logout, getAccounts) hand out
+ * session tokens that carry the account id and expiry, like a JWT without
+ * the signature, so a saved session still works after a reload. They answer
+ * 401 for a missing, expired or revoked token and 403 for the wrong role.
+ *
+ * The settings store follows the subscribe/getSnapshot shape of
+ * useSyncExternalStore.
+ */
+
+export const defaultApiSettings = {
+  latency: 800,
+  errorRate: 0,
+  outOfOrder: false,
+};
+
+let settings = defaultApiSettings;
+let pending = 0;
+const listeners = new Set();
+
+const registeredUsers = [];
+let todos = mockTodos;
+let nextTodoId = mockTodos.length + 1;
+
+export class MockApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MockApiError';
+    this.status = status;
+  }
+}
+
+export function getApiSettings() {
+  return settings;
+}
+
+export function updateApiSettings(changes) {
+  settings = { ...settings, ...changes };
+  listeners.forEach(listener => listener());
+}
+
+export function subscribeToApiSettings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+// Resolve `getData()` after the configured delay, or reject with a simulated
+// server error / 404 / abort. `getData` may also throw a MockApiError (e.g. a
+// 409 for a taken username) - it only runs once the delay is over.
+const request = (url, getData, {
+  signal,
+  method = 'GET',
+  outOfOrder = settings.outOfOrder,
+  errorRate = settings.errorRate,
+} = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const { latency } = settings;
+    const delay = outOfOrder ? Math.round((latency * 2) / (pending + 1)) : latency;
+    pending += 1;
+    console.log(`🌐 ${method} ${url} (${delay}ms)`);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      pending -= 1;
+      console.log(`🛑 ${method} ${url} aborted`);
+      reject(abortError());
+    };
+
+    const timer = setTimeout(() => {
+      pending -= 1;
+      signal?.removeEventListener('abort', onAbort);
+
+      if (Math.random() < errorRate) {
+        reject(new MockApiError(500, `${method} ${url} failed: simulated server error`));
+        return;
+      }
+
+      let data;
+      try {
+        data = getData();
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (data === undefined) {
+        reject(new MockApiError(404, `${method} ${url} failed: not found`));
+        return;
+      }
+      // Hand out copies so callers can't mutate the "database"
+      resolve(structuredClone(data));
+    }, delay);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+export function getUsers(options) {
+  return request('/api/users', () => mockUsers, options);
+}
+
+export function getUser(id, options) {
+  return request(`/api/users/${id}`, () => mockUsers.find(user => user.id === Number(id)), options);
+}
+
+export function getProducts(options) {
+  return request('/api/products', () => mockProducts, options);
+}
+
+export function searchProducts(query, options) {
+  const term = query.trim().toLowerCase();
+  return request(
+    `/api/products?q=${encodeURIComponent(query)}`,
+    () => mockProducts.filter(product =>
+      product.name.toLowerCase().includes(term) ||
+      product.category.toLowerCase().includes(term)
+    ),
+    options
+  );
+}
+
+// Usernames are unique across the seeded users and everyone registered since
+export function registerUser({ username, email }, options) {
+  return request('/api/users', () => {
+    const taken = [...mockUsers, ...registeredUsers]
+      .some(user => user.username.toLowerCase() === username.toLowerCase());
+    if (taken) {
+      throw new MockApiError(409, `Username "${username}" is already taken`);
+    }
+    const user = { id: mockUsers.length + registeredUsers.length + 1, username, email };
+    registeredUsers.push(user);
+    return user;
+  }, { ...options, method: 'POST' });
+}
+
+export function getTodos(options) {
+  return request('/api/todos', () => todos, options);
+}
+
+export function createTodo(text, options) {
+  return request('/api/todos', () => {
+    const todo = { id: nextTodoId++, text, completed: false };
+    todos = [...todos, todo];
+    return todo;
+  }, { ...options, method: 'POST' });
+}
+
+export function updateTodo(id, changes, options) {
+  return request(`/api/todos/${id}`, () => {
+    const existing = todos.find(todo => todo.id === id);
+    if (!existing) return undefined;
+    const todo = { ...existing, ...changes };
+    todos = todos.map(t => (t.id === id ? todo : t));
+    return todo;
+  }, { ...options, method: 'PATCH' });
+}
+
+export function subscribeToNewsletter(email, options) {
+  return request('/api/newsletter', () => ({ email, subscribedAt: new Date().toISOString() }), { ...options, method: 'POST' });
+}
+
+// Auth
+const SESSION_LENGTH = 7 * 24 * 60 * 60 * 1000; // ms
+const revokedTokens = new Set();
+
+// Everything but the password
+const toPublicAccount = ({ id, name, email, role, title }) => ({ id, name, email, role, title });
+
+// 'session.<account id>.<expires at>'
+const accountForToken = (token) => {
+  const [prefix, id, expiresAt] = String(token).split('.');
+  if (prefix !== 'session' || revokedTokens.has(token) || Number(expiresAt) < Date.now()) return null;
+  return mockAccounts.find(account => account.id === Number(id)) ?? null;
+};
+
+const requireAccount = (token) => {
+  const account = accountForToken(token);
+  if (!account) throw new MockApiError(401, 'Your session has expired. Please sign in again.');
+  return account;
+};
+
+export function login({ email, password }, options) {
+  return request('/api/auth/login', () => {
+    const account = mockAccounts.find(a => a.email.toLowerCase() === email.trim().toLowerCase());
+    if (!account || account.password !== password) {
+      throw new MockApiError(401, 'Wrong email or password');
+    }
+    return {
+      token: `session.${account.id}.${Date.now() + SESSION_LENGTH}`,
+      user: toPublicAccount(account),
+    };
+  }, { ...options, method: 'POST' });
+}
+
+// Who a saved token belongs to - how a reload restores the session
+export function getSession(token, options) {
+  return request('/api/auth/session', () => toPublicAccount(requireAccount(token)), options);
+}
+
+export function logout(token, options) {
+  return request('/api/auth/logout', () => {
+    revokedTokens.add(token);
+    return { ok: true };
+  }, { ...options, method: 'POST' });
+}
+
+// Admins only. Hiding the admin page in the UI is a convenience; this check is the real protection.
+export function getAccounts(token, options) {
+  return request('/api/admin/accounts', () => {
+    if (requireAccount(token).role !== 'admin') {
+      throw new MockApiError(403, 'Only admins can list accounts');
+    }
+    return mockAccounts.map(toPublicAccount);
+  }, options);
+}
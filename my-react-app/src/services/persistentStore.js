@@ -0,0 +1,145 @@
+/**
+ * A value kept in localStorage that every open tab shares.
+ *
+ *   const store = createPersistentStore({ key, version, initialValue });
+ *   const value = useSyncExternalStore(store.subscribe, store.getSnapshot);
+ *   store.set(next); // or store.set(prev => next)
+ *
+ * The value is saved as { version, data }. When the saved version is older
+ * than `version`, `migrate(data, savedVersion)` upgrades it; a newer or
+ * unreadable entry is discarded rather than crashing the demo.
+ *
+ * `legacyKey` names where the value lived before it had this format. When
+ * nothing is saved under `key` yet, a JSON value found there is treated as
+ * version 0: it goes through `migrate`, is saved under `key`, and the old
+ * entry is removed, so the move happens once.
+ *
+ * Cross-tab sync uses the `storage` event, which the browser fires in every
+ * OTHER tab of the same origin when a localStorage key changes. localStorage
+ * is already the source of truth, so no separate channel is needed.
+ *
+ * By default set() writes to localStorage straight away. Pass
+ * `scheduleWrite: autosave.schedule` and `cancelWrite: autosave.cancel`
+ * (services/autosave.js) to let the autosave service decide when: the value
+ * still changes in memory, and for every subscriber, immediately - only the
+ * write waits. Setting the value back to what is saved cancels the write.
+ *
+ * If another tab changes the key while this tab's write is still waiting,
+ * this tab's edit is written at once instead of being replaced, so it isn't
+ * lost; the other tab then picks it up through its own storage event.
+ */
+
+const noMigration = (data) => data;
+const writeNow = (key, write) => write();
+const noop = () => {};
+
+export function createPersistentStore({ key, version, initialValue, migrate = noMigration, scheduleWrite = writeNow, cancelWrite = noop, legacyKey }) {
+  let value;
+  let loaded = false;
+  let pending = false; // a write is scheduled and hasn't run yet
+  const listeners = new Set();
+
+  const readLegacy = () => {
+    const raw = legacyKey ? localStorage.getItem(legacyKey) : null;
+    if (raw === null) return initialValue;
+    const migrated = migrate(JSON.parse(raw), 0);
+    localStorage.setItem(key, JSON.stringify({ version, data: migrated }));
+    localStorage.removeItem(legacyKey);
+    console.info(`💾 Moved ${legacyKey} to ${key}`);
+    return migrated;
+  };
+
+  const read = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key));
+      if (saved === null) return readLegacy();
+      if (saved.version === version) return saved.data;
+      if (saved.version < version) {
+        const migrated = migrate(saved.data, saved.version);
+        console.info(`💾 Migrated ${key} from v${saved.version} to v${version}`);
+        return migrated;
+      }
+      console.warn(`💾 Ignoring ${key} saved by a newer version (v${saved.version})`);
+    } catch (error) {
+      console.error(`Could not read ${key}:`, error);
+    }
+    return initialValue;
+  };
+
+  // Read lazily so nothing touches storage until a component needs it
+  const getSnapshot = () => {
+    if (!loaded) {
+      value = read();
+      loaded = true;
+    }
+    return value;
+  };
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  // Writing an identical value would be a no-op anyway; skipping it keeps
+  // tabs from echoing each other's updates back and forth. Nothing saved yet
+  // counts as the initial value.
+  const isSaved = () => {
+    const saved = localStorage.getItem(key);
+    if (saved === null) return JSON.stringify(value) === JSON.stringify(initialValue);
+    return saved === JSON.stringify({ version, data: value });
+  };
+
+  // Saves whatever the value is by the time it runs, so a delayed write
+  // never puts back an older value
+  const write = () => {
+    pending = false;
+    if (isSaved()) return;
+    try {
+      localStorage.setItem(key, JSON.stringify({ version, data: value }));
+    } catch (error) {
+      console.error(`Could not save ${key}:`, error);
+    }
+  };
+
+  const set = (next) => {
+    value = typeof next === 'function' ? next(getSnapshot()) : next;
+    if (!isSaved()) {
+      pending = true;
+      scheduleWrite(key, write);
+    } else if (pending) {
+      // Edited back to what is saved: nothing left to write
+      pending = false;
+      cancelWrite(key);
+    }
+    notify();
+  };
+
+  // Another tab changed (or cleared) the key: reload it and re-render
+  const handleStorage = (e) => {
+    if (e.key !== key && e.key !== null) return;
+    if (pending) {
+      // Adopting the other tab's value would drop this tab's unsaved edit
+      console.warn(`⚠️ ${key} changed in another tab while this tab had unsaved changes - keeping this tab's`);
+      write();
+      cancelWrite(key);
+      return;
+    }
+    value = read();
+    loaded = true;
+    console.log(`🔄 ${key} updated in another tab`);
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    if (listeners.size === 0) window.addEventListener('storage', handleStorage);
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        window.removeEventListener('storage', handleStorage);
+        // Nobody is listening for changes any more, so re-read next time -
+        // unless this tab's latest value hasn't been written yet
+        if (isSaved()) loaded = false;
+      }
+    };
+  };
+
+  return { key, version, getSnapshot, subscribe, set };
+}
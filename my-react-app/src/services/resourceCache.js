@@ -0,0 +1,30 @@
+/**
+ * Promise cache for reading data with use().
+ *
+ * use(promise) suspends until the promise settles, and the render React
+ * retries afterwards must receive the SAME promise object - a new one would
+ * suspend again, forever. So a component can't simply call fetch while
+ * rendering; the promise has to come from somewhere that outlives the
+ * render: a parent, an event handler, or a cache like this one.
+ *
+ *   const user = use(getResource(`user-${id}`, () => getUser(id)));
+ *
+ * The first call for a key starts the request, later calls share it.
+ * Entries stay until clearResources() evicts them.
+ */
+
+const cache = new Map();
+
+export function getResource(key, load) {
+  if (!cache.has(key)) {
+    cache.set(key, load());
+  }
+  return cache.get(key);
+}
+
+// Drop every entry whose key starts with `prefix` (all of them by default)
+export function clearResources(prefix = '') {
+  [...cache.keys()]
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => cache.delete(key));
+}
@@ -0,0 +1,29 @@
+import { autosave } from './autosave';
+import { createPersistentStore } from './persistentStore';
+
+/**
+ * The saved todo lists: the useState TodoList on the State page and the
+ * reducer todo list on the useReducer page. Bump a version and add a
+ * migration whenever the shape of a saved todo changes. Both are written
+ * by the autosave service (services/autosave.js).
+ */
+
+export const todoListStore = createPersistentStore({
+  key: 'learningHub.todoList',
+  version: 2,
+  initialValue: [],
+  scheduleWrite: autosave.schedule,
+  cancelWrite: autosave.cancel,
+  // v2 added priorities, due dates and tags
+  migrate: (todos, fromVersion) => (fromVersion < 2
+    ? todos.map(todo => ({ priority: 'medium', dueDate: '', tags: [], ...todo }))
+    : todos),
+});
+
+export const reducerTodosStore = createPersistentStore({
+  key: 'learningHub.reducerTodos',
+  version: 1,
+  initialValue: [],
+  scheduleWrite: autosave.schedule,
+  cancelWrite: autosave.cancel,
+});
@@ -1,13 +1,51 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The playground preview is a sandboxed iframe (src/components/CodePlayground.jsx)
+// with an opaque "null" origin, so the browser fetches its module scripts as
+// cross-origin requests. Allow them, but only from a page this server served
+// (judged by the Referer), so other sites still can't read the sources.
+// A static host serving the build has to send the header for assets too.
+const allowPlaygroundFrame = () => {
+  const middleware = (req, res, next) => {
+    const { origin, referer, host } = req.headers
+    if (origin === 'null' && referer && URL.canParse(referer) && new URL(referer).host === host) {
+      res.setHeader('Access-Control-Allow-Origin', 'null')
+    }
+    next()
+  }
+  return {
+    name: 'allow-playground-frame',
+    // Added before Vite's own middlewares
+    configureServer: (server) => { server.middlewares.use(middleware) },
+    configurePreviewServer: (server) => { server.middlewares.use(middleware) },
+  }
+}
+
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ command, mode }) => ({
   plugins: [
     react({
       babel: {
         plugins: [['babel-plugin-react-compiler']],
       },
     }),
+    allowPlaygroundFrame(),
   ],
-})
+  build: {
+    rollupOptions: {
+      // playground.html is the CodePlayground preview frame
+      input: ['index.html', 'playground.html'],
+    },
+  },
+  resolve: {
+    alias: command === 'serve' || mode === 'profiling' ? {
+      // Profiling build of react-dom, so <Profiler> (and the render overlay
+      // built on it) reports renders. The dev server gets it anyway; for a
+      // production build it is opt-in (npm run build:profiling) because
+      // profiling react-dom is bigger and slower than the regular build.
+      // Without it the overlay switch is hidden (see RenderInspectorContext.js).
+      'react-dom/client': 'react-dom/profiling',
+    } : {},
+  },
+}))